@@ -0,0 +1,28 @@
+-- Smart Library Platform - Migration 001: Hold queue
+-- For databases created before the holds table existed:
+--   mysql -u root -p smart_library < database/migrations/001_holds.sql
+USE smart_library;
+
+-- Holds table (reservation queue for unavailable books)
+-- waiting: in the queue; ready: a returned copy is set aside until expiry_date;
+-- fulfilled: the patron borrowed it; cancelled/expired: left the queue
+CREATE TABLE holds (
+    hold_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    book_id INT NOT NULL,
+    status ENUM('waiting', 'ready', 'fulfilled', 'cancelled', 'expired') DEFAULT 'waiting',
+    request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ready_date TIMESTAMP NULL,
+    expiry_date DATE NULL,
+    fulfilled_date TIMESTAMP NULL,
+    checkout_id INT NULL,
+    notes TEXT,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_id) REFERENCES checkouts(checkout_id) ON DELETE SET NULL,
+
+    INDEX idx_hold_queue (book_id, status, request_date),
+    INDEX idx_hold_user_status (user_id, status),
+    INDEX idx_hold_expiry (status, expiry_date)
+);
@@ -0,0 +1,8 @@
+-- Smart Library Platform - Migration 002: Loan renewals
+-- For databases created before checkouts.renewal_count existed:
+--   mysql -u root -p smart_library < database/migrations/002_renewals.sql
+USE smart_library;
+
+ALTER TABLE checkouts
+    ADD COLUMN renewal_count INT DEFAULT 0 AFTER late_fee,
+    ADD COLUMN last_renewal_date TIMESTAMP NULL AFTER renewal_count;
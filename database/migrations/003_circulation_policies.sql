@@ -0,0 +1,43 @@
+-- Smart Library Platform - Migration 003: Circulation policies
+-- For databases created before the circulation_policies table existed:
+--   mysql -u root -p smart_library < database/migrations/003_circulation_policies.sql
+USE smart_library;
+
+-- Reference-only books are matched by the 'reference' material type
+ALTER TABLE books
+    ADD COLUMN is_reference BOOLEAN DEFAULT FALSE AFTER is_ebook;
+
+-- Circulation policies (loan rules per patron type, genre and material type)
+-- NULL scope columns match anything; the most specific active policy applies
+CREATE TABLE circulation_policies (
+    policy_id INT PRIMARY KEY AUTO_INCREMENT,
+    policy_name VARCHAR(100) NOT NULL,
+    user_type ENUM('reader', 'staff', 'admin') NULL,
+    genre VARCHAR(50) NULL,
+    material_type ENUM('print', 'ebook', 'reference') NULL,
+    loan_period_days INT NOT NULL DEFAULT 14,
+    max_loan_days INT NOT NULL DEFAULT 30,
+    max_items INT NOT NULL DEFAULT 5,
+    max_renewals INT NOT NULL DEFAULT 2,
+    renewal_period_days INT NOT NULL DEFAULT 14,
+    fee_per_day DECIMAL(10,2) NOT NULL DEFAULT 0.50,
+    max_fee DECIMAL(10,2) NULL,
+    is_loanable BOOLEAN DEFAULT TRUE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_policy_scope (is_active, user_type, genre, material_type),
+
+    CONSTRAINT chk_policy_periods CHECK (loan_period_days >= 1 AND max_loan_days >= loan_period_days),
+    CONSTRAINT chk_policy_limits CHECK (max_items >= 0 AND max_renewals >= 0 AND renewal_period_days >= 1),
+    CONSTRAINT chk_policy_fees CHECK (fee_per_day >= 0 AND (max_fee IS NULL OR max_fee >= 0))
+);
+
+-- Default circulation policies
+INSERT INTO circulation_policies (policy_name, user_type, genre, material_type, loan_period_days, max_loan_days, max_items, max_renewals, renewal_period_days, fee_per_day, max_fee, is_loanable) VALUES
+('Standard loan', NULL, NULL, NULL, 14, 30, 5, 2, 14, 0.50, 20.00, TRUE),
+('Staff loan', 'staff', NULL, NULL, 28, 60, 10, 3, 28, 0.50, 20.00, TRUE),
+('Admin loan', 'admin', NULL, NULL, 28, 60, 10, 3, 28, 0.50, 20.00, TRUE),
+('E-book loan', NULL, NULL, 'ebook', 14, 21, 5, 1, 7, 0.00, NULL, TRUE),
+('Reference - in library use only', NULL, NULL, 'reference', 1, 1, 0, 0, 1, 0.00, NULL, FALSE);
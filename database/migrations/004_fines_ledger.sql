@@ -0,0 +1,54 @@
+-- Smart Library Platform - Migration 004: Fines ledger
+-- For databases created before the fine_transactions table existed (run 003
+-- first):
+--   mysql -u root -p smart_library < database/migrations/004_fines_ledger.sql
+-- Late fees already recorded on checkouts become charges in the ledger.
+USE smart_library;
+
+-- Borrowing is refused while the unpaid fine balance exceeds the patron-level
+-- policy's fine_threshold (NULL = never)
+ALTER TABLE circulation_policies
+    ADD COLUMN fine_threshold DECIMAL(10,2) NULL DEFAULT 10.00 AFTER max_fee;
+
+ALTER TABLE circulation_policies DROP CHECK chk_policy_fees;
+ALTER TABLE circulation_policies
+    ADD CONSTRAINT chk_policy_fees CHECK (fee_per_day >= 0 AND (max_fee IS NULL OR max_fee >= 0) AND (fine_threshold IS NULL OR fine_threshold >= 0));
+
+UPDATE circulation_policies SET fine_threshold = 25.00 WHERE policy_name = 'Staff loan';
+UPDATE circulation_policies SET fine_threshold = NULL WHERE policy_name = 'Admin loan';
+
+-- Fines ledger: charges add to what a patron owes, payments and waivers reduce it.
+-- Amounts are always positive; balance = charges - payments - waivers
+CREATE TABLE fine_transactions (
+    transaction_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    checkout_id INT NULL,
+    transaction_type ENUM('charge', 'payment', 'waiver') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    reason VARCHAR(255),
+    payment_method ENUM('cash', 'card', 'online', 'other') NULL,
+    staff_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_id) REFERENCES checkouts(checkout_id) ON DELETE SET NULL,
+    FOREIGN KEY (staff_id) REFERENCES users(user_id) ON DELETE SET NULL,
+
+    INDEX idx_fine_user (user_id, created_at),
+    INDEX idx_fine_checkout (checkout_id),
+
+    CONSTRAINT chk_fine_amount CHECK (amount > 0)
+);
+
+-- Late fees recorded on checkouts become charges in the ledger
+INSERT INTO fine_transactions (user_id, checkout_id, transaction_type, amount, reason, created_at)
+SELECT
+    user_id,
+    checkout_id,
+    'charge',
+    late_fee,
+    CONCAT('Late return (', GREATEST(DATEDIFF(DATE(return_date), due_date), 1),
+           IF(GREATEST(DATEDIFF(DATE(return_date), due_date), 1) = 1, ' day', ' days'), ' overdue)'),
+    COALESCE(return_date, CURRENT_TIMESTAMP)
+FROM checkouts
+WHERE late_fee > 0;
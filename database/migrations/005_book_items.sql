@@ -0,0 +1,95 @@
+-- Smart Library Platform - Migration 005: Book items
+-- For databases created before the book_items table existed:
+--   mysql -u root -p smart_library < database/migrations/005_book_items.sql
+-- Every copy on record becomes a book item. Open loans and ready holds are
+-- matched to one of their book's copies, and the copy counts are then taken
+-- from the items.
+USE smart_library;
+
+-- Book items table (one row per physical copy or e-book licence)
+-- books.total_copies / available_copies are kept in sync from these rows:
+-- total = items not lost or withdrawn, available = items with status 'available'
+CREATE TABLE book_items (
+    item_id INT PRIMARY KEY AUTO_INCREMENT,
+    book_id INT NOT NULL,
+    barcode VARCHAR(50) UNIQUE,
+    item_condition ENUM('new', 'good', 'fair', 'poor', 'damaged') DEFAULT 'good',
+    shelf_location VARCHAR(100),
+    status ENUM('available', 'checked_out', 'on_hold', 'in_repair', 'lost', 'withdrawn') DEFAULT 'available',
+    acquisition_date DATE,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+
+    INDEX idx_item_book_status (book_id, status)
+);
+
+-- The copy lent, and the copy set aside for a ready hold
+ALTER TABLE checkouts
+    ADD COLUMN item_id INT NULL AFTER book_id,
+    ADD FOREIGN KEY (item_id) REFERENCES book_items(item_id) ON DELETE SET NULL;
+
+ALTER TABLE holds
+    ADD COLUMN item_id INT NULL AFTER checkout_id,
+    ADD FOREIGN KEY (item_id) REFERENCES book_items(item_id) ON DELETE SET NULL;
+
+-- One book item per copy on record, with generated barcodes
+INSERT INTO book_items (book_id, item_condition, status, acquisition_date)
+WITH RECURSIVE copy_numbers (n) AS (
+    SELECT 1
+    UNION ALL
+    SELECT n + 1 FROM copy_numbers WHERE n < (SELECT MAX(total_copies) FROM books)
+)
+SELECT b.book_id, 'good', 'available', DATE(b.created_at)
+FROM books b
+JOIN copy_numbers cn ON cn.n <= b.total_copies
+ORDER BY b.book_id, cn.n;
+
+UPDATE book_items SET barcode = CONCAT('LIB', LPAD(item_id, 8, '0')) WHERE barcode IS NULL;
+
+-- Match each open loan to one of its book's copies and mark that copy checked out
+UPDATE checkouts c
+JOIN (
+    SELECT checkout_id, book_id, ROW_NUMBER() OVER (PARTITION BY book_id ORDER BY checkout_id) as n
+    FROM checkouts
+    WHERE is_returned = FALSE
+) open_loan ON open_loan.checkout_id = c.checkout_id
+JOIN (
+    SELECT item_id, book_id, ROW_NUMBER() OVER (PARTITION BY book_id ORDER BY item_id) as n
+    FROM book_items
+) copy ON copy.book_id = open_loan.book_id AND copy.n = open_loan.n
+SET c.item_id = copy.item_id;
+
+UPDATE book_items bi
+JOIN checkouts c ON c.item_id = bi.item_id AND c.is_returned = FALSE
+SET bi.status = 'checked_out';
+
+-- Set one of the remaining copies aside for each ready hold
+UPDATE holds h
+JOIN (
+    SELECT hold_id, book_id, ROW_NUMBER() OVER (PARTITION BY book_id ORDER BY ready_date, hold_id) as n
+    FROM holds
+    WHERE status = 'ready'
+) ready_hold ON ready_hold.hold_id = h.hold_id
+JOIN (
+    SELECT item_id, book_id, ROW_NUMBER() OVER (PARTITION BY book_id ORDER BY item_id) as n
+    FROM book_items
+    WHERE status = 'available'
+) copy ON copy.book_id = ready_hold.book_id AND copy.n = ready_hold.n
+SET h.item_id = copy.item_id;
+
+UPDATE book_items bi
+JOIN holds h ON h.item_id = bi.item_id AND h.status = 'ready'
+SET bi.status = 'on_hold';
+
+-- Copy counts now come from the items
+UPDATE books b
+SET b.available_copies = (SELECT COUNT(*) FROM book_items bi WHERE bi.book_id = b.book_id AND bi.status = 'available');
+
+-- Open loans that could not be matched to a copy (more loans than copies on record)
+SELECT c.checkout_id, c.book_id, b.title
+FROM checkouts c
+JOIN books b ON c.book_id = b.book_id
+WHERE c.is_returned = FALSE AND c.item_id IS NULL;
@@ -0,0 +1,14 @@
+-- Smart Library Platform - Migration 006: Lost, damaged and claims-returned loans
+-- For databases created before checkouts.loss_status existed (run 002 first):
+--   mysql -u root -p smart_library < database/migrations/006_loss_statuses.sql
+USE smart_library;
+
+-- Replacement cost charged when a copy is lost
+ALTER TABLE books
+    ADD COLUMN replacement_cost DECIMAL(10,2) DEFAULT 25.00 AFTER is_reference;
+
+-- How staff closed a loan whose copy did not come back normally
+ALTER TABLE checkouts
+    ADD COLUMN loss_status ENUM('lost', 'damaged', 'claims_returned') NULL AFTER last_renewal_date,
+    ADD COLUMN loss_date TIMESTAMP NULL AFTER loss_status,
+    ADD COLUMN replacement_fee DECIMAL(10,2) DEFAULT 0.00 AFTER loss_date;
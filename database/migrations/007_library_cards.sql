@@ -0,0 +1,10 @@
+-- Smart Library Platform - Migration 007: Library card numbers
+-- For databases created before users.library_card_number existed:
+--   mysql -u root -p smart_library < database/migrations/007_library_cards.sql
+-- Existing users get a card number generated from their user ID.
+USE smart_library;
+
+ALTER TABLE users
+    ADD COLUMN library_card_number VARCHAR(20) UNIQUE AFTER user_type;
+
+UPDATE users SET library_card_number = CONCAT('LC', LPAD(user_id, 8, '0')) WHERE library_card_number IS NULL;
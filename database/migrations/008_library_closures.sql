@@ -0,0 +1,23 @@
+-- Smart Library Platform - Migration 008: Closure calendar
+-- For databases created before the library_closures table existed:
+--   mysql -u root -p smart_library < database/migrations/008_library_closures.sql
+USE smart_library;
+
+-- Closure calendar: days the library is closed (a single day has start_date = end_date).
+-- Ranges must not overlap. Due dates skip closed days and closed days are not
+-- counted as overdue.
+CREATE TABLE library_closures (
+    closure_id INT PRIMARY KEY AUTO_INCREMENT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    closure_type ENUM('holiday', 'emergency', 'other') DEFAULT 'holiday',
+    reason VARCHAR(255) NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+
+    INDEX idx_closure_dates (start_date, end_date),
+
+    CONSTRAINT chk_closure_range CHECK (end_date >= start_date)
+);
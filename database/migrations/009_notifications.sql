@@ -0,0 +1,61 @@
+-- Smart Library Platform - Migration 009: Scheduled notices
+-- For databases created before the notification tables existed (run 001 first):
+--   mysql -u root -p smart_library < database/migrations/009_notifications.sql
+USE smart_library;
+
+-- Per-user notification settings. Users without a row get the column defaults.
+CREATE TABLE notification_preferences (
+    user_id INT PRIMARY KEY,
+    email_enabled BOOLEAN DEFAULT TRUE,
+    in_app_enabled BOOLEAN DEFAULT TRUE,
+    due_soon_enabled BOOLEAN DEFAULT TRUE,
+    overdue_enabled BOOLEAN DEFAULT TRUE,
+    hold_available_enabled BOOLEAN DEFAULT TRUE,
+    due_soon_days INT DEFAULT 2,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+
+    CONSTRAINT chk_due_soon_days CHECK (due_soon_days BETWEEN 1 AND 14)
+);
+
+-- In-app inbox (delivered by the in_app notification transport)
+CREATE TABLE user_notifications (
+    notification_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    notification_type ENUM('due_soon', 'overdue', 'hold_available') NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    message TEXT NOT NULL,
+    checkout_id INT NULL,
+    hold_id INT NULL,
+    is_read BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_id) REFERENCES checkouts(checkout_id) ON DELETE SET NULL,
+    FOREIGN KEY (hold_id) REFERENCES holds(hold_id) ON DELETE SET NULL,
+
+    INDEX idx_notification_user (user_id, is_read, created_at)
+);
+
+-- Delivery record per notice and channel; dedupe_key identifies the notice
+-- (e.g. 'due_soon:42:2025-03-01') so the scheduled job never sends it twice
+CREATE TABLE notification_log (
+    log_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    notification_type ENUM('due_soon', 'overdue', 'hold_available') NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    dedupe_key VARCHAR(100) NOT NULL,
+    checkout_id INT NULL,
+    hold_id INT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    attempts INT DEFAULT 1,
+    error_message VARCHAR(500) NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+
+    UNIQUE KEY uk_notification_delivery (dedupe_key, channel),
+    INDEX idx_notification_log_user (user_id, sent_at)
+);
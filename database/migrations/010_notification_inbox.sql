@@ -0,0 +1,27 @@
+-- Smart Library Platform - Migration 010: Notification inbox and review replies
+-- For databases created before the review_replies table existed (run 009 first):
+--   mysql -u root -p smart_library < database/migrations/010_notification_inbox.sql
+USE smart_library;
+
+-- Replies to reviews (from other readers or staff)
+CREATE TABLE review_replies (
+    reply_id INT PRIMARY KEY AUTO_INCREMENT,
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    comment TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+
+    INDEX idx_reply_review (review_id, created_at)
+);
+
+-- Account events (checkouts, returns, fines, review replies) in the inbox
+ALTER TABLE user_notifications
+    MODIFY notification_type ENUM('due_soon', 'overdue', 'hold_available', 'checkout', 'return', 'review_reply', 'fine', 'system') NOT NULL,
+    ADD COLUMN book_id INT NULL AFTER hold_id,
+    ADD FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL;
+
+ALTER TABLE notification_log
+    MODIFY notification_type ENUM('due_soon', 'overdue', 'hold_available', 'checkout', 'return', 'review_reply', 'fine', 'system') NOT NULL;
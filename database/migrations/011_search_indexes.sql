@@ -0,0 +1,8 @@
+-- Smart Library Platform - Migration 011: Weighted search indexes
+-- For databases created before the per-field full-text indexes existed:
+--   mysql -u root -p smart_library < database/migrations/011_search_indexes.sql
+USE smart_library;
+
+-- Per-field full-text indexes so search can weight title matches above description matches
+ALTER TABLE books ADD FULLTEXT ft_books_title (title);
+ALTER TABLE books ADD FULLTEXT ft_books_description (description);
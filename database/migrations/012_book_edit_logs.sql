@@ -0,0 +1,7 @@
+-- Smart Library Platform - Migration 012: Book edit log action
+-- For databases whose staff_logs.action_type has no 'update_book':
+--   mysql -u root -p smart_library < database/migrations/012_book_edit_logs.sql
+USE smart_library;
+
+ALTER TABLE staff_logs
+    MODIFY action_type ENUM('add_book', 'update_book', 'update_inventory', 'retire_book', 'manage_user', 'system_config') NOT NULL;
@@ -0,0 +1,8 @@
+-- Smart Library Platform - Migration 013: Author management log entries
+-- For databases whose staff_logs has no 'manage_author' action (run 012 first):
+--   mysql -u root -p smart_library < database/migrations/013_author_logs.sql
+USE smart_library;
+
+ALTER TABLE staff_logs
+    MODIFY action_type ENUM('add_book', 'update_book', 'update_inventory', 'retire_book', 'manage_author', 'manage_user', 'system_config') NOT NULL,
+    MODIFY target_type ENUM('book', 'author', 'user', 'system') NOT NULL;
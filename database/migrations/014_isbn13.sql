@@ -0,0 +1,31 @@
+-- Smart Library Platform - Migration 014: Normalized ISBN-13
+-- For databases created before books.isbn13 existed. Load the current
+-- mysql_functions.sql (NormalizeIsbn13) first, then:
+--   mysql -u root -p smart_library < database/migrations/014_isbn13.sql
+-- and reload mysql_triggers.sql afterwards: the book triggers set the
+-- isbn13 / isbn_invalid columns added here, so they cannot be created before.
+USE smart_library;
+
+ALTER TABLE books
+    ADD COLUMN isbn13 CHAR(13) AFTER isbn,
+    ADD COLUMN isbn_invalid BOOLEAN DEFAULT FALSE AFTER isbn13;
+
+CREATE INDEX idx_books_isbn13 ON books(isbn13);
+
+-- Backfill the normalized ISBN and flag ISBNs that fail their checksum
+UPDATE books
+SET isbn13 = NormalizeIsbn13(isbn),
+    isbn_invalid = (isbn IS NOT NULL AND TRIM(isbn) <> '' AND NormalizeIsbn13(isbn) IS NULL);
+
+-- Flagged ISBNs, for cataloguers to correct (also in the invalid_isbns admin report)
+SELECT book_id, title, isbn
+FROM books
+WHERE isbn_invalid = TRUE
+ORDER BY title;
+
+-- Books that share an ISBN once normalized (e.g. one catalogued by ISBN-10, one by ISBN-13)
+SELECT isbn13, COUNT(*) as book_count, GROUP_CONCAT(book_id ORDER BY book_id) as book_ids
+FROM books
+WHERE isbn13 IS NOT NULL
+GROUP BY isbn13
+HAVING COUNT(*) > 1;
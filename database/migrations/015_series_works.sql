@@ -0,0 +1,33 @@
+-- Smart Library Platform - Migration 015: Series and works
+-- For databases created before books.series_id / books.work_id existed:
+--   mysql -u root -p smart_library < database/migrations/015_series_works.sql
+USE smart_library;
+
+CREATE TABLE series (
+    series_id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(200) UNIQUE NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE works (
+    work_id INT PRIMARY KEY AUTO_INCREMENT,
+    title VARCHAR(200) NOT NULL,
+    original_language VARCHAR(30),
+    first_published_year INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE books
+    ADD COLUMN series_id INT AFTER cover_image_url,
+    ADD COLUMN series_position DECIMAL(5,1) AFTER series_id,
+    ADD COLUMN work_id INT AFTER series_position,
+    ADD FOREIGN KEY (series_id) REFERENCES series(series_id) ON DELETE SET NULL,
+    ADD FOREIGN KEY (work_id) REFERENCES works(work_id) ON DELETE SET NULL;
+
+CREATE INDEX idx_books_series ON books(series_id, series_position);
+
+-- Existing books are not grouped automatically: assign series and works from
+-- the admin panel or with PUT /api/series/:id/books and POST /api/works.
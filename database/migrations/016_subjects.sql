@@ -0,0 +1,55 @@
+-- Smart Library Platform - Migration 016: Subject taxonomy
+-- For databases created before the subjects tables existed:
+--   mysql -u root -p smart_library < database/migrations/016_subjects.sql
+-- then reload mysql_procedures.sql (LinkGenreSubject) and mysql_triggers.sql,
+-- so new and edited books keep their genre linked.
+USE smart_library;
+
+CREATE TABLE subjects (
+    subject_id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    parent_id INT,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (parent_id) REFERENCES subjects(subject_id) ON DELETE SET NULL
+);
+
+CREATE TABLE subject_aliases (
+    alias_id INT PRIMARY KEY AUTO_INCREMENT,
+    subject_id INT NOT NULL,
+    alias VARCHAR(50) UNIQUE NOT NULL,
+
+    FOREIGN KEY (subject_id) REFERENCES subjects(subject_id) ON DELETE CASCADE
+);
+
+CREATE TABLE book_subjects (
+    book_id INT,
+    subject_id INT,
+    is_primary BOOLEAN DEFAULT FALSE,
+    PRIMARY KEY (book_id, subject_id),
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (subject_id) REFERENCES subjects(subject_id) ON DELETE CASCADE,
+
+    INDEX idx_book_subjects_subject (subject_id)
+);
+
+-- Every existing genre becomes a top-level subject and each book's primary
+-- subject. Arrange the hierarchy and add aliases afterwards from the admin
+-- panel or with the /api/subjects routes.
+INSERT IGNORE INTO subjects (name)
+SELECT DISTINCT TRIM(genre)
+FROM books
+WHERE genre IS NOT NULL AND TRIM(genre) <> '';
+
+INSERT INTO book_subjects (book_id, subject_id, is_primary)
+SELECT b.book_id, s.subject_id, TRUE
+FROM books b
+JOIN subjects s ON s.name = TRIM(b.genre);
+
+SELECT s.name as subject, COUNT(bs.book_id) as book_count
+FROM subjects s
+LEFT JOIN book_subjects bs ON s.subject_id = bs.subject_id
+GROUP BY s.subject_id, s.name
+ORDER BY s.name;
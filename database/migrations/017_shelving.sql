@@ -0,0 +1,32 @@
+-- Smart Library Platform - Migration 017: Call numbers and branch locations
+-- For databases created before books.call_number / book_items.branch_id existed:
+--   mysql -u root -p smart_library < database/migrations/017_shelving.sql
+-- Existing copies are placed at the main branch; call numbers are added by
+-- staff (PUT /api/admin/books/:id), which also sets the sort key.
+USE smart_library;
+
+CREATE TABLE branches (
+    branch_id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    address TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE books
+    ADD COLUMN call_number VARCHAR(50) AFTER work_id,
+    ADD COLUMN call_number_scheme ENUM('dewey', 'lc', 'local') AFTER call_number,
+    ADD COLUMN call_number_sort VARCHAR(150) COLLATE utf8mb4_bin AFTER call_number_scheme;
+
+CREATE INDEX idx_books_call_number ON books(call_number_sort);
+
+ALTER TABLE book_items
+    ADD COLUMN branch_id INT NULL AFTER barcode,
+    ADD FOREIGN KEY (branch_id) REFERENCES branches(branch_id) ON DELETE SET NULL,
+    ADD INDEX idx_item_branch (branch_id, shelf_location);
+
+INSERT INTO branches (code, name) VALUES ('MAIN', 'Main Library');
+
+UPDATE book_items SET branch_id = (SELECT branch_id FROM branches WHERE code = 'MAIN');
@@ -0,0 +1,45 @@
+-- Smart Library Platform - Migration 018: Stocktake sessions
+-- For databases created before the stocktake tables existed (run 017 first):
+--   mysql -u root -p smart_library < database/migrations/018_stocktake.sql
+USE smart_library;
+
+-- Stocktake sessions: a periodic shelf-by-shelf scan of a branch, reconciled
+-- against book_items (see utils/stocktake.js)
+CREATE TABLE stocktake_sessions (
+    session_id INT PRIMARY KEY AUTO_INCREMENT,
+    branch_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    notes TEXT,
+    status ENUM('open', 'completed', 'cancelled') DEFAULT 'open',
+    started_by INT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by INT NULL,
+    closed_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (branch_id) REFERENCES branches(branch_id),
+    FOREIGN KEY (started_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (closed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_stocktake_status (status, branch_id)
+);
+
+-- Stocktake scans: one row per barcode or ISBN scanned on a shelf. item_id /
+-- book_id record what the code matched when it was scanned.
+CREATE TABLE stocktake_scans (
+    scan_id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    shelf_location VARCHAR(100) NOT NULL,
+    code VARCHAR(50) NOT NULL,
+    code_type ENUM('barcode', 'isbn') NOT NULL,
+    item_id INT NULL,
+    book_id INT NULL,
+    scanned_by INT NULL,
+    scanned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (session_id) REFERENCES stocktake_sessions(session_id) ON DELETE CASCADE,
+    FOREIGN KEY (item_id) REFERENCES book_items(item_id) ON DELETE SET NULL,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL,
+    FOREIGN KEY (scanned_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_stocktake_scan_shelf (session_id, shelf_location)
+);
@@ -0,0 +1,77 @@
+-- Smart Library Platform - Migration 019: Purchase suggestions and acquisitions
+-- For databases created before the acquisitions tables existed:
+--   mysql -u root -p smart_library < database/migrations/019_acquisitions.sql
+USE smart_library;
+
+-- Budget funds that acquisitions are charged to. What a fund has committed
+-- (ordered) and spent (received) is summed from acquisitions.
+CREATE TABLE budget_funds (
+    fund_id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    fiscal_year SMALLINT NULL,
+    allocated_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT chk_fund_allocation CHECK (allocated_amount >= 0)
+);
+
+-- Acquisitions: patron purchase suggestions and the staff ordering pipeline
+-- suggested -> approved -> ordered -> received (or rejected / cancelled).
+-- book_id is the catalogue record created or topped up on receipt.
+CREATE TABLE acquisitions (
+    acquisition_id INT PRIMARY KEY AUTO_INCREMENT,
+    title VARCHAR(200) NOT NULL,
+    author VARCHAR(200),
+    isbn VARCHAR(20),
+    isbn13 CHAR(13), -- bare ISBN-13, for matching suggestions and owned books
+    publisher VARCHAR(100),
+    publication_year SMALLINT,
+    format ENUM('print', 'ebook') DEFAULT 'print',
+    reason TEXT, -- why the patron suggested it
+    status ENUM('suggested', 'approved', 'ordered', 'received', 'rejected', 'cancelled') DEFAULT 'suggested',
+    suggested_by INT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    vendor VARCHAR(100),
+    unit_cost DECIMAL(10,2),
+    fund_id INT NULL,
+    order_reference VARCHAR(50),
+    staff_notes TEXT,
+    decision_note VARCHAR(500), -- shown to the patron when rejected or cancelled
+    book_id INT NULL,
+    approved_by INT NULL,
+    approved_at TIMESTAMP NULL,
+    ordered_by INT NULL,
+    ordered_at TIMESTAMP NULL,
+    received_by INT NULL,
+    received_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (suggested_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (fund_id) REFERENCES budget_funds(fund_id) ON DELETE SET NULL,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL,
+    FOREIGN KEY (approved_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (ordered_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    CONSTRAINT chk_acquisition_quantity CHECK (quantity > 0),
+    CONSTRAINT chk_acquisition_cost CHECK (unit_cost IS NULL OR unit_cost >= 0),
+    
+    INDEX idx_acquisition_status (status, created_at),
+    INDEX idx_acquisition_isbn13 (isbn13),
+    INDEX idx_acquisition_fund (fund_id, status)
+);
+
+-- Patron votes for a suggestion (the suggester's own vote included)
+CREATE TABLE acquisition_votes (
+    acquisition_id INT NOT NULL,
+    user_id INT NOT NULL,
+    voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (acquisition_id, user_id),
+    FOREIGN KEY (acquisition_id) REFERENCES acquisitions(acquisition_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
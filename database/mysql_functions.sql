@@ -5,6 +5,13 @@ USE smart_library;
 DROP FUNCTION IF EXISTS IsBookAvailable;
 DROP FUNCTION IF EXISTS IsReturnedOnTime;
 DROP FUNCTION IF EXISTS CountBooksInDateRange;
+DROP FUNCTION IF EXISTS GetCirculationPolicyId;
+DROP FUNCTION IF EXISTS NextOpenDay;
+DROP FUNCTION IF EXISTS CountClosedDays;
+DROP FUNCTION IF EXISTS CalculateLateFee;
+DROP FUNCTION IF EXISTS CanUserBorrowMore;
+DROP FUNCTION IF EXISTS GetUserFineBalance;
+DROP FUNCTION IF EXISTS NormalizeIsbn13;
 
 -- Change delimiter to handle function definitions
 DELIMITER //
@@ -103,7 +110,93 @@ BEGIN
     RETURN overdue_count;
 END//
 
--- Function to calculate late fee based on days overdue
+-- Function to find the circulation policy for a user and book
+-- (most specific active policy wins; pass NULL book to get the user's general policy)
+CREATE FUNCTION GetCirculationPolicyId(user_id_param INT, book_id_param INT)
+RETURNS INT
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE policy_id_val INT DEFAULT NULL;
+    DECLARE user_type_val VARCHAR(20);
+    DECLARE genre_val VARCHAR(50) DEFAULT NULL;
+    DECLARE material_val VARCHAR(20) DEFAULT NULL;
+    
+    SELECT user_type INTO user_type_val
+    FROM users
+    WHERE user_id = user_id_param;
+    
+    IF book_id_param IS NOT NULL THEN
+        SELECT genre,
+               CASE WHEN is_reference THEN 'reference' WHEN is_ebook THEN 'ebook' ELSE 'print' END
+        INTO genre_val, material_val
+        FROM books
+        WHERE book_id = book_id_param;
+    END IF;
+    
+    SELECT policy_id INTO policy_id_val
+    FROM circulation_policies
+    WHERE is_active = TRUE
+    AND (user_type IS NULL OR user_type = user_type_val)
+    AND (genre IS NULL OR genre = genre_val)
+    AND (material_type IS NULL OR material_type = material_val)
+    ORDER BY
+        (user_type IS NOT NULL) + (genre IS NOT NULL) + (material_type IS NOT NULL) DESC,
+        material_type IS NOT NULL DESC,
+        genre IS NOT NULL DESC,
+        policy_id ASC
+    LIMIT 1;
+    
+    RETURN policy_id_val;
+END//
+
+-- Function to find the first day on or after date_param when the library is open
+CREATE FUNCTION NextOpenDay(date_param DATE)
+RETURNS DATE
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE open_day DATE DEFAULT date_param;
+    DECLARE reopen_date DATE DEFAULT NULL;
+    
+    closure_loop: LOOP
+        SET reopen_date = NULL;
+        
+        SELECT DATE_ADD(end_date, INTERVAL 1 DAY) INTO reopen_date
+        FROM library_closures
+        WHERE open_day BETWEEN start_date AND end_date
+        LIMIT 1;
+        
+        IF reopen_date IS NULL THEN
+            LEAVE closure_loop;
+        END IF;
+        
+        SET open_day = reopen_date;
+    END LOOP;
+    
+    RETURN open_day;
+END//
+
+-- Function to count closed days after after_date up to and including through_date
+CREATE FUNCTION CountClosedDays(after_date DATE, through_date DATE)
+RETURNS INT
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE closed_days INT DEFAULT 0;
+    
+    SELECT COALESCE(SUM(GREATEST(0,
+        DATEDIFF(LEAST(end_date, through_date), GREATEST(start_date, DATE_ADD(after_date, INTERVAL 1 DAY))) + 1
+    )), 0)
+    INTO closed_days
+    FROM library_closures
+    WHERE start_date <= through_date AND end_date > after_date;
+    
+    RETURN closed_days;
+END//
+
+-- Function to calculate late fee based on days overdue (closed days are not counted)
+-- Pass NULL fee_per_day to use the rate (and cap) from the loan's circulation policy
 CREATE FUNCTION CalculateLateFee(checkout_id_param INT, fee_per_day DECIMAL(10,2))
 RETURNS DECIMAL(10,2)
 READS SQL DATA
@@ -114,24 +207,43 @@ BEGIN
     DECLARE due_date_val DATE;
     DECLARE return_date_val TIMESTAMP;
     DECLARE is_returned_val BOOLEAN DEFAULT FALSE;
+    DECLARE end_date_val DATE;
+    DECLARE user_id_val INT;
+    DECLARE book_id_val INT;
+    DECLARE rate DECIMAL(10,2) DEFAULT 0.50;
+    DECLARE max_fee_val DECIMAL(10,2) DEFAULT NULL;
     
     -- Get checkout details
-    SELECT due_date, return_date, is_returned
-    INTO due_date_val, return_date_val, is_returned_val
+    SELECT due_date, COALESCE(return_date, loss_date), is_returned, user_id, book_id
+    INTO due_date_val, return_date_val, is_returned_val, user_id_val, book_id_val
     FROM checkouts 
     WHERE checkout_id = checkout_id_param;
     
-    -- Calculate days overdue
-    IF is_returned_val = TRUE THEN
-        -- Use actual return date
-        SET days_overdue = GREATEST(0, DATEDIFF(DATE(return_date_val), due_date_val));
+    -- Fall back to the circulation policy rate when no rate is given
+    IF fee_per_day IS NULL THEN
+        SELECT cp.fee_per_day, cp.max_fee
+        INTO rate, max_fee_val
+        FROM circulation_policies cp
+        WHERE cp.policy_id = GetCirculationPolicyId(user_id_val, book_id_val);
+    ELSE
+        SET rate = fee_per_day;
+    END IF;
+    
+    -- Count overdue days up to the return (or loss) date, or today if not returned yet
+    IF is_returned_val = TRUE AND return_date_val IS NOT NULL THEN
+        SET end_date_val = DATE(return_date_val);
     ELSE
-        -- Use current date
-        SET days_overdue = GREATEST(0, DATEDIFF(CURDATE(), due_date_val));
+        SET end_date_val = CURDATE();
     END IF;
     
+    SET days_overdue = GREATEST(0, DATEDIFF(end_date_val, due_date_val) - CountClosedDays(due_date_val, end_date_val));
+    
     -- Calculate total fee
-    SET total_fee = days_overdue * fee_per_day;
+    SET total_fee = days_overdue * rate;
+    
+    IF max_fee_val IS NOT NULL AND total_fee > max_fee_val THEN
+        SET total_fee = max_fee_val;
+    END IF;
     
     RETURN total_fee;
 END//
@@ -153,23 +265,49 @@ BEGIN
     RETURN active_count;
 END//
 
--- Function to check if user can borrow more books (max 5 books at a time)
+-- Function to check if user can borrow more books
+-- Pass NULL max_books to use the limit from the user's circulation policy (5 if none)
 CREATE FUNCTION CanUserBorrowMore(user_id_param INT, max_books INT)
 RETURNS BOOLEAN
 READS SQL DATA
 DETERMINISTIC
 BEGIN
     DECLARE current_checkouts INT DEFAULT 0;
+    DECLARE item_limit INT DEFAULT 5;
     
     SET current_checkouts = GetUserActiveCheckouts(user_id_param);
     
-    IF current_checkouts < max_books THEN
+    IF max_books IS NULL THEN
+        SELECT max_items INTO item_limit
+        FROM circulation_policies
+        WHERE policy_id = GetCirculationPolicyId(user_id_param, NULL);
+    ELSE
+        SET item_limit = max_books;
+    END IF;
+    
+    IF current_checkouts < item_limit THEN
         RETURN TRUE;
     ELSE
         RETURN FALSE;
     END IF;
 END//
 
+-- Function to get a user's outstanding fine balance from the fines ledger
+CREATE FUNCTION GetUserFineBalance(user_id_param INT)
+RETURNS DECIMAL(10,2)
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE balance DECIMAL(10,2) DEFAULT 0.00;
+    
+    SELECT COALESCE(SUM(CASE WHEN transaction_type = 'charge' THEN amount ELSE -amount END), 0)
+    INTO balance
+    FROM fine_transactions
+    WHERE user_id = user_id_param;
+    
+    RETURN balance;
+END//
+
 -- Function to get book popularity score based on checkouts and ratings
 CREATE FUNCTION GetBookPopularityScore(book_id_param INT)
 RETURNS DECIMAL(10,2)
@@ -192,6 +330,65 @@ BEGIN
     RETURN popularity_score;
 END//
 
+-- Function: Normalize an ISBN to a bare ISBN-13
+-- Accepts ISBN-10 or ISBN-13 with or without hyphens and spaces; returns NULL
+-- when the ISBN is malformed or its check digit is wrong. Must agree with
+-- toIsbn13 in utils/isbn.js.
+CREATE FUNCTION NormalizeIsbn13(isbn_param VARCHAR(20))
+RETURNS CHAR(13)
+NO SQL
+DETERMINISTIC
+BEGIN
+    DECLARE clean_isbn VARCHAR(20);
+    DECLARE digit_char CHAR(1);
+    DECLARE checksum INT DEFAULT 0;
+    DECLARE i INT DEFAULT 1;
+    
+    IF isbn_param IS NULL THEN
+        RETURN NULL;
+    END IF;
+    
+    SET clean_isbn = UPPER(REPLACE(REPLACE(isbn_param, '-', ''), ' ', ''));
+    
+    IF clean_isbn REGEXP '^[0-9]{9}[0-9X]$' THEN
+        -- ISBN-10: weights 10..1, sum divisible by 11 (X = 10)
+        WHILE i <= 10 DO
+            SET digit_char = SUBSTRING(clean_isbn, i, 1);
+            SET checksum = checksum + IF(digit_char = 'X', 10, CAST(digit_char AS UNSIGNED)) * (11 - i);
+            SET i = i + 1;
+        END WHILE;
+        
+        IF checksum % 11 <> 0 THEN
+            RETURN NULL;
+        END IF;
+        
+        -- Convert: 978 prefix, first nine digits, new ISBN-13 check digit
+        SET clean_isbn = CONCAT('978', LEFT(clean_isbn, 9));
+        SET checksum = 0;
+        SET i = 1;
+        WHILE i <= 12 DO
+            SET checksum = checksum + CAST(SUBSTRING(clean_isbn, i, 1) AS UNSIGNED) * IF(i % 2 = 1, 1, 3);
+            SET i = i + 1;
+        END WHILE;
+        
+        RETURN CONCAT(clean_isbn, (10 - checksum % 10) % 10);
+    END IF;
+    
+    IF clean_isbn REGEXP '^[0-9]{13}$' THEN
+        -- ISBN-13: alternate weights 1 and 3, sum divisible by 10
+        WHILE i <= 13 DO
+            SET checksum = checksum + CAST(SUBSTRING(clean_isbn, i, 1) AS UNSIGNED) * IF(i % 2 = 1, 1, 3);
+            SET i = i + 1;
+        END WHILE;
+        
+        IF checksum % 10 = 0 THEN
+            RETURN clean_isbn;
+        END IF;
+    END IF;
+    
+    RETURN NULL;
+END//
+
 -- Restore default delimiter
 DELIMITER ;
 
@@ -201,4 +398,6 @@ SELECT
     IsBookAvailable(1) as book_1_available,
     CountBooksInDateRange('2024-01-01', CURDATE()) as books_borrowed_this_year,
     GetOverdueBooksCount() as overdue_books,
-    CanUserBorrowMore(3, 5) as user_can_borrow_more;
+    CanUserBorrowMore(3, 5) as user_can_borrow_more,
+    CanUserBorrowMore(3, NULL) as user_can_borrow_under_policy,
+    GetUserFineBalance(3) as user_fine_balance;
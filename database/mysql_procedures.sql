@@ -3,16 +3,99 @@ USE smart_library;
 
 -- Drop procedures if they exist
 DROP PROCEDURE IF EXISTS BorrowBook;
+DROP PROCEDURE IF EXISTS RenewLoan;
 DROP PROCEDURE IF EXISTS ReturnBook;
 DROP PROCEDURE IF EXISTS ReviewBook;
 DROP PROCEDURE IF EXISTS AddBook;
 DROP PROCEDURE IF EXISTS UpdateInventory;
 DROP PROCEDURE IF EXISTS RetireBook;
+DROP PROCEDURE IF EXISTS SyncBookCopyCounts;
+DROP PROCEDURE IF EXISTS AddBookItems;
+DROP PROCEDURE IF EXISTS LinkGenreSubject;
 
 -- Change delimiter to handle procedure definitions
 DELIMITER //
 
+-- Helper: Recompute a book's copy counts from its items
+-- total = items not lost or withdrawn, available = items on the shelf
+-- (runs inside the caller's transaction)
+CREATE PROCEDURE SyncBookCopyCounts(
+    IN p_book_id INT
+)
+BEGIN
+    UPDATE books b
+    SET total_copies = (
+            SELECT COUNT(*) FROM book_items bi
+            WHERE bi.book_id = b.book_id AND bi.status NOT IN ('lost', 'withdrawn')
+        ),
+        available_copies = IF(b.is_active, (
+            SELECT COUNT(*) FROM book_items bi
+            WHERE bi.book_id = b.book_id AND bi.status = 'available'
+        ), 0)
+    WHERE b.book_id = p_book_id;
+END//
+
+-- Helper: Create p_count new items for a book with generated barcodes
+-- (runs inside the caller's transaction)
+CREATE PROCEDURE AddBookItems(
+    IN p_book_id INT,
+    IN p_count INT
+)
+BEGIN
+    DECLARE v_added INT DEFAULT 0;
+    
+    WHILE v_added < p_count DO
+        INSERT INTO book_items (book_id, item_condition, status, acquisition_date)
+        VALUES (p_book_id, 'new', 'available', CURDATE());
+        
+        UPDATE book_items
+        SET barcode = CONCAT('LIB', LPAD(LAST_INSERT_ID(), 8, '0'))
+        WHERE item_id = LAST_INSERT_ID();
+        
+        SET v_added = v_added + 1;
+    END WHILE;
+END//
+
+-- Helper: File a book under the subject named by its genre, as its primary
+-- subject. The genre may be a subject name or alias; unknown genres become new
+-- top-level subjects. Called by the book triggers.
+CREATE PROCEDURE LinkGenreSubject(
+    IN p_book_id INT,
+    IN p_genre VARCHAR(50)
+)
+BEGIN
+    DECLARE v_subject_id INT DEFAULT NULL;
+    
+    IF p_genre IS NOT NULL AND TRIM(p_genre) <> '' THEN
+        SELECT subject_id INTO v_subject_id
+        FROM subjects
+        WHERE name = TRIM(p_genre)
+        LIMIT 1;
+        
+        IF v_subject_id IS NULL THEN
+            SELECT subject_id INTO v_subject_id
+            FROM subject_aliases
+            WHERE alias = TRIM(p_genre)
+            LIMIT 1;
+        END IF;
+        
+        IF v_subject_id IS NULL THEN
+            INSERT INTO subjects (name) VALUES (TRIM(p_genre));
+            SET v_subject_id = LAST_INSERT_ID();
+        END IF;
+        
+        UPDATE book_subjects
+        SET is_primary = FALSE
+        WHERE book_id = p_book_id AND subject_id <> v_subject_id;
+        
+        INSERT INTO book_subjects (book_id, subject_id, is_primary)
+        VALUES (p_book_id, v_subject_id, TRUE)
+        ON DUPLICATE KEY UPDATE is_primary = TRUE;
+    END IF;
+END//
+
 -- Procedure 1: Borrow a Book
+-- Pass NULL p_loan_period_days to use the loan period from the circulation policy
 CREATE PROCEDURE BorrowBook(
     IN p_user_id INT,
     IN p_book_id INT,
@@ -28,6 +111,13 @@ BEGIN
     DECLARE v_user_exists BOOLEAN DEFAULT FALSE;
     DECLARE v_book_exists BOOLEAN DEFAULT FALSE;
     DECLARE v_due_date DATE;
+    DECLARE v_ready_hold_id INT DEFAULT NULL;
+    DECLARE v_policy_id INT DEFAULT NULL;
+    DECLARE v_max_items INT DEFAULT 5;
+    DECLARE v_policy_loan_days INT DEFAULT 14;
+    DECLARE v_is_loanable BOOLEAN DEFAULT TRUE;
+    DECLARE v_fine_threshold DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_item_id INT DEFAULT NULL;
     
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
@@ -59,6 +149,38 @@ BEGIN
         FROM books 
         WHERE book_id = p_book_id;
         
+        -- A copy set aside for this user's hold can be borrowed when the shelf is empty
+        SELECT hold_id, item_id INTO v_ready_hold_id, v_item_id
+        FROM holds
+        WHERE user_id = p_user_id AND book_id = p_book_id AND status = 'ready'
+        LIMIT 1
+        FOR UPDATE;
+        
+        -- Otherwise take the next copy on the shelf
+        IF v_item_id IS NULL THEN
+            SELECT item_id INTO v_item_id
+            FROM book_items
+            WHERE book_id = p_book_id AND status = 'available'
+            ORDER BY item_id ASC
+            LIMIT 1
+            FOR UPDATE;
+        END IF;
+        
+        -- Loan rules for this patron and item
+        SET v_policy_id = GetCirculationPolicyId(p_user_id, p_book_id);
+        
+        IF v_policy_id IS NOT NULL THEN
+            SELECT max_items, loan_period_days, is_loanable
+            INTO v_max_items, v_policy_loan_days, v_is_loanable
+            FROM circulation_policies
+            WHERE policy_id = v_policy_id;
+        END IF;
+        
+        -- Fine threshold comes from the patron-level policy
+        SELECT fine_threshold INTO v_fine_threshold
+        FROM circulation_policies
+        WHERE policy_id = GetCirculationPolicyId(p_user_id, NULL);
+        
         IF v_book_exists = 0 THEN
             SET p_result = 'Error: Book not found';
             SET p_checkout_id = -1;
@@ -67,7 +189,15 @@ BEGIN
             SET p_result = 'Error: Book is not active';
             SET p_checkout_id = -1;
             ROLLBACK;
-        ELSEIF v_available_copies <= 0 THEN
+        ELSEIF v_is_loanable = FALSE THEN
+            SET p_result = 'Error: Item is for in-library use only';
+            SET p_checkout_id = -1;
+            ROLLBACK;
+        ELSEIF v_fine_threshold IS NOT NULL AND GetUserFineBalance(p_user_id) > v_fine_threshold THEN
+            SET p_result = CONCAT('Error: Outstanding fines exceed the borrowing limit ($', v_fine_threshold, ')');
+            SET p_checkout_id = -1;
+            ROLLBACK;
+        ELSEIF v_item_id IS NULL THEN
             SET p_result = 'Error: Book not available';
             SET p_checkout_id = -1;
             ROLLBACK;
@@ -77,26 +207,34 @@ BEGIN
             FROM checkouts 
             WHERE user_id = p_user_id AND is_returned = FALSE;
             
-            IF v_user_active_checkouts >= 5 THEN
-                SET p_result = 'Error: User has reached maximum checkout limit (5 books)';
+            IF v_user_active_checkouts >= v_max_items THEN
+                SET p_result = CONCAT('Error: User has reached maximum checkout limit (', v_max_items, ' books)');
                 SET p_checkout_id = -1;
                 ROLLBACK;
             ELSE
-                -- Calculate due date
-                SET v_due_date = DATE_ADD(CURDATE(), INTERVAL p_loan_period_days DAY);
+                -- Calculate due date, rolled forward past any library closure
+                SET v_due_date = NextOpenDay(DATE_ADD(CURDATE(), INTERVAL COALESCE(p_loan_period_days, v_policy_loan_days) DAY));
                 
-                -- Create checkout record
-                INSERT INTO checkouts (user_id, book_id, due_date, staff_checkout_id)
-                VALUES (p_user_id, p_book_id, v_due_date, p_staff_id);
+                -- Create checkout record for the specific copy
+                INSERT INTO checkouts (user_id, book_id, item_id, due_date, staff_checkout_id)
+                VALUES (p_user_id, p_book_id, v_item_id, v_due_date, p_staff_id);
                 
                 SET p_checkout_id = LAST_INSERT_ID();
                 
-                -- Update book availability
+                -- Update item status and book availability
+                UPDATE book_items SET status = 'checked_out' WHERE item_id = v_item_id;
+                
                 UPDATE books 
-                SET available_copies = available_copies - 1,
-                    total_borrowed = total_borrowed + 1
+                SET total_borrowed = total_borrowed + 1
                 WHERE book_id = p_book_id;
                 
+                CALL SyncBookCopyCounts(p_book_id);
+                
+                -- Close out any open hold this user had on the book
+                UPDATE holds
+                SET status = 'fulfilled', fulfilled_date = NOW(), checkout_id = p_checkout_id
+                WHERE user_id = p_user_id AND book_id = p_book_id AND status IN ('waiting', 'ready');
+                
                 -- Log staff action
                 INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description)
                 VALUES (p_staff_id, 'add_book', 'book', p_book_id, 
@@ -109,10 +247,108 @@ BEGIN
     END IF;
 END//
 
+-- Procedure 1b: Renew a Loan
+-- Extends the due date of an active checkout. Refused when the loan is overdue,
+-- the renewal limit is reached, or other patrons are waiting for the book.
+-- Pass NULL p_renewal_days / p_max_renewals to use the circulation policy values.
+CREATE PROCEDURE RenewLoan(
+    IN p_checkout_id INT,
+    IN p_staff_id INT,
+    IN p_renewal_days INT,
+    IN p_max_renewals INT,
+    OUT p_result VARCHAR(255),
+    OUT p_new_due_date DATE
+)
+BEGIN
+    DECLARE v_checkout_exists BOOLEAN DEFAULT FALSE;
+    DECLARE v_book_id INT;
+    DECLARE v_due_date DATE;
+    DECLARE v_is_returned BOOLEAN DEFAULT FALSE;
+    DECLARE v_renewal_count INT DEFAULT 0;
+    DECLARE v_waiting_holds INT DEFAULT 0;
+    DECLARE v_user_id INT;
+    DECLARE v_renewal_days INT DEFAULT 14;
+    DECLARE v_max_renewals INT DEFAULT 2;
+    
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        SET p_result = 'Error: Transaction failed due to database error';
+        SET p_new_due_date = NULL;
+    END;
+    
+    -- Start transaction
+    START TRANSACTION;
+    
+    SELECT COUNT(*) INTO v_checkout_exists 
+    FROM checkouts 
+    WHERE checkout_id = p_checkout_id;
+    
+    -- Lock the checkout row while it is being renewed
+    SELECT book_id, user_id, due_date, is_returned, renewal_count
+    INTO v_book_id, v_user_id, v_due_date, v_is_returned, v_renewal_count
+    FROM checkouts
+    WHERE checkout_id = p_checkout_id
+    FOR UPDATE;
+    
+    SELECT renewal_period_days, max_renewals
+    INTO v_renewal_days, v_max_renewals
+    FROM circulation_policies
+    WHERE policy_id = GetCirculationPolicyId(v_user_id, v_book_id);
+    
+    SET v_renewal_days = COALESCE(p_renewal_days, v_renewal_days);
+    SET v_max_renewals = COALESCE(p_max_renewals, v_max_renewals);
+    
+    SELECT COUNT(*) INTO v_waiting_holds
+    FROM holds
+    WHERE book_id = v_book_id AND status = 'waiting';
+    
+    SET p_new_due_date = NULL;
+    
+    IF v_checkout_exists = 0 THEN
+        SET p_result = 'Error: Checkout record not found';
+        ROLLBACK;
+    ELSEIF v_is_returned = TRUE THEN
+        SET p_result = 'Error: Book already returned';
+        ROLLBACK;
+    ELSEIF v_due_date < CURDATE() THEN
+        SET p_result = 'Error: Overdue loans cannot be renewed';
+        ROLLBACK;
+    ELSEIF v_renewal_count >= v_max_renewals THEN
+        SET p_result = CONCAT('Error: Maximum renewals reached (', v_max_renewals, ')');
+        ROLLBACK;
+    ELSEIF v_waiting_holds > 0 THEN
+        SET p_result = 'Error: Book has pending holds';
+        ROLLBACK;
+    ELSE
+        -- Extend from today, never shortening the current due date, and skip closed days
+        SET p_new_due_date = NextOpenDay(GREATEST(v_due_date, DATE_ADD(CURDATE(), INTERVAL v_renewal_days DAY)));
+        
+        UPDATE checkouts
+        SET due_date = p_new_due_date,
+            renewal_count = renewal_count + 1,
+            last_renewal_date = CURRENT_TIMESTAMP
+        WHERE checkout_id = p_checkout_id;
+        
+        -- Log staff action when renewed at the desk
+        IF p_staff_id IS NOT NULL THEN
+            INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description)
+            VALUES (p_staff_id, 'update_inventory', 'book', v_book_id, 
+                   CONCAT('Loan renewed, checkout ID: ', p_checkout_id, ', new due date: ', p_new_due_date));
+        END IF;
+        
+        SET p_result = 'Success: Loan renewed successfully';
+        COMMIT;
+    END IF;
+END//
+
 -- Procedure 2: Return a Book
+-- p_pickup_days is how long a copy set aside for the next hold waits for
+-- collection; pass the app's HOLD_PICKUP_DAYS (NULL uses its default of 3)
 CREATE PROCEDURE ReturnBook(
     IN p_checkout_id INT,
     IN p_staff_id INT,
+    IN p_pickup_days INT,
     OUT p_result VARCHAR(255),
     OUT p_late_fee DECIMAL(10,2)
 )
@@ -123,7 +359,8 @@ BEGIN
     DECLARE v_is_returned BOOLEAN DEFAULT FALSE;
     DECLARE v_checkout_exists BOOLEAN DEFAULT FALSE;
     DECLARE v_days_late INT DEFAULT 0;
-    DECLARE v_fee_per_day DECIMAL(10,2) DEFAULT 1.00;
+    DECLARE v_next_hold_id INT DEFAULT NULL;
+    DECLARE v_item_id INT DEFAULT NULL;
     
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
     BEGIN
@@ -136,7 +373,7 @@ BEGIN
     START TRANSACTION;
     
     -- Check if checkout exists and get details
-    SELECT book_id, user_id, due_date, is_returned INTO v_book_id, v_user_id, v_due_date, v_is_returned
+    SELECT book_id, user_id, item_id, due_date, is_returned INTO v_book_id, v_user_id, v_item_id, v_due_date, v_is_returned
     FROM checkouts 
     WHERE checkout_id = p_checkout_id;
     
@@ -153,9 +390,9 @@ BEGIN
         SET p_late_fee = 0.00;
         ROLLBACK;
     ELSE
-        -- Calculate late fee
-        SET v_days_late = GREATEST(0, DATEDIFF(CURDATE(), v_due_date));
-        SET p_late_fee = v_days_late * v_fee_per_day;
+        -- Calculate late fee from the loan's circulation policy
+        SET v_days_late = GREATEST(0, DATEDIFF(CURDATE(), v_due_date) - CountClosedDays(v_due_date, CURDATE()));
+        SET p_late_fee = CalculateLateFee(p_checkout_id, NULL);
         
         -- Update checkout record
         UPDATE checkouts 
@@ -166,15 +403,41 @@ BEGIN
             staff_return_id = p_staff_id
         WHERE checkout_id = p_checkout_id;
         
-        -- Update book availability
-        UPDATE books 
-        SET available_copies = available_copies + 1
-        WHERE book_id = v_book_id;
+        -- Post the late fee to the fines ledger
+        IF p_late_fee > 0 THEN
+            INSERT INTO fine_transactions (user_id, checkout_id, transaction_type, amount, reason, staff_id)
+            VALUES (v_user_id, p_checkout_id, 'charge', p_late_fee,
+                    CONCAT('Late return (', v_days_late, ' days overdue)'), p_staff_id);
+        END IF;
+        
+        -- Set the copy aside for the next waiting hold, or put it back on the shelf
+        SELECT hold_id INTO v_next_hold_id
+        FROM holds
+        WHERE book_id = v_book_id AND status = 'waiting'
+        ORDER BY request_date ASC, hold_id ASC
+        LIMIT 1
+        FOR UPDATE;
+        
+        IF v_next_hold_id IS NOT NULL THEN
+            UPDATE holds
+            SET status = 'ready',
+                ready_date = NOW(),
+                expiry_date = DATE_ADD(CURDATE(), INTERVAL COALESCE(p_pickup_days, 3) DAY),
+                item_id = v_item_id
+            WHERE hold_id = v_next_hold_id;
+        END IF;
+        
+        UPDATE book_items
+        SET status = IF(v_next_hold_id IS NULL, 'available', 'on_hold')
+        WHERE item_id = v_item_id;
+        
+        CALL SyncBookCopyCounts(v_book_id);
         
         -- Log staff action
         INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description)
         VALUES (p_staff_id, 'update_inventory', 'book', v_book_id, 
-               CONCAT('Book returned, checkout ID: ', p_checkout_id, ', late fee: $', p_late_fee));
+               CONCAT('Book returned, checkout ID: ', p_checkout_id, ', late fee: $', p_late_fee,
+                      IF(v_next_hold_id IS NULL, '', CONCAT(', set aside for hold ID: ', v_next_hold_id))));
         
         SET p_result = 'Success: Book returned successfully';
         COMMIT;
@@ -324,6 +587,9 @@ BEGIN
         
         SET p_book_id = LAST_INSERT_ID();
         
+        -- One item per copy
+        CALL AddBookItems(p_book_id, p_total_copies);
+        
         -- Log staff action
         INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values)
         VALUES (p_staff_id, 'add_book', 'book', p_book_id, 
@@ -336,6 +602,8 @@ BEGIN
 END//
 
 -- Procedure 5: Update Inventory
+-- Adds new items, or withdraws copies from the shelf (worst condition first),
+-- until the book has p_new_total_copies items in stock
 CREATE PROCEDURE UpdateInventory(
     IN p_book_id INT,
     IN p_new_total_copies INT,
@@ -346,7 +614,8 @@ BEGIN
     DECLARE v_book_exists BOOLEAN DEFAULT FALSE;
     DECLARE v_current_total INT DEFAULT 0;
     DECLARE v_current_available INT DEFAULT 0;
-    DECLARE v_checked_out INT DEFAULT 0;
+    DECLARE v_on_shelf INT DEFAULT 0;
+    DECLARE v_to_withdraw INT DEFAULT 0;
     DECLARE v_new_available INT DEFAULT 0;
     
     DECLARE EXIT HANDLER FOR SQLEXCEPTION
@@ -366,6 +635,14 @@ BEGIN
     SELECT total_copies, available_copies 
     INTO v_current_total, v_current_available
     FROM books 
+    WHERE book_id = p_book_id
+    FOR UPDATE;
+    
+    -- Count stock from the items themselves
+    SELECT COUNT(CASE WHEN status NOT IN ('lost', 'withdrawn') THEN 1 END),
+           COUNT(CASE WHEN status = 'available' THEN 1 END)
+    INTO v_current_total, v_on_shelf
+    FROM book_items
     WHERE book_id = p_book_id;
     
     IF v_book_exists = 0 THEN
@@ -374,33 +651,37 @@ BEGIN
     ELSEIF p_new_total_copies <= 0 THEN
         SET p_result = 'Error: Total copies must be greater than 0';
         ROLLBACK;
+    ELSEIF v_current_total - p_new_total_copies > v_on_shelf THEN
+        SET p_result = 'Error: Cannot reduce inventory below checked out copies';
+        ROLLBACK;
     ELSE
-        -- Calculate currently checked out copies
-        SET v_checked_out = v_current_total - v_current_available;
-        
-        -- Calculate new available copies
-        SET v_new_available = p_new_total_copies - v_checked_out;
-        
-        IF v_new_available < 0 THEN
-            SET p_result = 'Error: Cannot reduce inventory below checked out copies';
-            ROLLBACK;
-        ELSE
-            -- Update book inventory
-            UPDATE books 
-            SET total_copies = p_new_total_copies,
-                available_copies = v_new_available
-            WHERE book_id = p_book_id;
-            
-            -- Log staff action
-            INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values)
-            VALUES (p_staff_id, 'update_inventory', 'book', p_book_id, 
-                   'Inventory updated',
-                   JSON_OBJECT('total_copies', v_current_total, 'available_copies', v_current_available),
-                   JSON_OBJECT('total_copies', p_new_total_copies, 'available_copies', v_new_available));
+        IF p_new_total_copies > v_current_total THEN
+            CALL AddBookItems(p_book_id, p_new_total_copies - v_current_total);
+        ELSEIF p_new_total_copies < v_current_total THEN
+            SET v_to_withdraw = v_current_total - p_new_total_copies;
             
-            SET p_result = 'Success: Inventory updated successfully';
-            COMMIT;
+            UPDATE book_items
+            SET status = 'withdrawn'
+            WHERE book_id = p_book_id AND status = 'available'
+            ORDER BY FIELD(item_condition, 'damaged', 'poor', 'fair', 'good', 'new'), item_id DESC
+            LIMIT v_to_withdraw;
         END IF;
+        
+        CALL SyncBookCopyCounts(p_book_id);
+        
+        SELECT available_copies INTO v_new_available
+        FROM books
+        WHERE book_id = p_book_id;
+        
+        -- Log staff action
+        INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values)
+        VALUES (p_staff_id, 'update_inventory', 'book', p_book_id, 
+               'Inventory updated',
+               JSON_OBJECT('total_copies', v_current_total, 'available_copies', v_current_available),
+               JSON_OBJECT('total_copies', p_new_total_copies, 'available_copies', v_new_available));
+        
+        SET p_result = 'Success: Inventory updated successfully';
+        COMMIT;
     END IF;
 END//
 
@@ -427,7 +708,8 @@ BEGIN
     -- Check if book exists and is active
     SELECT COUNT(*) INTO v_book_exists 
     FROM books 
-    WHERE book_id = p_book_id AND is_active = TRUE;
+    WHERE book_id = p_book_id AND is_active = TRUE
+    FOR UPDATE;
     
     SELECT title INTO v_book_title
     FROM books 
@@ -451,6 +733,16 @@ BEGIN
             available_copies = 0
         WHERE book_id = p_book_id;
         
+        -- Close the hold queue for the retired book, releasing copies set aside for ready holds
+        UPDATE book_items bi
+        JOIN holds h ON h.item_id = bi.item_id
+        SET bi.status = 'available'
+        WHERE h.book_id = p_book_id AND h.status = 'ready' AND bi.status = 'on_hold';
+        
+        UPDATE holds
+        SET status = 'cancelled'
+        WHERE book_id = p_book_id AND status IN ('waiting', 'ready');
+        
         -- Log staff action
         INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description)
         VALUES (p_staff_id, 'retire_book', 'book', p_book_id, 
@@ -470,8 +762,12 @@ DELIMITER ;
 CALL BorrowBook(3, 1, 2, 14, @result, @checkout_id);
 SELECT @result as borrow_result, @checkout_id as checkout_id;
 
+-- Test renew loan
+CALL RenewLoan(@checkout_id, 2, 14, 2, @renew_result, @new_due_date);
+SELECT @renew_result as renew_result, @new_due_date as new_due_date;
+
 -- Test return book
-CALL ReturnBook(@checkout_id, 2, @return_result, @late_fee);
+CALL ReturnBook(@checkout_id, 2, NULL, @return_result, @late_fee);
 SELECT @return_result as return_result, @late_fee as late_fee;
 
 -- Test review book
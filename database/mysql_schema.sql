@@ -6,11 +6,31 @@ CREATE DATABASE IF NOT EXISTS smart_library CHARACTER SET utf8mb4 COLLATE utf8mb
 USE smart_library;
 
 -- Drop tables if they exist (for reset purposes)
+DROP TABLE IF EXISTS acquisition_votes;
+DROP TABLE IF EXISTS acquisitions;
+DROP TABLE IF EXISTS budget_funds;
+DROP TABLE IF EXISTS notification_log;
+DROP TABLE IF EXISTS user_notifications;
+DROP TABLE IF EXISTS notification_preferences;
+DROP TABLE IF EXISTS library_closures;
+DROP TABLE IF EXISTS fine_transactions;
+DROP TABLE IF EXISTS holds;
+DROP TABLE IF EXISTS circulation_policies;
+DROP TABLE IF EXISTS review_replies;
 DROP TABLE IF EXISTS reviews;
 DROP TABLE IF EXISTS checkouts;
+DROP TABLE IF EXISTS stocktake_scans;
+DROP TABLE IF EXISTS stocktake_sessions;
+DROP TABLE IF EXISTS book_items;
+DROP TABLE IF EXISTS branches;
+DROP TABLE IF EXISTS book_subjects;
 DROP TABLE IF EXISTS book_authors;
 DROP TABLE IF EXISTS staff_logs;
 DROP TABLE IF EXISTS books;
+DROP TABLE IF EXISTS works;
+DROP TABLE IF EXISTS series;
+DROP TABLE IF EXISTS subject_aliases;
+DROP TABLE IF EXISTS subjects;
 DROP TABLE IF EXISTS authors;
 DROP TABLE IF EXISTS users;
 
@@ -25,6 +45,7 @@ CREATE TABLE users (
     phone VARCHAR(20),
     address TEXT,
     user_type ENUM('reader', 'staff', 'admin') DEFAULT 'reader',
+    library_card_number VARCHAR(20) UNIQUE,
     registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -43,11 +64,66 @@ CREATE TABLE authors (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Subjects table: the genre/subject taxonomy. Narrower subjects point at
+-- their parent (Fantasy -> Speculative Fiction -> Fiction).
+CREATE TABLE subjects (
+    subject_id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(50) UNIQUE NOT NULL, -- same length as books.genre
+    parent_id INT,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (parent_id) REFERENCES subjects(subject_id) ON DELETE SET NULL
+);
+
+-- Other names a subject is known by ("Sci-Fi" for Science Fiction)
+CREATE TABLE subject_aliases (
+    alias_id INT PRIMARY KEY AUTO_INCREMENT,
+    subject_id INT NOT NULL,
+    alias VARCHAR(50) UNIQUE NOT NULL,
+
+    FOREIGN KEY (subject_id) REFERENCES subjects(subject_id) ON DELETE CASCADE
+);
+
+-- Series table (named sequences of books, e.g. "Dune")
+CREATE TABLE series (
+    series_id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(200) UNIQUE NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Works table: one row per work, grouping its editions and translations
+-- (each edition is its own books row with its own ISBN and copies)
+CREATE TABLE works (
+    work_id INT PRIMARY KEY AUTO_INCREMENT,
+    title VARCHAR(200) NOT NULL,
+    original_language VARCHAR(30),
+    first_published_year INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Branches table: the library's locations; each book item is shelved at one
+CREATE TABLE branches (
+    branch_id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    address TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
 -- Books table
 CREATE TABLE books (
     book_id INT PRIMARY KEY AUTO_INCREMENT,
     title VARCHAR(200) NOT NULL,
     isbn VARCHAR(20) UNIQUE,
+    isbn13 CHAR(13), -- bare ISBN-13 for lookups, set by triggers from isbn (NULL if invalid)
+    isbn_invalid BOOLEAN DEFAULT FALSE, -- isbn fails its checksum; flagged for cleanup
     publisher VARCHAR(100),
     publication_date DATE,
     genre VARCHAR(50),
@@ -57,7 +133,15 @@ CREATE TABLE books (
     total_copies INT NOT NULL DEFAULT 1,
     available_copies INT NOT NULL DEFAULT 1,
     is_ebook BOOLEAN DEFAULT FALSE,
+    is_reference BOOLEAN DEFAULT FALSE,
+    replacement_cost DECIMAL(10,2) DEFAULT 25.00,
     cover_image_url VARCHAR(500),
+    series_id INT,
+    series_position DECIMAL(5,1), -- 1, 2, 3... (2.5 for a novella between books 2 and 3)
+    work_id INT,
+    call_number VARCHAR(50),
+    call_number_scheme ENUM('dewey', 'lc', 'local'),
+    call_number_sort VARCHAR(150) COLLATE utf8mb4_bin, -- shelf order key, set from call_number (utils/shelving.js)
     average_rating DECIMAL(3,2) DEFAULT 0.00,
     total_reviews INT DEFAULT 0,
     total_borrowed INT DEFAULT 0,
@@ -66,7 +150,9 @@ CREATE TABLE books (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     CONSTRAINT chk_copies CHECK (available_copies >= 0 AND available_copies <= total_copies),
-    CONSTRAINT chk_rating CHECK (average_rating >= 0 AND average_rating <= 5)
+    CONSTRAINT chk_rating CHECK (average_rating >= 0 AND average_rating <= 5),
+    FOREIGN KEY (series_id) REFERENCES series(series_id) ON DELETE SET NULL,
+    FOREIGN KEY (work_id) REFERENCES works(work_id) ON DELETE SET NULL
 );
 
 -- Book-Authors junction table (many-to-many relationship)
@@ -79,23 +165,109 @@ CREATE TABLE book_authors (
     FOREIGN KEY (author_id) REFERENCES authors(author_id) ON DELETE CASCADE
 );
 
+-- Book-Subjects junction table (many subjects per book)
+-- The primary subject mirrors books.genre; the book triggers keep it linked.
+CREATE TABLE book_subjects (
+    book_id INT,
+    subject_id INT,
+    is_primary BOOLEAN DEFAULT FALSE,
+    PRIMARY KEY (book_id, subject_id),
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (subject_id) REFERENCES subjects(subject_id) ON DELETE CASCADE,
+
+    INDEX idx_book_subjects_subject (subject_id)
+);
+
+-- Book items table (one row per physical copy or e-book licence)
+-- books.total_copies / available_copies are kept in sync from these rows:
+-- total = items not lost or withdrawn, available = items with status 'available'
+CREATE TABLE book_items (
+    item_id INT PRIMARY KEY AUTO_INCREMENT,
+    book_id INT NOT NULL,
+    barcode VARCHAR(50) UNIQUE,
+    item_condition ENUM('new', 'good', 'fair', 'poor', 'damaged') DEFAULT 'good',
+    branch_id INT NULL,
+    shelf_location VARCHAR(100),
+    status ENUM('available', 'checked_out', 'on_hold', 'in_repair', 'lost', 'withdrawn') DEFAULT 'available',
+    acquisition_date DATE,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (branch_id) REFERENCES branches(branch_id) ON DELETE SET NULL,
+    
+    INDEX idx_item_book_status (book_id, status),
+    INDEX idx_item_branch (branch_id, shelf_location)
+);
+
+-- Stocktake sessions: a periodic shelf-by-shelf scan of a branch, reconciled
+-- against book_items (see utils/stocktake.js)
+CREATE TABLE stocktake_sessions (
+    session_id INT PRIMARY KEY AUTO_INCREMENT,
+    branch_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    notes TEXT,
+    status ENUM('open', 'completed', 'cancelled') DEFAULT 'open',
+    started_by INT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by INT NULL,
+    closed_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (branch_id) REFERENCES branches(branch_id),
+    FOREIGN KEY (started_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (closed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_stocktake_status (status, branch_id)
+);
+
+-- Stocktake scans: one row per barcode or ISBN scanned on a shelf. item_id /
+-- book_id record what the code matched when it was scanned.
+CREATE TABLE stocktake_scans (
+    scan_id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    shelf_location VARCHAR(100) NOT NULL,
+    code VARCHAR(50) NOT NULL,
+    code_type ENUM('barcode', 'isbn') NOT NULL,
+    item_id INT NULL,
+    book_id INT NULL,
+    scanned_by INT NULL,
+    scanned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (session_id) REFERENCES stocktake_sessions(session_id) ON DELETE CASCADE,
+    FOREIGN KEY (item_id) REFERENCES book_items(item_id) ON DELETE SET NULL,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL,
+    FOREIGN KEY (scanned_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_stocktake_scan_shelf (session_id, shelf_location)
+);
+
 -- Checkouts table
+-- loss_status records how a loan was closed by staff when the copy did not come
+-- back normally (lost, returned damaged, or the patron claims they returned it)
 CREATE TABLE checkouts (
     checkout_id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     book_id INT NOT NULL,
+    item_id INT NULL,
     checkout_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     due_date DATE NOT NULL,
     return_date TIMESTAMP NULL,
     is_returned BOOLEAN DEFAULT FALSE,
     is_late BOOLEAN DEFAULT FALSE,
     late_fee DECIMAL(10,2) DEFAULT 0.00,
+    renewal_count INT DEFAULT 0,
+    last_renewal_date TIMESTAMP NULL,
+    loss_status ENUM('lost', 'damaged', 'claims_returned') NULL,
+    loss_date TIMESTAMP NULL,
+    replacement_fee DECIMAL(10,2) DEFAULT 0.00,
     staff_checkout_id INT,
     staff_return_id INT,
     notes TEXT,
     
     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
     FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (item_id) REFERENCES book_items(item_id) ON DELETE SET NULL,
     FOREIGN KEY (staff_checkout_id) REFERENCES users(user_id),
     FOREIGN KEY (staff_return_id) REFERENCES users(user_id),
     
@@ -105,6 +277,32 @@ CREATE TABLE checkouts (
     INDEX idx_return_status (is_returned)
 );
 
+-- Holds table (reservation queue for unavailable books)
+-- waiting: in the queue; ready: a returned copy (item_id) is set aside until expiry_date;
+-- fulfilled: the patron borrowed it; cancelled/expired: left the queue
+CREATE TABLE holds (
+    hold_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    book_id INT NOT NULL,
+    status ENUM('waiting', 'ready', 'fulfilled', 'cancelled', 'expired') DEFAULT 'waiting',
+    request_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ready_date TIMESTAMP NULL,
+    expiry_date DATE NULL,
+    fulfilled_date TIMESTAMP NULL,
+    checkout_id INT NULL,
+    item_id INT NULL,
+    notes TEXT,
+    
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_id) REFERENCES checkouts(checkout_id) ON DELETE SET NULL,
+    FOREIGN KEY (item_id) REFERENCES book_items(item_id) ON DELETE SET NULL,
+    
+    INDEX idx_hold_queue (book_id, status, request_date),
+    INDEX idx_hold_user_status (user_id, status),
+    INDEX idx_hold_expiry (status, expiry_date)
+);
+
 -- Reviews table
 CREATE TABLE reviews (
     review_id INT PRIMARY KEY AUTO_INCREMENT,
@@ -126,12 +324,26 @@ CREATE TABLE reviews (
     INDEX idx_review_date (review_date)
 );
 
+-- Replies to reviews (from other readers or staff)
+CREATE TABLE review_replies (
+    reply_id INT PRIMARY KEY AUTO_INCREMENT,
+    review_id INT NOT NULL,
+    user_id INT NOT NULL,
+    comment TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (review_id) REFERENCES reviews(review_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    
+    INDEX idx_reply_review (review_id, created_at)
+);
+
 -- Staff logs table
 CREATE TABLE staff_logs (
     log_id INT PRIMARY KEY AUTO_INCREMENT,
     staff_id INT NOT NULL,
-    action_type ENUM('add_book', 'update_inventory', 'retire_book', 'manage_user', 'system_config') NOT NULL,
-    target_type ENUM('book', 'user', 'system') NOT NULL,
+    action_type ENUM('add_book', 'update_book', 'update_inventory', 'retire_book', 'manage_author', 'manage_user', 'system_config') NOT NULL,
+    target_type ENUM('book', 'author', 'user', 'system') NOT NULL,
     target_id INT,
     action_description TEXT NOT NULL,
     old_values JSON,
@@ -147,11 +359,219 @@ CREATE TABLE staff_logs (
     INDEX idx_target (target_type, target_id)
 );
 
+-- Circulation policies (loan rules per patron type, genre and material type)
+-- NULL scope columns match anything; the most specific active policy applies.
+-- fine_threshold is read from the patron-level policy (no genre/material scope):
+-- borrowing is refused while the unpaid fine balance exceeds it (NULL = never)
+CREATE TABLE circulation_policies (
+    policy_id INT PRIMARY KEY AUTO_INCREMENT,
+    policy_name VARCHAR(100) NOT NULL,
+    user_type ENUM('reader', 'staff', 'admin') NULL,
+    genre VARCHAR(50) NULL,
+    material_type ENUM('print', 'ebook', 'reference') NULL,
+    loan_period_days INT NOT NULL DEFAULT 14,
+    max_loan_days INT NOT NULL DEFAULT 30,
+    max_items INT NOT NULL DEFAULT 5,
+    max_renewals INT NOT NULL DEFAULT 2,
+    renewal_period_days INT NOT NULL DEFAULT 14,
+    fee_per_day DECIMAL(10,2) NOT NULL DEFAULT 0.50,
+    max_fee DECIMAL(10,2) NULL,
+    fine_threshold DECIMAL(10,2) NULL DEFAULT 10.00,
+    is_loanable BOOLEAN DEFAULT TRUE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_policy_scope (is_active, user_type, genre, material_type),
+    
+    CONSTRAINT chk_policy_periods CHECK (loan_period_days >= 1 AND max_loan_days >= loan_period_days),
+    CONSTRAINT chk_policy_limits CHECK (max_items >= 0 AND max_renewals >= 0 AND renewal_period_days >= 1),
+    CONSTRAINT chk_policy_fees CHECK (fee_per_day >= 0 AND (max_fee IS NULL OR max_fee >= 0) AND (fine_threshold IS NULL OR fine_threshold >= 0))
+);
+
+-- Fines ledger: charges add to what a patron owes, payments and waivers reduce it.
+-- Amounts are always positive; balance = charges - payments - waivers
+CREATE TABLE fine_transactions (
+    transaction_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    checkout_id INT NULL,
+    transaction_type ENUM('charge', 'payment', 'waiver') NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    reason VARCHAR(255),
+    payment_method ENUM('cash', 'card', 'online', 'other') NULL,
+    staff_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_id) REFERENCES checkouts(checkout_id) ON DELETE SET NULL,
+    FOREIGN KEY (staff_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_fine_user (user_id, created_at),
+    INDEX idx_fine_checkout (checkout_id),
+    
+    CONSTRAINT chk_fine_amount CHECK (amount > 0)
+);
+
+-- Closure calendar: days the library is closed (a single day has start_date = end_date).
+-- Ranges must not overlap. Due dates skip closed days and closed days are not
+-- counted as overdue.
+CREATE TABLE library_closures (
+    closure_id INT PRIMARY KEY AUTO_INCREMENT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    closure_type ENUM('holiday', 'emergency', 'other') DEFAULT 'holiday',
+    reason VARCHAR(255) NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_closure_dates (start_date, end_date),
+    
+    CONSTRAINT chk_closure_range CHECK (end_date >= start_date)
+);
+
+-- Per-user notification settings. Users without a row get the column defaults.
+CREATE TABLE notification_preferences (
+    user_id INT PRIMARY KEY,
+    email_enabled BOOLEAN DEFAULT TRUE,
+    in_app_enabled BOOLEAN DEFAULT TRUE,
+    due_soon_enabled BOOLEAN DEFAULT TRUE,
+    overdue_enabled BOOLEAN DEFAULT TRUE,
+    hold_available_enabled BOOLEAN DEFAULT TRUE,
+    due_soon_days INT DEFAULT 2,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    
+    CONSTRAINT chk_due_soon_days CHECK (due_soon_days BETWEEN 1 AND 14)
+);
+
+-- In-app inbox. Filled by the in_app notification transport and by account
+-- events (checkouts, returns, fines, review replies) as they happen.
+CREATE TABLE user_notifications (
+    notification_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    notification_type ENUM('due_soon', 'overdue', 'hold_available', 'checkout', 'return', 'review_reply', 'fine', 'system') NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    message TEXT NOT NULL,
+    checkout_id INT NULL,
+    hold_id INT NULL,
+    book_id INT NULL,
+    is_read BOOLEAN DEFAULT FALSE,
+    read_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (checkout_id) REFERENCES checkouts(checkout_id) ON DELETE SET NULL,
+    FOREIGN KEY (hold_id) REFERENCES holds(hold_id) ON DELETE SET NULL,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL,
+    
+    INDEX idx_notification_user (user_id, is_read, created_at)
+);
+
+-- Delivery record per notice and channel; dedupe_key identifies the notice
+-- (e.g. 'due_soon:42:2025-03-01') so the scheduled job never sends it twice
+CREATE TABLE notification_log (
+    log_id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    notification_type ENUM('due_soon', 'overdue', 'hold_available', 'checkout', 'return', 'review_reply', 'fine', 'system') NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    dedupe_key VARCHAR(100) NOT NULL,
+    checkout_id INT NULL,
+    hold_id INT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    attempts INT DEFAULT 1,
+    error_message VARCHAR(500) NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    
+    UNIQUE KEY uk_notification_delivery (dedupe_key, channel),
+    INDEX idx_notification_log_user (user_id, sent_at)
+);
+
+-- Budget funds that acquisitions are charged to. What a fund has committed
+-- (ordered) and spent (received) is summed from acquisitions.
+CREATE TABLE budget_funds (
+    fund_id INT PRIMARY KEY AUTO_INCREMENT,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    fiscal_year SMALLINT NULL,
+    allocated_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    CONSTRAINT chk_fund_allocation CHECK (allocated_amount >= 0)
+);
+
+-- Acquisitions: patron purchase suggestions and the staff ordering pipeline
+-- suggested -> approved -> ordered -> received (or rejected / cancelled).
+-- book_id is the catalogue record created or topped up on receipt.
+CREATE TABLE acquisitions (
+    acquisition_id INT PRIMARY KEY AUTO_INCREMENT,
+    title VARCHAR(200) NOT NULL,
+    author VARCHAR(200),
+    isbn VARCHAR(20),
+    isbn13 CHAR(13), -- bare ISBN-13, for matching suggestions and owned books
+    publisher VARCHAR(100),
+    publication_year SMALLINT,
+    format ENUM('print', 'ebook') DEFAULT 'print',
+    reason TEXT, -- why the patron suggested it
+    status ENUM('suggested', 'approved', 'ordered', 'received', 'rejected', 'cancelled') DEFAULT 'suggested',
+    suggested_by INT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    vendor VARCHAR(100),
+    unit_cost DECIMAL(10,2),
+    fund_id INT NULL,
+    order_reference VARCHAR(50),
+    staff_notes TEXT,
+    decision_note VARCHAR(500), -- shown to the patron when rejected or cancelled
+    book_id INT NULL,
+    approved_by INT NULL,
+    approved_at TIMESTAMP NULL,
+    ordered_by INT NULL,
+    ordered_at TIMESTAMP NULL,
+    received_by INT NULL,
+    received_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (suggested_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (fund_id) REFERENCES budget_funds(fund_id) ON DELETE SET NULL,
+    FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE SET NULL,
+    FOREIGN KEY (approved_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (ordered_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (received_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    CONSTRAINT chk_acquisition_quantity CHECK (quantity > 0),
+    CONSTRAINT chk_acquisition_cost CHECK (unit_cost IS NULL OR unit_cost >= 0),
+    
+    INDEX idx_acquisition_status (status, created_at),
+    INDEX idx_acquisition_isbn13 (isbn13),
+    INDEX idx_acquisition_fund (fund_id, status)
+);
+
+-- Patron votes for a suggestion (the suggester's own vote included)
+CREATE TABLE acquisition_votes (
+    acquisition_id INT NOT NULL,
+    user_id INT NOT NULL,
+    voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (acquisition_id, user_id),
+    FOREIGN KEY (acquisition_id) REFERENCES acquisitions(acquisition_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
 -- Create indexes for performance optimization
 -- Book search optimization
 CREATE INDEX idx_books_title ON books(title);
 CREATE INDEX idx_books_genre ON books(genre);
+CREATE INDEX idx_books_isbn13 ON books(isbn13);
 CREATE INDEX idx_books_publisher ON books(publisher);
+CREATE INDEX idx_books_series ON books(series_id, series_position);
+CREATE INDEX idx_books_call_number ON books(call_number_sort);
 CREATE INDEX idx_books_active_available ON books(is_active, available_copies);
 CREATE INDEX idx_authors_name ON authors(first_name, last_name);
 
@@ -168,6 +588,10 @@ CREATE INDEX idx_checkout_analytics ON checkouts(book_id, checkout_date, is_retu
 ALTER TABLE books ADD FULLTEXT(title, description);
 ALTER TABLE authors ADD FULLTEXT(first_name, last_name);
 
+-- Per-field full-text indexes so search can weight title matches above description matches
+ALTER TABLE books ADD FULLTEXT ft_books_title (title);
+ALTER TABLE books ADD FULLTEXT ft_books_description (description);
+
 -- Insert sample data for testing
 -- Sample users
 INSERT INTO users (username, email, password_hash, first_name, last_name, user_type) VALUES
@@ -176,6 +600,9 @@ INSERT INTO users (username, email, password_hash, first_name, last_name, user_t
 ('reader1', 'reader1@library.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'John', 'Doe', 'reader'),
 ('reader2', 'reader2@library.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'Alice', 'Johnson', 'reader');
 
+-- Library card numbers for the sample users
+UPDATE users SET library_card_number = CONCAT('LC', LPAD(user_id, 8, '0')) WHERE library_card_number IS NULL;
+
 -- Sample authors
 INSERT INTO authors (first_name, last_name, biography, birth_date, nationality) VALUES
 ('George', 'Orwell', 'English novelist, essayist, journalist and critic. His work is characterised by lucid prose, biting social criticism, opposition to totalitarianism, and outspoken support of democratic socialism.', '1903-06-25', 'British'),
@@ -192,6 +619,19 @@ INSERT INTO books (title, isbn, publisher, publication_date, genre, pages, descr
 ('To the Lighthouse', '978-0-15-690739-5', 'Harcourt Brace', '1927-05-05', 'Modernist', 209, 'A landmark novel of high modernism', 2, 2, TRUE),
 ('The Old Man and the Sea', '978-0-684-80122-3', 'Scribner', '1952-09-01', 'Literary Fiction', 127, 'The story of an aging Cuban fisherman', 3, 3, TRUE);
 
+-- Default circulation policies
+INSERT INTO circulation_policies (policy_name, user_type, genre, material_type, loan_period_days, max_loan_days, max_items, max_renewals, renewal_period_days, fee_per_day, max_fee, fine_threshold, is_loanable) VALUES
+('Standard loan', NULL, NULL, NULL, 14, 30, 5, 2, 14, 0.50, 20.00, 10.00, TRUE),
+('Staff loan', 'staff', NULL, NULL, 28, 60, 10, 3, 28, 0.50, 20.00, 25.00, TRUE),
+('Admin loan', 'admin', NULL, NULL, 28, 60, 10, 3, 28, 0.50, 20.00, NULL, TRUE),
+('E-book loan', NULL, NULL, 'ebook', 14, 21, 5, 1, 7, 0.00, NULL, 10.00, TRUE),
+('Reference - in library use only', NULL, NULL, 'reference', 1, 1, 0, 0, 1, 0.00, NULL, 10.00, FALSE);
+
+-- Sample closure calendar
+INSERT INTO library_closures (start_date, end_date, closure_type, reason, created_by) VALUES
+('2026-12-24', '2026-12-26', 'holiday', 'Christmas', 1),
+('2027-01-01', '2027-01-01', 'holiday', 'New Year''s Day', 1);
+
 -- Link books to authors
 INSERT INTO book_authors (book_id, author_id, author_order) VALUES
 (1, 1, 1), -- 1984 by George Orwell
@@ -199,3 +639,17 @@ INSERT INTO book_authors (book_id, author_id, author_order) VALUES
 (3, 3, 1), -- Tom Sawyer by Mark Twain
 (4, 4, 1), -- To the Lighthouse by Virginia Woolf
 (5, 5, 1); -- The Old Man and the Sea by Ernest Hemingway
+
+-- Create one book item (physical copy) per copy of each book, with generated barcodes
+INSERT INTO book_items (book_id, item_condition, status, acquisition_date)
+WITH RECURSIVE copy_numbers (n) AS (
+    SELECT 1
+    UNION ALL
+    SELECT n + 1 FROM copy_numbers WHERE n < (SELECT MAX(total_copies) FROM books)
+)
+SELECT b.book_id, 'good', 'available', DATE(b.created_at)
+FROM books b
+JOIN copy_numbers cn ON cn.n <= b.total_copies
+ORDER BY b.book_id, cn.n;
+
+UPDATE book_items SET barcode = CONCAT('LIB', LPAD(item_id, 8, '0')) WHERE barcode IS NULL;
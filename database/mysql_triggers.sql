@@ -8,6 +8,9 @@ DROP TRIGGER IF EXISTS after_review_insert;
 DROP TRIGGER IF EXISTS after_review_update;
 DROP TRIGGER IF EXISTS after_review_delete;
 DROP TRIGGER IF EXISTS before_book_update;
+DROP TRIGGER IF EXISTS before_book_insert;
+DROP TRIGGER IF EXISTS after_book_insert;
+DROP TRIGGER IF EXISTS after_book_genre_update;
 
 -- Change delimiter to handle trigger definitions
 DELIMITER //
@@ -36,10 +39,15 @@ FOR EACH ROW
 BEGIN
     -- When a book is marked as returned
     IF OLD.is_returned = FALSE AND NEW.is_returned = TRUE THEN
-        -- Ensure available copies is updated (safety net)
-        UPDATE books 
-        SET available_copies = LEAST(total_copies, available_copies + 1)
-        WHERE book_id = NEW.book_id;
+        -- Ensure available copies is updated (safety net) for loans that are not
+        -- tied to a book item (item loans are counted from book_items), unless
+        -- patrons are waiting: the returned copy is then set aside for the next hold
+        IF NEW.item_id IS NULL
+           AND NOT EXISTS (SELECT 1 FROM holds WHERE book_id = NEW.book_id AND status = 'waiting') THEN
+            UPDATE books 
+            SET available_copies = LEAST(total_copies, available_copies + 1)
+            WHERE book_id = NEW.book_id;
+        END IF;
         
         -- Update late return statistics if the return was late
         IF NEW.is_late = TRUE THEN
@@ -123,12 +131,26 @@ BEGIN
     WHERE book_id = OLD.book_id;
 END//
 
--- Trigger 6: Before book update
+-- Trigger 6: Before book insert
+-- Keeps the normalized ISBN-13 and the invalid-ISBN flag in step with isbn
+CREATE TRIGGER before_book_insert
+BEFORE INSERT ON books
+FOR EACH ROW
+BEGIN
+    SET NEW.isbn13 = NormalizeIsbn13(NEW.isbn);
+    SET NEW.isbn_invalid = (NEW.isbn IS NOT NULL AND TRIM(NEW.isbn) <> '' AND NEW.isbn13 IS NULL);
+END//
+
+-- Trigger 7: Before book update
 -- Validates book data before updates and maintains data integrity
 CREATE TRIGGER before_book_update
 BEFORE UPDATE ON books
 FOR EACH ROW
 BEGIN
+    -- Re-normalize the ISBN (see before_book_insert)
+    SET NEW.isbn13 = NormalizeIsbn13(NEW.isbn);
+    SET NEW.isbn_invalid = (NEW.isbn IS NOT NULL AND TRIM(NEW.isbn) <> '' AND NEW.isbn13 IS NULL);
+    
     -- Ensure available copies doesn't exceed total copies
     IF NEW.available_copies > NEW.total_copies THEN
         SET NEW.available_copies = NEW.total_copies;
@@ -155,6 +177,26 @@ BEGIN
     SET NEW.updated_at = CURRENT_TIMESTAMP;
 END//
 
+-- Trigger 8: After book insert
+-- Files the new book under the subject named by its genre
+CREATE TRIGGER after_book_insert
+AFTER INSERT ON books
+FOR EACH ROW
+BEGIN
+    CALL LinkGenreSubject(NEW.book_id, NEW.genre);
+END//
+
+-- Trigger 9: After a book's genre changes
+-- The new genre becomes the primary subject; other subjects are kept
+CREATE TRIGGER after_book_genre_update
+AFTER UPDATE ON books
+FOR EACH ROW
+BEGIN
+    IF NOT (NEW.genre <=> OLD.genre) THEN
+        CALL LinkGenreSubject(NEW.book_id, NEW.genre);
+    END IF;
+END//
+
 -- Additional trigger: Log significant book changes
 CREATE TRIGGER after_book_significant_update
 AFTER UPDATE ON books
@@ -7,7 +7,15 @@ DELETE FROM reviews;
 DELETE FROM checkouts;
 DELETE FROM book_authors;
 DELETE FROM staff_logs;
+DELETE FROM stocktake_sessions;
+DELETE FROM acquisitions;
+DELETE FROM budget_funds;
 DELETE FROM books;
+DELETE FROM branches;
+DELETE FROM series;
+DELETE FROM works;
+DELETE FROM subject_aliases;
+DELETE FROM subjects;
 DELETE FROM authors;
 
 -- Insert the 4 default users as specified
@@ -27,6 +35,8 @@ INSERT INTO users (username, email, password_hash, first_name, last_name, phone,
 ('duc', 'duc@email.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'Duc', 'Reader', '555-0201', '789 Reader Blvd, Book City', 'reader', '2024-01-03 11:00:00', TRUE),
 ('Mary', 'mary@email.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'Mary', 'Johnson', '555-0202', '321 Book Lane, Reading Town', 'reader', '2024-01-04 12:00:00', TRUE);
 
+UPDATE users SET library_card_number = CONCAT('LC', LPAD(user_id, 8, '0')) WHERE library_card_number IS NULL;
+
 -- Insert comprehensive authors data
 INSERT INTO authors (first_name, last_name, biography, birth_date, nationality) VALUES
 -- Classic Literature Authors
@@ -62,6 +72,56 @@ INSERT INTO authors (first_name, last_name, biography, birth_date, nationality)
 -- Thriller Authors
 ('Thomas', 'Harris', 'American writer, best known for a series of suspense novels about his most famous character, Hannibal Lecter.', '1940-04-11', 'American');
 
+-- Subject taxonomy. Books are filed under the subject named by their genre
+-- (by the book triggers); further subjects are added after the books.
+INSERT INTO subjects (name, description) VALUES
+('Fiction', 'Novels and stories.'),
+('Classic Literature', NULL),
+('Literary Fiction', NULL),
+('Coming-of-age Fiction', NULL),
+('Romance', NULL),
+('Historical Fiction', NULL),
+('Political Fiction', NULL),
+('Mystery', NULL),
+('Thriller', NULL),
+('Psychological Thriller', NULL),
+('Horror', NULL),
+('Speculative Fiction', 'Fantasy, science fiction and other imagined worlds.'),
+('Fantasy', NULL),
+('Science Fiction', NULL),
+('Dystopian Fiction', NULL),
+('Non-fiction', 'Factual works.'),
+('History', NULL),
+('Memoir', NULL),
+('Computing', NULL),
+('Programming', NULL);
+
+UPDATE subjects child JOIN subjects parent ON parent.name = 'Fiction'
+SET child.parent_id = parent.subject_id
+WHERE child.name IN ('Classic Literature', 'Literary Fiction', 'Coming-of-age Fiction', 'Romance', 'Historical Fiction',
+                     'Political Fiction', 'Mystery', 'Thriller', 'Horror', 'Speculative Fiction');
+UPDATE subjects child JOIN subjects parent ON parent.name = 'Speculative Fiction'
+SET child.parent_id = parent.subject_id
+WHERE child.name IN ('Fantasy', 'Science Fiction', 'Dystopian Fiction');
+UPDATE subjects child JOIN subjects parent ON parent.name = 'Thriller'
+SET child.parent_id = parent.subject_id
+WHERE child.name = 'Psychological Thriller';
+UPDATE subjects child JOIN subjects parent ON parent.name = 'Non-fiction'
+SET child.parent_id = parent.subject_id
+WHERE child.name IN ('History', 'Memoir', 'Computing');
+UPDATE subjects child JOIN subjects parent ON parent.name = 'Computing'
+SET child.parent_id = parent.subject_id
+WHERE child.name = 'Programming';
+
+INSERT INTO subject_aliases (subject_id, alias)
+SELECT subject_id, 'Sci-Fi' FROM subjects WHERE name = 'Science Fiction'
+UNION ALL SELECT subject_id, 'SF' FROM subjects WHERE name = 'Science Fiction'
+UNION ALL SELECT subject_id, 'Nonfiction' FROM subjects WHERE name = 'Non-fiction'
+UNION ALL SELECT subject_id, 'Classics' FROM subjects WHERE name = 'Classic Literature'
+UNION ALL SELECT subject_id, 'Crime Fiction' FROM subjects WHERE name = 'Mystery'
+UNION ALL SELECT subject_id, 'Autobiography' FROM subjects WHERE name = 'Memoir'
+UNION ALL SELECT subject_id, 'Software Development' FROM subjects WHERE name = 'Programming';
+
 -- Insert comprehensive books data (30 books as requested)
 INSERT INTO books (title, isbn, publisher, publication_date, genre, language, pages, description, total_copies, available_copies, is_ebook, cover_image_url, average_rating, total_reviews, total_borrowed, is_active) VALUES
 
@@ -112,7 +172,10 @@ INSERT INTO books (title, isbn, publisher, publication_date, genre, language, pa
 -- Hannibal Lecter Series (3 books)
 ('Red Dragon', '978-0-440-13326-8', 'G.P. Putnam\'s Sons', '1981-01-01', 'Thriller', 'English', 348, 'The first book in the Hannibal Lecter series, introducing the brilliant psychiatrist and cannibal.', 4, 4, TRUE, 'https://covers.openlibrary.org/b/isbn/9780440133268-L.jpg', 4.2, 700, 38, TRUE),
 ('The Silence of the Lambs', '978-0-312-92486-2', 'St. Martin\'s Press', '1988-01-01', 'Thriller', 'English', 338, 'The second book in the Hannibal Lecter series, featuring FBI agent Clarice Starling.', 5, 5, TRUE, 'https://covers.openlibrary.org/b/isbn/9780312924862-L.jpg', 4.4, 1200, 72, TRUE),
-('Hannibal', '978-0-312-25395-5', 'Delacorte Press', '1999-01-01', 'Thriller', 'English', 486, 'The third book in the Hannibal Lecter series, continuing the story of the brilliant psychiatrist.', 3, 3, TRUE, 'https://covers.openlibrary.org/b/isbn/9780312253955-L.jpg', 4.1, 600, 35, TRUE);
+('Hannibal', '978-0-312-25395-5', 'Delacorte Press', '1999-01-01', 'Thriller', 'English', 486, 'The third book in the Hannibal Lecter series, continuing the story of the brilliant psychiatrist.', 3, 3, TRUE, 'https://covers.openlibrary.org/b/isbn/9780312253955-L.jpg', 4.1, 600, 35, TRUE),
+
+-- Translations (other editions of the works above)
+('Harry Potter à l\'école des sorciers', '978-2-07-054127-0', 'Gallimard Jeunesse', '1998-10-09', 'Fantasy', 'French', 308, 'The French translation of Harry Potter and the Philosopher\'s Stone.', 2, 2, FALSE, 'https://covers.openlibrary.org/b/isbn/9782070541270-L.jpg', 4.6, 150, 9, TRUE);
 
 -- Link books to authors (book_authors junction table)
 INSERT INTO book_authors (book_id, author_id, author_order) VALUES
@@ -163,7 +226,54 @@ INSERT INTO book_authors (book_id, author_id, author_order) VALUES
 -- Hannibal Lecter Series
 (29, 17, 1), -- Red Dragon by Thomas Harris
 (30, 17, 1), -- The Silence of the Lambs by Thomas Harris
-(31, 17, 1); -- Hannibal by Thomas Harris
+(31, 17, 1), -- Hannibal by Thomas Harris
+
+-- Translations
+(32, 5, 1); -- Harry Potter à l'école des sorciers by J.K. Rowling
+
+-- Secondary subjects (each book's genre is already its primary subject)
+INSERT INTO book_subjects (book_id, subject_id, is_primary)
+SELECT 4, subject_id, FALSE FROM subjects WHERE name = 'Political Fiction'         -- 1984
+UNION ALL SELECT 1, subject_id, FALSE FROM subjects WHERE name = 'Coming-of-age Fiction'  -- To Kill a Mockingbird
+UNION ALL SELECT 2, subject_id, FALSE FROM subjects WHERE name = 'Literary Fiction'       -- The Great Gatsby
+UNION ALL SELECT 3, subject_id, FALSE FROM subjects WHERE name = 'Classic Literature'     -- Pride and Prejudice
+UNION ALL SELECT 21, subject_id, FALSE FROM subjects WHERE name = 'History'               -- Sapiens
+UNION ALL SELECT 27, subject_id, FALSE FROM subjects WHERE name = 'Psychological Thriller'; -- The Shining
+
+-- Series (positions follow publication order)
+INSERT INTO series (name, description) VALUES
+('Harry Potter', 'J.K. Rowling\'s seven-book story of a young wizard at Hogwarts.'),
+('Dune', 'Frank Herbert\'s Dune Chronicles.'),
+('Hannibal Lecter', 'Thomas Harris\'s novels featuring Dr. Hannibal Lecter.');
+
+UPDATE books SET series_id = (SELECT series_id FROM series WHERE name = 'Harry Potter'), series_position = book_id - 4 WHERE book_id BETWEEN 5 AND 11;
+UPDATE books SET series_id = (SELECT series_id FROM series WHERE name = 'Dune'), series_position = book_id - 13 WHERE book_id BETWEEN 14 AND 19;
+UPDATE books SET series_id = (SELECT series_id FROM series WHERE name = 'Hannibal Lecter'), series_position = book_id - 28 WHERE book_id BETWEEN 29 AND 31;
+
+-- Works: the English original and French translation of Philosopher's Stone
+INSERT INTO works (title, original_language, first_published_year) VALUES
+('Harry Potter and the Philosopher\'s Stone', 'English', 1997);
+
+UPDATE books SET work_id = (SELECT work_id FROM works WHERE title = 'Harry Potter and the Philosopher\'s Stone') WHERE book_id IN (5, 32);
+
+-- Dewey call numbers (sort keys as computed by utils/shelving.js)
+UPDATE books SET call_number = '813.54 LEE', call_number_scheme = 'dewey', call_number_sort = '1 813.540000000000 LEE' WHERE book_id IN (1);
+UPDATE books SET call_number = '813.52 FIT', call_number_scheme = 'dewey', call_number_sort = '1 813.520000000000 FIT' WHERE book_id IN (2);
+UPDATE books SET call_number = '823.7 AUS', call_number_scheme = 'dewey', call_number_sort = '1 823.700000000000 AUS' WHERE book_id IN (3);
+UPDATE books SET call_number = '823.912 ORW', call_number_scheme = 'dewey', call_number_sort = '1 823.912000000000 ORW' WHERE book_id IN (4);
+UPDATE books SET call_number = '823.914 ROW', call_number_scheme = 'dewey', call_number_sort = '1 823.914000000000 ROW' WHERE book_id IN (5, 6, 7, 8, 9, 10, 11, 32);
+UPDATE books SET call_number = '823.912 TOL', call_number_scheme = 'dewey', call_number_sort = '1 823.912000000000 TOL' WHERE book_id IN (12, 13);
+UPDATE books SET call_number = '813.54 HER', call_number_scheme = 'dewey', call_number_sort = '1 813.540000000000 HER' WHERE book_id IN (14, 15, 16, 17, 18, 19);
+UPDATE books SET call_number = '813.54 SAL', call_number_scheme = 'dewey', call_number_sort = '1 813.540000000000 SAL' WHERE book_id IN (20);
+UPDATE books SET call_number = '909 HAR', call_number_scheme = 'dewey', call_number_sort = '1 909.000000000000 HAR' WHERE book_id IN (21);
+UPDATE books SET call_number = '813.6 OWE', call_number_scheme = 'dewey', call_number_sort = '1 813.600000000000 OWE' WHERE book_id IN (22);
+UPDATE books SET call_number = '813.6 REI', call_number_scheme = 'dewey', call_number_sort = '1 813.600000000000 REI' WHERE book_id IN (23);
+UPDATE books SET call_number = '823.92 MIC', call_number_scheme = 'dewey', call_number_sort = '1 823.920000000000 MIC' WHERE book_id IN (24);
+UPDATE books SET call_number = '270.092 WES', call_number_scheme = 'dewey', call_number_sort = '1 270.092000000000 WES' WHERE book_id IN (25);
+UPDATE books SET call_number = '005.1 MAR', call_number_scheme = 'dewey', call_number_sort = '1 005.100000000000 MAR' WHERE book_id IN (26);
+UPDATE books SET call_number = '813.54 KIN', call_number_scheme = 'dewey', call_number_sort = '1 813.540000000000 KIN' WHERE book_id IN (27);
+UPDATE books SET call_number = '813.52 HEM', call_number_scheme = 'dewey', call_number_sort = '1 813.520000000000 HEM' WHERE book_id IN (28);
+UPDATE books SET call_number = '813.54 HAR', call_number_scheme = 'dewey', call_number_sort = '1 813.540000000000 HAR' WHERE book_id IN (29, 30, 31);
 
 -- Insert some sample checkouts to demonstrate functionality
 INSERT INTO checkouts (user_id, book_id, checkout_date, due_date, is_returned, staff_checkout_id) VALUES
@@ -175,6 +285,48 @@ INSERT INTO checkouts (user_id, book_id, checkout_date, due_date, is_returned, s
 UPDATE books SET available_copies = available_copies - 1, total_borrowed = total_borrowed + 1 WHERE book_id IN (1, 5, 14);
 UPDATE books SET available_copies = available_copies + 1 WHERE book_id = 1; -- First book was returned
 
+-- Branches
+INSERT INTO branches (code, name, address) VALUES
+('MAIN', 'Main Library', '123 Library St, Admin City'),
+('EAST', 'Eastside Branch', '88 Harbour Rd, Library Town');
+
+-- Create one book item (physical copy) per copy of each book, with generated barcodes.
+-- Every third copy is at the Eastside branch; shelves follow the Dewey hundreds.
+INSERT INTO book_items (book_id, branch_id, shelf_location, item_condition, status, acquisition_date)
+WITH RECURSIVE copy_numbers (n) AS (
+    SELECT 1
+    UNION ALL
+    SELECT n + 1 FROM copy_numbers WHERE n < (SELECT MAX(total_copies) FROM books)
+)
+SELECT
+    b.book_id,
+    (SELECT branch_id FROM branches WHERE code = IF(cn.n % 3 = 0, 'EAST', 'MAIN')),
+    CONCAT('Stacks ', LEFT(b.call_number, 1), '00s'),
+    'good', 'available', DATE(b.created_at)
+FROM books b
+JOIN copy_numbers cn ON cn.n <= b.total_copies
+ORDER BY b.book_id, cn.n;
+
+UPDATE book_items SET barcode = CONCAT('LIB', LPAD(item_id, 8, '0')) WHERE barcode IS NULL;
+
+-- Attach each active checkout to its own copy of the book
+UPDATE checkouts c
+JOIN (
+    SELECT checkout_id, book_id, ROW_NUMBER() OVER (PARTITION BY book_id ORDER BY checkout_id) as copy_rank
+    FROM checkouts
+    WHERE is_returned = FALSE AND item_id IS NULL
+) open_loans ON open_loans.checkout_id = c.checkout_id
+JOIN (
+    SELECT item_id, book_id, ROW_NUMBER() OVER (PARTITION BY book_id ORDER BY item_id) as copy_rank
+    FROM book_items
+    WHERE status = 'available'
+) free_items ON free_items.book_id = open_loans.book_id AND free_items.copy_rank = open_loans.copy_rank
+SET c.item_id = free_items.item_id;
+
+UPDATE book_items bi
+JOIN checkouts c ON c.item_id = bi.item_id AND c.is_returned = FALSE
+SET bi.status = 'checked_out';
+
 -- Insert some sample reviews
 INSERT INTO reviews (user_id, book_id, rating, comment, is_verified, helpful_votes) VALUES
 (3, 1, 5, 'An absolutely fantastic book! A timeless classic that everyone should read. The characters are so well-developed and the story is both heartwarming and heartbreaking.', TRUE, 12),
@@ -182,6 +334,22 @@ INSERT INTO reviews (user_id, book_id, rating, comment, is_verified, helpful_vot
 (3, 14, 4, 'Epic science fiction at its finest. The world-building is incredible, though it can be dense at times. Definitely worth the read for sci-fi fans.', TRUE, 6),
 (4, 2, 4, 'A beautiful critique of the American Dream. Fitzgerald\'s prose is gorgeous, though the story is quite tragic.', TRUE, 5);
 
+-- Budget funds and purchase suggestions (one already on order)
+INSERT INTO budget_funds (code, name, fiscal_year, allocated_amount) VALUES
+('FIC', 'Adult Fiction', 2024, 5000.00),
+('NONFIC', 'Non-Fiction', 2024, 3500.00);
+
+INSERT INTO acquisitions (title, author, isbn, isbn13, publisher, publication_year, reason, status, suggested_by, quantity, vendor, unit_cost, fund_id, approved_by, approved_at, ordered_by, ordered_at, order_reference) VALUES
+('Project Hail Mary', 'Andy Weir', '978-0-593-13520-4', '9780593135204', 'Ballantine Books', 2021, 'Loved The Martian - please get his new one!', 'suggested', 3, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL),
+('Klara and the Sun', 'Kazuo Ishiguro', '978-0-593-31817-1', '9780593318171', 'Knopf', 2021, 'Our book club wants to read it next month', 'ordered', 4, 2, 'Baker & Taylor', 22.50,
+ (SELECT fund_id FROM budget_funds WHERE code = 'FIC'), 1, '2024-02-01 10:00:00', 1, '2024-02-03 09:00:00', 'BT-2024-0117');
+
+INSERT INTO acquisition_votes (acquisition_id, user_id)
+SELECT a.acquisition_id, u.user_id
+FROM acquisitions a
+JOIN users u ON u.username IN ('duc', 'Mary')
+WHERE a.title = 'Project Hail Mary' OR (a.title = 'Klara and the Sun' AND u.username = 'Mary');
+
 -- Insert some staff logs to demonstrate audit trail
 INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values, action_date, ip_address, user_agent) VALUES
 (1, 'add_book', 'book', 1, 'Added new book: To Kill a Mockingbird', NULL, '{"title":"To Kill a Mockingbird","author":"Harper Lee"}', '2024-01-01 10:00:00', '192.168.1.100', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'),
@@ -198,6 +366,14 @@ SELECT 'Users', COUNT(*) FROM users
 UNION ALL
 SELECT 'Book-Authors Links', COUNT(*) FROM book_authors
 UNION ALL
+SELECT 'Series', COUNT(*) FROM series
+UNION ALL
+SELECT 'Branches', COUNT(*) FROM branches
+UNION ALL
+SELECT 'Acquisitions', COUNT(*) FROM acquisitions
+UNION ALL
+SELECT 'Book Items', COUNT(*) FROM book_items
+UNION ALL
 SELECT 'Checkouts', COUNT(*) FROM checkouts
 UNION ALL
 SELECT 'Reviews', COUNT(*) FROM reviews
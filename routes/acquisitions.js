@@ -0,0 +1,1286 @@
+// Smart Library Platform - Acquisitions Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff } = require('../middleware/auth');
+const { invalidateVocabulary } = require('../utils/spelling');
+const { syncBook } = require('../utils/autocomplete');
+const { postNotification } = require('../utils/inbox');
+const { parseCallNumber, findBranch } = require('../utils/shelving');
+const {
+    ACQUISITION_STATUSES,
+    NEXT_STATUSES,
+    OPEN_STATUSES,
+    MAX_OPEN_SUGGESTIONS,
+    readAcquisitionFields,
+    toPatronView,
+    getFundBalances,
+    findOpenDuplicate,
+    findOwnedBook,
+    receiveAcquisition
+} = require('../utils/acquisitions');
+
+const router = express.Router();
+
+// Acquisitions with their fund, suggester and votes; the second parameter is
+// the current user (for has_voted)
+const ACQUISITION_SELECT = `
+    SELECT
+        a.*,
+        f.code as fund_code,
+        f.name as fund_name,
+        CONCAT(su.first_name, ' ', su.last_name) as suggested_by_name,
+        (SELECT COUNT(*) FROM acquisition_votes v WHERE v.acquisition_id = a.acquisition_id) as vote_count,
+        EXISTS (SELECT 1 FROM acquisition_votes v WHERE v.acquisition_id = a.acquisition_id AND v.user_id = ?) as has_voted
+    FROM acquisitions a
+    LEFT JOIN budget_funds f ON a.fund_id = f.fund_id
+    LEFT JOIN users su ON a.suggested_by = su.user_id`;
+
+function isStaffUser(user) {
+    return user.user_type === 'staff' || user.user_type === 'admin';
+}
+
+function formatAcquisition(row, userId) {
+    const unitCost = row.unit_cost !== null && row.unit_cost !== undefined ? parseFloat(row.unit_cost) : null;
+    return {
+        ...row,
+        unit_cost: unitCost,
+        total_cost: unitCost !== null ? Math.round(unitCost * row.quantity * 100) / 100 : null,
+        vote_count: parseInt(row.vote_count),
+        has_voted: !!row.has_voted,
+        is_mine: row.suggested_by === userId
+    };
+}
+
+async function getAcquisition(connection, acquisitionId, userId) {
+    const [rows] = await connection.execute(`${ACQUISITION_SELECT} WHERE a.acquisition_id = ?`, [userId, acquisitionId]);
+    return rows.length > 0 ? formatAcquisition(rows[0], userId) : null;
+}
+
+// Validate fund fields from a request body, filling in from `existing`.
+// Returns { fund } or { error }.
+function buildFund(body, existing = {}) {
+    const code = body.code !== undefined ? String(body.code || '').trim().toUpperCase() : existing.code;
+    const name = body.name !== undefined ? String(body.name || '').trim() : existing.name;
+    const fiscalYear = body.fiscal_year !== undefined
+        ? (body.fiscal_year === null || body.fiscal_year === '' ? null : Number(body.fiscal_year))
+        : (existing.fiscal_year !== undefined ? existing.fiscal_year : null);
+    const allocated = body.allocated_amount !== undefined ? Number(body.allocated_amount) : parseFloat(existing.allocated_amount || 0);
+    const isActive = body.is_active !== undefined ? !!body.is_active : (existing.is_active !== undefined ? !!existing.is_active : true);
+
+    if (!code || !/^[A-Z0-9_-]{1,20}$/.test(code)) {
+        return { error: 'Code is required: up to 20 letters, digits, "-" or "_"' };
+    }
+    if (!name) {
+        return { error: 'Name is required' };
+    }
+    if (name.length > 100) {
+        return { error: 'Name cannot be longer than 100 characters' };
+    }
+    if (fiscalYear !== null && (!Number.isInteger(fiscalYear) || fiscalYear < 2000 || fiscalYear > 2100)) {
+        return { error: 'Fiscal year must be a four-digit year' };
+    }
+    if (!Number.isFinite(allocated) || allocated < 0 || allocated > 99999999) {
+        return { error: 'Allocated amount must be a positive amount' };
+    }
+
+    return {
+        fund: {
+            code,
+            name,
+            fiscal_year: fiscalYear,
+            allocated_amount: Math.round(allocated * 100) / 100,
+            is_active: isActive
+        }
+    };
+}
+
+// Look up an active fund from a request value. Returns { fund } (null when
+// the value is empty) or { error }.
+async function readFund(connection, value) {
+    if (value === undefined) {
+        return {};
+    }
+    if (value === null || value === '') {
+        return { fund: null };
+    }
+    const [fund] = await getFundBalances(connection, parseInt(value) || 0);
+    if (!fund || !fund.is_active) {
+        return { error: 'Fund not found or inactive' };
+    }
+    return { fund };
+}
+
+// The 400/404/409 response for moving an acquisition to `status`, or null if allowed
+function transitionError(acquisition, acquisitionId, status) {
+    if (isNaN(acquisitionId)) {
+        return { status: 400, message: 'Invalid acquisition ID', code: 'INVALID_ACQUISITION_ID' };
+    }
+    if (!acquisition) {
+        return { status: 404, message: 'Acquisition not found', code: 'ACQUISITION_NOT_FOUND' };
+    }
+    if (!NEXT_STATUSES[acquisition.status].includes(status)) {
+        return { status: 409, message: `This acquisition is ${acquisition.status} and cannot be ${status}`, code: 'INVALID_STATUS_CHANGE' };
+    }
+    return null;
+}
+
+// Tell the patron who suggested a title, and everyone who voted for it, what happened
+async function notifySupporters(connection, acquisition, notice) {
+    const [users] = await connection.execute(`
+        SELECT user_id FROM acquisition_votes WHERE acquisition_id = ?
+        UNION
+        SELECT suggested_by FROM acquisitions WHERE acquisition_id = ? AND suggested_by IS NOT NULL
+    `, [acquisition.acquisition_id, acquisition.acquisition_id]);
+
+    for (const user of users) {
+        await postNotification(connection, user.user_id, { type: 'system', ...notice });
+    }
+}
+
+// GET /api/acquisitions/suggestions - Purchase suggestions as patrons see them
+// Query: status (default: still open), q, mine=true, sort=votes|newest
+router.get('/suggestions', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { status, q, mine, sort = 'votes', page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        if (status && status !== 'all' && !ACQUISITION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: {
+                    message: `Status must be all or one of: ${ACQUISITION_STATUSES.join(', ')}`,
+                    code: 'INVALID_STATUS'
+                }
+            });
+        }
+
+        const whereConditions = [];
+        const params = [];
+
+        if (!status) {
+            whereConditions.push(`a.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`);
+            params.push(...OPEN_STATUSES);
+        } else if (status !== 'all') {
+            whereConditions.push('a.status = ?');
+            params.push(status);
+        }
+        if (q && String(q).trim()) {
+            whereConditions.push('(a.title LIKE ? OR a.author LIKE ?)');
+            params.push(`%${String(q).trim()}%`, `%${String(q).trim()}%`);
+        }
+        if (mine === 'true') {
+            whereConditions.push('a.suggested_by = ?');
+            params.push(req.user.user_id);
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+        const orderBy = sort === 'newest' ? 'a.created_at DESC, a.acquisition_id DESC' : 'vote_count DESC, a.created_at ASC';
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM acquisitions a ${whereClause}`,
+            params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        const [rows] = await connection.execute(`
+            ${ACQUISITION_SELECT}
+            ${whereClause}
+            ORDER BY ${orderBy}
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, [req.user.user_id, ...params]);
+
+        res.json({
+            suggestions: rows.map(row => toPatronView(formatAcquisition(row, req.user.user_id))),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Suggestions fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch suggestions',
+                code: 'SUGGESTIONS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/acquisitions/suggestions - Suggest a title for the library to buy
+router.post('/suggestions', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { values, error } = readAcquisitionFields(req.body, { requireTitle: true });
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_SUGGESTION'
+                }
+            });
+        }
+
+        if (!isStaffUser(req.user)) {
+            const [open] = await connection.execute(
+                `SELECT COUNT(*) as count FROM acquisitions WHERE suggested_by = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`,
+                [req.user.user_id, ...OPEN_STATUSES]
+            );
+
+            if (parseInt(open[0].count) >= MAX_OPEN_SUGGESTIONS) {
+                return res.status(409).json({
+                    error: {
+                        message: `You can have at most ${MAX_OPEN_SUGGESTIONS} open suggestions at a time`,
+                        code: 'TOO_MANY_SUGGESTIONS'
+                    }
+                });
+            }
+        }
+
+        const owned = await findOwnedBook(connection, values.isbn13);
+        if (owned && owned.is_active) {
+            return res.status(409).json({
+                error: {
+                    message: `The library already has "${owned.title}"`,
+                    code: 'ALREADY_OWNED',
+                    book_id: owned.book_id
+                }
+            });
+        }
+
+        // Point patrons at the existing suggestion so they vote for it instead
+        const duplicate = await findOpenDuplicate(connection, values);
+        if (duplicate) {
+            return res.status(409).json({
+                error: {
+                    message: `"${duplicate.title}" has already been suggested; vote for it instead`,
+                    code: 'DUPLICATE_SUGGESTION',
+                    acquisition_id: duplicate.acquisition_id
+                }
+            });
+        }
+
+        let acquisitionId;
+        await connection.beginTransaction();
+
+        try {
+            const [result] = await connection.execute(`
+                INSERT INTO acquisitions (title, author, isbn, isbn13, publisher, publication_year, format, reason, status, suggested_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'suggested', ?)
+            `, [
+                values.title,
+                values.author || null,
+                values.isbn || null,
+                values.isbn13 || null,
+                values.publisher || null,
+                values.publication_year || null,
+                values.format || 'print',
+                values.reason || null,
+                req.user.user_id
+            ]);
+            acquisitionId = result.insertId;
+
+            // The suggester's own vote
+            await connection.execute(
+                'INSERT INTO acquisition_votes (acquisition_id, user_id) VALUES (?, ?)',
+                [acquisitionId, req.user.user_id]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        res.status(201).json({
+            message: 'Thank you! Your suggestion has been sent to the library',
+            suggestion: toPatronView(await getAcquisition(connection, acquisitionId, req.user.user_id))
+        });
+
+    } catch (error) {
+        console.error('Create suggestion error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to save suggestion',
+                code: 'CREATE_SUGGESTION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Add (vote=true) or withdraw a vote for a suggestion
+async function setVote(req, res, vote) {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+
+        if (isNaN(acquisitionId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid suggestion ID',
+                    code: 'INVALID_ACQUISITION_ID'
+                }
+            });
+        }
+
+        const acquisition = await getAcquisition(connection, acquisitionId, req.user.user_id);
+
+        if (!acquisition) {
+            return res.status(404).json({
+                error: {
+                    message: 'Suggestion not found',
+                    code: 'ACQUISITION_NOT_FOUND'
+                }
+            });
+        }
+
+        if (!OPEN_STATUSES.includes(acquisition.status)) {
+            return res.status(409).json({
+                error: {
+                    message: `Voting has closed: this suggestion is ${acquisition.status}`,
+                    code: 'SUGGESTION_CLOSED'
+                }
+            });
+        }
+
+        if (vote) {
+            await connection.execute(
+                'INSERT IGNORE INTO acquisition_votes (acquisition_id, user_id) VALUES (?, ?)',
+                [acquisitionId, req.user.user_id]
+            );
+        } else {
+            await connection.execute(
+                'DELETE FROM acquisition_votes WHERE acquisition_id = ? AND user_id = ?',
+                [acquisitionId, req.user.user_id]
+            );
+        }
+
+        const updated = await getAcquisition(connection, acquisitionId, req.user.user_id);
+
+        res.json({
+            message: vote ? 'Vote recorded' : 'Vote withdrawn',
+            acquisition_id: acquisitionId,
+            vote_count: updated.vote_count,
+            has_voted: updated.has_voted
+        });
+
+    } catch (error) {
+        console.error('Suggestion vote error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to record vote',
+                code: 'SUGGESTION_VOTE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+}
+
+// POST /api/acquisitions/suggestions/:id/vote - Vote for a suggestion
+router.post('/suggestions/:id/vote', authenticate, (req, res) => setVote(req, res, true));
+
+// DELETE /api/acquisitions/suggestions/:id/vote - Withdraw a vote
+router.delete('/suggestions/:id/vote', authenticate, (req, res) => setVote(req, res, false));
+
+// GET /api/acquisitions/funds - Budget funds with committed, spent and remaining amounts
+router.get('/funds', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        res.json({ funds: await getFundBalances(connection) });
+    } catch (error) {
+        console.error('Funds fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch funds',
+                code: 'FUNDS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/acquisitions/funds - Add a budget fund
+router.post('/funds', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { fund, error } = buildFund(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_FUND'
+                }
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT fund_id FROM budget_funds WHERE code = ?', [fund.code]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: `Fund code ${fund.code} is already in use`,
+                    code: 'DUPLICATE_FUND_CODE',
+                    fund_id: existing[0].fund_id
+                }
+            });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO budget_funds (code, name, fiscal_year, allocated_amount, is_active) VALUES (?, ?, ?, ?, ?)',
+            [fund.code, fund.name, fund.fiscal_year, fund.allocated_amount, fund.is_active]
+        );
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'system_config', 'system', result.insertId, `Fund added: ${fund.name}`, JSON.stringify(fund)]
+        );
+
+        const [created] = await getFundBalances(connection, result.insertId);
+
+        res.status(201).json({
+            message: 'Fund added successfully',
+            fund: created
+        });
+
+    } catch (error) {
+        console.error('Create fund error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to add fund',
+                code: 'CREATE_FUND_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/acquisitions/funds/:id - Update, reallocate or close a fund
+router.put('/funds/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const fundId = parseInt(req.params.id);
+
+        if (isNaN(fundId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid fund ID',
+                    code: 'INVALID_FUND_ID'
+                }
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT * FROM budget_funds WHERE fund_id = ?', [fundId]);
+
+        if (existing.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Fund not found',
+                    code: 'FUND_NOT_FOUND'
+                }
+            });
+        }
+
+        const { fund, error } = buildFund(req.body, existing[0]);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_FUND'
+                }
+            });
+        }
+
+        const [duplicate] = await connection.execute(
+            'SELECT fund_id FROM budget_funds WHERE code = ? AND fund_id != ?',
+            [fund.code, fundId]
+        );
+
+        if (duplicate.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: `Fund code ${fund.code} is already in use`,
+                    code: 'DUPLICATE_FUND_CODE',
+                    fund_id: duplicate[0].fund_id
+                }
+            });
+        }
+
+        await connection.execute(
+            'UPDATE budget_funds SET code = ?, name = ?, fiscal_year = ?, allocated_amount = ?, is_active = ? WHERE fund_id = ?',
+            [fund.code, fund.name, fund.fiscal_year, fund.allocated_amount, fund.is_active, fundId]
+        );
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'system_config', 'system', fundId, `Fund updated: ${fund.name}`,
+             JSON.stringify({ code: existing[0].code, name: existing[0].name, fiscal_year: existing[0].fiscal_year, allocated_amount: existing[0].allocated_amount, is_active: !!existing[0].is_active }),
+             JSON.stringify(fund)]
+        );
+
+        const [updated] = await getFundBalances(connection, fundId);
+
+        res.json({
+            message: 'Fund updated successfully',
+            fund: updated
+        });
+
+    } catch (error) {
+        console.error('Update fund error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update fund',
+                code: 'UPDATE_FUND_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/acquisitions - The acquisitions pipeline (staff)
+// Query: status, fund (ID), vendor, q, page, limit
+router.get('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { status, fund, vendor, q, page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        if (status && !ACQUISITION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: {
+                    message: `Status must be one of: ${ACQUISITION_STATUSES.join(', ')}`,
+                    code: 'INVALID_STATUS'
+                }
+            });
+        }
+
+        const whereConditions = [];
+        const params = [];
+
+        if (status) {
+            whereConditions.push('a.status = ?');
+            params.push(status);
+        }
+        if (fund) {
+            whereConditions.push('a.fund_id = ?');
+            params.push(parseInt(fund) || 0);
+        }
+        if (vendor && String(vendor).trim()) {
+            whereConditions.push('a.vendor LIKE ?');
+            params.push(`%${String(vendor).trim()}%`);
+        }
+        if (q && String(q).trim()) {
+            whereConditions.push('(a.title LIKE ? OR a.author LIKE ? OR a.isbn LIKE ? OR a.order_reference LIKE ?)');
+            params.push(...Array(4).fill(`%${String(q).trim()}%`));
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM acquisitions a ${whereClause}`,
+            params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        // Open work first, most supported first
+        const [rows] = await connection.execute(`
+            ${ACQUISITION_SELECT}
+            ${whereClause}
+            ORDER BY FIELD(a.status, 'suggested', 'approved', 'ordered', 'received', 'rejected', 'cancelled'),
+                vote_count DESC, a.created_at ASC
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, [req.user.user_id, ...params]);
+
+        const [statusCounts] = await connection.execute(
+            'SELECT status, COUNT(*) as count FROM acquisitions GROUP BY status'
+        );
+
+        res.json({
+            acquisitions: rows.map(row => formatAcquisition(row, req.user.user_id)),
+            status_counts: Object.fromEntries(ACQUISITION_STATUSES.map(name => [
+                name,
+                parseInt((statusCounts.find(row => row.status === name) || { count: 0 }).count)
+            ])),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Acquisitions fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch acquisitions',
+                code: 'ACQUISITIONS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/acquisitions - Add a title to the pipeline directly (starts approved)
+router.post('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { values, error } = readAcquisitionFields(req.body, { requireTitle: true, staff: true });
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_ACQUISITION'
+                }
+            });
+        }
+
+        const fundResult = await readFund(connection, req.body.fund_id);
+        if (fundResult.error) {
+            return res.status(400).json({
+                error: {
+                    message: fundResult.error,
+                    code: 'INVALID_FUND_ID'
+                }
+            });
+        }
+
+        const duplicate = await findOpenDuplicate(connection, values);
+        if (duplicate) {
+            return res.status(409).json({
+                error: {
+                    message: `"${duplicate.title}" is already in the pipeline (${duplicate.status})`,
+                    code: 'DUPLICATE_ACQUISITION',
+                    acquisition_id: duplicate.acquisition_id
+                }
+            });
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO acquisitions (
+                title, author, isbn, isbn13, publisher, publication_year, format, status,
+                quantity, vendor, unit_cost, fund_id, order_reference, staff_notes, approved_by, approved_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, 'approved', ?, ?, ?, ?, ?, ?, ?, NOW())
+        `, [
+            values.title,
+            values.author || null,
+            values.isbn || null,
+            values.isbn13 || null,
+            values.publisher || null,
+            values.publication_year || null,
+            values.format || 'print',
+            values.quantity || 1,
+            values.vendor || null,
+            values.unit_cost !== undefined ? values.unit_cost : null,
+            fundResult.fund ? fundResult.fund.fund_id : null,
+            values.order_reference || null,
+            values.staff_notes || null,
+            req.user.user_id
+        ]);
+
+        res.status(201).json({
+            message: 'Acquisition added',
+            acquisition: await getAcquisition(connection, result.insertId, req.user.user_id)
+        });
+
+    } catch (error) {
+        console.error('Create acquisition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to add acquisition',
+                code: 'CREATE_ACQUISITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/acquisitions/:id - An acquisition with its voters (staff)
+router.get('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+
+        if (isNaN(acquisitionId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid acquisition ID',
+                    code: 'INVALID_ACQUISITION_ID'
+                }
+            });
+        }
+
+        const acquisition = await getAcquisition(connection, acquisitionId, req.user.user_id);
+
+        if (!acquisition) {
+            return res.status(404).json({
+                error: {
+                    message: 'Acquisition not found',
+                    code: 'ACQUISITION_NOT_FOUND'
+                }
+            });
+        }
+
+        const [voters] = await connection.execute(`
+            SELECT u.user_id, u.username, CONCAT(u.first_name, ' ', u.last_name) as name, v.voted_at
+            FROM acquisition_votes v
+            JOIN users u ON v.user_id = u.user_id
+            WHERE v.acquisition_id = ?
+            ORDER BY v.voted_at
+        `, [acquisitionId]);
+
+        res.json({
+            acquisition,
+            voters
+        });
+
+    } catch (error) {
+        console.error('Acquisition fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch acquisition',
+                code: 'ACQUISITION_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/acquisitions/:id - Edit an acquisition that is still in progress
+router.put('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+
+        if (isNaN(acquisitionId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid acquisition ID',
+                    code: 'INVALID_ACQUISITION_ID'
+                }
+            });
+        }
+
+        const acquisition = await getAcquisition(connection, acquisitionId, req.user.user_id);
+
+        if (!acquisition) {
+            return res.status(404).json({
+                error: {
+                    message: 'Acquisition not found',
+                    code: 'ACQUISITION_NOT_FOUND'
+                }
+            });
+        }
+
+        if (!OPEN_STATUSES.includes(acquisition.status)) {
+            return res.status(409).json({
+                error: {
+                    message: `This acquisition is ${acquisition.status} and can no longer be changed`,
+                    code: 'ACQUISITION_CLOSED'
+                }
+            });
+        }
+
+        const { values, error } = readAcquisitionFields(req.body, { staff: true });
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_ACQUISITION'
+                }
+            });
+        }
+
+        const fundResult = await readFund(connection, req.body.fund_id);
+        if (fundResult.error) {
+            return res.status(400).json({
+                error: {
+                    message: fundResult.error,
+                    code: 'INVALID_FUND_ID'
+                }
+            });
+        }
+        if (fundResult.fund !== undefined) {
+            values.fund_id = fundResult.fund ? fundResult.fund.fund_id : null;
+        }
+
+        if (values.title !== undefined || values.author !== undefined || values.isbn !== undefined) {
+            const duplicate = await findOpenDuplicate(connection, {
+                isbn13: values.isbn !== undefined ? values.isbn13 : acquisition.isbn13,
+                title: values.title !== undefined ? values.title : acquisition.title,
+                author: values.author !== undefined ? values.author : acquisition.author
+            }, acquisitionId);
+
+            if (duplicate) {
+                return res.status(409).json({
+                    error: {
+                        message: `"${duplicate.title}" is already in the pipeline (${duplicate.status})`,
+                        code: 'DUPLICATE_ACQUISITION',
+                        acquisition_id: duplicate.acquisition_id
+                    }
+                });
+            }
+        }
+
+        const fields = Object.keys(values);
+        if (fields.length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'No changes given',
+                    code: 'NO_CHANGES'
+                }
+            });
+        }
+
+        await connection.execute(
+            `UPDATE acquisitions SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE acquisition_id = ?`,
+            [...fields.map(field => values[field]), acquisitionId]
+        );
+
+        res.json({
+            message: 'Acquisition updated',
+            acquisition: await getAcquisition(connection, acquisitionId, req.user.user_id)
+        });
+
+    } catch (error) {
+        console.error('Update acquisition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update acquisition',
+                code: 'UPDATE_ACQUISITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/acquisitions/:id/approve - Accept a suggestion for purchase.
+// Body may set the planned quantity, vendor, unit_cost and fund_id.
+router.post('/:id/approve', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+        const { values, error } = readAcquisitionFields(req.body, { staff: true });
+        const fundResult = error ? {} : await readFund(connection, req.body.fund_id);
+
+        if (error || fundResult.error) {
+            return res.status(400).json({
+                error: {
+                    message: error || fundResult.error,
+                    code: error ? 'INVALID_ACQUISITION' : 'INVALID_FUND_ID'
+                }
+            });
+        }
+        if (fundResult.fund !== undefined) {
+            values.fund_id = fundResult.fund ? fundResult.fund.fund_id : null;
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            const [locked] = isNaN(acquisitionId) ? [[]] : await connection.execute(
+                'SELECT acquisition_id FROM acquisitions WHERE acquisition_id = ? FOR UPDATE',
+                [acquisitionId]
+            );
+            const acquisition = locked.length > 0 ? await getAcquisition(connection, acquisitionId, req.user.user_id) : null;
+            const statusError = transitionError(acquisition, acquisitionId, 'approved');
+
+            if (statusError) {
+                await connection.rollback();
+                return res.status(statusError.status).json({
+                    error: {
+                        message: statusError.message,
+                        code: statusError.code
+                    }
+                });
+            }
+
+            const fields = Object.keys(values);
+            await connection.execute(
+                `UPDATE acquisitions SET ${fields.map(field => `${field} = ?, `).join('')}status = 'approved', approved_by = ?, approved_at = NOW() WHERE acquisition_id = ?`,
+                [...fields.map(field => values[field]), req.user.user_id, acquisitionId]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        res.json({
+            message: 'Acquisition approved',
+            acquisition: await getAcquisition(connection, acquisitionId, req.user.user_id)
+        });
+
+    } catch (error) {
+        console.error('Approve acquisition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to approve acquisition',
+                code: 'APPROVE_ACQUISITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/acquisitions/:id/order - Record that an approved title was ordered.
+// Needs a vendor, unit_cost and fund (from the body or set earlier); the fund
+// must cover the cost unless allow_overspend is true.
+router.post('/:id/order', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+        const { allow_overspend = false } = req.body;
+
+        const { values, error } = readAcquisitionFields(req.body, { staff: true });
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_ACQUISITION'
+                }
+            });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            const [locked] = isNaN(acquisitionId) ? [[]] : await connection.execute(
+                'SELECT acquisition_id FROM acquisitions WHERE acquisition_id = ? FOR UPDATE',
+                [acquisitionId]
+            );
+            const acquisition = locked.length > 0 ? await getAcquisition(connection, acquisitionId, req.user.user_id) : null;
+            const statusError = transitionError(acquisition, acquisitionId, 'ordered');
+
+            if (statusError) {
+                await connection.rollback();
+                return res.status(statusError.status).json({
+                    error: {
+                        message: statusError.message,
+                        code: statusError.code
+                    }
+                });
+            }
+
+            // Lock the fund so two orders cannot overspend it together
+            const fundId = req.body.fund_id !== undefined ? req.body.fund_id : acquisition.fund_id;
+            if (fundId !== null && fundId !== '') {
+                await connection.execute('SELECT fund_id FROM budget_funds WHERE fund_id = ? FOR UPDATE', [parseInt(fundId) || 0]);
+            }
+            const fundResult = await readFund(connection, fundId);
+            const order = {
+                vendor: values.vendor !== undefined ? values.vendor : acquisition.vendor,
+                unit_cost: values.unit_cost !== undefined ? values.unit_cost : acquisition.unit_cost,
+                quantity: values.quantity || acquisition.quantity
+            };
+
+            if (fundResult.error || !fundResult.fund || !order.vendor || order.unit_cost === null) {
+                await connection.rollback();
+                return res.status(400).json({
+                    error: {
+                        message: fundResult.error || 'An order needs a vendor, a unit cost and an active fund',
+                        code: 'INCOMPLETE_ORDER'
+                    }
+                });
+            }
+
+            const orderCost = Math.round(order.unit_cost * order.quantity * 100) / 100;
+            if (orderCost > fundResult.fund.remaining_amount && allow_overspend !== true) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: `${fundResult.fund.name} has ${fundResult.fund.remaining_amount.toFixed(2)} left; this order costs ${orderCost.toFixed(2)}`,
+                        code: 'INSUFFICIENT_FUNDS'
+                    }
+                });
+            }
+
+            values.fund_id = fundResult.fund.fund_id;
+            const fields = Object.keys(values);
+            await connection.execute(
+                `UPDATE acquisitions SET ${fields.map(field => `${field} = ?, `).join('')}status = 'ordered', ordered_by = ?, ordered_at = NOW() WHERE acquisition_id = ?`,
+                [...fields.map(field => values[field]), req.user.user_id, acquisitionId]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        res.json({
+            message: 'Order recorded',
+            acquisition: await getAcquisition(connection, acquisitionId, req.user.user_id)
+        });
+
+    } catch (error) {
+        console.error('Order acquisition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to record order',
+                code: 'ORDER_ACQUISITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/acquisitions/:id/receive - Receive an order into the catalogue.
+// Body: copies (default: the quantity ordered), unit_cost (actual price), and
+// for the new record branch_id, shelf_location, call_number, call_number_scheme,
+// genre, language, pages, description, cover_image_url, publication_date.
+// Creates the book through addBook, or adds copies if the ISBN is already held.
+router.post('/:id/receive', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+        const {
+            copies,
+            branch_id,
+            shelf_location,
+            call_number,
+            call_number_scheme,
+            genre,
+            language,
+            pages,
+            description,
+            cover_image_url,
+            publication_date
+        } = req.body;
+
+        const { values, error } = readAcquisitionFields({ unit_cost: req.body.unit_cost }, { staff: true });
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_ACQUISITION'
+                }
+            });
+        }
+
+        const copyCount = copies !== undefined ? Number(copies) : null;
+        if (copyCount !== null && (!Number.isInteger(copyCount) || copyCount < 1 || copyCount > 100)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Copies must be a whole number between 1 and 100',
+                    code: 'INVALID_COPIES'
+                }
+            });
+        }
+
+        const parsedCallNumber = parseCallNumber(call_number, call_number_scheme);
+        if (parsedCallNumber.error) {
+            return res.status(400).json({
+                error: {
+                    message: parsedCallNumber.error,
+                    code: 'INVALID_CALL_NUMBER'
+                }
+            });
+        }
+
+        let branch = null;
+        if (branch_id !== undefined && branch_id !== null && branch_id !== '') {
+            branch = await findBranch(connection, branch_id);
+            if (!branch || !branch.is_active) {
+                return res.status(400).json({
+                    error: {
+                        message: 'Branch not found or inactive',
+                        code: 'INVALID_BRANCH_ID'
+                    }
+                });
+            }
+        }
+
+        let received;
+        let acquisition;
+        await connection.beginTransaction();
+
+        try {
+            const [locked] = isNaN(acquisitionId) ? [[]] : await connection.execute(
+                'SELECT acquisition_id FROM acquisitions WHERE acquisition_id = ? FOR UPDATE',
+                [acquisitionId]
+            );
+            acquisition = locked.length > 0 ? await getAcquisition(connection, acquisitionId, req.user.user_id) : null;
+            const statusError = transitionError(acquisition, acquisitionId, 'received');
+
+            if (statusError) {
+                await connection.rollback();
+                return res.status(statusError.status).json({
+                    error: {
+                        message: statusError.message,
+                        code: statusError.code
+                    }
+                });
+            }
+
+            const unitCost = values.unit_cost !== undefined ? values.unit_cost : acquisition.unit_cost;
+            received = await receiveAcquisition(connection, req.user.user_id, { ...acquisition, unit_cost: unitCost }, {
+                copies: copyCount || acquisition.quantity,
+                branch_id: branch ? branch.branch_id : null,
+                shelf_location: shelf_location ? String(shelf_location).trim() : null,
+                call_number,
+                call_number_scheme,
+                genre,
+                language,
+                pages,
+                description,
+                cover_image_url,
+                publication_date
+            });
+
+            await connection.execute(`
+                UPDATE acquisitions
+                SET status = 'received', quantity = ?, unit_cost = ?, book_id = ?, received_by = ?, received_at = NOW()
+                WHERE acquisition_id = ?
+            `, [received.copies, unitCost, received.book_id, req.user.user_id, acquisitionId]);
+
+            await notifySupporters(connection, acquisition, {
+                book_id: received.book_id,
+                title: `"${acquisition.title}" has arrived`,
+                message: `A title you asked for is now in the catalogue and can be borrowed or placed on hold.`
+            });
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        invalidateVocabulary();
+        await syncBook(connection, received.book_id);
+
+        res.json({
+            message: received.created
+                ? `Received: "${acquisition.title}" added to the catalogue`
+                : `Received: ${received.copies} cop${received.copies === 1 ? 'y' : 'ies'} added to the existing record`,
+            book_id: received.book_id,
+            book_created: received.created,
+            acquisition: await getAcquisition(connection, acquisitionId, req.user.user_id)
+        });
+
+    } catch (error) {
+        console.error('Receive acquisition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to receive acquisition',
+                code: 'RECEIVE_ACQUISITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Close an acquisition as rejected or cancelled, with an optional reason for the patron
+async function closeAcquisition(req, res, status) {
+    const connection = await getMySQLConnection();
+
+    try {
+        const acquisitionId = parseInt(req.params.id);
+        const reason = req.body.reason && String(req.body.reason).trim() ? String(req.body.reason).trim().slice(0, 500) : null;
+
+        await connection.beginTransaction();
+
+        try {
+            // Lock the row so a concurrent order or receipt cannot be overwritten
+            const [locked] = isNaN(acquisitionId) ? [[]] : await connection.execute(
+                'SELECT acquisition_id FROM acquisitions WHERE acquisition_id = ? FOR UPDATE',
+                [acquisitionId]
+            );
+            const acquisition = locked.length > 0 ? await getAcquisition(connection, acquisitionId, req.user.user_id) : null;
+            const statusError = transitionError(acquisition, acquisitionId, status);
+
+            if (statusError) {
+                await connection.rollback();
+                return res.status(statusError.status).json({
+                    error: {
+                        message: statusError.message,
+                        code: statusError.code
+                    }
+                });
+            }
+
+            await connection.execute(
+                'UPDATE acquisitions SET status = ?, decision_note = ? WHERE acquisition_id = ?',
+                [status, reason, acquisitionId]
+            );
+
+            if (status === 'rejected') {
+                await notifySupporters(connection, acquisition, {
+                    title: `The library will not be buying "${acquisition.title}"`,
+                    message: reason || 'Thank you for the suggestion.'
+                });
+            }
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        res.json({
+            message: `Acquisition ${status}`,
+            acquisition: await getAcquisition(connection, acquisitionId, req.user.user_id)
+        });
+
+    } catch (error) {
+        console.error('Close acquisition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update acquisition',
+                code: 'CLOSE_ACQUISITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+}
+
+// POST /api/acquisitions/:id/reject - Turn down a suggestion (patrons are told why)
+router.post('/:id/reject', authenticate, requireStaff, (req, res) => closeAcquisition(req, res, 'rejected'));
+
+// POST /api/acquisitions/:id/cancel - Cancel an order that will not arrive
+router.post('/:id/cancel', authenticate, requireStaff, (req, res) => closeAcquisition(req, res, 'cancelled'));
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
     validateAuthInput,
     authRateLimit
 } = require('../middleware/auth');
+const { assignCardNumber } = require('../utils/patrons');
 
 const router = express.Router();
 
@@ -59,9 +60,11 @@ router.post('/register', validateAuthInput.register, async (req, res) => {
             [username, email, passwordHash, firstName, lastName, phone || null, address || null]
         );
         
+        await assignCardNumber(connection, result.insertId);
+        
         // Get the created user
         const [newUser] = await connection.execute(
-            'SELECT user_id, username, email, first_name, last_name, user_type, registration_date FROM users WHERE user_id = ?',
+            'SELECT user_id, username, email, first_name, last_name, user_type, library_card_number, registration_date FROM users WHERE user_id = ?',
             [result.insertId]
         );
         
@@ -77,6 +80,7 @@ router.post('/register', validateAuthInput.register, async (req, res) => {
                 first_name: user.first_name,
                 last_name: user.last_name,
                 user_type: user.user_type,
+                library_card_number: user.library_card_number,
                 registration_date: user.registration_date
             },
             token
@@ -167,7 +171,7 @@ router.get('/profile', authenticate, async (req, res) => {
     try {
         const [users] = await connection.execute(
             `SELECT user_id, username, email, first_name, last_name, phone, address, 
-                    user_type, registration_date, is_active 
+                    user_type, library_card_number, registration_date, is_active 
              FROM users WHERE user_id = ?`,
             [req.user.user_id]
         );
@@ -0,0 +1,674 @@
+// Smart Library Platform - Authors Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff, optionalAuth } = require('../middleware/auth');
+const { invalidateVocabulary } = require('../utils/spelling');
+const { invalidateIndex } = require('../utils/autocomplete');
+const { DEFAULT_MIN_SCORE, findDuplicateAuthors } = require('../utils/duplicates');
+
+const router = express.Router();
+
+const AUTHOR_FIELDS = ['first_name', 'last_name', 'biography', 'birth_date', 'nationality'];
+
+// Validate and normalise author fields from a request body.
+// Returns { values } with only the fields that were sent, or { error }.
+function readAuthorFields(body, requireName) {
+    const values = {};
+
+    for (const field of AUTHOR_FIELDS) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        const value = body[field] === null ? null : String(body[field]).trim();
+        values[field] = value === '' ? null : value;
+    }
+
+    if (requireName && !values.first_name) {
+        return { error: 'First name is required' };
+    }
+    if ('first_name' in values && !values.first_name) {
+        return { error: 'First name cannot be empty' };
+    }
+    // last_name is NOT NULL; single-name authors ("Homer") store an empty string
+    if ('last_name' in values || requireName) {
+        values.last_name = values.last_name || '';
+    }
+    if ((values.first_name && values.first_name.length > 50) || (values.last_name && values.last_name.length > 50)) {
+        return { error: 'Names cannot be longer than 50 characters' };
+    }
+    if (values.nationality && values.nationality.length > 50) {
+        return { error: 'Nationality cannot be longer than 50 characters' };
+    }
+    if (values.birth_date && (!/^\d{4}-\d{2}-\d{2}$/.test(values.birth_date) || isNaN(Date.parse(values.birth_date)))) {
+        return { error: 'Birth date must be in YYYY-MM-DD format' };
+    }
+
+    return { values };
+}
+
+// Author names feed the search vocabulary and the autocomplete index
+function refreshSearchCaches() {
+    invalidateVocabulary();
+    invalidateIndex();
+}
+
+// GET /api/authors - List authors with their active book counts
+router.get('/', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { q, page = 1, limit = 20, sort_by = 'name' } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        let whereClause = '';
+        const params = [];
+        if (q && String(q).trim()) {
+            whereClause = "WHERE CONCAT(a.first_name, ' ', a.last_name) LIKE ?";
+            params.push(`%${String(q).trim()}%`);
+        }
+
+        const orderBy = sort_by === 'book_count'
+            ? 'ORDER BY book_count DESC, a.last_name ASC, a.first_name ASC'
+            : 'ORDER BY a.last_name ASC, a.first_name ASC';
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM authors a ${whereClause}`,
+            params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        const [authors] = await connection.execute(`
+            SELECT
+                a.author_id,
+                a.first_name,
+                a.last_name,
+                CONCAT(a.first_name, ' ', a.last_name) as name,
+                a.nationality,
+                a.birth_date,
+                COUNT(b.book_id) as book_count,
+                ROUND(SUM(b.average_rating * b.total_reviews) / NULLIF(SUM(b.total_reviews), 0), 2) as average_rating,
+                COALESCE(SUM(b.total_reviews), 0) as total_reviews
+            FROM authors a
+            LEFT JOIN book_authors ba ON a.author_id = ba.author_id
+            LEFT JOIN books b ON ba.book_id = b.book_id AND b.is_active = TRUE
+            ${whereClause}
+            GROUP BY a.author_id, a.first_name, a.last_name, a.nationality, a.birth_date
+            ${orderBy}
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, params);
+
+        res.json({
+            authors: authors.map(author => ({
+                ...author,
+                name: author.name.trim(),
+                book_count: parseInt(author.book_count),
+                average_rating: author.average_rating !== null ? parseFloat(author.average_rating) : null,
+                total_reviews: parseInt(author.total_reviews)
+            })),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Authors fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch authors',
+                code: 'AUTHORS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/authors/duplicates - Likely duplicate author records (staff)
+// Query: min_score (0-1, default 0.75), limit (default 50). Each pair suggests
+// the author with more books as the one to keep (see POST /:id/merge).
+router.get('/duplicates', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const minScore = Math.min(Math.max(parseFloat(req.query.min_score) || DEFAULT_MIN_SCORE, 0), 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+        const [rows] = await connection.execute(`
+            SELECT a.author_id, a.first_name, a.last_name, COUNT(ba.book_id) as book_count
+            FROM authors a
+            LEFT JOIN book_authors ba ON a.author_id = ba.author_id
+            GROUP BY a.author_id
+        `);
+
+        const authors = rows.map(row => ({
+            author_id: row.author_id,
+            first_name: row.first_name,
+            last_name: row.last_name,
+            name: `${row.first_name} ${row.last_name}`.trim(),
+            book_count: parseInt(row.book_count)
+        }));
+
+        const pairs = findDuplicateAuthors(authors, { minScore });
+
+        res.json({
+            min_score: minScore,
+            total_pairs: pairs.length,
+            pairs: pairs.slice(0, limit).map(pair => {
+                const [a, b] = pair.authors;
+                const target = a.book_count > b.book_count || (a.book_count === b.book_count && a.author_id < b.author_id) ? a : b;
+                return {
+                    score: pair.score,
+                    reasons: pair.reasons,
+                    suggested_target_id: target.author_id,
+                    authors: pair.authors
+                };
+            })
+        });
+
+    } catch (error) {
+        console.error('Find duplicate authors error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to find duplicate authors',
+                code: 'DUPLICATE_SCAN_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/authors/:id - Author details with bibliography and aggregate ratings
+router.get('/:id', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const authorId = parseInt(req.params.id);
+
+        if (isNaN(authorId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid author ID',
+                    code: 'INVALID_AUTHOR_ID'
+                }
+            });
+        }
+
+        const [authors] = await connection.execute(
+            'SELECT * FROM authors WHERE author_id = ?',
+            [authorId]
+        );
+
+        if (authors.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Author not found',
+                    code: 'AUTHOR_NOT_FOUND'
+                }
+            });
+        }
+
+        // Active books, newest first, with any co-authors
+        const [books] = await connection.execute(`
+            SELECT
+                b.book_id,
+                b.title,
+                b.isbn,
+                b.publisher,
+                b.publication_date,
+                b.genre,
+                b.language,
+                b.cover_image_url,
+                b.is_ebook,
+                b.total_copies,
+                b.available_copies,
+                b.average_rating,
+                b.total_reviews,
+                b.total_borrowed,
+                ba.author_order,
+                (
+                    SELECT GROUP_CONCAT(CONCAT(ca.first_name, ' ', ca.last_name) ORDER BY cba.author_order SEPARATOR ', ')
+                    FROM book_authors cba
+                    JOIN authors ca ON cba.author_id = ca.author_id
+                    WHERE cba.book_id = b.book_id AND cba.author_id != ba.author_id
+                ) as co_authors
+            FROM book_authors ba
+            JOIN books b ON ba.book_id = b.book_id
+            WHERE ba.author_id = ? AND b.is_active = TRUE
+            ORDER BY b.publication_date IS NULL, b.publication_date DESC, b.title ASC
+        `, [authorId]);
+
+        // Ratings across every review of the author's active books
+        const [ratingRows] = await connection.execute(`
+            SELECT r.rating, COUNT(*) as count
+            FROM reviews r
+            JOIN book_authors ba ON r.book_id = ba.book_id
+            JOIN books b ON r.book_id = b.book_id
+            WHERE ba.author_id = ? AND b.is_active = TRUE
+            GROUP BY r.rating
+        `, [authorId]);
+
+        const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        let totalReviews = 0;
+        let ratingSum = 0;
+        for (const row of ratingRows) {
+            const count = parseInt(row.count);
+            distribution[row.rating] = count;
+            totalReviews += count;
+            ratingSum += row.rating * count;
+        }
+
+        const genres = [...new Set(books.map(book => book.genre).filter(Boolean))];
+
+        res.json({
+            author: {
+                ...authors[0],
+                name: `${authors[0].first_name} ${authors[0].last_name}`.trim()
+            },
+            bibliography: books.map(book => ({
+                ...book,
+                co_authors: book.co_authors ? book.co_authors.split(', ') : [],
+                is_available: book.available_copies > 0
+            })),
+            stats: {
+                book_count: books.length,
+                total_borrowed: books.reduce((sum, book) => sum + (parseInt(book.total_borrowed) || 0), 0),
+                average_rating: totalReviews > 0 ? Math.round((ratingSum / totalReviews) * 100) / 100 : null,
+                total_reviews: totalReviews,
+                rating_distribution: distribution,
+                genres
+            }
+        });
+
+    } catch (error) {
+        console.error('Author fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch author details',
+                code: 'AUTHOR_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/authors - Create an author
+router.post('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { values, error } = readAuthorFields(req.body, true);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_AUTHOR'
+                }
+            });
+        }
+
+        // AddBook links authors by exact name, so names must stay unique
+        const [existing] = await connection.execute(
+            'SELECT author_id FROM authors WHERE first_name = ? AND last_name = ?',
+            [values.first_name, values.last_name]
+        );
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: 'An author with this name already exists',
+                    code: 'DUPLICATE_AUTHOR',
+                    author_id: existing[0].author_id
+                }
+            });
+        }
+
+        const fields = Object.keys(values);
+        const [result] = await connection.execute(
+            `INSERT INTO authors (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+            Object.values(values)
+        );
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'manage_author', 'author', result.insertId,
+             `Author created: ${values.first_name} ${values.last_name}`.trim(), JSON.stringify(values)]
+        );
+
+        const [authors] = await connection.execute('SELECT * FROM authors WHERE author_id = ?', [result.insertId]);
+
+        res.status(201).json({
+            message: 'Author created successfully',
+            author: authors[0]
+        });
+
+    } catch (error) {
+        console.error('Create author error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to create author',
+                code: 'CREATE_AUTHOR_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/authors/:id - Update an author
+router.put('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const authorId = parseInt(req.params.id);
+
+        if (isNaN(authorId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid author ID',
+                    code: 'INVALID_AUTHOR_ID'
+                }
+            });
+        }
+
+        const { values, error } = readAuthorFields(req.body, false);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_AUTHOR'
+                }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'No fields to update',
+                    code: 'NO_UPDATES'
+                }
+            });
+        }
+
+        const [authors] = await connection.execute('SELECT * FROM authors WHERE author_id = ?', [authorId]);
+
+        if (authors.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Author not found',
+                    code: 'AUTHOR_NOT_FOUND'
+                }
+            });
+        }
+
+        const author = authors[0];
+        const firstName = values.first_name !== undefined ? values.first_name : author.first_name;
+        const lastName = values.last_name !== undefined ? values.last_name : author.last_name;
+
+        // Renaming onto another author's name is a merge, not an edit
+        const [clash] = await connection.execute(
+            'SELECT author_id FROM authors WHERE first_name = ? AND last_name = ? AND author_id != ?',
+            [firstName, lastName, authorId]
+        );
+
+        if (clash.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: 'Another author already has this name; merge the authors instead',
+                    code: 'DUPLICATE_AUTHOR',
+                    author_id: clash[0].author_id
+                }
+            });
+        }
+
+        const oldValues = {};
+        for (const field of Object.keys(values)) {
+            oldValues[field] = author[field];
+        }
+
+        await connection.execute(
+            `UPDATE authors SET ${Object.keys(values).map(field => `${field} = ?`).join(', ')} WHERE author_id = ?`,
+            [...Object.values(values), authorId]
+        );
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'manage_author', 'author', authorId, `Author updated: ${firstName} ${lastName}`.trim(),
+             JSON.stringify(oldValues), JSON.stringify(values)]
+        );
+
+        if (values.first_name !== undefined || values.last_name !== undefined) {
+            refreshSearchCaches();
+        }
+
+        const [updated] = await connection.execute('SELECT * FROM authors WHERE author_id = ?', [authorId]);
+
+        res.json({
+            message: 'Author updated successfully',
+            author: updated[0]
+        });
+
+    } catch (error) {
+        console.error('Update author error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update author',
+                code: 'UPDATE_AUTHOR_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/authors/:id - Delete an author who has no books
+router.delete('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const authorId = parseInt(req.params.id);
+
+        if (isNaN(authorId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid author ID',
+                    code: 'INVALID_AUTHOR_ID'
+                }
+            });
+        }
+
+        const [authors] = await connection.execute('SELECT * FROM authors WHERE author_id = ?', [authorId]);
+
+        if (authors.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Author not found',
+                    code: 'AUTHOR_NOT_FOUND'
+                }
+            });
+        }
+
+        // Deleting would silently unlink the books (ON DELETE CASCADE), retired ones included
+        const [linked] = await connection.execute(
+            'SELECT COUNT(*) as count FROM book_authors WHERE author_id = ?',
+            [authorId]
+        );
+
+        if (parseInt(linked[0].count) > 0) {
+            return res.status(409).json({
+                error: {
+                    message: 'Author still has books; reassign them or merge the author instead',
+                    code: 'AUTHOR_HAS_BOOKS'
+                }
+            });
+        }
+
+        await connection.execute('DELETE FROM authors WHERE author_id = ?', [authorId]);
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values) VALUES (?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'manage_author', 'author', authorId,
+             `Author deleted: ${authors[0].first_name} ${authors[0].last_name}`.trim(),
+             JSON.stringify({
+                 first_name: authors[0].first_name,
+                 last_name: authors[0].last_name,
+                 biography: authors[0].biography,
+                 birth_date: authors[0].birth_date,
+                 nationality: authors[0].nationality
+             })]
+        );
+
+        res.json({
+            message: 'Author deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete author error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to delete author',
+                code: 'DELETE_AUTHOR_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/authors/:id/merge - Merge duplicate authors into this one
+// Body: { source_author_ids: [..] }. Books move to the target author and the
+// sources are deleted; biography details the target lacks are copied over.
+router.post('/:id/merge', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const targetId = parseInt(req.params.id);
+        const sourceIds = [...new Set((Array.isArray(req.body.source_author_ids) ? req.body.source_author_ids : [req.body.source_author_id])
+            .map(id => parseInt(id))
+            .filter(id => !isNaN(id)))];
+
+        if (isNaN(targetId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid author ID',
+                    code: 'INVALID_AUTHOR_ID'
+                }
+            });
+        }
+
+        if (sourceIds.length === 0 || sourceIds.includes(targetId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Provide source_author_ids other than the target author',
+                    code: 'INVALID_MERGE'
+                }
+            });
+        }
+
+        const ids = [targetId, ...sourceIds];
+        const [authors] = await connection.execute(
+            `SELECT * FROM authors WHERE author_id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+
+        if (authors.length !== ids.length) {
+            return res.status(404).json({
+                error: {
+                    message: 'One or more authors not found',
+                    code: 'AUTHOR_NOT_FOUND'
+                }
+            });
+        }
+
+        const target = authors.find(author => author.author_id === targetId);
+        const sources = authors.filter(author => author.author_id !== targetId);
+
+        await connection.beginTransaction();
+
+        let movedBooks = 0;
+        try {
+            for (const source of sources) {
+                // Books credited to both keep the target's credit; the rest move over
+                await connection.execute(`
+                    DELETE sba FROM book_authors sba
+                    JOIN book_authors tba ON tba.book_id = sba.book_id AND tba.author_id = ?
+                    WHERE sba.author_id = ?
+                `, [targetId, source.author_id]);
+
+                const [moved] = await connection.execute(
+                    'UPDATE book_authors SET author_id = ? WHERE author_id = ?',
+                    [targetId, source.author_id]
+                );
+                movedBooks += moved.affectedRows;
+
+                await connection.execute('DELETE FROM authors WHERE author_id = ?', [source.author_id]);
+            }
+
+            // Fill details the target is missing from the first source that has them
+            const filled = {};
+            for (const field of ['biography', 'birth_date', 'nationality']) {
+                const donor = sources.find(source => source[field]);
+                if (!target[field] && donor) {
+                    filled[field] = donor[field];
+                }
+            }
+            if (Object.keys(filled).length > 0) {
+                await connection.execute(
+                    `UPDATE authors SET ${Object.keys(filled).map(field => `${field} = ?`).join(', ')} WHERE author_id = ?`,
+                    [...Object.values(filled), targetId]
+                );
+            }
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'manage_author', 'author', targetId,
+                 `Merged ${sources.length} author(s) into ${target.first_name} ${target.last_name}`.trim(),
+                 JSON.stringify({
+                     merged_authors: sources.map(source => ({
+                         author_id: source.author_id,
+                         first_name: source.first_name,
+                         last_name: source.last_name
+                     }))
+                 }),
+                 JSON.stringify({ moved_book_links: movedBooks, filled_fields: Object.keys(filled) })]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        refreshSearchCaches();
+
+        const [merged] = await connection.execute('SELECT * FROM authors WHERE author_id = ?', [targetId]);
+
+        res.json({
+            message: 'Authors merged successfully',
+            author: merged[0],
+            merged_author_ids: sourceIds,
+            moved_book_links: movedBooks
+        });
+
+    } catch (error) {
+        console.error('Merge authors error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to merge authors',
+                code: 'MERGE_AUTHORS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
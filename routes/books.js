@@ -2,10 +2,25 @@
 const express = require('express');
 const { getMySQLConnection, callFunction } = require('../config/database');
 const { optionalAuth } = require('../middleware/auth');
+const { buildSearch, formatScores } = require('../utils/search');
+const { buildCatalogFilters, filterClause, selectedFacets, getFacetCounts } = require('../utils/facets');
+const { suggestCorrection } = require('../utils/spelling');
+const { SUGGESTION_TYPES, suggest } = require('../utils/autocomplete');
+const { cleanIsbn, isValidIsbn, toIsbn13, toIsbn10 } = require('../utils/isbn');
+const { getSeriesBooks, adjacentInSeries, getWorkEditions, summarizeAvailability } = require('../utils/series');
+const { subjectFilter, getSubjectsInUse, getBookSubjects } = require('../utils/subjects');
+const { DEFAULT_SHELF_NEIGHBOURS, MAX_SHELF_NEIGHBOURS, getBookLocations, findBranch, primaryBranchId, getShelfNeighbours } = require('../utils/shelving');
 
 const router = express.Router();
 
+// Searches with fewer hits than this get a "did you mean" suggestion
+const SUGGESTION_THRESHOLD = 3;
+
 // GET /api/books - Get all books with optional filters
+// Filters: genre, language, publisher, author, author_id, decade, format (ebook|print),
+// availability (available|unavailable), available_only, min_rating. Facet counts for
+// each filter are returned unless facets=false. genre is a subject name or alias and
+// also matches narrower subjects.
 router.get('/', optionalAuth, async (req, res) => {
     const connection = await getMySQLConnection();
     
@@ -14,77 +29,82 @@ router.get('/', optionalAuth, async (req, res) => {
             page = 1,
             limit = 20,
             search,
-            genre,
-            author,
-            publisher,
-            available_only,
-            sort_by = 'title',
-            sort_order = 'ASC'
+            sort_by,
+            sort_order = 'ASC',
+            facets = 'true'
         } = req.query;
         
         const offset = (parseInt(page) - 1) * parseInt(limit);
-        const validSortColumns = ['title', 'author', 'publication_date', 'average_rating', 'total_borrowed'];
+        const validSortColumns = ['relevance', 'title', 'author', 'publication_date', 'average_rating', 'total_borrowed', 'call_number'];
         const validSortOrders = ['ASC', 'DESC'];
         
-        const sortColumn = validSortColumns.includes(sort_by) ? sort_by : 'title';
-        const sortDirection = validSortOrders.includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'ASC';
-        
-        // Build WHERE clause
-        let whereConditions = ['b.is_active = TRUE'];
-        let queryParams = [];
-        
-        if (available_only === 'true') {
-            whereConditions.push('b.available_copies > 0');
-        }
-        
-        if (genre) {
-            whereConditions.push('b.genre = ?');
-            queryParams.push(genre);
-        }
-        
-        if (publisher) {
-            whereConditions.push('b.publisher LIKE ?');
-            queryParams.push(`%${publisher}%`);
-        }
-        
-        if (search) {
-            whereConditions.push(`(
-                b.title LIKE ? OR
-                b.description LIKE ? OR
-                CONCAT(a.first_name, ' ', a.last_name) LIKE ?
-            )`);
-            queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
-        }
+        // Full-text search terms (see utils/search.js for the query syntax)
+        let fullText = buildSearch([{ text: search }]);
         
-        if (author) {
-            whereConditions.push(`CONCAT(a.first_name, ' ', a.last_name) LIKE ?`);
-            queryParams.push(`%${author}%`);
+        // Searches are ranked by relevance unless another sort is asked for
+        let sortColumn = validSortColumns.includes(sort_by) ? sort_by : (fullText ? 'relevance' : 'title');
+        if (sortColumn === 'relevance' && !fullText) {
+            sortColumn = 'title';
         }
+        const sortDirection = validSortOrders.includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'ASC';
         
-        const whereClause = whereConditions.join(' AND ');
+        // Build WHERE clause
+        let filters = buildCatalogFilters(req.query, fullText);
+        let { clause: whereClause, params: queryParams } = filterClause(filters);
         
         // Get total count for pagination
-        const countQuery = `
-            SELECT COUNT(DISTINCT b.book_id) as total
-            FROM books b
-            LEFT JOIN book_authors ba ON b.book_id = ba.book_id
-            LEFT JOIN authors a ON ba.author_id = a.author_id
-            WHERE ${whereClause}
-        `;
-        
-        const [countResult] = await connection.execute(countQuery, [...queryParams]);
-        const totalBooks = countResult[0].total;
+        const countBooks = async (clause, params) => {
+            const [countResult] = await connection.execute(
+                `SELECT COUNT(*) as total FROM books b WHERE ${clause}`,
+                params
+            );
+            return parseInt(countResult[0].total);
+        };
+        
+        let totalBooks = await countBooks(whereClause, queryParams);
+        
+        // Typo tolerance: suggest a spelling from the catalog's vocabulary when a
+        // search finds little, and search with it instead when it finds nothing
+        // (ISBN searches are exact, so they are never corrected)
+        let suggestion = null;
+        let correctedFrom = null;
+        if (fullText && totalBooks < SUGGESTION_THRESHOLD && !isValidIsbn(String(search).trim())) {
+            suggestion = await suggestCorrection(connection, search);
+            
+            if (suggestion && totalBooks === 0) {
+                const correctedText = buildSearch([{ text: suggestion }]);
+                const correctedFilters = buildCatalogFilters(req.query, correctedText);
+                const corrected = filterClause(correctedFilters);
+                const correctedTotal = await countBooks(corrected.clause, corrected.params);
+                
+                if (correctedTotal > 0) {
+                    fullText = correctedText;
+                    filters = correctedFilters;
+                    whereClause = corrected.clause;
+                    queryParams = corrected.params;
+                    totalBooks = correctedTotal;
+                    correctedFrom = search;
+                }
+            }
+        }
         
         // Main query with pagination
         let orderByClause = '';
-        if (sortColumn === 'author') {
+        if (sortColumn === 'relevance') {
+            // Best match first regardless of sort_order
+            orderByClause = 'ORDER BY relevance_score DESC, b.title ASC';
+        } else if (sortColumn === 'author') {
             orderByClause = `ORDER BY CONCAT(a.first_name, ' ', a.last_name) ${sortDirection}`;
+        } else if (sortColumn === 'call_number') {
+            // Shelf order; books without a call number go last
+            orderByClause = `ORDER BY b.call_number_sort IS NULL, b.call_number_sort ${sortDirection}, b.book_id ${sortDirection}`;
         } else {
             orderByClause = `ORDER BY b.${sortColumn} ${sortDirection}`;
         }
         
         const mainQuery = `
             SELECT DISTINCT
+                ${fullText ? `${fullText.scoreColumns},` : ''}
                 b.book_id,
                 b.title,
                 b.isbn,
@@ -98,6 +118,8 @@ router.get('/', optionalAuth, async (req, res) => {
                 b.available_copies,
                 b.is_ebook,
                 b.cover_image_url,
+                b.call_number,
+                b.call_number_sort,
                 b.average_rating,
                 b.total_reviews,
                 b.total_borrowed,
@@ -120,21 +142,23 @@ router.get('/', optionalAuth, async (req, res) => {
             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
         `;
         
-        const [books] = await connection.execute(mainQuery, queryParams);
+        const [books] = await connection.execute(mainQuery, [...(fullText ? fullText.scoreParams : []), ...queryParams]);
         
         // Format the response
-        const formattedBooks = books.map(book => ({
+        const formattedBooks = books.map(({ title_score, author_score, description_score, relevance_score, call_number_sort, ...book }) => ({
             ...book,
+            ...(fullText ? formatScores({ title_score, author_score, description_score, relevance_score }) : {}),
             authors: book.authors ? book.authors.split(', ') : [],
             author_ids: book.author_ids ? book.author_ids.split(',').map(id => parseInt(id)) : [],
             is_available: book.available_copies > 0,
             availability_status: book.available_copies > 0 ? 'available' : 'unavailable'
         }));
         
-        // Get unique genres for filtering
-        const [genres] = await connection.execute(
-            'SELECT DISTINCT genre FROM books WHERE is_active = TRUE AND genre IS NOT NULL ORDER BY genre'
-        );
+        // Get subjects in use for the genre filter
+        const genres = await getSubjectsInUse(connection);
+        
+        // Facet counts, each respecting every other active filter
+        const facetCounts = facets === 'false' ? null : await getFacetCounts(connection, filters, req.query);
         
         res.json({
             books: formattedBooks,
@@ -147,8 +171,19 @@ router.get('/', optionalAuth, async (req, res) => {
                 has_prev: parseInt(page) > 1
             },
             filters: {
-                available_genres: genres.map(g => g.genre)
-            }
+                available_genres: genres.map(g => g.name),
+                available_subjects: genres,
+                active: selectedFacets(req.query)
+            },
+            facets: facetCounts,
+            search: fullText ? {
+                query: correctedFrom ? suggestion : search,
+                boolean_query: fullText.query,
+                sort_by: sortColumn,
+                // Set when nothing matched and the suggestion was searched instead
+                corrected_from: correctedFrom,
+                did_you_mean: correctedFrom ? null : suggestion
+            } : null
         });
         
     } catch (error) {
@@ -236,6 +271,93 @@ router.get('/popular', optionalAuth, async (req, res) => {
     }
 });
 
+// GET /api/books/autocomplete - Search-as-you-type suggestions (titles, authors, genres, ISBNs)
+router.get('/autocomplete', optionalAuth, async (req, res) => {
+    const startedAt = process.hrtime.bigint();
+    const query = String(req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+    const types = req.query.types
+        ? String(req.query.types).split(',').map(type => type.trim()).filter(type => SUGGESTION_TYPES.includes(type))
+        : SUGGESTION_TYPES;
+
+    if (!query) {
+        return res.json({ query, suggestions: [], took_ms: 0 });
+    }
+
+    const connection = await getMySQLConnection();
+
+    try {
+        const suggestions = await suggest(connection, query, { limit, types });
+
+        res.json({
+            query,
+            suggestions,
+            took_ms: Number(process.hrtime.bigint() - startedAt) / 1e6
+        });
+
+    } catch (error) {
+        console.error('Autocomplete error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch suggestions',
+                code: 'AUTOCOMPLETE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/books/isbn/:isbn - Look up a book by ISBN-10 or ISBN-13 (hyphens optional)
+router.get('/isbn/:isbn', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const isbn = req.params.isbn;
+
+        // Invalid ISBNs are still matched literally, so flagged legacy records can be found
+        const [books] = isValidIsbn(isbn)
+            ? await connection.execute(
+                'SELECT book_id, title, isbn, isbn13, available_copies, total_copies, is_active FROM books WHERE isbn13 = ? ORDER BY is_active DESC, book_id',
+                [toIsbn13(isbn)]
+            )
+            : await connection.execute(
+                "SELECT book_id, title, isbn, isbn13, available_copies, total_copies, is_active FROM books WHERE UPPER(REPLACE(REPLACE(isbn, '-', ''), ' ', '')) = ? ORDER BY is_active DESC, book_id",
+                [cleanIsbn(isbn)]
+            );
+
+        if (books.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'No book found with this ISBN',
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+
+        res.json({
+            book: {
+                ...books[0],
+                isbn10: toIsbn10(books[0].isbn),
+                is_active: !!books[0].is_active
+            },
+            // Normally empty; more than one means the catalog has duplicate records
+            other_matches: books.slice(1).map(book => ({ book_id: book.book_id, title: book.title, isbn: book.isbn }))
+        });
+
+    } catch (error) {
+        console.error('ISBN lookup error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to look up ISBN',
+                code: 'ISBN_LOOKUP_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
 // GET /api/books/:id - Get book by ID
 router.get('/:id', optionalAuth, async (req, res) => {
     const connection = await getMySQLConnection();
@@ -258,6 +380,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
                 b.book_id,
                 b.title,
                 b.isbn,
+                b.isbn13,
                 b.publisher,
                 b.publication_date,
                 b.genre,
@@ -269,12 +392,19 @@ router.get('/:id', optionalAuth, async (req, res) => {
                 b.is_active,
                 b.is_ebook,
                 b.cover_image_url,
+                b.series_id,
+                b.series_position,
+                s.name as series_name,
+                b.work_id,
+                b.call_number,
+                b.call_number_scheme,
                 b.average_rating,
                 b.total_reviews,
                 b.total_borrowed,
                 b.created_at,
                 b.updated_at
             FROM books b
+            LEFT JOIN series s ON b.series_id = s.series_id
             WHERE b.book_id = ? AND b.is_active = TRUE
         `, [bookId]);
         
@@ -294,6 +424,9 @@ router.get('/:id', optionalAuth, async (req, res) => {
             SELECT 
                 a.author_id,
                 CONCAT(a.first_name, ' ', a.last_name) as name,
+                a.biography,
+                a.birth_date,
+                a.nationality,
                 ba.author_order
             FROM authors a
             JOIN book_authors ba ON a.author_id = ba.author_id
@@ -322,13 +455,25 @@ router.get('/:id', optionalAuth, async (req, res) => {
         // Check availability using available_copies
         const isAvailable = book.available_copies > 0 && book.is_active;
         
-        // Get sequel/prequel information (simplified since these columns don't exist)
-        const sequelPrequel = [];
+        // Get series books and the books either side of this one
+        const seriesBooks = book.series_id ? await getSeriesBooks(connection, book.series_id) : [];
+        const { prequel, sequel } = adjacentInSeries(seriesBooks, book);
         
-        // Get series books (simplified since series columns don't exist)
-        let seriesBooks = [];
+        // Get other editions of the same work, with availability across all of them
+        const editions = book.work_id ? await getWorkEditions(connection, book.work_id) : [];
+        let work = null;
+        if (book.work_id) {
+            const [works] = await connection.execute('SELECT * FROM works WHERE work_id = ?', [book.work_id]);
+            work = works.length > 0 ? { ...works[0], ...summarizeAvailability(editions) } : null;
+        }
+        
+        // Get the book's subjects
+        const subjects = await getBookSubjects(connection, bookId);
+        
+        // Where the copies are shelved
+        const locations = await getBookLocations(connection, bookId);
         
-        // Get similar books (same genre, excluding current book)
+        // Get similar books (sharing the most subjects, excluding current book)
         const [similarBooks] = await connection.execute(`
             SELECT 
                 b.book_id,
@@ -339,15 +484,23 @@ router.get('/:id', optionalAuth, async (req, res) => {
                     CONCAT(a.first_name, ' ', a.last_name)
                     ORDER BY ba.author_order 
                     SEPARATOR ', '
-                ) as authors
+                ) as authors,
+                (SELECT COUNT(*) FROM book_subjects sbs
+                 JOIN book_subjects cbs ON cbs.subject_id = sbs.subject_id AND cbs.book_id = ?
+                 WHERE sbs.book_id = b.book_id) as shared_subjects
             FROM books b
             LEFT JOIN book_authors ba ON b.book_id = ba.book_id
             LEFT JOIN authors a ON ba.author_id = a.author_id
-            WHERE b.genre = ? AND b.book_id != ? AND b.is_active = TRUE
+            WHERE b.book_id != ? AND b.is_active = TRUE
+            AND (b.genre = ? OR EXISTS (
+                SELECT 1 FROM book_subjects sbs
+                JOIN book_subjects cbs ON cbs.subject_id = sbs.subject_id AND cbs.book_id = ?
+                WHERE sbs.book_id = b.book_id
+            ))
             GROUP BY b.book_id
-            ORDER BY b.average_rating DESC, b.total_borrowed DESC
+            ORDER BY shared_subjects DESC, b.average_rating DESC, b.total_borrowed DESC
             LIMIT 5
-        `, [book.genre, bookId]);
+        `, [bookId, bookId, book.genre, bookId]);
         
         res.json({
             book: {
@@ -355,25 +508,35 @@ router.get('/:id', optionalAuth, async (req, res) => {
                 authors: authors.map(author => ({
                     author_id: author.author_id,
                     name: author.name,
+                    biography: author.biography,
+                    birth_date: author.birth_date,
+                    nationality: author.nationality,
                     order: author.author_order
                 })),
                 is_available: Boolean(isAvailable),
                 availability_status: isAvailable ? 'available' : 'unavailable',
+                series_position: book.series_position !== null ? parseFloat(book.series_position) : null,
                 // Add sequel/prequel information
-                sequel: sequelPrequel[0]?.sequel_id ? {
-                    book_id: sequelPrequel[0].sequel_id,
-                    title: sequelPrequel[0].sequel_title,
-                    cover_image_url: sequelPrequel[0].sequel_cover
+                sequel: sequel ? {
+                    book_id: sequel.book_id,
+                    title: sequel.title,
+                    cover_image_url: sequel.cover_image_url
                 } : null,
-                prequel: sequelPrequel[0]?.prequel_id ? {
-                    book_id: sequelPrequel[0].prequel_id,
-                    title: sequelPrequel[0].prequel_title,
-                    cover_image_url: sequelPrequel[0].prequel_cover
+                prequel: prequel ? {
+                    book_id: prequel.book_id,
+                    title: prequel.title,
+                    cover_image_url: prequel.cover_image_url
                 } : null,
+                work,
+                locations,
                 // Enhanced metadata display formatting
                 metadata: {
                     identifiers: {
-                        isbn: book.isbn
+                        isbn: book.isbn,
+                        isbn13: book.isbn13,
+                        isbn10: toIsbn10(book.isbn),
+                        call_number: book.call_number,
+                        call_number_scheme: book.call_number_scheme
                     },
                     publication: {
                         publisher: book.publisher,
@@ -384,8 +547,15 @@ router.get('/:id', optionalAuth, async (req, res) => {
                         language: book.language
                     },
                     content: {
-                        genre: book.genre
-                    }
+                        genre: book.genre,
+                        subjects
+                    },
+                    series: book.series_id ? {
+                        series_id: book.series_id,
+                        series_name: book.series_name,
+                        series_order: book.series_position !== null ? parseFloat(book.series_position) : null,
+                        total_books_in_series: seriesBooks.length
+                    } : null
                 }
             },
             reviews: reviews.map(review => ({
@@ -394,9 +564,19 @@ router.get('/:id', optionalAuth, async (req, res) => {
                     ? `${review.first_name} ${review.last_name}` 
                     : review.username
             })),
-            series_books: seriesBooks,
+            series_books: seriesBooks.map(seriesBook => ({
+                book_id: seriesBook.book_id,
+                title: seriesBook.title,
+                cover_image_url: seriesBook.cover_image_url,
+                series_order: seriesBook.series_position,
+                authors: seriesBook.authors,
+                is_available: seriesBook.is_available,
+                is_current: seriesBook.book_id === bookId
+            })),
+            other_editions: editions.filter(edition => edition.book_id !== bookId),
             similar_books: similarBooks.map(similar => ({
                 ...similar,
+                shared_subjects: parseInt(similar.shared_subjects),
                 authors: similar.authors ? similar.authors.split(', ') : []
             }))
         });
@@ -414,6 +594,101 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 });
 
+// GET /api/books/:id/shelf - Books shelved either side of this one
+// Query: branch (ID or code; defaults to the branch holding most copies),
+// count (books on each side, default 5). Neighbours are in call-number order.
+router.get('/:id/shelf', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const bookId = parseInt(req.params.id);
+        const count = Math.min(Math.max(parseInt(req.query.count) || DEFAULT_SHELF_NEIGHBOURS, 1), MAX_SHELF_NEIGHBOURS);
+        
+        if (isNaN(bookId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid book ID',
+                    code: 'INVALID_BOOK_ID'
+                }
+            });
+        }
+        
+        const [books] = await connection.execute(
+            'SELECT book_id, title, call_number, call_number_scheme, call_number_sort FROM books WHERE book_id = ? AND is_active = TRUE',
+            [bookId]
+        );
+        
+        if (books.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Book not found',
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+        
+        const book = books[0];
+        
+        if (!book.call_number_sort) {
+            return res.status(409).json({
+                error: {
+                    message: 'This book has no call number, so it has no place on the shelf',
+                    code: 'NO_CALL_NUMBER'
+                }
+            });
+        }
+        
+        let branch = null;
+        if (req.query.branch) {
+            branch = await findBranch(connection, req.query.branch);
+            
+            if (!branch) {
+                return res.status(404).json({
+                    error: {
+                        message: 'Branch not found',
+                        code: 'BRANCH_NOT_FOUND'
+                    }
+                });
+            }
+        } else {
+            const branchId = await primaryBranchId(connection, bookId);
+            branch = branchId !== null ? await findBranch(connection, branchId) : null;
+        }
+        
+        const { before, after } = await getShelfNeighbours(connection, book, {
+            branchId: branch ? branch.branch_id : null,
+            count
+        });
+        
+        const locations = await getBookLocations(connection, bookId);
+        const here = locations.find(location => (location.branch ? location.branch.branch_id : null) === (branch ? branch.branch_id : null));
+        
+        res.json({
+            book: {
+                book_id: book.book_id,
+                title: book.title,
+                call_number: book.call_number,
+                call_number_scheme: book.call_number_scheme,
+                shelf_location: here ? here.shelf_location : null
+            },
+            branch,
+            before,
+            after
+        });
+        
+    } catch (error) {
+        console.error('Shelf browse error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to browse the shelf',
+                code: 'SHELF_BROWSE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
 // GET /api/books/search/advanced - Advanced search
 router.get('/search/advanced', optionalAuth, async (req, res) => {
     const connection = await getMySQLConnection();
@@ -431,6 +706,9 @@ router.get('/search/advanced', optionalAuth, async (req, res) => {
             max_rating,
             available_only,
             is_ebook,
+            keywords,
+            sort_by,
+            sort_order = 'ASC',
             page = 1,
             limit = 20
         } = req.query;
@@ -440,24 +718,33 @@ router.get('/search/advanced', optionalAuth, async (req, res) => {
         let whereConditions = ['b.is_active = TRUE'];
         let queryParams = [];
         
-        if (title) {
-            whereConditions.push('b.title LIKE ?');
-            queryParams.push(`%${title}%`);
-        }
+        // Keywords search every field; title and author_name only their own
+        const fullText = buildSearch([
+            { text: keywords },
+            { text: title, fields: ['title'] },
+            { text: author_name, fields: ['author'] }
+        ]);
         
-        if (author_name) {
-            whereConditions.push(`CONCAT(a.first_name, ' ', a.last_name) LIKE ?`);
-            queryParams.push(`%${author_name}%`);
+        if (fullText) {
+            whereConditions.push(...fullText.conditions);
+            queryParams.push(...fullText.params);
         }
         
+        // Either ISBN form matches; invalid input is compared literally (flagged legacy ISBNs)
         if (isbn) {
-            whereConditions.push('b.isbn = ?');
-            queryParams.push(isbn);
+            if (isValidIsbn(isbn)) {
+                whereConditions.push('b.isbn13 = ?');
+                queryParams.push(toIsbn13(isbn));
+            } else {
+                whereConditions.push("UPPER(REPLACE(REPLACE(b.isbn, '-', ''), ' ', '')) = ?");
+                queryParams.push(cleanIsbn(isbn));
+            }
         }
         
         if (genre) {
-            whereConditions.push('b.genre = ?');
-            queryParams.push(genre);
+            const subject = subjectFilter(genre);
+            whereConditions.push(subject.sql);
+            queryParams.push(...subject.params);
         }
         
         if (publisher) {
@@ -508,9 +795,26 @@ router.get('/search/advanced', optionalAuth, async (req, res) => {
         const [countResult] = await connection.execute(countQuery, queryParams);
         const totalBooks = countResult[0].total;
         
+        const validSortColumns = ['relevance', 'title', 'author', 'publication_date', 'average_rating', 'total_borrowed', 'call_number'];
+        let sortColumn = validSortColumns.includes(sort_by) ? sort_by : (fullText ? 'relevance' : 'title');
+        if (sortColumn === 'relevance' && !fullText) {
+            sortColumn = 'title';
+        }
+        const sortDirection = sort_order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        
+        let orderByClause = `ORDER BY b.${sortColumn} ${sortDirection}`;
+        if (sortColumn === 'relevance') {
+            orderByClause = 'ORDER BY relevance_score DESC, b.title ASC';
+        } else if (sortColumn === 'author') {
+            orderByClause = `ORDER BY MIN(CONCAT(a.last_name, ' ', a.first_name)) ${sortDirection}`;
+        } else if (sortColumn === 'call_number') {
+            orderByClause = `ORDER BY b.call_number_sort IS NULL, b.call_number_sort ${sortDirection}, b.book_id ${sortDirection}`;
+        }
+        
         // Get books
         const booksQuery = `
             SELECT DISTINCT
+                ${fullText ? `${fullText.scoreColumns},` : ''}
                 b.book_id,
                 b.title,
                 b.isbn,
@@ -524,6 +828,8 @@ router.get('/search/advanced', optionalAuth, async (req, res) => {
                 b.available_copies,
                 b.is_ebook,
                 b.cover_image_url,
+                b.call_number,
+                b.call_number_sort,
                 b.average_rating,
                 b.total_reviews,
                 b.total_borrowed,
@@ -537,14 +843,15 @@ router.get('/search/advanced', optionalAuth, async (req, res) => {
             LEFT JOIN authors a ON ba.author_id = a.author_id
             WHERE ${whereClause}
             GROUP BY b.book_id
-            ORDER BY b.title
+            ${orderByClause}
             LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
         `;
         
-        const [books] = await connection.execute(booksQuery, queryParams);
+        const [books] = await connection.execute(booksQuery, [...(fullText ? fullText.scoreParams : []), ...queryParams]);
         
-        const formattedBooks = books.map(book => ({
+        const formattedBooks = books.map(({ title_score, author_score, description_score, relevance_score, call_number_sort, ...book }) => ({
             ...book,
+            ...(fullText ? formatScores({ title_score, author_score, description_score, relevance_score }) : {}),
             authors: book.authors ? book.authors.split(', ') : [],
             is_available: book.available_copies > 0
         }));
@@ -557,7 +864,11 @@ router.get('/search/advanced', optionalAuth, async (req, res) => {
                 total_books: totalBooks,
                 total_pages: Math.ceil(totalBooks / parseInt(limit))
             },
-            search_criteria: req.query
+            search_criteria: req.query,
+            search: fullText ? {
+                boolean_query: fullText.query,
+                sort_by: sortColumn
+            } : null
         });
         
     } catch (error) {
@@ -2,17 +2,100 @@
 const express = require('express');
 const { getMySQLConnection, callFunction } = require('../config/database');
 const { authenticate, requireStaff, verifyOwnership } = require('../middleware/auth');
+const { releaseCopy, expireReadyHolds } = require('../utils/holds');
+const { resolvePolicy, resolvePolicyForCheckout, calculateLateFee } = require('../utils/circulationPolicy');
+const { getFineBalance, recordTransaction, chargeLateFee } = require('../utils/fines');
+const { claimAvailableItem, setItemStatus, syncCopyCounts, withdrawItem } = require('../utils/inventory');
+const { getPatronIdentifier, resolvePatron } = require('../utils/patrons');
+const { nextOpenDay, countOverdueDays } = require('../utils/closures');
+const { postNotification } = require('../utils/inbox');
+const { REVERSIBLE_LOSSES, lockLostLoan, reverseLoss } = require('../utils/losses');
 
 const router = express.Router();
 
+// Send the right error when a patron lookup fails. Returns true if a response was sent.
+function rejectPatron(res, patron) {
+    if (!patron) {
+        res.status(404).json({
+            error: {
+                message: 'Patron not found',
+                code: 'PATRON_NOT_FOUND'
+            }
+        });
+        return true;
+    }
+    if (!patron.is_active) {
+        res.status(409).json({
+            error: {
+                message: 'Patron account is inactive',
+                code: 'PATRON_INACTIVE'
+            }
+        });
+        return true;
+    }
+    return false;
+}
+
+// Post a 'checkout' or 'return' notice to the borrower's inbox
+async function postLoanNotice(connection, checkoutId, type) {
+    const [loans] = await connection.execute(`
+        SELECT c.user_id, c.book_id, c.is_late, DATE_FORMAT(c.due_date, '%Y-%m-%d') as due_date, b.title
+        FROM checkouts c
+        JOIN books b ON c.book_id = b.book_id
+        WHERE c.checkout_id = ?
+    `, [checkoutId]);
+    const loan = loans[0];
+
+    const notice = type === 'checkout'
+        ? {
+            title: `You borrowed "${loan.title}"`,
+            message: `"${loan.title}" is due back on ${loan.due_date}.`
+        }
+        : {
+            title: `"${loan.title}" was returned`,
+            message: loan.is_late
+                ? `"${loan.title}" was checked in after its due date of ${loan.due_date}.`
+                : `"${loan.title}" was checked in on time. Thank you!`
+        };
+
+    await postNotification(connection, loan.user_id, {
+        type,
+        checkout_id: checkoutId,
+        book_id: loan.book_id,
+        ...notice
+    });
+}
+
 // POST /api/checkouts/borrow - Borrow a book
+// Staff can lend to another patron by passing user_id, username or library_card_number
 router.post('/borrow', authenticate, async (req, res) => {
     const connection = await getMySQLConnection();
     
     try {
-        const { book_id, loan_period_days = 14, due_date } = req.body;
-        const user_id = req.user.user_id;
-        const staff_id = req.user.user_type === 'staff' || req.user.user_type === 'admin' ? req.user.user_id : 2; // Default staff user
+        const { book_id, loan_period_days, due_date } = req.body;
+        const isStaff = req.user.user_type === 'staff' || req.user.user_type === 'admin';
+        const patronIdentifier = getPatronIdentifier(req.body);
+        
+        if (patronIdentifier && !isStaff) {
+            return res.status(403).json({
+                error: {
+                    message: 'Only staff can check out books for another patron',
+                    code: 'STAFF_REQUIRED'
+                }
+            });
+        }
+        
+        let patron = req.user;
+        if (patronIdentifier) {
+            patron = await resolvePatron(connection, patronIdentifier);
+            if (rejectPatron(res, patron)) {
+                return;
+            }
+        }
+        
+        const user_id = patron.user_id;
+        // Loans made at the desk record the staff member; self-service loans have none
+        const staff_id = isStaff ? req.user.user_id : null;
         
         if (!book_id) {
             return res.status(400).json({
@@ -24,7 +107,6 @@ router.post('/borrow', authenticate, async (req, res) => {
         }
         
         const bookId = parseInt(book_id);
-        const loanPeriod = parseInt(loan_period_days);
         
         if (isNaN(bookId) || bookId <= 0) {
             return res.status(400).json({
@@ -35,7 +117,38 @@ router.post('/borrow', authenticate, async (req, res) => {
             });
         }
         
-        // Validate target due date (either provided as due_date or derived from loanPeriod)
+        // Release copies held for patrons who never collected them
+        await expireReadyHolds(connection);
+        
+        // Check if book is available
+        const [bookCheck] = await connection.execute(
+            'SELECT available_copies, is_active, genre, is_ebook, is_reference FROM books WHERE book_id = ?',
+            [bookId]
+        );
+        
+        if (bookCheck.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Book not found',
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+        
+        // Loan rules for this patron type and this kind of item
+        const policy = await resolvePolicy(connection, patron.user_type, bookCheck[0]);
+        
+        if (!policy.is_loanable) {
+            return res.status(409).json({
+                error: {
+                    message: 'This item is for in-library use only',
+                    code: 'NOT_LOANABLE'
+                }
+            });
+        }
+        
+        // Validate target due date (either provided as due_date or derived from the loan period)
+        const loanPeriod = loan_period_days !== undefined ? parseInt(loan_period_days) : policy.loan_period_days;
         let targetDueDate;
         if (due_date) {
             const parsed = new Date(due_date);
@@ -49,20 +162,20 @@ router.post('/borrow', authenticate, async (req, res) => {
             }
             const now = new Date();
             const diffDays = Math.ceil((parsed.getTime() - now.getTime()) / (1000 * 60 * 60 * 24));
-            if (diffDays < 1 || diffDays > 30) {
+            if (diffDays < 1 || diffDays > policy.max_loan_days) {
                 return res.status(400).json({
                     error: {
-                        message: 'Due date must be within 1 to 30 days from today',
+                        message: `Due date must be within 1 to ${policy.max_loan_days} days from today`,
                         code: 'INVALID_DUE_DATE_RANGE'
                     }
                 });
             }
             targetDueDate = parsed;
         } else {
-            if (isNaN(loanPeriod) || loanPeriod < 1 || loanPeriod > 30) {
+            if (isNaN(loanPeriod) || loanPeriod < 1 || loanPeriod > policy.max_loan_days) {
                 return res.status(400).json({
                     error: {
-                        message: 'Loan period must be between 1 and 30 days',
+                        message: `Loan period must be between 1 and ${policy.max_loan_days} days`,
                         code: 'INVALID_LOAN_PERIOD'
                     }
                 });
@@ -72,45 +185,56 @@ router.post('/borrow', authenticate, async (req, res) => {
             targetDueDate = tmp;
         }
         
-        // Check if book is available
-        const [bookCheck] = await connection.execute(
-            'SELECT available_copies, is_active FROM books WHERE book_id = ?',
-            [bookId]
-        );
+        // Never make a book due on a day the library is closed
+        targetDueDate = await nextOpenDay(connection, targetDueDate);
         
-        if (bookCheck.length === 0) {
-            return res.status(404).json({
-                error: {
-                    message: 'Book not found',
-                    code: 'BOOK_NOT_FOUND'
-                }
-            });
-        }
+        // A copy set aside for this user's hold can be borrowed even when the shelf is empty
+        const [readyHolds] = await connection.execute(
+            "SELECT hold_id FROM holds WHERE user_id = ? AND book_id = ? AND status = 'ready' LIMIT 1",
+            [user_id, bookId]
+        );
+        const readyHold = readyHolds[0] || null;
         
-        const isAvailable = bookCheck[0].available_copies > 0 && bookCheck[0].is_active;
+        const isAvailable = bookCheck[0].is_active && (readyHold || bookCheck[0].available_copies > 0);
         
         if (!isAvailable) {
             return res.status(409).json({
                 error: {
                     message: 'Book is not available for borrowing',
-                    code: 'BOOK_NOT_AVAILABLE'
+                    code: 'BOOK_NOT_AVAILABLE',
+                    can_place_hold: Boolean(bookCheck[0].is_active)
                 }
             });
         }
         
-        // Check user's current checkout limit (max 5 books)
+        // Check user's current checkout limit
         const [checkoutCount] = await connection.execute(
             'SELECT COUNT(*) as active_checkouts FROM checkouts WHERE user_id = ? AND is_returned = FALSE',
             [user_id]
         );
         
-        const maxBooks = 5;
-        const canBorrow = checkoutCount[0].active_checkouts < maxBooks;
+        // Patrons owing more than their policy's fine threshold cannot borrow
+        const patronPolicy = await resolvePolicy(connection, patron.user_type, null);
+        const fineBalance = await getFineBalance(connection, user_id);
+        
+        if (patronPolicy.fine_threshold !== null && fineBalance > patronPolicy.fine_threshold) {
+            return res.status(409).json({
+                error: {
+                    message: `Outstanding fines of $${fineBalance.toFixed(2)} exceed the borrowing limit of $${patronPolicy.fine_threshold.toFixed(2)}`,
+                    code: 'FINE_THRESHOLD_EXCEEDED',
+                    fine_balance: fineBalance,
+                    fine_threshold: patronPolicy.fine_threshold
+                }
+            });
+        }
+        
+        const maxBooks = policy.max_items;
+        const canBorrow = parseInt(checkoutCount[0].active_checkouts) < maxBooks;
         
         if (!canBorrow) {
             return res.status(409).json({
                 error: {
-                    message: 'User has reached maximum checkout limit (5 books)',
+                    message: `User has reached maximum checkout limit (${maxBooks} books)`,
                     code: 'CHECKOUT_LIMIT_REACHED'
                 }
             });
@@ -121,17 +245,38 @@ router.post('/borrow', authenticate, async (req, res) => {
             await connection.beginTransaction();
             
             // Double-check availability in transaction
-            const [bookRecheck] = await connection.execute(
+            await connection.execute(
                 'SELECT available_copies FROM books WHERE book_id = ? FOR UPDATE',
                 [bookId]
             );
             
-            if (bookRecheck[0].available_copies < 1) {
+            // Take the copy set aside for this user's hold, otherwise the next one on the shelf
+            let itemId = null;
+            let holdFulfilled = false;
+            if (readyHold) {
+                const [holdRecheck] = await connection.execute(
+                    'SELECT status, item_id FROM holds WHERE hold_id = ? FOR UPDATE',
+                    [readyHold.hold_id]
+                );
+                if (holdRecheck.length > 0 && holdRecheck[0].status === 'ready' && holdRecheck[0].item_id) {
+                    itemId = holdRecheck[0].item_id;
+                    holdFulfilled = true;
+                    await setItemStatus(connection, itemId, 'checked_out');
+                }
+            }
+            
+            if (!itemId) {
+                const item = await claimAvailableItem(connection, bookId);
+                itemId = item ? item.item_id : null;
+            }
+            
+            if (!itemId) {
                 await connection.rollback();
                 return res.status(409).json({
                     error: {
                         message: 'Book is no longer available',
-                        code: 'BOOK_NOT_AVAILABLE'
+                        code: 'BOOK_NOT_AVAILABLE',
+                        can_place_hold: true
                     }
                 });
             }
@@ -141,17 +286,22 @@ router.post('/borrow', authenticate, async (req, res) => {
             
             // Insert checkout record
             const [insertResult] = await connection.execute(`
-                INSERT INTO checkouts (user_id, book_id, staff_checkout_id, checkout_date, due_date) 
-                VALUES (?, ?, ?, NOW(), ?)
-            `, [user_id, bookId, staff_id, dueDate]);
+                INSERT INTO checkouts (user_id, book_id, item_id, staff_checkout_id, checkout_date, due_date) 
+                VALUES (?, ?, ?, ?, NOW(), ?)
+            `, [user_id, bookId, itemId, staff_id, dueDate]);
             
             const checkoutId = insertResult.insertId;
             
-            // Update book availability
-            await connection.execute(
-                'UPDATE books SET available_copies = available_copies - 1 WHERE book_id = ?',
-                [bookId]
-            );
+            await syncCopyCounts(connection, bookId);
+            
+            // Close out any open hold this user had on the book
+            await connection.execute(`
+                UPDATE holds 
+                SET status = 'fulfilled', fulfilled_date = NOW(), checkout_id = ?
+                WHERE user_id = ? AND book_id = ? AND status IN ('waiting', 'ready')
+            `, [checkoutId, user_id, bookId]);
+            
+            await postLoanNotice(connection, checkoutId, 'checkout');
             
             await connection.commit();
             
@@ -161,6 +311,7 @@ router.post('/borrow', authenticate, async (req, res) => {
                     c.checkout_id,
                     c.checkout_date,
                     c.due_date,
+                    bi.barcode as item_barcode,
                     b.title,
                     b.isbn,
                     GROUP_CONCAT(
@@ -170,6 +321,7 @@ router.post('/borrow', authenticate, async (req, res) => {
                     ) as authors
                 FROM checkouts c
                 JOIN books b ON c.book_id = b.book_id
+                LEFT JOIN book_items bi ON c.item_id = bi.item_id
                 LEFT JOIN book_authors ba ON b.book_id = ba.book_id
                 LEFT JOIN authors a ON ba.author_id = a.author_id
                 WHERE c.checkout_id = ?
@@ -178,6 +330,12 @@ router.post('/borrow', authenticate, async (req, res) => {
             
             res.status(201).json({
                 message: 'Book borrowed successfully',
+                fulfilled_hold: holdFulfilled,
+                patron: {
+                    user_id: patron.user_id,
+                    username: patron.username,
+                    library_card_number: patron.library_card_number || null
+                },
                 checkout: {
                     ...checkoutDetails[0],
                     authors: checkoutDetails[0].authors ? checkoutDetails[0].authors.split(', ') : []
@@ -210,23 +368,52 @@ router.post('/borrow', authenticate, async (req, res) => {
 });
 
 // POST /api/checkouts/return - Return a book by book_id
+// Staff can check in any loan by checkout_id or item barcode, or a patron's copy of a
+// book by passing book_id with user_id, username or library_card_number
 router.post('/return', authenticate, async (req, res) => {
     const connection = await getMySQLConnection();
     
     try {
-        const { book_id, checkout_id } = req.body;
-        const user_id = req.user.user_id;
-        const staff_id = req.user.user_type === 'staff' || req.user.user_type === 'admin' ? req.user.user_id : 2;
+        const { book_id, checkout_id, barcode } = req.body;
+        const isStaff = req.user.user_type === 'staff' || req.user.user_type === 'admin';
+        const patronIdentifier = getPatronIdentifier(req.body);
+        const staff_id = isStaff ? req.user.user_id : null;
+        
+        if ((patronIdentifier || barcode) && !isStaff) {
+            return res.status(403).json({
+                error: {
+                    message: 'Only staff can check in books for another patron',
+                    code: 'STAFF_REQUIRED'
+                }
+            });
+        }
         
-        if (!book_id && !checkout_id) {
+        if (!book_id && !checkout_id && !barcode) {
             return res.status(400).json({
                 error: {
-                    message: 'Book ID or checkout ID is required',
+                    message: 'Book ID, checkout ID or item barcode is required',
                     code: 'MISSING_IDENTIFIER'
                 }
             });
         }
         
+        // Whose loans to search: the named patron, anyone (staff by checkout or barcode), or the caller
+        let patronUserId = req.user.user_id;
+        if (patronIdentifier) {
+            const patron = await resolvePatron(connection, patronIdentifier);
+            if (!patron) {
+                return res.status(404).json({
+                    error: {
+                        message: 'Patron not found',
+                        code: 'PATRON_NOT_FOUND'
+                    }
+                });
+            }
+            patronUserId = patron.user_id;
+        } else if (isStaff && (checkout_id || barcode)) {
+            patronUserId = null;
+        }
+        
         const bookId = book_id ? parseInt(book_id) : null;
         
         if (bookId !== null && (isNaN(bookId) || bookId <= 0)) {
@@ -238,22 +425,32 @@ router.post('/return', authenticate, async (req, res) => {
             });
         }
         
-        // Find the active checkout for this user
+        // Find the active checkout
+        const userCondition = patronUserId !== null ? 'AND c.user_id = ?' : '';
+        const userParams = patronUserId !== null ? [patronUserId] : [];
         let activeCheckoutRow;
-        if (checkout_id) {
+        if (barcode) {
+            const [rows] = await connection.execute(`
+                SELECT c.checkout_id, c.user_id, c.book_id, c.due_date
+                FROM checkouts c
+                JOIN book_items bi ON c.item_id = bi.item_id
+                WHERE bi.barcode = ? AND c.is_returned = FALSE ${userCondition}
+            `, [String(barcode).trim(), ...userParams]);
+            activeCheckoutRow = rows[0];
+        } else if (checkout_id) {
             const [rows] = await connection.execute(
-                'SELECT checkout_id, book_id, due_date FROM checkouts WHERE checkout_id = ? AND user_id = ? AND is_returned = FALSE',
-                [parseInt(checkout_id), user_id]
+                `SELECT c.checkout_id, c.user_id, c.book_id, c.due_date FROM checkouts c WHERE c.checkout_id = ? AND c.is_returned = FALSE ${userCondition}`,
+                [parseInt(checkout_id), ...userParams]
             );
             activeCheckoutRow = rows[0];
         } else {
             const [rows] = await connection.execute(`
-                SELECT checkout_id, due_date, book_id
-                FROM checkouts 
-                WHERE user_id = ? AND book_id = ? AND is_returned = FALSE 
-                ORDER BY checkout_date DESC 
+                SELECT c.checkout_id, c.user_id, c.due_date, c.book_id
+                FROM checkouts c
+                WHERE c.user_id = ? AND c.book_id = ? AND c.is_returned = FALSE 
+                ORDER BY c.checkout_date DESC 
                 LIMIT 1
-            `, [user_id, bookId]);
+            `, [patronUserId, bookId]);
             activeCheckoutRow = rows[0];
         }
         
@@ -268,6 +465,7 @@ router.post('/return', authenticate, async (req, res) => {
         
         const checkout = activeCheckoutRow;
         const checkoutId = checkout.checkout_id;
+        const user_id = checkout.user_id;
         const effectiveBookId = checkout.book_id || bookId;
         
         // Use transaction to return book safely
@@ -276,7 +474,7 @@ router.post('/return', authenticate, async (req, res) => {
 
             // Lock the checkout row for this user to prevent double-return
             const [lockRows] = await connection.execute(
-                'SELECT due_date, return_date FROM checkouts WHERE checkout_id = ? AND user_id = ? FOR UPDATE',
+                'SELECT item_id, due_date, return_date FROM checkouts WHERE checkout_id = ? AND user_id = ? FOR UPDATE',
                 [checkoutId, user_id]
             );
             if (lockRows.length === 0) {
@@ -298,11 +496,11 @@ router.post('/return', authenticate, async (req, res) => {
                 });
             }
 
-            // Calculate if return is late
-            const dueDate = new Date(lockRows[0].due_date);
-            const returnDate = new Date();
-            const isLate = returnDate > dueDate;
-            const lateFee = isLate ? Math.ceil((returnDate - dueDate) / (1000 * 60 * 60 * 24)) * 0.50 : 0; // $0.50 per day
+            // Calculate if return is late, using the fee rate from the loan's circulation policy
+            const policy = await resolvePolicyForCheckout(connection, checkoutId);
+            const daysOverdue = await countOverdueDays(connection, lockRows[0].due_date);
+            const isLate = daysOverdue > 0;
+            const lateFee = calculateLateFee(policy, daysOverdue);
 
             // Update checkout record
             await connection.execute(`
@@ -315,18 +513,27 @@ router.post('/return', authenticate, async (req, res) => {
                 WHERE checkout_id = ? AND is_returned = FALSE
             `, [isLate, lateFee, staff_id, checkoutId]);
 
-            // Update book available copies (since trigger couldn't be created)
-            await connection.execute(`
-                UPDATE books 
-                SET available_copies = available_copies + 1
-                WHERE book_id = ?
-            `, [effectiveBookId]);
+            await postLoanNotice(connection, checkoutId, 'return');
 
-            // Log the return action
-            await connection.execute(`
-                INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, action_date)
-                VALUES (?, 'add_book', 'book', ?, ?, NOW())
-            `, [staff_id, effectiveBookId, `Book returned. Checkout ID: ${checkoutId}, Book ID: ${effectiveBookId}, Late: ${isLate}, Fee: $${lateFee}`]);
+            // Post the late fee to the patron's fines ledger
+            await chargeLateFee(connection, {
+                userId: user_id,
+                checkoutId,
+                amount: lateFee,
+                daysOverdue,
+                staffId: staff_id
+            });
+
+            // Set the copy aside for the next hold, or put it back on the shelf
+            const allocatedHold = await releaseCopy(connection, effectiveBookId, lockRows[0].item_id);
+
+            // Log returns processed by staff
+            if (staff_id) {
+                await connection.execute(`
+                    INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, action_date)
+                    VALUES (?, 'add_book', 'book', ?, ?, NOW())
+                `, [staff_id, effectiveBookId, `Book returned. Checkout ID: ${checkoutId}, Book ID: ${effectiveBookId}, User ID: ${user_id}, Late: ${isLate}, Fee: $${lateFee}`]);
+            }
 
             await connection.commit();
             
@@ -339,10 +546,13 @@ router.post('/return', authenticate, async (req, res) => {
                     c.return_date,
                     c.is_late,
                     c.late_fee,
+                    c.user_id,
+                    u.username,
                     b.title,
                     b.isbn
                 FROM checkouts c
                 JOIN books b ON c.book_id = b.book_id
+                JOIN users u ON c.user_id = u.user_id
                 WHERE c.checkout_id = ?
             `, [checkoutId]);
             
@@ -350,6 +560,7 @@ router.post('/return', authenticate, async (req, res) => {
                 message: isLate ? 'Book returned successfully (late return)' : 'Book returned successfully',
                 is_late: isLate,
                 late_fee: lateFee,
+                reserved_for_hold: Boolean(allocatedHold),
                 return: returnDetails[0]
             });
             
@@ -384,7 +595,7 @@ router.put('/:id/return', authenticate, async (req, res) => {
     
     try {
         const checkoutId = parseInt(req.params.id);
-        const staff_id = req.user.user_type === 'staff' || req.user.user_type === 'admin' ? req.user.user_id : 2;
+        const staff_id = req.user.user_type === 'staff' || req.user.user_type === 'admin' ? req.user.user_id : null;
         
         if (isNaN(checkoutId)) {
             return res.status(400).json({
@@ -427,9 +638,10 @@ router.put('/:id/return', authenticate, async (req, res) => {
 
             // Get checkout details
             const [checkoutRows] = await connection.execute(`
-                SELECT c.checkout_id, c.book_id, c.due_date, c.is_returned
+                SELECT c.checkout_id, c.user_id, c.book_id, c.item_id, c.due_date, c.is_returned
                 FROM checkouts c
                 WHERE c.checkout_id = ?
+                FOR UPDATE
             `, [checkoutId]);
 
             if (checkoutRows.length === 0) {
@@ -454,11 +666,11 @@ router.put('/:id/return', authenticate, async (req, res) => {
                 });
             }
 
-            // Calculate if return is late
-            const dueDate = new Date(checkout.due_date);
-            const returnDate = new Date();
-            const isLate = returnDate > dueDate;
-            const lateFee = isLate ? Math.ceil((returnDate - dueDate) / (1000 * 60 * 60 * 24)) * 0.50 : 0; // $0.50 per day
+            // Calculate if return is late, using the fee rate from the loan's circulation policy
+            const policy = await resolvePolicyForCheckout(connection, checkoutId);
+            const daysOverdue = await countOverdueDays(connection, checkout.due_date);
+            const isLate = daysOverdue > 0;
+            const lateFee = calculateLateFee(policy, daysOverdue);
 
             // Update checkout record
             await connection.execute(`
@@ -471,18 +683,27 @@ router.put('/:id/return', authenticate, async (req, res) => {
                 WHERE checkout_id = ?
             `, [isLate, lateFee, staff_id, checkoutId]);
 
-            // Update book available copies
-            await connection.execute(`
-                UPDATE books 
-                SET available_copies = available_copies + 1
-                WHERE book_id = ?
-            `, [checkout.book_id]);
+            await postLoanNotice(connection, checkoutId, 'return');
 
-            // Log the return action
-            await connection.execute(`
-                INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, action_date)
-                VALUES (?, 'add_book', 'book', ?, ?, NOW())
-            `, [staff_id, checkout.book_id, `Book returned. Checkout ID: ${checkoutId}, Book ID: ${checkout.book_id}, Late: ${isLate}, Fee: $${lateFee}`]);
+            // Post the late fee to the patron's fines ledger
+            await chargeLateFee(connection, {
+                userId: checkout.user_id,
+                checkoutId,
+                amount: lateFee,
+                daysOverdue,
+                staffId: staff_id
+            });
+
+            // Set the copy aside for the next hold, or put it back on the shelf
+            const allocatedHold = await releaseCopy(connection, checkout.book_id, checkout.item_id);
+
+            // Log returns processed by staff
+            if (staff_id) {
+                await connection.execute(`
+                    INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, action_date)
+                    VALUES (?, 'add_book', 'book', ?, ?, NOW())
+                `, [staff_id, checkout.book_id, `Book returned. Checkout ID: ${checkoutId}, Book ID: ${checkout.book_id}, User ID: ${checkout.user_id}, Late: ${isLate}, Fee: $${lateFee}`]);
+            }
 
             await connection.commit();
 
@@ -516,7 +737,8 @@ router.put('/:id/return', authenticate, async (req, res) => {
                     ...checkoutDetails[0],
                     authors: checkoutDetails[0].authors ? checkoutDetails[0].authors.split(', ') : []
                 },
-                late_fee: parseFloat(lateFee)
+                late_fee: parseFloat(lateFee),
+                reserved_for_hold: Boolean(allocatedHold)
             });
             
         } catch (transactionError) {
@@ -544,6 +766,739 @@ router.put('/:id/return', authenticate, async (req, res) => {
     }
 });
 
+// POST /api/checkouts/:id/renew - Renew a loan
+router.post('/:id/renew', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const checkoutId = parseInt(req.params.id);
+        const isStaff = req.user.user_type === 'staff' || req.user.user_type === 'admin';
+        
+        if (isNaN(checkoutId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid checkout ID',
+                    code: 'INVALID_CHECKOUT_ID'
+                }
+            });
+        }
+        
+        try {
+            await connection.beginTransaction();
+            
+            // Lock the checkout row while it is being renewed
+            const [checkoutRows] = await connection.execute(`
+                SELECT checkout_id, user_id, book_id, due_date, is_returned, renewal_count,
+                       due_date < CURDATE() as is_overdue
+                FROM checkouts
+                WHERE checkout_id = ?
+                FOR UPDATE
+            `, [checkoutId]);
+            
+            if (checkoutRows.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({
+                    error: {
+                        message: 'Checkout not found',
+                        code: 'CHECKOUT_NOT_FOUND'
+                    }
+                });
+            }
+            
+            const checkout = checkoutRows[0];
+            
+            if (!isStaff && checkout.user_id !== req.user.user_id) {
+                await connection.rollback();
+                return res.status(403).json({
+                    error: {
+                        message: 'You can only renew your own loans',
+                        code: 'UNAUTHORIZED_RENEWAL'
+                    }
+                });
+            }
+            
+            if (checkout.is_returned) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: 'Book already returned',
+                        code: 'ALREADY_RETURNED'
+                    }
+                });
+            }
+            
+            if (Number(checkout.is_overdue)) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: 'Overdue loans cannot be renewed',
+                        code: 'LOAN_OVERDUE'
+                    }
+                });
+            }
+            
+            const policy = await resolvePolicyForCheckout(connection, checkoutId);
+            
+            if (checkout.renewal_count >= policy.max_renewals) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: `Maximum renewals reached (${policy.max_renewals})`,
+                        code: 'RENEWAL_LIMIT_REACHED'
+                    }
+                });
+            }
+            
+            // Patrons waiting in the hold queue take priority over a renewal
+            const [holdCount] = await connection.execute(
+                "SELECT COUNT(*) as waiting_holds FROM holds WHERE book_id = ? AND status = 'waiting'",
+                [checkout.book_id]
+            );
+            
+            if (parseInt(holdCount[0].waiting_holds) > 0) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: 'Book has pending holds and cannot be renewed',
+                        code: 'BOOK_HAS_HOLDS'
+                    }
+                });
+            }
+            
+            // Extend from today, never shortening the current due date, and skip closed days
+            const [extended] = await connection.execute(`
+                SELECT DATE_FORMAT(GREATEST(due_date, DATE_ADD(CURDATE(), INTERVAL ${parseInt(policy.renewal_period_days)} DAY)), '%Y-%m-%d') as new_due_date
+                FROM checkouts
+                WHERE checkout_id = ?
+            `, [checkoutId]);
+            const newDueDate = await nextOpenDay(connection, extended[0].new_due_date);
+            
+            await connection.execute(`
+                UPDATE checkouts
+                SET due_date = ?,
+                    renewal_count = renewal_count + 1,
+                    last_renewal_date = NOW()
+                WHERE checkout_id = ?
+            `, [newDueDate, checkoutId]);
+            
+            if (isStaff) {
+                await connection.execute(`
+                    INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, action_date)
+                    VALUES (?, 'update_inventory', 'book', ?, ?, NOW())
+                `, [req.user.user_id, checkout.book_id, `Loan renewed. Checkout ID: ${checkoutId}, Renewal: ${checkout.renewal_count + 1}`]);
+            }
+            
+            await connection.commit();
+            
+            const [renewed] = await connection.execute(`
+                SELECT 
+                    c.checkout_id,
+                    c.checkout_date,
+                    c.due_date,
+                    c.renewal_count,
+                    c.last_renewal_date,
+                    b.book_id,
+                    b.title,
+                    b.isbn
+                FROM checkouts c
+                JOIN books b ON c.book_id = b.book_id
+                WHERE c.checkout_id = ?
+            `, [checkoutId]);
+            
+            res.json({
+                message: 'Loan renewed successfully',
+                checkout: {
+                    ...renewed[0],
+                    renewals_remaining: Math.max(0, policy.max_renewals - renewed[0].renewal_count)
+                }
+            });
+            
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error during loan renewal:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to process loan renewal',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+        
+    } catch (error) {
+        console.error('Renew loan error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to renew loan',
+                code: 'RENEW_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Lock an open loan for a staff loss/damage decision.
+// Sends the error response and returns null when the loan cannot be changed.
+async function lockOpenLoan(connection, checkoutId, res) {
+    const [rows] = await connection.execute(`
+        SELECT c.checkout_id, c.user_id, c.book_id, c.item_id, c.due_date, c.is_returned, c.loss_status,
+               b.title, b.replacement_cost
+        FROM checkouts c
+        JOIN books b ON c.book_id = b.book_id
+        WHERE c.checkout_id = ?
+        FOR UPDATE
+    `, [checkoutId]);
+
+    if (rows.length === 0) {
+        await connection.rollback();
+        res.status(404).json({
+            error: {
+                message: 'Checkout not found',
+                code: 'CHECKOUT_NOT_FOUND'
+            }
+        });
+        return null;
+    }
+
+    if (rows[0].is_returned) {
+        await connection.rollback();
+        res.status(409).json({
+            error: {
+                message: rows[0].loss_status ? `Loan is already marked ${rows[0].loss_status.replace('_', ' ')}` : 'Book already returned',
+                code: 'ALREADY_RETURNED'
+            }
+        });
+        return null;
+    }
+
+    // Days the library was closed do not count towards the late fee
+    return {
+        ...rows[0],
+        days_overdue: await countOverdueDays(connection, rows[0].due_date)
+    };
+}
+
+// Parse an optional fee override from the request body; undefined means "use the default"
+function parseFeeOverride(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const fee = parseFloat(value);
+    return isNaN(fee) || fee < 0 ? null : Math.round(fee * 100) / 100;
+}
+
+// PUT /api/checkouts/:id/lost - Mark a loan lost and charge the replacement cost (staff only)
+router.put('/:id/lost', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const checkoutId = parseInt(req.params.id);
+        const { notes } = req.body;
+        const feeOverride = parseFeeOverride(req.body.replacement_cost);
+        
+        if (isNaN(checkoutId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid checkout ID',
+                    code: 'INVALID_CHECKOUT_ID'
+                }
+            });
+        }
+        
+        if (feeOverride === null) {
+            return res.status(400).json({
+                error: {
+                    message: 'Replacement cost must be a non-negative number',
+                    code: 'INVALID_AMOUNT'
+                }
+            });
+        }
+        
+        try {
+            await connection.beginTransaction();
+            
+            const loan = await lockOpenLoan(connection, checkoutId, res);
+            if (!loan) {
+                return;
+            }
+            
+            const replacementFee = feeOverride !== undefined ? feeOverride : parseFloat(loan.replacement_cost) || 0;
+            const policy = await resolvePolicyForCheckout(connection, checkoutId);
+            const daysOverdue = loan.days_overdue;
+            const lateFee = calculateLateFee(policy, daysOverdue);
+            
+            // Close the loan without a physical return
+            await connection.execute(`
+                UPDATE checkouts
+                SET is_returned = TRUE,
+                    is_late = ?,
+                    late_fee = ?,
+                    loss_status = 'lost',
+                    loss_date = NOW(),
+                    replacement_fee = ?,
+                    staff_return_id = ?,
+                    notes = COALESCE(?, notes)
+                WHERE checkout_id = ?
+            `, [daysOverdue > 0, lateFee, replacementFee, req.user.user_id, notes || null, checkoutId]);
+            
+            await chargeLateFee(connection, {
+                userId: loan.user_id,
+                checkoutId,
+                amount: lateFee,
+                daysOverdue,
+                staffId: req.user.user_id
+            });
+            
+            if (replacementFee > 0) {
+                await recordTransaction(connection, {
+                    userId: loan.user_id,
+                    checkoutId,
+                    type: 'charge',
+                    amount: replacementFee,
+                    reason: `Replacement cost: lost item (${loan.title})`,
+                    staffId: req.user.user_id
+                });
+            }
+            
+            // The copy leaves stock
+            if (loan.item_id) {
+                await withdrawItem(connection, loan.book_id, loan.item_id, 'lost');
+            } else {
+                await syncCopyCounts(connection, loan.book_id);
+            }
+            
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'update_inventory', 'book', loan.book_id, `Loan marked lost. Checkout ID: ${checkoutId}, Replacement fee: $${replacementFee.toFixed(2)}`,
+                 JSON.stringify({ is_returned: false, item_status: 'checked_out' }),
+                 JSON.stringify({ loss_status: 'lost', item_id: loan.item_id, item_status: 'lost', replacement_fee: replacementFee, late_fee: lateFee })]
+            );
+            
+            await connection.commit();
+            
+            res.json({
+                message: 'Loan marked as lost',
+                checkout_id: checkoutId,
+                replacement_fee: replacementFee,
+                late_fee: lateFee,
+                fine_balance: await getFineBalance(connection, loan.user_id)
+            });
+            
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error while marking loan lost:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to mark loan as lost',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+        
+    } catch (error) {
+        console.error('Mark lost error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to mark loan as lost',
+                code: 'LOSS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/checkouts/:id/damaged - Check in a damaged copy and charge a damage fee (staff only)
+router.put('/:id/damaged', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const checkoutId = parseInt(req.params.id);
+        const { notes } = req.body;
+        const withdrawCopy = req.body.withdraw_item === true || req.body.withdraw_item === 'true';
+        const feeOverride = parseFeeOverride(req.body.damage_fee);
+        
+        if (isNaN(checkoutId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid checkout ID',
+                    code: 'INVALID_CHECKOUT_ID'
+                }
+            });
+        }
+        
+        if (feeOverride === null) {
+            return res.status(400).json({
+                error: {
+                    message: 'Damage fee must be a non-negative number',
+                    code: 'INVALID_AMOUNT'
+                }
+            });
+        }
+        
+        try {
+            await connection.beginTransaction();
+            
+            const loan = await lockOpenLoan(connection, checkoutId, res);
+            if (!loan) {
+                return;
+            }
+            
+            const damageFee = feeOverride !== undefined ? feeOverride : parseFloat(loan.replacement_cost) || 0;
+            const policy = await resolvePolicyForCheckout(connection, checkoutId);
+            const daysOverdue = loan.days_overdue;
+            const lateFee = calculateLateFee(policy, daysOverdue);
+            
+            // The copy did come back, so this is a return
+            await connection.execute(`
+                UPDATE checkouts
+                SET return_date = NOW(),
+                    is_returned = TRUE,
+                    is_late = ?,
+                    late_fee = ?,
+                    loss_status = 'damaged',
+                    loss_date = NOW(),
+                    replacement_fee = ?,
+                    staff_return_id = ?,
+                    notes = COALESCE(?, notes)
+                WHERE checkout_id = ?
+            `, [daysOverdue > 0, lateFee, damageFee, req.user.user_id, notes || null, checkoutId]);
+            
+            await chargeLateFee(connection, {
+                userId: loan.user_id,
+                checkoutId,
+                amount: lateFee,
+                daysOverdue,
+                staffId: req.user.user_id
+            });
+            
+            if (damageFee > 0) {
+                await recordTransaction(connection, {
+                    userId: loan.user_id,
+                    checkoutId,
+                    type: 'charge',
+                    amount: damageFee,
+                    reason: `Damage fee (${loan.title})`,
+                    staffId: req.user.user_id
+                });
+            }
+            
+            // A damaged copy goes for repair (or is withdrawn) rather than back on the shelf
+            const itemStatus = withdrawCopy ? 'withdrawn' : 'in_repair';
+            if (loan.item_id) {
+                await connection.execute(
+                    "UPDATE book_items SET item_condition = 'damaged' WHERE item_id = ?",
+                    [loan.item_id]
+                );
+            }
+            if (loan.item_id && withdrawCopy) {
+                await withdrawItem(connection, loan.book_id, loan.item_id, 'withdrawn');
+            } else {
+                if (loan.item_id) {
+                    await setItemStatus(connection, loan.item_id, 'in_repair');
+                }
+                await syncCopyCounts(connection, loan.book_id);
+            }
+            
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'update_inventory', 'book', loan.book_id, `Loan returned damaged. Checkout ID: ${checkoutId}, Damage fee: $${damageFee.toFixed(2)}`,
+                 JSON.stringify({ is_returned: false, item_status: 'checked_out' }),
+                 JSON.stringify({ loss_status: 'damaged', item_id: loan.item_id, item_status: itemStatus, damage_fee: damageFee, late_fee: lateFee })]
+            );
+            
+            await connection.commit();
+            
+            res.json({
+                message: withdrawCopy ? 'Damaged copy checked in and withdrawn' : 'Damaged copy checked in and sent for repair',
+                checkout_id: checkoutId,
+                damage_fee: damageFee,
+                late_fee: lateFee,
+                item_status: itemStatus,
+                fine_balance: await getFineBalance(connection, loan.user_id)
+            });
+            
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error while checking in damaged copy:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to record damaged copy',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+        
+    } catch (error) {
+        console.error('Mark damaged error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to record damaged copy',
+                code: 'DAMAGE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/checkouts/:id/claims-returned - Patron says the copy was returned but it cannot be found (staff only)
+router.put('/:id/claims-returned', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const checkoutId = parseInt(req.params.id);
+        const { notes } = req.body;
+        
+        if (isNaN(checkoutId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid checkout ID',
+                    code: 'INVALID_CHECKOUT_ID'
+                }
+            });
+        }
+        
+        try {
+            await connection.beginTransaction();
+            
+            const loan = await lockOpenLoan(connection, checkoutId, res);
+            if (!loan) {
+                return;
+            }
+            
+            // Stop the loan accruing fees while the copy is searched for; no charge is made
+            await connection.execute(`
+                UPDATE checkouts
+                SET is_returned = TRUE,
+                    loss_status = 'claims_returned',
+                    loss_date = NOW(),
+                    staff_return_id = ?,
+                    notes = COALESCE(?, notes)
+                WHERE checkout_id = ?
+            `, [req.user.user_id, notes || null, checkoutId]);
+            
+            // The copy is missing until it turns up
+            if (loan.item_id) {
+                await withdrawItem(connection, loan.book_id, loan.item_id, 'lost');
+            } else {
+                await syncCopyCounts(connection, loan.book_id);
+            }
+            
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'update_inventory', 'book', loan.book_id, `Loan marked claims-returned. Checkout ID: ${checkoutId}`,
+                 JSON.stringify({ is_returned: false, item_status: 'checked_out' }),
+                 JSON.stringify({ loss_status: 'claims_returned', item_id: loan.item_id, item_status: 'lost' })]
+            );
+            
+            await connection.commit();
+            
+            res.json({
+                message: 'Loan marked as claims returned',
+                checkout_id: checkoutId
+            });
+            
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error while marking claims returned:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to mark loan as claims returned',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+        
+    } catch (error) {
+        console.error('Claims returned error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to mark loan as claims returned',
+                code: 'CLAIMS_RETURNED_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/checkouts/:id/found - Reverse a lost or claims-returned decision when the copy turns up (staff only)
+router.put('/:id/found', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const checkoutId = parseInt(req.params.id);
+        const { notes } = req.body;
+        
+        if (isNaN(checkoutId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid checkout ID',
+                    code: 'INVALID_CHECKOUT_ID'
+                }
+            });
+        }
+        
+        try {
+            await connection.beginTransaction();
+            
+            const loan = await lockLostLoan(connection, checkoutId);
+            
+            if (!loan) {
+                await connection.rollback();
+                return res.status(404).json({
+                    error: {
+                        message: 'Checkout not found',
+                        code: 'CHECKOUT_NOT_FOUND'
+                    }
+                });
+            }
+            
+            if (!REVERSIBLE_LOSSES.includes(loan.loss_status)) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: 'Only lost or claims-returned loans can be reversed',
+                        code: 'NOT_REVERSIBLE'
+                    }
+                });
+            }
+            
+            // Refund the replacement charge, record the return and put the copy back into circulation
+            const reversal = await reverseLoss(connection, req.user.user_id, loan, { notes: notes || null });
+            
+            await connection.commit();
+            
+            res.json({
+                message: 'Copy found and returned to circulation',
+                checkout_id: checkoutId,
+                reversed: loan.loss_status,
+                refunded_fee: reversal.refunded_fee,
+                reserved_for_hold: Boolean(reversal.allocated_hold),
+                fine_balance: await getFineBalance(connection, loan.user_id)
+            });
+            
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error while reversing loss:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to reverse loss',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+        
+    } catch (error) {
+        console.error('Found copy error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to reverse loss',
+                code: 'FOUND_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/checkouts/desk/patron - Look up a patron for the circulation desk (staff only)
+// Query: user_id, username or library_card_number
+router.get('/desk/patron', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const patronIdentifier = getPatronIdentifier(req.query);
+        
+        if (!patronIdentifier) {
+            return res.status(400).json({
+                error: {
+                    message: 'User ID, username or library card number is required',
+                    code: 'MISSING_PATRON_IDENTIFIER'
+                }
+            });
+        }
+        
+        const patron = await resolvePatron(connection, patronIdentifier);
+        
+        if (!patron) {
+            return res.status(404).json({
+                error: {
+                    message: 'Patron not found',
+                    code: 'PATRON_NOT_FOUND'
+                }
+            });
+        }
+        
+        await expireReadyHolds(connection);
+        
+        const [checkouts] = await connection.execute(`
+            SELECT 
+                c.checkout_id,
+                c.book_id,
+                c.checkout_date,
+                c.due_date,
+                c.renewal_count,
+                bi.barcode as item_barcode,
+                b.title,
+                b.isbn,
+                GREATEST(0, DATEDIFF(CURDATE(), c.due_date)) as days_overdue
+            FROM checkouts c
+            JOIN books b ON c.book_id = b.book_id
+            LEFT JOIN book_items bi ON c.item_id = bi.item_id
+            WHERE c.user_id = ? AND c.is_returned = FALSE
+            ORDER BY c.due_date ASC
+        `, [patron.user_id]);
+        
+        const [readyHolds] = await connection.execute(`
+            SELECT h.hold_id, h.book_id, h.expiry_date, b.title, bi.barcode as item_barcode
+            FROM holds h
+            JOIN books b ON h.book_id = b.book_id
+            LEFT JOIN book_items bi ON h.item_id = bi.item_id
+            WHERE h.user_id = ? AND h.status = 'ready'
+            ORDER BY h.expiry_date ASC
+        `, [patron.user_id]);
+        
+        const patronPolicy = await resolvePolicy(connection, patron.user_type, null);
+        const fineBalance = await getFineBalance(connection, patron.user_id);
+        const fineBlocked = patronPolicy.fine_threshold !== null && fineBalance > patronPolicy.fine_threshold;
+        
+        res.json({
+            patron: {
+                ...patron,
+                full_name: `${patron.first_name} ${patron.last_name}`
+            },
+            checkouts: checkouts.map(checkout => ({
+                ...checkout,
+                days_overdue: parseInt(checkout.days_overdue),
+                is_overdue: parseInt(checkout.days_overdue) > 0
+            })),
+            ready_holds: readyHolds,
+            fine_balance: fineBalance,
+            fine_threshold: patronPolicy.fine_threshold,
+            max_items: patronPolicy.max_items,
+            borrowing_blocked: !patron.is_active || fineBlocked || checkouts.length >= patronPolicy.max_items
+        });
+        
+    } catch (error) {
+        console.error('Desk patron lookup error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to look up patron',
+                code: 'PATRON_LOOKUP_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
 // GET /api/checkouts/user - Get current user's checkouts
 router.get('/user', authenticate, async (req, res) => {
     const connection = await getMySQLConnection();
@@ -578,6 +1533,9 @@ router.get('/user', authenticate, async (req, res) => {
                 c.is_returned,
                 c.is_late,
                 c.late_fee,
+                c.renewal_count,
+                c.loss_status,
+                c.replacement_fee,
                 b.book_id,
                 b.title,
                 b.isbn,
@@ -588,6 +1546,7 @@ router.get('/user', authenticate, async (req, res) => {
                     SEPARATOR ', '
                 ) as authors,
                 CASE 
+                    WHEN c.loss_status IS NOT NULL THEN c.loss_status
                     WHEN c.is_returned = FALSE AND c.due_date < CURDATE() THEN 'overdue'
                     WHEN c.is_returned = FALSE THEN 'active'
                     WHEN c.is_late = TRUE THEN 'returned_late'
@@ -682,6 +1641,9 @@ router.get('/user/:userId', authenticate, verifyOwnership('userId'), async (req,
                 c.is_returned,
                 c.is_late,
                 c.late_fee,
+                c.renewal_count,
+                c.loss_status,
+                c.replacement_fee,
                 b.book_id,
                 b.title,
                 b.isbn,
@@ -692,6 +1654,7 @@ router.get('/user/:userId', authenticate, verifyOwnership('userId'), async (req,
                     SEPARATOR ', '
                 ) as authors,
                 CASE 
+                    WHEN c.loss_status IS NOT NULL THEN c.loss_status
                     WHEN c.is_returned = FALSE AND c.due_date < CURDATE() THEN 'overdue'
                     WHEN c.is_returned = FALSE THEN 'active'
                     WHEN c.is_late = TRUE THEN 'returned_late'
@@ -767,7 +1730,13 @@ router.get('/:id', authenticate, async (req, res) => {
                 c.is_returned,
                 c.is_late,
                 c.late_fee,
+                c.renewal_count,
+                c.loss_status,
+                c.replacement_fee,
                 c.notes,
+                c.item_id,
+                bi.barcode as item_barcode,
+                bi.shelf_location as item_shelf_location,
                 b.book_id,
                 b.title,
                 b.isbn,
@@ -784,6 +1753,7 @@ router.get('/:id', authenticate, async (req, res) => {
                 staff_checkout.username as checkout_staff,
                 staff_return.username as return_staff,
                 CASE 
+                    WHEN c.loss_status IS NOT NULL THEN c.loss_status
                     WHEN c.is_returned = FALSE AND c.due_date < CURDATE() THEN 'overdue'
                     WHEN c.is_returned = FALSE THEN 'active'
                     WHEN c.is_late = TRUE THEN 'returned_late'
@@ -792,6 +1762,7 @@ router.get('/:id', authenticate, async (req, res) => {
             FROM checkouts c
             JOIN books b ON c.book_id = b.book_id
             JOIN users u ON c.user_id = u.user_id
+            LEFT JOIN book_items bi ON c.item_id = bi.item_id
             LEFT JOIN users staff_checkout ON c.staff_checkout_id = staff_checkout.user_id
             LEFT JOIN users staff_return ON c.staff_return_id = staff_return.user_id
             LEFT JOIN book_authors ba ON b.book_id = ba.book_id
@@ -827,7 +1798,7 @@ router.get('/:id', authenticate, async (req, res) => {
                 authors: checkout.authors ? checkout.authors.split(', ') : [],
                 user_name: `${checkout.user_first_name} ${checkout.user_last_name}`,
                 days_until_due: checkout.is_returned ? null : Math.ceil((new Date(checkout.due_date) - new Date()) / (1000 * 60 * 60 * 24)),
-                current_late_fee: checkout.is_returned ? checkout.late_fee : await callFunction('CalculateLateFee', [checkoutId, 1.00])
+                current_late_fee: checkout.is_returned ? checkout.late_fee : await callFunction('CalculateLateFee', [checkoutId, null])
             }
         });
         
@@ -865,6 +1836,8 @@ router.get('/overdue', requireStaff, async (req, res) => {
                 c.due_date,
                 c.late_fee,
                 DATEDIFF(CURDATE(), c.due_date) as days_overdue,
+                CalculateLateFee(c.checkout_id, NULL) as current_late_fee,
+                bi.barcode as item_barcode,
                 b.book_id,
                 b.title,
                 b.isbn,
@@ -882,6 +1855,7 @@ router.get('/overdue', requireStaff, async (req, res) => {
             FROM checkouts c
             JOIN books b ON c.book_id = b.book_id
             JOIN users u ON c.user_id = u.user_id
+            LEFT JOIN book_items bi ON c.item_id = bi.item_id
             LEFT JOIN book_authors ba ON b.book_id = ba.book_id
             LEFT JOIN authors a ON ba.author_id = a.author_id
             WHERE c.is_returned = FALSE AND c.due_date < CURDATE()
@@ -894,7 +1868,7 @@ router.get('/overdue', requireStaff, async (req, res) => {
             ...checkout,
             authors: checkout.authors ? checkout.authors.split(', ') : [],
             user_name: `${checkout.user_first_name} ${checkout.user_last_name}`,
-            current_late_fee: checkout.days_overdue * 1.00 // $1 per day
+            current_late_fee: parseFloat(checkout.current_late_fee)
         }));
         
         res.json({
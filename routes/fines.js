@@ -0,0 +1,474 @@
+// Smart Library Platform - Fines Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff } = require('../middleware/auth');
+const { resolvePolicy } = require('../utils/circulationPolicy');
+const {
+    PAYMENT_METHODS,
+    toMoney,
+    getFineBalance,
+    recordTransaction,
+    getFineLedger
+} = require('../utils/fines');
+
+const router = express.Router();
+
+// Balance, threshold and full ledger for one user
+async function buildFineSummary(connection, user) {
+    const policy = await resolvePolicy(connection, user.user_type, null);
+    const transactions = await getFineLedger(connection, user.user_id);
+    const balance = transactions.length > 0 ? transactions[transactions.length - 1].running_balance : 0;
+
+    return {
+        user_id: user.user_id,
+        balance,
+        fine_threshold: policy.fine_threshold,
+        borrowing_blocked: policy.fine_threshold !== null && balance > policy.fine_threshold,
+        transactions: transactions.reverse()
+    };
+}
+
+// Look up the patron named in :userId; sends 400/404 and returns null when invalid
+async function findPatron(connection, req, res) {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+        res.status(400).json({
+            error: {
+                message: 'Invalid user ID',
+                code: 'INVALID_USER_ID'
+            }
+        });
+        return null;
+    }
+
+    const [users] = await connection.execute(
+        'SELECT user_id, username, first_name, last_name, user_type FROM users WHERE user_id = ?',
+        [userId]
+    );
+
+    if (users.length === 0) {
+        res.status(404).json({
+            error: {
+                message: 'User not found',
+                code: 'USER_NOT_FOUND'
+            }
+        });
+        return null;
+    }
+
+    return users[0];
+}
+
+// Parse a positive money amount from the request body; null when invalid
+function parseAmount(value) {
+    const amount = toMoney(value);
+    return isNaN(amount) || amount <= 0 ? null : amount;
+}
+
+// GET /api/fines/user - Current user's fine balance and ledger
+router.get('/user', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const summary = await buildFineSummary(connection, req.user);
+
+        res.json(summary);
+
+    } catch (error) {
+        console.error('Fine balance fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch fine balance',
+                code: 'FINES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/fines - Users with outstanding balances (staff only)
+router.get('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        const [balances] = await connection.execute(`
+            SELECT
+                u.user_id,
+                u.username,
+                u.first_name,
+                u.last_name,
+                u.email,
+                SUM(CASE WHEN ft.transaction_type = 'charge' THEN ft.amount ELSE -ft.amount END) as balance,
+                MAX(ft.created_at) as last_activity
+            FROM fine_transactions ft
+            JOIN users u ON ft.user_id = u.user_id
+            GROUP BY u.user_id
+            HAVING balance > 0
+            ORDER BY balance DESC
+            LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+        `);
+
+        const [totals] = await connection.execute(`
+            SELECT COUNT(*) as total_users, COALESCE(SUM(balance), 0) as total_outstanding
+            FROM (
+                SELECT SUM(CASE WHEN transaction_type = 'charge' THEN amount ELSE -amount END) as balance
+                FROM fine_transactions
+                GROUP BY user_id
+                HAVING balance > 0
+            ) owed
+        `);
+
+        const totalUsers = parseInt(totals[0].total_users);
+
+        res.json({
+            users: balances.map(row => ({
+                ...row,
+                user_name: `${row.first_name} ${row.last_name}`,
+                balance: toMoney(row.balance)
+            })),
+            total_outstanding: toMoney(totals[0].total_outstanding),
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(totalUsers / parseInt(limit)),
+                total_items: totalUsers,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Outstanding fines fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch outstanding fines',
+                code: 'FINES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/fines/users/:userId - A patron's fine balance and ledger (staff only)
+router.get('/users/:userId', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const patron = await findPatron(connection, req, res);
+        if (!patron) {
+            return;
+        }
+
+        const summary = await buildFineSummary(connection, patron);
+
+        res.json({
+            ...summary,
+            user_name: `${patron.first_name} ${patron.last_name}`,
+            username: patron.username
+        });
+
+    } catch (error) {
+        console.error('Patron fines fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch fine balance',
+                code: 'FINES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/fines/users/:userId/payments - Record a full or partial payment (staff only)
+router.post('/users/:userId/payments', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const patron = await findPatron(connection, req, res);
+        if (!patron) {
+            return;
+        }
+
+        const { payment_method = 'cash', checkout_id, notes } = req.body;
+        const amount = parseAmount(req.body.amount);
+
+        if (amount === null) {
+            return res.status(400).json({
+                error: {
+                    message: 'Payment amount must be greater than 0',
+                    code: 'INVALID_AMOUNT'
+                }
+            });
+        }
+
+        if (!PAYMENT_METHODS.includes(payment_method)) {
+            return res.status(400).json({
+                error: {
+                    message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+                    code: 'INVALID_PAYMENT_METHOD'
+                }
+            });
+        }
+
+        try {
+            await connection.beginTransaction();
+
+            // Lock the patron's ledger so concurrent payments cannot overpay
+            await connection.execute(
+                'SELECT transaction_id FROM fine_transactions WHERE user_id = ? FOR UPDATE',
+                [patron.user_id]
+            );
+
+            const balance = await getFineBalance(connection, patron.user_id);
+
+            if (amount > balance) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: `Payment of $${amount.toFixed(2)} exceeds the outstanding balance of $${balance.toFixed(2)}`,
+                        code: 'OVERPAYMENT',
+                        balance
+                    }
+                });
+            }
+
+            const transactionId = await recordTransaction(connection, {
+                userId: patron.user_id,
+                checkoutId: checkout_id ? parseInt(checkout_id) : null,
+                type: 'payment',
+                amount,
+                reason: notes || null,
+                paymentMethod: payment_method,
+                staffId: req.user.user_id
+            });
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'manage_user', 'user', patron.user_id, `Fine payment recorded: $${amount.toFixed(2)} (${payment_method})`,
+                 JSON.stringify({ transaction_id: transactionId, amount, payment_method })]
+            );
+
+            await connection.commit();
+
+            res.status(201).json({
+                message: 'Payment recorded successfully',
+                transaction_id: transactionId,
+                amount,
+                balance: toMoney(balance - amount)
+            });
+
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error during fine payment:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to record payment',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+
+    } catch (error) {
+        console.error('Fine payment error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to record payment',
+                code: 'PAYMENT_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/fines/users/:userId/waivers - Waive part or all of a balance (staff only)
+router.post('/users/:userId/waivers', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const patron = await findPatron(connection, req, res);
+        if (!patron) {
+            return;
+        }
+
+        const { reason, checkout_id } = req.body;
+        const amount = parseAmount(req.body.amount);
+
+        if (amount === null) {
+            return res.status(400).json({
+                error: {
+                    message: 'Waiver amount must be greater than 0',
+                    code: 'INVALID_AMOUNT'
+                }
+            });
+        }
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({
+                error: {
+                    message: 'A reason is required to waive fines',
+                    code: 'MISSING_REASON'
+                }
+            });
+        }
+
+        try {
+            await connection.beginTransaction();
+
+            await connection.execute(
+                'SELECT transaction_id FROM fine_transactions WHERE user_id = ? FOR UPDATE',
+                [patron.user_id]
+            );
+
+            const balance = await getFineBalance(connection, patron.user_id);
+
+            if (amount > balance) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: `Waiver of $${amount.toFixed(2)} exceeds the outstanding balance of $${balance.toFixed(2)}`,
+                        code: 'WAIVER_EXCEEDS_BALANCE',
+                        balance
+                    }
+                });
+            }
+
+            const transactionId = await recordTransaction(connection, {
+                userId: patron.user_id,
+                checkoutId: checkout_id ? parseInt(checkout_id) : null,
+                type: 'waiver',
+                amount,
+                reason: reason.trim(),
+                staffId: req.user.user_id
+            });
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'manage_user', 'user', patron.user_id, `Fine waived: $${amount.toFixed(2)} - ${reason.trim()}`,
+                 JSON.stringify({ transaction_id: transactionId, amount, reason: reason.trim() })]
+            );
+
+            await connection.commit();
+
+            res.status(201).json({
+                message: 'Fine waived successfully',
+                transaction_id: transactionId,
+                amount,
+                balance: toMoney(balance - amount)
+            });
+
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error during fine waiver:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to waive fine',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+
+    } catch (error) {
+        console.error('Fine waiver error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to waive fine',
+                code: 'WAIVER_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/fines/users/:userId/charges - Add a manual charge (staff only)
+router.post('/users/:userId/charges', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const patron = await findPatron(connection, req, res);
+        if (!patron) {
+            return;
+        }
+
+        const { reason, checkout_id } = req.body;
+        const amount = parseAmount(req.body.amount);
+
+        if (amount === null) {
+            return res.status(400).json({
+                error: {
+                    message: 'Charge amount must be greater than 0',
+                    code: 'INVALID_AMOUNT'
+                }
+            });
+        }
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({
+                error: {
+                    message: 'A reason is required for manual charges',
+                    code: 'MISSING_REASON'
+                }
+            });
+        }
+
+        try {
+            await connection.beginTransaction();
+
+            const transactionId = await recordTransaction(connection, {
+                userId: patron.user_id,
+                checkoutId: checkout_id ? parseInt(checkout_id) : null,
+                type: 'charge',
+                amount,
+                reason: reason.trim(),
+                staffId: req.user.user_id
+            });
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'manage_user', 'user', patron.user_id, `Fine charged: $${amount.toFixed(2)} - ${reason.trim()}`,
+                 JSON.stringify({ transaction_id: transactionId, amount, reason: reason.trim() })]
+            );
+
+            await connection.commit();
+
+            res.status(201).json({
+                message: 'Charge recorded successfully',
+                transaction_id: transactionId,
+                amount,
+                balance: await getFineBalance(connection, patron.user_id)
+            });
+
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error during manual charge:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to record charge',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+
+    } catch (error) {
+        console.error('Fine charge error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to record charge',
+                code: 'CHARGE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
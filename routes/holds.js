@@ -0,0 +1,379 @@
+// Smart Library Platform - Holds Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff } = require('../middleware/auth');
+const {
+    MAX_ACTIVE_HOLDS,
+    HOLD_PICKUP_DAYS,
+    releaseCopy,
+    expireReadyHolds,
+    getQueuePosition
+} = require('../utils/holds');
+
+const router = express.Router();
+
+// POST /api/holds - Place a hold on an unavailable book
+router.post('/', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { book_id, notes } = req.body;
+        const user_id = req.user.user_id;
+        const bookId = parseInt(book_id);
+
+        if (!book_id || isNaN(bookId) || bookId <= 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'Valid book ID is required',
+                    code: 'INVALID_BOOK_ID'
+                }
+            });
+        }
+
+        // Clear out stale ready holds first so availability is accurate
+        await expireReadyHolds(connection);
+
+        const [books] = await connection.execute(
+            'SELECT book_id, title, available_copies, is_active FROM books WHERE book_id = ?',
+            [bookId]
+        );
+
+        if (books.length === 0 || !books[0].is_active) {
+            return res.status(404).json({
+                error: {
+                    message: 'Book not found',
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+
+        if (books[0].available_copies > 0) {
+            return res.status(409).json({
+                error: {
+                    message: 'Book is available, borrow it directly instead of placing a hold',
+                    code: 'BOOK_AVAILABLE'
+                }
+            });
+        }
+
+        // A patron cannot queue for a book they already have
+        const [activeCheckout] = await connection.execute(
+            'SELECT checkout_id FROM checkouts WHERE user_id = ? AND book_id = ? AND is_returned = FALSE LIMIT 1',
+            [user_id, bookId]
+        );
+
+        if (activeCheckout.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: 'You already have this book checked out',
+                    code: 'ALREADY_BORROWED'
+                }
+            });
+        }
+
+        const [openHolds] = await connection.execute(
+            "SELECT hold_id, book_id FROM holds WHERE user_id = ? AND status IN ('waiting', 'ready')",
+            [user_id]
+        );
+
+        if (openHolds.some(hold => hold.book_id === bookId)) {
+            return res.status(409).json({
+                error: {
+                    message: 'You already have a hold on this book',
+                    code: 'DUPLICATE_HOLD'
+                }
+            });
+        }
+
+        if (openHolds.length >= MAX_ACTIVE_HOLDS) {
+            return res.status(409).json({
+                error: {
+                    message: `User has reached maximum hold limit (${MAX_ACTIVE_HOLDS} holds)`,
+                    code: 'HOLD_LIMIT_REACHED'
+                }
+            });
+        }
+
+        const [insertResult] = await connection.execute(
+            'INSERT INTO holds (user_id, book_id, notes) VALUES (?, ?, ?)',
+            [user_id, bookId, notes || null]
+        );
+
+        const holdId = insertResult.insertId;
+        const queuePosition = await getQueuePosition(connection, holdId);
+
+        res.status(201).json({
+            message: 'Hold placed successfully',
+            hold: {
+                hold_id: holdId,
+                book_id: bookId,
+                title: books[0].title,
+                status: 'waiting',
+                queue_position: queuePosition
+            }
+        });
+
+    } catch (error) {
+        console.error('Place hold error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to place hold',
+                code: 'HOLD_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/holds/user - Get current user's holds with queue positions
+router.get('/user', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { status = 'open' } = req.query;
+
+        await expireReadyHolds(connection);
+
+        let statusCondition = '';
+        if (status === 'open') {
+            statusCondition = "AND h.status IN ('waiting', 'ready')";
+        } else if (['waiting', 'ready', 'fulfilled', 'cancelled', 'expired'].includes(status)) {
+            statusCondition = `AND h.status = '${status}'`;
+        }
+
+        const [holds] = await connection.execute(`
+            SELECT
+                h.hold_id,
+                h.book_id,
+                h.status,
+                h.request_date,
+                h.ready_date,
+                h.expiry_date,
+                h.fulfilled_date,
+                h.checkout_id,
+                b.title,
+                b.isbn,
+                b.cover_image_url,
+                (
+                    SELECT COUNT(*) + 1
+                    FROM holds q
+                    WHERE q.book_id = h.book_id
+                    AND q.status = 'waiting'
+                    AND (q.request_date < h.request_date
+                         OR (q.request_date = h.request_date AND q.hold_id < h.hold_id))
+                ) as queue_position
+            FROM holds h
+            JOIN books b ON h.book_id = b.book_id
+            WHERE h.user_id = ? ${statusCondition}
+            ORDER BY h.status = 'ready' DESC, h.request_date ASC
+        `, [req.user.user_id]);
+
+        res.json({
+            holds: holds.map(hold => ({
+                ...hold,
+                queue_position: hold.status === 'waiting' ? parseInt(hold.queue_position) : null
+            })),
+            pickup_window_days: HOLD_PICKUP_DAYS,
+            filters: {
+                status
+            }
+        });
+
+    } catch (error) {
+        console.error('User holds fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch holds',
+                code: 'HOLDS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/holds/book/:bookId - Get the hold queue for a book (staff only)
+router.get('/book/:bookId', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const bookId = parseInt(req.params.bookId);
+
+        if (isNaN(bookId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid book ID',
+                    code: 'INVALID_BOOK_ID'
+                }
+            });
+        }
+
+        const [holds] = await connection.execute(`
+            SELECT
+                h.hold_id,
+                h.status,
+                h.request_date,
+                h.ready_date,
+                h.expiry_date,
+                u.user_id,
+                u.username,
+                u.first_name,
+                u.last_name,
+                u.email
+            FROM holds h
+            JOIN users u ON h.user_id = u.user_id
+            WHERE h.book_id = ? AND h.status IN ('waiting', 'ready')
+            ORDER BY h.status = 'ready' DESC, h.request_date ASC, h.hold_id ASC
+        `, [bookId]);
+
+        let position = 0;
+        const queue = holds.map(hold => ({
+            ...hold,
+            user_name: `${hold.first_name} ${hold.last_name}`,
+            queue_position: hold.status === 'waiting' ? ++position : null
+        }));
+
+        res.json({
+            book_id: bookId,
+            ready_holds: queue.filter(hold => hold.status === 'ready').length,
+            waiting_holds: position,
+            queue
+        });
+
+    } catch (error) {
+        console.error('Book holds fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch hold queue',
+                code: 'HOLDS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/holds/expire - Expire uncollected ready holds (staff only)
+router.post('/expire', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const expiredCount = await expireReadyHolds(connection);
+
+        res.json({
+            message: 'Expired holds processed',
+            expired_holds: expiredCount
+        });
+
+    } catch (error) {
+        console.error('Expire holds error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to process expired holds',
+                code: 'HOLD_EXPIRY_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/holds/:id - Cancel a hold
+router.delete('/:id', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const holdId = parseInt(req.params.id);
+
+        if (isNaN(holdId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid hold ID',
+                    code: 'INVALID_HOLD_ID'
+                }
+            });
+        }
+
+        try {
+            await connection.beginTransaction();
+
+            const [holds] = await connection.execute(
+                'SELECT hold_id, user_id, book_id, item_id, status FROM holds WHERE hold_id = ? FOR UPDATE',
+                [holdId]
+            );
+
+            if (holds.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({
+                    error: {
+                        message: 'Hold not found',
+                        code: 'HOLD_NOT_FOUND'
+                    }
+                });
+            }
+
+            const hold = holds[0];
+
+            if (req.user.user_type === 'reader' && hold.user_id !== req.user.user_id) {
+                await connection.rollback();
+                return res.status(403).json({
+                    error: {
+                        message: 'You can only cancel your own holds',
+                        code: 'UNAUTHORIZED_CANCEL'
+                    }
+                });
+            }
+
+            if (!['waiting', 'ready'].includes(hold.status)) {
+                await connection.rollback();
+                return res.status(409).json({
+                    error: {
+                        message: `Hold is already ${hold.status}`,
+                        code: 'HOLD_NOT_OPEN'
+                    }
+                });
+            }
+
+            await connection.execute(
+                "UPDATE holds SET status = 'cancelled' WHERE hold_id = ?",
+                [holdId]
+            );
+
+            // A copy set aside for this hold moves on to the next patron
+            if (hold.status === 'ready') {
+                await releaseCopy(connection, hold.book_id, hold.item_id);
+            }
+
+            await connection.commit();
+
+            res.json({
+                message: 'Hold cancelled successfully'
+            });
+
+        } catch (transactionError) {
+            await connection.rollback();
+            console.error('Transaction error during hold cancellation:', transactionError);
+            return res.status(500).json({
+                error: {
+                    message: 'Failed to cancel hold',
+                    code: 'TRANSACTION_ERROR',
+                    details: transactionError.message
+                }
+            });
+        }
+
+    } catch (error) {
+        console.error('Cancel hold error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to cancel hold',
+                code: 'HOLD_CANCEL_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
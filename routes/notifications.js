@@ -0,0 +1,204 @@
+// Smart Library Platform - Notifications Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff } = require('../middleware/auth');
+const {
+    NOTIFICATION_TYPES,
+    PREFERENCE_FLAGS,
+    getPreferences,
+    savePreferences,
+    runScheduledNotifications
+} = require('../utils/notifications');
+const { getTransports } = require('../utils/notificationTransports');
+
+const router = express.Router();
+
+// GET /api/notifications/preferences - Get current user's notification preferences
+router.get('/preferences', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const preferences = await getPreferences(connection, req.user.user_id);
+
+        res.json({
+            preferences,
+            available_channels: getTransports().map(transport => transport.channel)
+        });
+
+    } catch (error) {
+        console.error('Notification preferences fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch notification preferences',
+                code: 'PREFERENCES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/notifications/preferences - Update current user's notification preferences
+router.put('/preferences', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const preferences = await getPreferences(connection, req.user.user_id);
+
+        for (const flag of PREFERENCE_FLAGS) {
+            if (req.body[flag] === undefined) {
+                continue;
+            }
+            if (typeof req.body[flag] !== 'boolean') {
+                return res.status(400).json({
+                    error: {
+                        message: `${flag} must be true or false`,
+                        code: 'INVALID_PREFERENCES'
+                    }
+                });
+            }
+            preferences[flag] = req.body[flag];
+        }
+
+        if (req.body.due_soon_days !== undefined) {
+            const days = Number(req.body.due_soon_days);
+            if (!Number.isInteger(days) || days < 1 || days > 14) {
+                return res.status(400).json({
+                    error: {
+                        message: 'due_soon_days must be a whole number between 1 and 14',
+                        code: 'INVALID_PREFERENCES'
+                    }
+                });
+            }
+            preferences.due_soon_days = days;
+        }
+
+        await savePreferences(connection, req.user.user_id, preferences);
+
+        res.json({
+            message: 'Notification preferences updated',
+            preferences
+        });
+
+    } catch (error) {
+        console.error('Notification preferences update error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update notification preferences',
+                code: 'PREFERENCES_UPDATE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/notifications/run - Run the notification job now (staff only)
+router.post('/run', authenticate, requireStaff, async (req, res) => {
+    try {
+        const summary = await runScheduledNotifications();
+
+        if (!summary) {
+            return res.status(409).json({
+                error: {
+                    message: 'The notification job is already running',
+                    code: 'JOB_RUNNING'
+                }
+            });
+        }
+
+        res.json({
+            message: 'Notification job completed',
+            channels: getTransports().map(transport => transport.channel),
+            summary
+        });
+
+    } catch (error) {
+        console.error('Notification job error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to run notification job',
+                code: 'NOTIFICATION_JOB_ERROR'
+            }
+        });
+    }
+});
+
+// GET /api/notifications/log - Delivery history (staff only)
+router.get('/log', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { user_id, type, status, page = 1, limit = 50 } = req.query;
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+
+        const conditions = [];
+        const params = [];
+
+        if (user_id) {
+            conditions.push('nl.user_id = ?');
+            params.push(parseInt(user_id));
+        }
+        if (type && NOTIFICATION_TYPES.includes(type)) {
+            conditions.push('nl.notification_type = ?');
+            params.push(type);
+        }
+        if (status === 'sent' || status === 'failed') {
+            conditions.push('nl.status = ?');
+            params.push(status);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [entries] = await connection.execute(`
+            SELECT
+                nl.log_id,
+                nl.user_id,
+                u.username,
+                nl.notification_type,
+                nl.channel,
+                nl.dedupe_key,
+                nl.checkout_id,
+                nl.hold_id,
+                nl.status,
+                nl.attempts,
+                nl.error_message,
+                nl.sent_at
+            FROM notification_log nl
+            JOIN users u ON nl.user_id = u.user_id
+            ${whereClause}
+            ORDER BY nl.sent_at DESC, nl.log_id DESC
+            LIMIT ${parseInt(limit)} OFFSET ${offset}
+        `, params);
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM notification_log nl ${whereClause}`,
+            params
+        );
+
+        const total = parseInt(countResult[0].total);
+
+        res.json({
+            entries,
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / parseInt(limit)),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Notification log fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch notification log',
+                code: 'NOTIFICATION_LOG_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
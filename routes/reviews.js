@@ -2,6 +2,7 @@
 const express = require('express');
 const { getMySQLConnection, callStoredProcedure } = require('../config/database');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { postNotification } = require('../utils/inbox');
 
 const router = express.Router();
 
@@ -235,6 +236,7 @@ router.get('/book/:bookId', optionalAuth, async (req, res) => {
                 r.comment,
                 r.review_date,
                 r.helpful_votes,
+                (SELECT COUNT(*) FROM review_replies rr WHERE rr.review_id = r.review_id) as reply_count,
                 u.username,
                 u.first_name,
                 u.last_name
@@ -260,6 +262,7 @@ router.get('/book/:bookId', optionalAuth, async (req, res) => {
         res.json({
             reviews: reviews.map(review => ({
                 ...review,
+                reply_count: parseInt(review.reply_count),
                 reviewer_name: review.first_name && review.last_name 
                     ? `${review.first_name} ${review.last_name}` 
                     : review.username,
@@ -757,6 +760,165 @@ router.post('/:id/helpful', authenticate, async (req, res) => {
     }
 });
 
+// GET /api/reviews/:id/replies - Get replies to a review, oldest first
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const reviewId = parseInt(req.params.id);
+        
+        if (isNaN(reviewId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid review ID',
+                    code: 'INVALID_REVIEW_ID'
+                }
+            });
+        }
+        
+        const [review] = await connection.execute(
+            'SELECT review_id FROM reviews WHERE review_id = ?',
+            [reviewId]
+        );
+        
+        if (review.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Review not found',
+                    code: 'REVIEW_NOT_FOUND'
+                }
+            });
+        }
+        
+        const [replies] = await connection.execute(`
+            SELECT 
+                rr.reply_id,
+                rr.user_id,
+                rr.comment,
+                rr.created_at,
+                u.username,
+                u.first_name,
+                u.last_name,
+                u.user_type
+            FROM review_replies rr
+            JOIN users u ON rr.user_id = u.user_id
+            WHERE rr.review_id = ?
+            ORDER BY rr.created_at ASC, rr.reply_id ASC
+        `, [reviewId]);
+        
+        res.json({
+            replies: replies.map(reply => ({
+                ...reply,
+                replier_name: reply.first_name && reply.last_name 
+                    ? `${reply.first_name} ${reply.last_name}` 
+                    : reply.username,
+                is_staff_reply: reply.user_type === 'staff' || reply.user_type === 'admin'
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Review replies fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch review replies',
+                code: 'REPLIES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/reviews/:id/replies - Reply to a review (the reviewer is notified)
+router.post('/:id/replies', authenticate, async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const reviewId = parseInt(req.params.id);
+        const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+        
+        if (isNaN(reviewId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid review ID',
+                    code: 'INVALID_REVIEW_ID'
+                }
+            });
+        }
+        
+        if (!comment) {
+            return res.status(400).json({
+                error: {
+                    message: 'Reply comment is required',
+                    code: 'MISSING_REQUIRED_FIELDS'
+                }
+            });
+        }
+        
+        if (comment.length > 1000) {
+            return res.status(400).json({
+                error: {
+                    message: 'Comment must be less than 1000 characters',
+                    code: 'COMMENT_TOO_LONG'
+                }
+            });
+        }
+        
+        const [review] = await connection.execute(`
+            SELECT r.user_id, r.book_id, b.title
+            FROM reviews r
+            JOIN books b ON r.book_id = b.book_id
+            WHERE r.review_id = ?
+        `, [reviewId]);
+        
+        if (review.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Review not found',
+                    code: 'REVIEW_NOT_FOUND'
+                }
+            });
+        }
+        
+        const [result] = await connection.execute(
+            'INSERT INTO review_replies (review_id, user_id, comment) VALUES (?, ?, ?)',
+            [reviewId, req.user.user_id, comment]
+        );
+        
+        // Let the reviewer know, unless they are replying to themselves
+        if (review[0].user_id !== req.user.user_id) {
+            await postNotification(connection, review[0].user_id, {
+                type: 'review_reply',
+                book_id: review[0].book_id,
+                title: `${req.user.username} replied to your review of "${review[0].title}"`,
+                message: comment.length > 200 ? `${comment.slice(0, 197)}...` : comment
+            });
+        }
+        
+        res.status(201).json({
+            message: 'Reply added successfully',
+            reply: {
+                reply_id: result.insertId,
+                review_id: reviewId,
+                user_id: req.user.user_id,
+                username: req.user.username,
+                comment
+            }
+        });
+        
+    } catch (error) {
+        console.error('Add review reply error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to add reply',
+                code: 'REPLY_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
 // GET /api/reviews/recent - Get recent reviews across all books
 router.get('/recent', optionalAuth, async (req, res) => {
     const connection = await getMySQLConnection();
@@ -0,0 +1,506 @@
+// Smart Library Platform - Series Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff, optionalAuth } = require('../middleware/auth');
+const { parseSeriesPosition, getSeriesBooks } = require('../utils/series');
+
+const router = express.Router();
+
+// Validate series fields from a request body.
+// Returns { values } with only the fields that were sent, or { error }.
+function readSeriesFields(body, requireName) {
+    const values = {};
+
+    if (body.name !== undefined) {
+        values.name = String(body.name || '').trim();
+    }
+    if (body.description !== undefined) {
+        values.description = body.description === null || String(body.description).trim() === ''
+            ? null
+            : String(body.description).trim();
+    }
+
+    if ((requireName || 'name' in values) && !values.name) {
+        return { error: 'Series name is required' };
+    }
+    if (values.name && values.name.length > 200) {
+        return { error: 'Series name cannot be longer than 200 characters' };
+    }
+
+    return { values };
+}
+
+// GET /api/series - List series with their active book counts
+router.get('/', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { q, page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        let whereClause = '';
+        const params = [];
+        if (q && String(q).trim()) {
+            whereClause = 'WHERE s.name LIKE ?';
+            params.push(`%${String(q).trim()}%`);
+        }
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM series s ${whereClause}`,
+            params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        const [series] = await connection.execute(`
+            SELECT
+                s.series_id,
+                s.name,
+                s.description,
+                COUNT(b.book_id) as book_count,
+                COALESCE(SUM(b.available_copies), 0) as available_copies
+            FROM series s
+            LEFT JOIN books b ON s.series_id = b.series_id AND b.is_active = TRUE
+            ${whereClause}
+            GROUP BY s.series_id, s.name, s.description
+            ORDER BY s.name ASC
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, params);
+
+        res.json({
+            series: series.map(item => ({
+                ...item,
+                book_count: parseInt(item.book_count),
+                available_copies: parseInt(item.available_copies)
+            })),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Series fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch series',
+                code: 'SERIES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/series/:id - A series with its books in reading order
+router.get('/:id', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const seriesId = parseInt(req.params.id);
+
+        if (isNaN(seriesId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid series ID',
+                    code: 'INVALID_SERIES_ID'
+                }
+            });
+        }
+
+        const [series] = await connection.execute('SELECT * FROM series WHERE series_id = ?', [seriesId]);
+
+        if (series.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Series not found',
+                    code: 'SERIES_NOT_FOUND'
+                }
+            });
+        }
+
+        const books = await getSeriesBooks(connection, seriesId);
+
+        res.json({
+            series: {
+                ...series[0],
+                book_count: books.length,
+                available_copies: books.reduce((sum, book) => sum + book.available_copies, 0)
+            },
+            books
+        });
+
+    } catch (error) {
+        console.error('Series details error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch series details',
+                code: 'SERIES_DETAILS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/series - Create a series
+router.post('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { values, error } = readSeriesFields(req.body, true);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_SERIES'
+                }
+            });
+        }
+
+        const [existing] = await connection.execute('SELECT series_id FROM series WHERE name = ?', [values.name]);
+
+        if (existing.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: 'A series with this name already exists',
+                    code: 'DUPLICATE_SERIES',
+                    series_id: existing[0].series_id
+                }
+            });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO series (name, description) VALUES (?, ?)',
+            [values.name, values.description || null]
+        );
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'system_config', 'system', result.insertId, `Series created: ${values.name}`, JSON.stringify(values)]
+        );
+
+        const [series] = await connection.execute('SELECT * FROM series WHERE series_id = ?', [result.insertId]);
+
+        res.status(201).json({
+            message: 'Series created successfully',
+            series: series[0]
+        });
+
+    } catch (error) {
+        console.error('Create series error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to create series',
+                code: 'CREATE_SERIES_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/series/:id - Rename or describe a series
+router.put('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const seriesId = parseInt(req.params.id);
+
+        if (isNaN(seriesId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid series ID',
+                    code: 'INVALID_SERIES_ID'
+                }
+            });
+        }
+
+        const { values, error } = readSeriesFields(req.body, false);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_SERIES'
+                }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'No fields to update',
+                    code: 'NO_UPDATES'
+                }
+            });
+        }
+
+        const [series] = await connection.execute('SELECT * FROM series WHERE series_id = ?', [seriesId]);
+
+        if (series.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Series not found',
+                    code: 'SERIES_NOT_FOUND'
+                }
+            });
+        }
+
+        if (values.name) {
+            const [clash] = await connection.execute(
+                'SELECT series_id FROM series WHERE name = ? AND series_id != ?',
+                [values.name, seriesId]
+            );
+            if (clash.length > 0) {
+                return res.status(409).json({
+                    error: {
+                        message: 'Another series already has this name',
+                        code: 'DUPLICATE_SERIES',
+                        series_id: clash[0].series_id
+                    }
+                });
+            }
+        }
+
+        const oldValues = {};
+        for (const field of Object.keys(values)) {
+            oldValues[field] = series[0][field];
+        }
+
+        await connection.execute(
+            `UPDATE series SET ${Object.keys(values).map(field => `${field} = ?`).join(', ')} WHERE series_id = ?`,
+            [...Object.values(values), seriesId]
+        );
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'system_config', 'system', seriesId, `Series updated: ${values.name || series[0].name}`,
+             JSON.stringify(oldValues), JSON.stringify(values)]
+        );
+
+        const [updated] = await connection.execute('SELECT * FROM series WHERE series_id = ?', [seriesId]);
+
+        res.json({
+            message: 'Series updated successfully',
+            series: updated[0]
+        });
+
+    } catch (error) {
+        console.error('Update series error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update series',
+                code: 'UPDATE_SERIES_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/series/:id/books - Set the books of a series and their positions
+// Body: { books: [{ book_id, position }] }. Books currently in the series but
+// missing from the list are taken out of it.
+router.put('/:id/books', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const seriesId = parseInt(req.params.id);
+        const entries = req.body.books;
+
+        if (isNaN(seriesId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid series ID',
+                    code: 'INVALID_SERIES_ID'
+                }
+            });
+        }
+
+        if (!Array.isArray(entries)) {
+            return res.status(400).json({
+                error: {
+                    message: 'books must be a list of { book_id, position }',
+                    code: 'INVALID_SERIES_BOOKS'
+                }
+            });
+        }
+
+        const positions = new Map();
+        for (const entry of entries) {
+            const bookId = parseInt(entry && entry.book_id);
+            const { value, error } = parseSeriesPosition(entry && entry.position);
+            if (isNaN(bookId) || error || positions.has(bookId)) {
+                return res.status(400).json({
+                    error: {
+                        message: error || 'Each book must appear once with a valid book_id',
+                        code: 'INVALID_SERIES_BOOKS'
+                    }
+                });
+            }
+            positions.set(bookId, value);
+        }
+
+        const [series] = await connection.execute('SELECT * FROM series WHERE series_id = ?', [seriesId]);
+
+        if (series.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Series not found',
+                    code: 'SERIES_NOT_FOUND'
+                }
+            });
+        }
+
+        const bookIds = [...positions.keys()];
+        let books = [];
+        if (bookIds.length > 0) {
+            [books] = await connection.execute(
+                `SELECT book_id, title, series_id, series_position FROM books WHERE book_id IN (${bookIds.map(() => '?').join(', ')})`,
+                bookIds
+            );
+        }
+
+        const missing = bookIds.filter(id => !books.some(book => book.book_id === id));
+        if (missing.length > 0) {
+            return res.status(404).json({
+                error: {
+                    message: `Books not found: ${missing.join(', ')}`,
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+
+        const [current] = await connection.execute(
+            'SELECT book_id, title, series_position FROM books WHERE series_id = ?',
+            [seriesId]
+        );
+        const removed = current.filter(book => !positions.has(book.book_id));
+
+        await connection.beginTransaction();
+
+        try {
+            for (const book of removed) {
+                await connection.execute(
+                    'UPDATE books SET series_id = NULL, series_position = NULL WHERE book_id = ?',
+                    [book.book_id]
+                );
+                await connection.execute(
+                    'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [req.user.user_id, 'update_book', 'book', book.book_id, `Book removed from series: ${series[0].name}`,
+                     JSON.stringify({ series_id: seriesId, series_position: book.series_position }),
+                     JSON.stringify({ series_id: null, series_position: null })]
+                );
+            }
+
+            for (const book of books) {
+                const position = positions.get(book.book_id);
+                await connection.execute(
+                    'UPDATE books SET series_id = ?, series_position = ? WHERE book_id = ?',
+                    [seriesId, position, book.book_id]
+                );
+                await connection.execute(
+                    'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [req.user.user_id, 'update_book', 'book', book.book_id, `Book placed in series: ${series[0].name}`,
+                     JSON.stringify({ series_id: book.series_id, series_position: book.series_position }),
+                     JSON.stringify({ series_id: seriesId, series_position: position })]
+                );
+            }
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        res.json({
+            message: 'Series books updated successfully',
+            removed_book_ids: removed.map(book => book.book_id),
+            books: await getSeriesBooks(connection, seriesId)
+        });
+
+    } catch (error) {
+        console.error('Update series books error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update series books',
+                code: 'UPDATE_SERIES_BOOKS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/series/:id - Delete a series; its books stay in the catalog
+router.delete('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const seriesId = parseInt(req.params.id);
+
+        if (isNaN(seriesId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid series ID',
+                    code: 'INVALID_SERIES_ID'
+                }
+            });
+        }
+
+        const [series] = await connection.execute('SELECT * FROM series WHERE series_id = ?', [seriesId]);
+
+        if (series.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Series not found',
+                    code: 'SERIES_NOT_FOUND'
+                }
+            });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            // series_id is cleared by ON DELETE SET NULL; positions are meaningless without it
+            const [unlinked] = await connection.execute(
+                'UPDATE books SET series_position = NULL WHERE series_id = ?',
+                [seriesId]
+            );
+            await connection.execute('DELETE FROM series WHERE series_id = ?', [seriesId]);
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values) VALUES (?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'system_config', 'system', seriesId, `Series deleted: ${series[0].name}`,
+                 JSON.stringify({ name: series[0].name, description: series[0].description, book_count: unlinked.affectedRows })]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        res.json({
+            message: 'Series deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete series error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to delete series',
+                code: 'DELETE_SERIES_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,689 @@
+// Smart Library Platform - Stocktake Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff } = require('../middleware/auth');
+const { updateInventory, restoreItem } = require('../utils/inventory');
+const { REVERSIBLE_LOSSES, lockLostLoan, reverseLoss } = require('../utils/losses');
+const { findBranch } = require('../utils/shelving');
+const {
+    STOCKTAKE_STATUSES,
+    STOCKTAKE_ADJUSTMENTS,
+    DEFAULT_STOCKTAKE_ADJUSTMENTS,
+    MAX_SCANS_PER_REQUEST,
+    cleanShelf,
+    shelfKey,
+    classifyCode,
+    buildStocktakeReport
+} = require('../utils/stocktake');
+
+const router = express.Router();
+
+// A session with its branch, or null
+async function getSession(connection, sessionId, { forUpdate = false } = {}) {
+    const [sessions] = await connection.execute(`
+        SELECT
+            ss.*,
+            br.code as branch_code,
+            br.name as branch_name,
+            CONCAT(su.first_name, ' ', su.last_name) as started_by_name,
+            CONCAT(cu.first_name, ' ', cu.last_name) as closed_by_name
+        FROM stocktake_sessions ss
+        JOIN branches br ON ss.branch_id = br.branch_id
+        LEFT JOIN users su ON ss.started_by = su.user_id
+        LEFT JOIN users cu ON ss.closed_by = cu.user_id
+        WHERE ss.session_id = ?
+        ${forUpdate ? 'FOR UPDATE OF ss' : ''}
+    `, [sessionId]);
+    return sessions.length > 0 ? sessions[0] : null;
+}
+
+// The 400/404/409 response for a session that cannot be changed, or null if it is open
+function closedSessionError(session, sessionId) {
+    if (isNaN(sessionId)) {
+        return { status: 400, message: 'Invalid stocktake ID', code: 'INVALID_STOCKTAKE_ID' };
+    }
+    if (!session) {
+        return { status: 404, message: 'Stocktake not found', code: 'STOCKTAKE_NOT_FOUND' };
+    }
+    if (session.status !== 'open') {
+        return { status: 409, message: `Stocktake is ${session.status}`, code: 'STOCKTAKE_CLOSED' };
+    }
+    return null;
+}
+
+// GET /api/stocktakes - List stocktake sessions, newest first
+router.get('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { status, branch, page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        const whereConditions = [];
+        const params = [];
+
+        if (status) {
+            if (!STOCKTAKE_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    error: {
+                        message: `Status must be one of: ${STOCKTAKE_STATUSES.join(', ')}`,
+                        code: 'INVALID_STATUS'
+                    }
+                });
+            }
+            whereConditions.push('ss.status = ?');
+            params.push(status);
+        }
+
+        if (branch) {
+            const found = await findBranch(connection, branch);
+            if (!found) {
+                return res.status(404).json({
+                    error: {
+                        message: 'Branch not found',
+                        code: 'BRANCH_NOT_FOUND'
+                    }
+                });
+            }
+            whereConditions.push('ss.branch_id = ?');
+            params.push(found.branch_id);
+        }
+
+        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM stocktake_sessions ss ${whereClause}`,
+            params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        const [sessions] = await connection.execute(`
+            SELECT
+                ss.session_id,
+                ss.name,
+                ss.status,
+                ss.branch_id,
+                br.code as branch_code,
+                br.name as branch_name,
+                ss.started_at,
+                ss.closed_at,
+                CONCAT(su.first_name, ' ', su.last_name) as started_by_name,
+                (SELECT COUNT(*) FROM stocktake_scans s WHERE s.session_id = ss.session_id) as scan_count,
+                (SELECT COUNT(DISTINCT s.shelf_location) FROM stocktake_scans s WHERE s.session_id = ss.session_id) as shelf_count
+            FROM stocktake_sessions ss
+            JOIN branches br ON ss.branch_id = br.branch_id
+            LEFT JOIN users su ON ss.started_by = su.user_id
+            ${whereClause}
+            ORDER BY ss.started_at DESC, ss.session_id DESC
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, params);
+
+        res.json({
+            stocktakes: sessions.map(session => ({
+                ...session,
+                scan_count: parseInt(session.scan_count),
+                shelf_count: parseInt(session.shelf_count)
+            })),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Stocktakes fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch stocktakes',
+                code: 'STOCKTAKES_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/stocktakes - Start a stocktake of a branch
+router.post('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { branch_id, name, notes } = req.body;
+
+        const branch = branch_id !== undefined && branch_id !== null && branch_id !== ''
+            ? await findBranch(connection, branch_id)
+            : null;
+
+        if (!branch || !branch.is_active) {
+            return res.status(400).json({
+                error: {
+                    message: 'An active branch is required',
+                    code: 'INVALID_BRANCH_ID'
+                }
+            });
+        }
+
+        const sessionName = name && String(name).trim()
+            ? String(name).trim()
+            : `${branch.name} stocktake ${new Date().toISOString().slice(0, 10)}`;
+
+        if (sessionName.length > 100) {
+            return res.status(400).json({
+                error: {
+                    message: 'Stocktake name cannot be longer than 100 characters',
+                    code: 'INVALID_NAME'
+                }
+            });
+        }
+
+        // One stocktake per branch at a time, so adjustments cannot overlap
+        const [open] = await connection.execute(
+            "SELECT session_id FROM stocktake_sessions WHERE branch_id = ? AND status = 'open'",
+            [branch.branch_id]
+        );
+
+        if (open.length > 0) {
+            return res.status(409).json({
+                error: {
+                    message: `Stocktake #${open[0].session_id} is already open for this branch`,
+                    code: 'STOCKTAKE_IN_PROGRESS'
+                }
+            });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO stocktake_sessions (branch_id, name, notes, started_by) VALUES (?, ?, ?, ?)',
+            [branch.branch_id, sessionName, notes && String(notes).trim() ? String(notes).trim() : null, req.user.user_id]
+        );
+
+        res.status(201).json({
+            message: 'Stocktake started',
+            stocktake: await getSession(connection, result.insertId)
+        });
+
+    } catch (error) {
+        console.error('Stocktake create error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to start stocktake',
+                code: 'STOCKTAKE_CREATE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/stocktakes/:id - A session with its discrepancy report
+router.get('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const sessionId = parseInt(req.params.id);
+
+        if (isNaN(sessionId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid stocktake ID',
+                    code: 'INVALID_STOCKTAKE_ID'
+                }
+            });
+        }
+
+        const session = await getSession(connection, sessionId);
+
+        if (!session) {
+            return res.status(404).json({
+                error: {
+                    message: 'Stocktake not found',
+                    code: 'STOCKTAKE_NOT_FOUND'
+                }
+            });
+        }
+
+        res.json({
+            stocktake: session,
+            report: await buildStocktakeReport(connection, session)
+        });
+
+    } catch (error) {
+        console.error('Stocktake fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch stocktake',
+                code: 'STOCKTAKE_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/stocktakes/:id/scans - Scans in a session, optionally for one shelf
+router.get('/:id/scans', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const sessionId = parseInt(req.params.id);
+        const { shelf } = req.query;
+
+        if (isNaN(sessionId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid stocktake ID',
+                    code: 'INVALID_STOCKTAKE_ID'
+                }
+            });
+        }
+
+        const params = [sessionId];
+        let shelfCondition = '';
+        if (shelf && cleanShelf(shelf)) {
+            shelfCondition = 'AND s.shelf_location = ?';
+            params.push(cleanShelf(shelf));
+        }
+
+        const [scans] = await connection.execute(`
+            SELECT s.scan_id, s.shelf_location, s.code, s.code_type, s.item_id, s.book_id, b.title, s.scanned_at,
+                   CONCAT(u.first_name, ' ', u.last_name) as scanned_by_name
+            FROM stocktake_scans s
+            LEFT JOIN books b ON s.book_id = b.book_id
+            LEFT JOIN users u ON s.scanned_by = u.user_id
+            WHERE s.session_id = ? ${shelfCondition}
+            ORDER BY s.shelf_location, s.scan_id
+        `, params);
+
+        res.json({ scans });
+
+    } catch (error) {
+        console.error('Stocktake scans fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch stocktake scans',
+                code: 'STOCKTAKE_SCANS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/stocktakes/:id/scans - Record the codes scanned on a shelf.
+// With replace, the shelf's earlier scans are discarded first (re-scanning it).
+router.post('/:id/scans', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const sessionId = parseInt(req.params.id);
+        const { shelf_location, codes, replace = false } = req.body;
+        const shelf = cleanShelf(shelf_location);
+
+        const sessionError = closedSessionError(isNaN(sessionId) ? null : await getSession(connection, sessionId), sessionId);
+        if (sessionError) {
+            return res.status(sessionError.status).json({
+                error: {
+                    message: sessionError.message,
+                    code: sessionError.code
+                }
+            });
+        }
+
+        if (!shelf || shelf.length > 100) {
+            return res.status(400).json({
+                error: {
+                    message: 'A shelf location of up to 100 characters is required',
+                    code: 'INVALID_SHELF_LOCATION'
+                }
+            });
+        }
+
+        const codeList = (Array.isArray(codes) ? codes : [codes])
+            .filter(code => code !== undefined && code !== null)
+            .map(code => String(code).trim())
+            .filter(code => code !== '');
+
+        if (codeList.length === 0 && !replace) {
+            return res.status(400).json({
+                error: {
+                    message: 'At least one scanned code is required',
+                    code: 'NO_CODES'
+                }
+            });
+        }
+
+        if (codeList.length > MAX_SCANS_PER_REQUEST || codeList.some(code => code.length > 50)) {
+            return res.status(400).json({
+                error: {
+                    message: `Send at most ${MAX_SCANS_PER_REQUEST} codes of up to 50 characters at a time`,
+                    code: 'INVALID_CODES'
+                }
+            });
+        }
+
+        const classified = [];
+        await connection.beginTransaction();
+
+        try {
+            if (replace) {
+                await connection.execute(
+                    'DELETE FROM stocktake_scans WHERE session_id = ? AND shelf_location = ?',
+                    [sessionId, shelf]
+                );
+            }
+
+            for (const code of codeList) {
+                const scan = await classifyCode(connection, code);
+
+                // A barcode is one copy: scanning it again (here or on another shelf) moves it
+                if (scan.code_type === 'barcode') {
+                    await connection.execute(
+                        "DELETE FROM stocktake_scans WHERE session_id = ? AND code_type = 'barcode' AND code = ?",
+                        [sessionId, scan.code]
+                    );
+                }
+
+                const [result] = await connection.execute(
+                    'INSERT INTO stocktake_scans (session_id, shelf_location, code, code_type, item_id, book_id, scanned_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [sessionId, shelf, scan.code, scan.code_type, scan.item_id, scan.book_id, req.user.user_id]
+                );
+                classified.push({ scan_id: result.insertId, ...scan, matched: scan.book_id !== null });
+            }
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        const session = await getSession(connection, sessionId);
+        const report = await buildStocktakeReport(connection, session);
+
+        res.status(201).json({
+            message: `${classified.length} scan(s) recorded on ${shelf}`,
+            scans: classified,
+            shelf: report.shelves.find(entry => shelfKey(entry.shelf_location) === shelfKey(shelf)) || null,
+            summary: report.summary
+        });
+
+    } catch (error) {
+        console.error('Stocktake scan error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to record scans',
+                code: 'STOCKTAKE_SCAN_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/stocktakes/:id/scans/:scanId - Remove a mistaken scan
+router.delete('/:id/scans/:scanId', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const sessionId = parseInt(req.params.id);
+        const scanId = parseInt(req.params.scanId);
+
+        const sessionError = closedSessionError(isNaN(sessionId) ? null : await getSession(connection, sessionId), sessionId);
+        if (sessionError) {
+            return res.status(sessionError.status).json({
+                error: {
+                    message: sessionError.message,
+                    code: sessionError.code
+                }
+            });
+        }
+
+        const [result] = await connection.execute(
+            'DELETE FROM stocktake_scans WHERE scan_id = ? AND session_id = ?',
+            [isNaN(scanId) ? 0 : scanId, sessionId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Scan not found',
+                    code: 'SCAN_NOT_FOUND'
+                }
+            });
+        }
+
+        res.json({ message: 'Scan removed' });
+
+    } catch (error) {
+        console.error('Stocktake scan delete error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to remove scan',
+                code: 'STOCKTAKE_SCAN_DELETE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/stocktakes/:id/adjust - Bring the inventory in line with the report:
+//   missing   copies not found are taken out of stock as lost
+//   found     lost/withdrawn copies found on the shelf go back into circulation
+//             (a lost loan is reversed and its replacement charge refunded)
+//   relocate  misplaced copies get the branch and shelf they were found on
+//   surplus   new copies are added for ISBN scans beyond the copies on record
+// `apply` picks which to run (default: all but surplus). Every change is logged.
+router.post('/:id/adjust', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const sessionId = parseInt(req.params.id);
+        const apply = req.body.apply === undefined
+            ? DEFAULT_STOCKTAKE_ADJUSTMENTS
+            : (Array.isArray(req.body.apply) ? req.body.apply : [req.body.apply]);
+
+        if (apply.length === 0 || apply.some(adjustment => !STOCKTAKE_ADJUSTMENTS.includes(adjustment))) {
+            return res.status(400).json({
+                error: {
+                    message: `apply must list one or more of: ${STOCKTAKE_ADJUSTMENTS.join(', ')}`,
+                    code: 'INVALID_ADJUSTMENTS'
+                }
+            });
+        }
+
+        const applied = { missing: 0, found: 0, losses_reversed: 0, relocated: 0, surplus: 0 };
+        const skipped = [];
+        await connection.beginTransaction();
+
+        try {
+            const session = isNaN(sessionId) ? null : await getSession(connection, sessionId, { forUpdate: true });
+            const sessionError = closedSessionError(session, sessionId);
+            if (sessionError) {
+                await connection.rollback();
+                return res.status(sessionError.status).json({
+                    error: {
+                        message: sessionError.message,
+                        code: sessionError.code
+                    }
+                });
+            }
+
+            const report = await buildStocktakeReport(connection, session);
+            const logChange = (bookId, description, oldValues, newValues) => connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'update_inventory', 'book', bookId, `Stocktake #${sessionId}: ${description}`,
+                 JSON.stringify(oldValues), JSON.stringify(newValues)]
+            );
+            const bookCounts = async (bookId) => {
+                const [books] = await connection.execute(
+                    'SELECT total_copies, available_copies FROM books WHERE book_id = ?',
+                    [bookId]
+                );
+                return books[0];
+            };
+
+            if (apply.includes('found')) {
+                for (const entry of report.unexpected.filter(item => item.type === 'status' && item.recoverable)) {
+                    await connection.execute(
+                        'UPDATE book_items SET branch_id = ?, shelf_location = ? WHERE item_id = ?',
+                        [session.branch_id, entry.shelf_location, entry.item_id]
+                    );
+
+                    // A lost loan is reversed the same way as at the desk: refund and close the loan
+                    if (entry.lost_checkout_id) {
+                        const loan = await lockLostLoan(connection, entry.lost_checkout_id);
+                        if (loan && REVERSIBLE_LOSSES.includes(loan.loss_status)) {
+                            await reverseLoss(connection, req.user.user_id, loan, {
+                                description: `Stocktake #${sessionId}: Item ${entry.barcode} found on ${entry.shelf_location}. Checkout ID: ${loan.checkout_id}, Reversed: ${loan.loss_status}`
+                            });
+                            applied.found++;
+                            applied.losses_reversed++;
+                            continue;
+                        }
+                    }
+
+                    const restored = await restoreItem(connection, entry.book_id, entry.item_id);
+                    if (!restored.restored) {
+                        skipped.push({ item_id: entry.item_id, barcode: entry.barcode, reason: 'Item is no longer out of stock' });
+                        continue;
+                    }
+                    await logChange(entry.book_id, `Item ${entry.barcode} found on ${entry.shelf_location}`,
+                        { item_id: entry.item_id, status: entry.item_status },
+                        { item_id: entry.item_id, status: restored.allocated_hold ? 'on_hold' : 'available', branch_id: session.branch_id, shelf_location: entry.shelf_location });
+                    applied.found++;
+                }
+                skipped.push(...report.unexpected
+                    .filter(item => item.type === 'status' && !item.recoverable)
+                    .map(item => ({ item_id: item.item_id, barcode: item.barcode, reason: `Item is ${item.item_status.replace('_', ' ')}${item.checkout_id ? ` (checkout #${item.checkout_id})` : ''}` })));
+            }
+
+            if (apply.includes('relocate')) {
+                for (const entry of report.misplaced) {
+                    await connection.execute(
+                        'UPDATE book_items SET branch_id = ?, shelf_location = ? WHERE item_id = ?',
+                        [session.branch_id, entry.shelf_location, entry.item_id]
+                    );
+                    await logChange(entry.book_id, `Item ${entry.barcode} relocated to ${entry.shelf_location}`,
+                        { item_id: entry.item_id, branch_id: entry.recorded_branch ? entry.recorded_branch.branch_id : null, shelf_location: entry.recorded_shelf_location },
+                        { item_id: entry.item_id, branch_id: session.branch_id, shelf_location: entry.shelf_location });
+                    applied.relocated++;
+                }
+            }
+
+            if (apply.includes('missing')) {
+                const missingByBook = new Map();
+                for (const entry of report.missing) {
+                    missingByBook.set(entry.book_id, [...(missingByBook.get(entry.book_id) || []), entry.item_id]);
+                }
+
+                for (const [bookId, itemIds] of missingByBook) {
+                    const before = await bookCounts(bookId);
+                    const change = await updateInventory(connection, bookId, before.total_copies - itemIds.length, {
+                        withdrawFirst: itemIds,
+                        withdrawnStatus: 'lost'
+                    });
+                    if (change.error) {
+                        skipped.push({ book_id: bookId, reason: change.error });
+                        continue;
+                    }
+                    const after = await bookCounts(bookId);
+                    await logChange(bookId, `${itemIds.length} missing cop${itemIds.length === 1 ? 'y' : 'ies'} marked lost`,
+                        before, { ...after, withdrawn_item_ids: change.withdrawn_item_ids });
+                    applied.missing += change.withdrawn_item_ids.length;
+                }
+            }
+
+            if (apply.includes('surplus')) {
+                for (const entry of report.unexpected.filter(item => item.type === 'surplus')) {
+                    const before = await bookCounts(entry.book_id);
+                    const change = await updateInventory(connection, entry.book_id, before.total_copies + entry.copies, {
+                        newItems: { branchId: session.branch_id, shelfLocation: entry.shelf_location }
+                    });
+                    const after = await bookCounts(entry.book_id);
+                    await logChange(entry.book_id, `${entry.copies} uncatalogued cop${entry.copies === 1 ? 'y' : 'ies'} added from ${entry.shelf_location}`,
+                        before, { ...after, added_item_ids: change.added_item_ids });
+                    applied.surplus += change.added_item_ids.length;
+                }
+            }
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        const session = await getSession(connection, sessionId);
+
+        res.json({
+            message: 'Stocktake adjustments applied',
+            applied,
+            skipped,
+            report: await buildStocktakeReport(connection, session)
+        });
+
+    } catch (error) {
+        console.error('Stocktake adjust error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to apply stocktake adjustments',
+                code: 'STOCKTAKE_ADJUST_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// Close an open session as completed or cancelled
+async function closeSession(req, res, status) {
+    const connection = await getMySQLConnection();
+
+    try {
+        const sessionId = parseInt(req.params.id);
+
+        const sessionError = closedSessionError(isNaN(sessionId) ? null : await getSession(connection, sessionId), sessionId);
+        if (sessionError) {
+            return res.status(sessionError.status).json({
+                error: {
+                    message: sessionError.message,
+                    code: sessionError.code
+                }
+            });
+        }
+
+        await connection.execute(
+            "UPDATE stocktake_sessions SET status = ?, closed_by = ?, closed_at = NOW() WHERE session_id = ? AND status = 'open'",
+            [status, req.user.user_id, sessionId]
+        );
+
+        const session = await getSession(connection, sessionId);
+
+        res.json({
+            message: `Stocktake ${status}`,
+            stocktake: session,
+            report: status === 'completed' ? await buildStocktakeReport(connection, session) : undefined
+        });
+
+    } catch (error) {
+        console.error('Stocktake close error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to close stocktake',
+                code: 'STOCKTAKE_CLOSE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+}
+
+// POST /api/stocktakes/:id/complete - Finish a stocktake (the report stays available)
+router.post('/:id/complete', authenticate, requireStaff, (req, res) => closeSession(req, res, 'completed'));
+
+// POST /api/stocktakes/:id/cancel - Abandon a stocktake
+router.post('/:id/cancel', authenticate, requireStaff, (req, res) => closeSession(req, res, 'cancelled'));
+
+module.exports = router;
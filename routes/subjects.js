@@ -0,0 +1,630 @@
+// Smart Library Platform - Subjects Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff, optionalAuth } = require('../middleware/auth');
+const { invalidateIndex } = require('../utils/autocomplete');
+const {
+    subjectFilter,
+    loadTaxonomy,
+    buildTree,
+    ancestorsOf,
+    wouldCreateCycle,
+    findSubject
+} = require('../utils/subjects');
+
+const router = express.Router();
+
+// Validate subject fields from a request body.
+// Returns { values } with only the fields that were sent, or { error }.
+function readSubjectFields(body, requireName) {
+    const values = {};
+
+    if (body.name !== undefined) {
+        values.name = String(body.name || '').trim();
+    }
+    if (body.description !== undefined) {
+        values.description = body.description === null || String(body.description).trim() === ''
+            ? null
+            : String(body.description).trim();
+    }
+    if (body.parent_id !== undefined) {
+        values.parent_id = body.parent_id === null || body.parent_id === '' ? null : parseInt(body.parent_id);
+        if (Number.isNaN(values.parent_id)) {
+            return { error: 'Invalid parent subject ID' };
+        }
+    }
+
+    if ((requireName || 'name' in values) && !values.name) {
+        return { error: 'Subject name is required' };
+    }
+    // Subject names double as books.genre
+    if (values.name && values.name.length > 50) {
+        return { error: 'Subject name cannot be longer than 50 characters' };
+    }
+
+    return { values };
+}
+
+// The subject already using a name as its name or an alias, or null
+function nameTaken(taxonomy, name, exceptSubjectId = null) {
+    const text = name.toLowerCase();
+    return taxonomy.find(subject => subject.subject_id !== exceptSubjectId
+        && (subject.name.toLowerCase() === text || subject.aliases.some(alias => alias.alias.toLowerCase() === text))) || null;
+}
+
+// GET /api/subjects - The subject tree with book counts and aliases
+// Query: flat=true for a flat list in tree order (with depth)
+router.get('/', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const taxonomy = await loadTaxonomy(connection);
+
+        res.json({
+            subjects: req.query.flat === 'true' ? taxonomy : buildTree(taxonomy),
+            total_subjects: taxonomy.length
+        });
+
+    } catch (error) {
+        console.error('Subjects fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch subjects',
+                code: 'SUBJECTS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/subjects/:id - Browse a subject: its place in the tree and its
+// books, including those filed under narrower subjects. The subject may be
+// given by ID, name or alias.
+router.get('/:id', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        const taxonomy = await loadTaxonomy(connection);
+        const subject = findSubject(taxonomy, req.params.id);
+
+        if (!subject) {
+            return res.status(404).json({
+                error: {
+                    message: 'Subject not found',
+                    code: 'SUBJECT_NOT_FOUND'
+                }
+            });
+        }
+
+        const filter = subjectFilter(subject.name);
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM books b WHERE b.is_active = TRUE AND ${filter.sql}`,
+            filter.params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        const [books] = await connection.execute(`
+            SELECT
+                b.book_id,
+                b.title,
+                b.genre,
+                b.cover_image_url,
+                b.average_rating,
+                b.available_copies,
+                b.total_copies,
+                GROUP_CONCAT(
+                    CONCAT(a.first_name, ' ', a.last_name)
+                    ORDER BY ba.author_order
+                    SEPARATOR ', '
+                ) as authors
+            FROM books b
+            LEFT JOIN book_authors ba ON b.book_id = ba.book_id
+            LEFT JOIN authors a ON ba.author_id = a.author_id
+            WHERE b.is_active = TRUE AND ${filter.sql}
+            GROUP BY b.book_id
+            ORDER BY b.title ASC
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, filter.params);
+
+        const { depth, ...details } = subject;
+
+        res.json({
+            subject: details,
+            ancestors: ancestorsOf(taxonomy, subject.subject_id),
+            children: taxonomy
+                .filter(child => child.parent_id === subject.subject_id)
+                .map(child => ({ subject_id: child.subject_id, name: child.name, book_count: child.book_count })),
+            books: books.map(book => ({
+                ...book,
+                authors: book.authors ? book.authors.split(', ') : [],
+                is_available: book.available_copies > 0
+            })),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Subject details error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch subject details',
+                code: 'SUBJECT_DETAILS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/subjects - Create a subject
+// Body: { name, parent_id?, description?, aliases?: [..] }
+router.post('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { values, error } = readSubjectFields(req.body, true);
+        const aliases = [...new Set((Array.isArray(req.body.aliases) ? req.body.aliases : [])
+            .map(alias => String(alias || '').trim())
+            .filter(alias => alias && alias.toLowerCase() !== String(values && values.name).toLowerCase()))];
+
+        if (error || aliases.some(alias => alias.length > 50)) {
+            return res.status(400).json({
+                error: {
+                    message: error || 'Aliases cannot be longer than 50 characters',
+                    code: 'INVALID_SUBJECT'
+                }
+            });
+        }
+
+        const taxonomy = await loadTaxonomy(connection);
+
+        for (const name of [values.name, ...aliases]) {
+            const existing = nameTaken(taxonomy, name);
+            if (existing) {
+                return res.status(409).json({
+                    error: {
+                        message: `"${name}" is already used by the subject ${existing.name}`,
+                        code: 'DUPLICATE_SUBJECT',
+                        subject_id: existing.subject_id
+                    }
+                });
+            }
+        }
+
+        if (values.parent_id && !taxonomy.some(subject => subject.subject_id === values.parent_id)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Parent subject not found',
+                    code: 'INVALID_PARENT_SUBJECT'
+                }
+            });
+        }
+
+        let subjectId;
+        await connection.beginTransaction();
+
+        try {
+            const [result] = await connection.execute(
+                'INSERT INTO subjects (name, parent_id, description) VALUES (?, ?, ?)',
+                [values.name, values.parent_id || null, values.description || null]
+            );
+            subjectId = result.insertId;
+
+            for (const alias of aliases) {
+                await connection.execute(
+                    'INSERT INTO subject_aliases (subject_id, alias) VALUES (?, ?)',
+                    [subjectId, alias]
+                );
+            }
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, new_values) VALUES (?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'system_config', 'system', subjectId, `Subject created: ${values.name}`,
+                 JSON.stringify({ ...values, aliases })]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        const [subjects] = await connection.execute('SELECT * FROM subjects WHERE subject_id = ?', [subjectId]);
+
+        res.status(201).json({
+            message: 'Subject created successfully',
+            subject: { ...subjects[0], aliases }
+        });
+
+    } catch (error) {
+        console.error('Create subject error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to create subject',
+                code: 'CREATE_SUBJECT_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/subjects/:id - Rename, describe or move a subject in the tree
+// Renaming also renames the genre of books filed under it as their primary subject.
+router.put('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const subjectId = parseInt(req.params.id);
+
+        if (isNaN(subjectId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid subject ID',
+                    code: 'INVALID_SUBJECT_ID'
+                }
+            });
+        }
+
+        const { values, error } = readSubjectFields(req.body, false);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_SUBJECT'
+                }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'No fields to update',
+                    code: 'NO_UPDATES'
+                }
+            });
+        }
+
+        const taxonomy = await loadTaxonomy(connection);
+        const subject = taxonomy.find(item => item.subject_id === subjectId);
+
+        if (!subject) {
+            return res.status(404).json({
+                error: {
+                    message: 'Subject not found',
+                    code: 'SUBJECT_NOT_FOUND'
+                }
+            });
+        }
+
+        if (values.name) {
+            const existing = nameTaken(taxonomy, values.name, subjectId);
+            if (existing) {
+                return res.status(409).json({
+                    error: {
+                        message: `"${values.name}" is already used by the subject ${existing.name}`,
+                        code: 'DUPLICATE_SUBJECT',
+                        subject_id: existing.subject_id
+                    }
+                });
+            }
+        }
+
+        if (values.parent_id !== undefined && values.parent_id !== null) {
+            if (!taxonomy.some(item => item.subject_id === values.parent_id)) {
+                return res.status(400).json({
+                    error: {
+                        message: 'Parent subject not found',
+                        code: 'INVALID_PARENT_SUBJECT'
+                    }
+                });
+            }
+            if (wouldCreateCycle(taxonomy, subjectId, values.parent_id)) {
+                return res.status(400).json({
+                    error: {
+                        message: 'A subject cannot be placed under itself or one of its narrower subjects',
+                        code: 'SUBJECT_CYCLE'
+                    }
+                });
+            }
+        }
+
+        const oldValues = {};
+        for (const field of Object.keys(values)) {
+            oldValues[field] = subject[field];
+        }
+        const renamed = values.name !== undefined && values.name !== subject.name;
+
+        await connection.beginTransaction();
+
+        try {
+            await connection.execute(
+                `UPDATE subjects SET ${Object.keys(values).map(field => `${field} = ?`).join(', ')} WHERE subject_id = ?`,
+                [...Object.values(values), subjectId]
+            );
+
+            if (renamed) {
+                // Listed first: the genre trigger writes to book_subjects, which an
+                // UPDATE joining book_subjects could not do
+                const [primaryBooks] = await connection.execute(
+                    'SELECT book_id FROM book_subjects WHERE subject_id = ? AND is_primary = TRUE',
+                    [subjectId]
+                );
+                if (primaryBooks.length > 0) {
+                    await connection.execute(
+                        `UPDATE books SET genre = ? WHERE book_id IN (${primaryBooks.map(() => '?').join(', ')})`,
+                        [values.name, ...primaryBooks.map(book => book.book_id)]
+                    );
+                }
+            }
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'system_config', 'system', subjectId, `Subject updated: ${values.name || subject.name}`,
+                 JSON.stringify(oldValues), JSON.stringify(values)]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        if (renamed) {
+            invalidateIndex();
+        }
+
+        const [updated] = await connection.execute('SELECT * FROM subjects WHERE subject_id = ?', [subjectId]);
+
+        res.json({
+            message: 'Subject updated successfully',
+            subject: updated[0]
+        });
+
+    } catch (error) {
+        console.error('Update subject error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update subject',
+                code: 'UPDATE_SUBJECT_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/subjects/:id - Delete a subject
+// Narrower subjects move up to its parent. Books filed under it must be moved
+// to another subject with ?reassign_to=<id>; otherwise the delete is refused.
+router.delete('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const subjectId = parseInt(req.params.id);
+        const reassignTo = req.query.reassign_to !== undefined ? parseInt(req.query.reassign_to) : null;
+
+        if (isNaN(subjectId) || Number.isNaN(reassignTo) || reassignTo === subjectId) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid subject ID',
+                    code: 'INVALID_SUBJECT_ID'
+                }
+            });
+        }
+
+        const taxonomy = await loadTaxonomy(connection);
+        const subject = taxonomy.find(item => item.subject_id === subjectId);
+        const target = reassignTo !== null ? taxonomy.find(item => item.subject_id === reassignTo) : null;
+
+        if (!subject || (reassignTo !== null && !target)) {
+            return res.status(404).json({
+                error: {
+                    message: subject ? 'Subject to reassign books to not found' : 'Subject not found',
+                    code: 'SUBJECT_NOT_FOUND'
+                }
+            });
+        }
+
+        // Retired books count too: the cascade would silently unfile them
+        const [filed] = await connection.execute(
+            'SELECT book_id, is_primary FROM book_subjects WHERE subject_id = ?',
+            [subjectId]
+        );
+
+        if (filed.length > 0 && !target) {
+            return res.status(409).json({
+                error: {
+                    message: `${filed.length} book(s) are filed under this subject; pass reassign_to to move them`,
+                    code: 'SUBJECT_HAS_BOOKS',
+                    book_count: filed.length
+                }
+            });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            await connection.execute(
+                'UPDATE subjects SET parent_id = ? WHERE parent_id = ?',
+                [subject.parent_id, subjectId]
+            );
+
+            if (target && filed.length > 0) {
+                await connection.execute(`
+                    INSERT IGNORE INTO book_subjects (book_id, subject_id, is_primary)
+                    SELECT book_id, ?, FALSE FROM book_subjects WHERE subject_id = ?
+                `, [target.subject_id, subjectId]);
+
+                // The genre trigger makes the target the primary subject of these books
+                const primaryIds = filed.filter(book => book.is_primary).map(book => book.book_id);
+                if (primaryIds.length > 0) {
+                    await connection.execute(
+                        `UPDATE books SET genre = ? WHERE book_id IN (${primaryIds.map(() => '?').join(', ')})`,
+                        [target.name, ...primaryIds]
+                    );
+                }
+            }
+
+            await connection.execute('DELETE FROM subjects WHERE subject_id = ?', [subjectId]);
+
+            await connection.execute(
+                'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.user_id, 'system_config', 'system', subjectId, `Subject deleted: ${subject.name}`,
+                 JSON.stringify({ name: subject.name, parent_id: subject.parent_id, description: subject.description,
+                                  aliases: subject.aliases.map(alias => alias.alias) }),
+                 JSON.stringify({ reassigned_to: target ? target.subject_id : null, book_count: filed.length })]
+            );
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        if (filed.length > 0) {
+            invalidateIndex();
+        }
+
+        res.json({
+            message: 'Subject deleted successfully',
+            books_reassigned: filed.length
+        });
+
+    } catch (error) {
+        console.error('Delete subject error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to delete subject',
+                code: 'DELETE_SUBJECT_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/subjects/:id/aliases - Add an alias to a subject
+router.post('/:id/aliases', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const subjectId = parseInt(req.params.id);
+        const alias = String(req.body.alias || '').trim();
+
+        if (isNaN(subjectId) || !alias || alias.length > 50) {
+            return res.status(400).json({
+                error: {
+                    message: isNaN(subjectId) ? 'Invalid subject ID' : 'Alias must be 1 to 50 characters',
+                    code: 'INVALID_ALIAS'
+                }
+            });
+        }
+
+        const taxonomy = await loadTaxonomy(connection);
+        const subject = taxonomy.find(item => item.subject_id === subjectId);
+
+        if (!subject) {
+            return res.status(404).json({
+                error: {
+                    message: 'Subject not found',
+                    code: 'SUBJECT_NOT_FOUND'
+                }
+            });
+        }
+
+        const existing = nameTaken(taxonomy, alias);
+        if (existing) {
+            return res.status(409).json({
+                error: {
+                    message: `"${alias}" is already used by the subject ${existing.name}`,
+                    code: 'DUPLICATE_SUBJECT',
+                    subject_id: existing.subject_id
+                }
+            });
+        }
+
+        const [result] = await connection.execute(
+            'INSERT INTO subject_aliases (subject_id, alias) VALUES (?, ?)',
+            [subjectId, alias]
+        );
+
+        res.status(201).json({
+            message: 'Alias added successfully',
+            alias: { alias_id: result.insertId, subject_id: subjectId, alias }
+        });
+
+    } catch (error) {
+        console.error('Add subject alias error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to add alias',
+                code: 'ADD_ALIAS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/subjects/:id/aliases/:aliasId - Remove an alias
+router.delete('/:id/aliases/:aliasId', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const subjectId = parseInt(req.params.id);
+        const aliasId = parseInt(req.params.aliasId);
+
+        if (isNaN(subjectId) || isNaN(aliasId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid subject or alias ID',
+                    code: 'INVALID_ID'
+                }
+            });
+        }
+
+        const [result] = await connection.execute(
+            'DELETE FROM subject_aliases WHERE alias_id = ? AND subject_id = ?',
+            [aliasId, subjectId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Alias not found',
+                    code: 'ALIAS_NOT_FOUND'
+                }
+            });
+        }
+
+        res.json({
+            message: 'Alias removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Remove subject alias error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to remove alias',
+                code: 'REMOVE_ALIAS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
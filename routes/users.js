@@ -2,6 +2,9 @@
 const express = require('express');
 const { getMySQLConnection } = require('../config/database');
 const { authenticate, verifyOwnership } = require('../middleware/auth');
+const { getFineBalance } = require('../utils/fines');
+const { INBOX_TYPES, getUnreadCount } = require('../utils/inbox');
+const { subjectFilter } = require('../utils/subjects');
 
 const router = express.Router();
 
@@ -12,7 +15,7 @@ router.get('/profile', authenticate, async (req, res) => {
     try {
         const [users] = await connection.execute(
             `SELECT user_id, username, email, first_name, last_name, phone, address, 
-                    user_type, registration_date, is_active 
+                    user_type, library_card_number, registration_date, is_active 
              FROM users WHERE user_id = ?`,
             [req.user.user_id]
         );
@@ -306,6 +309,159 @@ router.get('/:id/reviews', authenticate, verifyOwnership('id'), async (req, res)
     }
 });
 
+// GET /api/users/:id/notifications - Get user's in-app notifications, newest first
+router.get('/:id/notifications', authenticate, verifyOwnership('id'), async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const userId = parseInt(req.params.id);
+        const { status = 'all', type, page = 1, limit = 20 } = req.query;
+        const offset = (parseInt(page) - 1) * parseInt(limit);
+        
+        if (isNaN(userId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid user ID',
+                    code: 'INVALID_USER_ID'
+                }
+            });
+        }
+        
+        const conditions = ['n.user_id = ?'];
+        const params = [userId];
+        
+        if (status === 'unread') {
+            conditions.push('n.is_read = FALSE');
+        } else if (status === 'read') {
+            conditions.push('n.is_read = TRUE');
+        }
+        if (type && INBOX_TYPES.includes(type)) {
+            conditions.push('n.notification_type = ?');
+            params.push(type);
+        }
+        
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+        
+        const [notifications] = await connection.execute(`
+            SELECT 
+                n.notification_id,
+                n.notification_type,
+                n.title,
+                n.message,
+                n.checkout_id,
+                n.hold_id,
+                n.book_id,
+                n.is_read,
+                n.read_at,
+                n.created_at
+            FROM user_notifications n
+            ${whereClause}
+            ORDER BY n.created_at DESC, n.notification_id DESC
+            LIMIT ${parseInt(limit)} OFFSET ${offset}
+        `, params);
+        
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM user_notifications n ${whereClause}`,
+            params
+        );
+        
+        const total = parseInt(countResult[0].total);
+        
+        res.json({
+            notifications: notifications.map(notification => ({
+                ...notification,
+                is_read: Boolean(notification.is_read)
+            })),
+            unread_count: await getUnreadCount(connection, userId),
+            pagination: {
+                current_page: parseInt(page),
+                total_pages: Math.ceil(total / parseInt(limit)),
+                total_items: total,
+                items_per_page: parseInt(limit)
+            }
+        });
+        
+    } catch (error) {
+        console.error('User notifications fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch notifications',
+                code: 'NOTIFICATIONS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/users/:id/notifications - Mark notifications read or unread
+// Body: { notification_ids: [..], is_read: true }; omit notification_ids to update all
+router.put('/:id/notifications', authenticate, verifyOwnership('id'), async (req, res) => {
+    const connection = await getMySQLConnection();
+    
+    try {
+        const userId = parseInt(req.params.id);
+        const { notification_ids, is_read = true } = req.body;
+        
+        if (isNaN(userId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid user ID',
+                    code: 'INVALID_USER_ID'
+                }
+            });
+        }
+        
+        if (typeof is_read !== 'boolean') {
+            return res.status(400).json({
+                error: {
+                    message: 'is_read must be true or false',
+                    code: 'INVALID_READ_STATE'
+                }
+            });
+        }
+        
+        let idCondition = '';
+        let ids = [];
+        if (notification_ids !== undefined) {
+            ids = Array.isArray(notification_ids) ? notification_ids.map(id => parseInt(id)) : [];
+            if (ids.length === 0 || ids.some(id => isNaN(id))) {
+                return res.status(400).json({
+                    error: {
+                        message: 'notification_ids must be a non-empty array of IDs',
+                        code: 'INVALID_NOTIFICATION_IDS'
+                    }
+                });
+            }
+            idCondition = `AND notification_id IN (${ids.map(() => '?').join(', ')})`;
+        }
+        
+        // Only rows whose state changes are touched, so read_at keeps the first read time
+        const [result] = await connection.execute(`
+            UPDATE user_notifications
+            SET is_read = ?, read_at = ${is_read ? 'NOW()' : 'NULL'}
+            WHERE user_id = ? AND is_read = ? ${idCondition}
+        `, [is_read, userId, !is_read, ...ids]);
+        
+        res.json({
+            message: is_read ? 'Notifications marked as read' : 'Notifications marked as unread',
+            updated: result.affectedRows,
+            unread_count: await getUnreadCount(connection, userId)
+        });
+        
+    } catch (error) {
+        console.error('User notifications update error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update notifications',
+                code: 'NOTIFICATIONS_UPDATE_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
 // GET /api/users/:id/reading-history - Get user's reading history
 router.get('/:id/reading-history', authenticate, verifyOwnership('id'), async (req, res) => {
     const connection = await getMySQLConnection();
@@ -333,8 +489,9 @@ router.get('/:id/reading-history', authenticate, verifyOwnership('id'), async (r
         }
         
         if (genre) {
-            whereConditions.push('b.genre = ?');
-            queryParams.push(genre);
+            const subject = subjectFilter(genre);
+            whereConditions.push(subject.sql);
+            queryParams.push(...subject.params);
         }
         
         const whereClause = whereConditions.join(' AND ');
@@ -576,7 +733,8 @@ router.get('/:id/dashboard', authenticate, verifyOwnership('id'), async (req, re
                 total_reviews: parseInt(userStats[0].total_reviews) || 0,
                 average_rating_given: parseFloat(userStats[0].average_rating_given) || 0,
                 late_returns: parseInt(userStats[0].late_returns) || 0,
-                total_late_fees: parseFloat(userStats[0].total_late_fees) || 0
+                total_late_fees: parseFloat(userStats[0].total_late_fees) || 0,
+                fine_balance: await getFineBalance(connection, userId)
             },
             yearly_progress: {
                 books_read_this_year: parseInt(yearlyProgress[0].books_read_this_year) || 0,
@@ -633,24 +791,33 @@ router.get('/:id/recommendations', authenticate, verifyOwnership('id'), async (r
             });
         }
         
-        // Get user's favorite genres based on reading history
-        const [favoriteGenres] = await connection.execute(`
-            SELECT b.genre, COUNT(*) as read_count
+        // Get user's favorite subjects based on reading history
+        const [favoriteSubjects] = await connection.execute(`
+            SELECT s.subject_id, s.name, COUNT(DISTINCT c.checkout_id) as read_count
             FROM checkouts c
-            JOIN books b ON c.book_id = b.book_id
-            WHERE c.user_id = ? AND b.genre IS NOT NULL
-            GROUP BY b.genre
-            ORDER BY read_count DESC
+            JOIN book_subjects bs ON c.book_id = bs.book_id
+            JOIN subjects s ON bs.subject_id = s.subject_id
+            WHERE c.user_id = ?
+            GROUP BY s.subject_id, s.name
+            ORDER BY read_count DESC, s.name ASC
             LIMIT 3
         `, [userId]);
         
-        // Get books the user hasn't read in their favorite genres
+        // Get books the user hasn't read in their favorite subjects (or narrower ones),
+        // books matching several favorites first
         let recommendations = [];
         
-        if (favoriteGenres.length > 0) {
-            const genreList = favoriteGenres.map(g => `'${g.genre}'`).join(',');
+        if (favoriteSubjects.length > 0) {
+            const subjectIds = favoriteSubjects.map(subject => subject.subject_id);
             
             const [genreRecommendations] = await connection.execute(`
+                WITH RECURSIVE favorite_tree AS (
+                    SELECT subject_id, subject_id as favorite_id FROM subjects
+                    WHERE subject_id IN (${subjectIds.map(() => '?').join(',')})
+                    UNION ALL
+                    SELECT child.subject_id, ft.favorite_id FROM subjects child
+                    JOIN favorite_tree ft ON child.parent_id = ft.subject_id
+                )
                 SELECT 
                     b.book_id,
                     b.title,
@@ -660,26 +827,33 @@ router.get('/:id/recommendations', authenticate, verifyOwnership('id'), async (r
                     b.cover_image_url,
                     b.description,
                     GROUP_CONCAT(
-                        CONCAT(a.first_name, ' ', a.last_name) 
+                        DISTINCT CONCAT(a.first_name, ' ', a.last_name) 
                         ORDER BY ba.author_order 
                         SEPARATOR ', '
                     ) as authors,
+                    GROUP_CONCAT(DISTINCT fs.name ORDER BY fs.name SEPARATOR ', ') as matched_subjects,
+                    COUNT(DISTINCT ft.favorite_id) as matched_count,
                     'favorite_genre' as recommendation_reason
                 FROM books b
+                JOIN book_subjects bs ON b.book_id = bs.book_id
+                JOIN favorite_tree ft ON bs.subject_id = ft.subject_id
+                JOIN subjects fs ON ft.favorite_id = fs.subject_id
                 LEFT JOIN book_authors ba ON b.book_id = ba.book_id
                 LEFT JOIN authors a ON ba.author_id = a.author_id
-                WHERE b.genre IN (${genreList})
-                AND b.is_active = TRUE
+                WHERE b.is_active = TRUE
                 AND b.available_copies > 0
                 AND b.book_id NOT IN (
                     SELECT book_id FROM checkouts WHERE user_id = ?
                 )
                 GROUP BY b.book_id
-                ORDER BY b.average_rating DESC, b.total_reviews DESC
-                LIMIT ?
-            `, [userId, Math.ceil(parseInt(limit) * 0.7)]);
+                ORDER BY matched_count DESC, b.average_rating DESC, b.total_reviews DESC
+                LIMIT ${Math.ceil(parseInt(limit) * 0.7)}
+            `, [...subjectIds, userId]);
             
-            recommendations = [...genreRecommendations];
+            recommendations = genreRecommendations.map(({ matched_count, matched_subjects, ...book }) => ({
+                ...book,
+                matched_subjects: matched_subjects ? matched_subjects.split(', ') : []
+            }));
         }
         
         // Get highly rated books the user hasn't read
@@ -725,9 +899,10 @@ router.get('/:id/recommendations', authenticate, verifyOwnership('id'), async (r
                 authors: book.authors ? book.authors.split(', ') : []
             })),
             recommendation_basis: {
-                favorite_genres: favoriteGenres,
+                favorite_genres: favoriteSubjects.map(subject => ({ genre: subject.name, read_count: subject.read_count })),
+                favorite_subjects: favoriteSubjects,
                 criteria: [
-                    'Books in your favorite genres',
+                    'Books in your favorite genres and their sub-genres',
                     'Highly rated books (4+ stars)',
                     'Books you haven\'t read before',
                     'Currently available books'
@@ -0,0 +1,531 @@
+// Smart Library Platform - Works Routes
+const express = require('express');
+const { getMySQLConnection } = require('../config/database');
+const { authenticate, requireStaff, optionalAuth } = require('../middleware/auth');
+const { getWorkEditions, summarizeAvailability } = require('../utils/series');
+
+const router = express.Router();
+
+const WORK_FIELDS = ['title', 'original_language', 'first_published_year'];
+
+// Validate work fields from a request body.
+// Returns { values } with only the fields that were sent, or { error }.
+function readWorkFields(body) {
+    const values = {};
+
+    for (const field of WORK_FIELDS) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        const value = body[field] === null ? null : String(body[field]).trim();
+        values[field] = value === '' ? null : value;
+    }
+
+    if ('title' in values && !values.title) {
+        return { error: 'Title cannot be empty' };
+    }
+    if (values.title && values.title.length > 200) {
+        return { error: 'Title cannot be longer than 200 characters' };
+    }
+    if (values.original_language && values.original_language.length > 30) {
+        return { error: 'Original language cannot be longer than 30 characters' };
+    }
+    if (values.first_published_year) {
+        const year = Number(values.first_published_year);
+        if (!Number.isInteger(year) || year < -3000 || year > new Date().getFullYear() + 1) {
+            return { error: 'First published year must be a valid year' };
+        }
+        values.first_published_year = year;
+    }
+
+    return { values };
+}
+
+// Unique numeric book IDs from a request body list
+function readBookIds(list) {
+    return [...new Set((Array.isArray(list) ? list : [])
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id)))];
+}
+
+// Move books into a work, logging each change. Returns the books moved.
+async function attachEditions(connection, staffId, work, books) {
+    for (const book of books) {
+        await connection.execute('UPDATE books SET work_id = ? WHERE book_id = ?', [work.work_id, book.book_id]);
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [staffId, 'update_book', 'book', book.book_id, `Book linked to work: ${work.title}`,
+             JSON.stringify({ work_id: book.work_id }), JSON.stringify({ work_id: work.work_id })]
+        );
+    }
+    return books;
+}
+
+// Books by ID, or a list of the IDs that do not exist
+async function findBooks(connection, bookIds) {
+    const [books] = await connection.execute(
+        `SELECT book_id, title, language, publication_date, work_id FROM books WHERE book_id IN (${bookIds.map(() => '?').join(', ')})`,
+        bookIds
+    );
+    const missing = bookIds.filter(id => !books.some(book => book.book_id === id));
+    return { books, missing };
+}
+
+// GET /api/works - List works with edition counts and combined availability
+router.get('/', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const { q, page = 1, limit = 20 } = req.query;
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const offset = (pageNumber - 1) * pageSize;
+
+        let whereClause = '';
+        const params = [];
+        if (q && String(q).trim()) {
+            whereClause = 'WHERE w.title LIKE ?';
+            params.push(`%${String(q).trim()}%`);
+        }
+
+        const [countResult] = await connection.execute(
+            `SELECT COUNT(*) as total FROM works w ${whereClause}`,
+            params
+        );
+        const totalItems = parseInt(countResult[0].total);
+
+        const [works] = await connection.execute(`
+            SELECT
+                w.work_id,
+                w.title,
+                w.original_language,
+                w.first_published_year,
+                COUNT(b.book_id) as edition_count,
+                COALESCE(SUM(b.total_copies), 0) as total_copies,
+                COALESCE(SUM(b.available_copies), 0) as available_copies
+            FROM works w
+            LEFT JOIN books b ON w.work_id = b.work_id AND b.is_active = TRUE
+            ${whereClause}
+            GROUP BY w.work_id, w.title, w.original_language, w.first_published_year
+            ORDER BY w.title ASC
+            LIMIT ${pageSize} OFFSET ${offset}
+        `, params);
+
+        res.json({
+            works: works.map(work => ({
+                ...work,
+                edition_count: parseInt(work.edition_count),
+                total_copies: parseInt(work.total_copies),
+                available_copies: parseInt(work.available_copies),
+                is_available: parseInt(work.available_copies) > 0
+            })),
+            pagination: {
+                current_page: pageNumber,
+                total_pages: Math.ceil(totalItems / pageSize),
+                total_items: totalItems,
+                items_per_page: pageSize
+            }
+        });
+
+    } catch (error) {
+        console.error('Works fetch error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch works',
+                code: 'WORKS_FETCH_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// GET /api/works/:id - A work with its editions and combined availability
+router.get('/:id', optionalAuth, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const workId = parseInt(req.params.id);
+
+        if (isNaN(workId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid work ID',
+                    code: 'INVALID_WORK_ID'
+                }
+            });
+        }
+
+        const [works] = await connection.execute('SELECT * FROM works WHERE work_id = ?', [workId]);
+
+        if (works.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Work not found',
+                    code: 'WORK_NOT_FOUND'
+                }
+            });
+        }
+
+        const editions = await getWorkEditions(connection, workId);
+
+        res.json({
+            work: works[0],
+            editions,
+            availability: summarizeAvailability(editions)
+        });
+
+    } catch (error) {
+        console.error('Work details error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to fetch work details',
+                code: 'WORK_DETAILS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/works - Group editions into a new work
+// Body: { book_ids: [..], title?, original_language?, first_published_year? }.
+// Missing details are taken from the earliest edition.
+router.post('/', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const bookIds = readBookIds(req.body.book_ids);
+        const { values, error } = readWorkFields(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_WORK'
+                }
+            });
+        }
+
+        if (bookIds.length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'Provide the book_ids of at least one edition',
+                    code: 'INVALID_BOOK_IDS'
+                }
+            });
+        }
+
+        const { books, missing } = await findBooks(connection, bookIds);
+
+        if (missing.length > 0) {
+            return res.status(404).json({
+                error: {
+                    message: `Books not found: ${missing.join(', ')}`,
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+
+        const earliest = [...books].sort((a, b) => (a.publication_date || Infinity) - (b.publication_date || Infinity))[0];
+        const work = {
+            title: values.title || earliest.title,
+            original_language: values.original_language !== undefined ? values.original_language : earliest.language,
+            first_published_year: values.first_published_year !== undefined
+                ? values.first_published_year
+                : (earliest.publication_date ? new Date(earliest.publication_date).getFullYear() : null)
+        };
+
+        await connection.beginTransaction();
+
+        try {
+            const [result] = await connection.execute(
+                'INSERT INTO works (title, original_language, first_published_year) VALUES (?, ?, ?)',
+                [work.title, work.original_language, work.first_published_year]
+            );
+            work.work_id = result.insertId;
+
+            await attachEditions(connection, req.user.user_id, work, books);
+
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        const editions = await getWorkEditions(connection, work.work_id);
+
+        res.status(201).json({
+            message: 'Work created successfully',
+            work,
+            editions,
+            availability: summarizeAvailability(editions)
+        });
+
+    } catch (error) {
+        console.error('Create work error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to create work',
+                code: 'CREATE_WORK_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// PUT /api/works/:id - Update a work's details
+router.put('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const workId = parseInt(req.params.id);
+
+        if (isNaN(workId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid work ID',
+                    code: 'INVALID_WORK_ID'
+                }
+            });
+        }
+
+        const { values, error } = readWorkFields(req.body);
+
+        if (error) {
+            return res.status(400).json({
+                error: {
+                    message: error,
+                    code: 'INVALID_WORK'
+                }
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'No fields to update',
+                    code: 'NO_UPDATES'
+                }
+            });
+        }
+
+        const [works] = await connection.execute('SELECT * FROM works WHERE work_id = ?', [workId]);
+
+        if (works.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Work not found',
+                    code: 'WORK_NOT_FOUND'
+                }
+            });
+        }
+
+        await connection.execute(
+            `UPDATE works SET ${Object.keys(values).map(field => `${field} = ?`).join(', ')} WHERE work_id = ?`,
+            [...Object.values(values), workId]
+        );
+
+        const [updated] = await connection.execute('SELECT * FROM works WHERE work_id = ?', [workId]);
+
+        res.json({
+            message: 'Work updated successfully',
+            work: updated[0]
+        });
+
+    } catch (error) {
+        console.error('Update work error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to update work',
+                code: 'UPDATE_WORK_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// POST /api/works/:id/editions - Add editions to a work
+// Body: { book_ids: [..] }. Books already in another work are moved.
+router.post('/:id/editions', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const workId = parseInt(req.params.id);
+        const bookIds = readBookIds(req.body.book_ids);
+
+        if (isNaN(workId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid work ID',
+                    code: 'INVALID_WORK_ID'
+                }
+            });
+        }
+
+        if (bookIds.length === 0) {
+            return res.status(400).json({
+                error: {
+                    message: 'Provide the book_ids of the editions to add',
+                    code: 'INVALID_BOOK_IDS'
+                }
+            });
+        }
+
+        const [works] = await connection.execute('SELECT * FROM works WHERE work_id = ?', [workId]);
+
+        if (works.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Work not found',
+                    code: 'WORK_NOT_FOUND'
+                }
+            });
+        }
+
+        const { books, missing } = await findBooks(connection, bookIds);
+
+        if (missing.length > 0) {
+            return res.status(404).json({
+                error: {
+                    message: `Books not found: ${missing.join(', ')}`,
+                    code: 'BOOK_NOT_FOUND'
+                }
+            });
+        }
+
+        await connection.beginTransaction();
+
+        try {
+            await attachEditions(connection, req.user.user_id, works[0], books.filter(book => book.work_id !== workId));
+            await connection.commit();
+        } catch (transactionError) {
+            await connection.rollback();
+            throw transactionError;
+        }
+
+        const editions = await getWorkEditions(connection, workId);
+
+        res.json({
+            message: 'Editions added successfully',
+            editions,
+            availability: summarizeAvailability(editions)
+        });
+
+    } catch (error) {
+        console.error('Add editions error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to add editions',
+                code: 'ADD_EDITIONS_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/works/:id/editions/:bookId - Take an edition out of a work
+router.delete('/:id/editions/:bookId', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const workId = parseInt(req.params.id);
+        const bookId = parseInt(req.params.bookId);
+
+        if (isNaN(workId) || isNaN(bookId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid work or book ID',
+                    code: 'INVALID_ID'
+                }
+            });
+        }
+
+        const [books] = await connection.execute(
+            'SELECT book_id, title FROM books WHERE book_id = ? AND work_id = ?',
+            [bookId, workId]
+        );
+
+        if (books.length === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Book is not an edition of this work',
+                    code: 'EDITION_NOT_FOUND'
+                }
+            });
+        }
+
+        await connection.execute('UPDATE books SET work_id = NULL WHERE book_id = ?', [bookId]);
+
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [req.user.user_id, 'update_book', 'book', bookId, `Book unlinked from work ${workId}`,
+             JSON.stringify({ work_id: workId }), JSON.stringify({ work_id: null })]
+        );
+
+        res.json({
+            message: 'Edition removed from work'
+        });
+
+    } catch (error) {
+        console.error('Remove edition error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to remove edition',
+                code: 'REMOVE_EDITION_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+// DELETE /api/works/:id - Delete a work; its editions stay in the catalog
+router.delete('/:id', authenticate, requireStaff, async (req, res) => {
+    const connection = await getMySQLConnection();
+
+    try {
+        const workId = parseInt(req.params.id);
+
+        if (isNaN(workId)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Invalid work ID',
+                    code: 'INVALID_WORK_ID'
+                }
+            });
+        }
+
+        // books.work_id is cleared by ON DELETE SET NULL
+        const [result] = await connection.execute('DELETE FROM works WHERE work_id = ?', [workId]);
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: {
+                    message: 'Work not found',
+                    code: 'WORK_NOT_FOUND'
+                }
+            });
+        }
+
+        res.json({
+            message: 'Work deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete work error:', error);
+        res.status(500).json({
+            error: {
+                message: 'Failed to delete work',
+                code: 'DELETE_WORK_ERROR'
+            }
+        });
+    } finally {
+        connection.release();
+    }
+});
+
+module.exports = router;
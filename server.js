@@ -16,6 +16,7 @@ const path = require('path');
 require('dotenv').config();
 
 const { testConnections, closeConnections, healthCheck, getPoolStatus, initializeMongoDB } = require('./config/database');
+const { startNotificationScheduler, stopNotificationScheduler } = require('./utils/notifications');
 
 // Enhanced port management functions
 const isPortAvailable = (port) => {
@@ -103,10 +104,19 @@ const findAvailablePort = async (startPort, maxAttempts = 10) => {
 // Import routes
 const authRoutes = require('./routes/auth');
 const bookRoutes = require('./routes/books');
+const authorRoutes = require('./routes/authors');
+const seriesRoutes = require('./routes/series');
+const workRoutes = require('./routes/works');
+const subjectRoutes = require('./routes/subjects');
 const userRoutes = require('./routes/users');
 const checkoutRoutes = require('./routes/checkouts');
+const holdRoutes = require('./routes/holds');
+const fineRoutes = require('./routes/fines');
+const notificationRoutes = require('./routes/notifications');
 const reviewRoutes = require('./routes/reviews');
 const adminRoutes = require('./routes/admin');
+const stocktakeRoutes = require('./routes/stocktakes');
+const acquisitionRoutes = require('./routes/acquisitions');
 const analyticsRoutes = require('./routes/analytics');
 
 const app = express();
@@ -248,10 +258,19 @@ app.get('/pool-status', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/works', workRoutes);
+app.use('/api/subjects', subjectRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/checkouts', checkoutRoutes);
+app.use('/api/holds', holdRoutes);
+app.use('/api/fines', fineRoutes);
+app.use('/api/notifications', notificationRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/acquisitions', acquisitionRoutes);
 app.use('/api/analytics', analyticsRoutes);
 
 // Image proxy to avoid external host hotlink 403s
@@ -371,32 +390,153 @@ app.get('/api', (req, res) => {
                 'GET /api/auth/profile': 'Get user profile'
             },
             books: {
-                'GET /api/books': 'Get all books with optional filters',
-                'GET /api/books/:id': 'Get book by ID',
-                'GET /api/books/search': 'Search books'
+                'GET /api/books': 'Get all books with optional filters and facet counts (search= is ranked full-text: "phrases", OR, -exclude, prefix*; an ISBN in either form matches exactly; typos get a did-you-mean suggestion)',
+                'GET /api/books/autocomplete': 'Search-as-you-type suggestions: titles, authors, genres and ISBNs (q, limit, types)',
+                'GET /api/books/isbn/:isbn': 'Look up a book by ISBN-10 or ISBN-13 (hyphens optional)',
+                'GET /api/books/:id': 'Get book by ID, with its series (prequel, sequel, series books), other editions of the same work and where its copies are shelved',
+                'GET /api/books/:id/shelf': 'Books shelved either side of this one in call-number order (branch, count)',
+                'GET /api/books/search/advanced': 'Advanced search by keywords, title, author, ISBN (either form) and other fields (sort_by=relevance, call_number for shelf order)'
+            },
+            authors: {
+                'GET /api/authors': 'List authors with book counts (q, sort_by=name|book_count, page, limit)',
+                'GET /api/authors/:id': 'Author details with bibliography and aggregate ratings',
+                'POST /api/authors': 'Create an author (staff)',
+                'PUT /api/authors/:id': 'Update an author (staff)',
+                'DELETE /api/authors/:id': 'Delete an author with no books (staff)',
+                'GET /api/authors/duplicates': 'Likely duplicate author records with similarity scores (staff; min_score, limit)',
+                'POST /api/authors/:id/merge': 'Merge duplicate authors into this one (staff)'
+            },
+            series: {
+                'GET /api/series': 'List series with book counts (q, page, limit)',
+                'GET /api/series/:id': 'Series details with its books in reading order',
+                'POST /api/series': 'Create a series (staff)',
+                'PUT /api/series/:id': 'Update a series (staff)',
+                'PUT /api/series/:id/books': 'Set the books of a series and their positions (staff)',
+                'DELETE /api/series/:id': 'Delete a series, keeping its books (staff)'
+            },
+            works: {
+                'GET /api/works': 'List works with edition counts and combined availability (q, page, limit)',
+                'GET /api/works/:id': 'Work details with its editions and availability across them',
+                'POST /api/works': 'Group editions/translations into a new work (staff)',
+                'PUT /api/works/:id': 'Update a work (staff)',
+                'POST /api/works/:id/editions': 'Add editions to a work (staff)',
+                'DELETE /api/works/:id/editions/:bookId': 'Remove an edition from a work (staff)',
+                'DELETE /api/works/:id': 'Delete a work, keeping its editions (staff)'
+            },
+            subjects: {
+                'GET /api/subjects': 'Subject taxonomy with aliases and book counts (flat=true for a flat list)',
+                'GET /api/subjects/:id': 'Subject by ID, name or alias with its ancestors, children and books (including narrower subjects)',
+                'POST /api/subjects': 'Create a subject with optional parent and aliases (staff)',
+                'PUT /api/subjects/:id': 'Rename, reparent or describe a subject (staff)',
+                'DELETE /api/subjects/:id': 'Delete a subject, moving its books to reassign_to (staff)',
+                'POST /api/subjects/:id/aliases': 'Add aliases to a subject (staff)',
+                'DELETE /api/subjects/:id/aliases/:aliasId': 'Remove an alias (staff)'
             },
             users: {
                 'GET /api/users/profile': 'Get current user profile',
                 'PUT /api/users/profile': 'Update user profile',
-                'GET /api/users/:id/checkouts': 'Get user checkouts'
+                'GET /api/users/:id/checkouts': 'Get user checkouts',
+                'GET /api/users/:id/notifications': 'Get in-app notifications (status=unread|read|all)',
+                'PUT /api/users/:id/notifications': 'Mark notifications read or unread (all when no IDs given)'
             },
             checkouts: {
-                'POST /api/checkouts/borrow': 'Borrow a book',
+                'POST /api/checkouts/borrow': 'Borrow a book (staff may pass user_id, username or library_card_number to lend to a patron)',
+                'POST /api/checkouts/return': 'Return a book by book_id or checkout_id (staff may also check in by barcode or for a patron)',
                 'PUT /api/checkouts/:id/return': 'Return a book',
+                'GET /api/checkouts/desk/patron': 'Look up a patron with loans, ready holds and fines for the desk (staff)',
+                'POST /api/checkouts/:id/renew': 'Renew a loan',
+                'PUT /api/checkouts/:id/lost': 'Mark a loan lost and charge replacement cost (staff)',
+                'PUT /api/checkouts/:id/damaged': 'Check in a damaged copy and charge a damage fee (staff)',
+                'PUT /api/checkouts/:id/claims-returned': 'Mark a loan claims-returned (staff)',
+                'PUT /api/checkouts/:id/found': 'Reverse a lost or claims-returned loan (staff)',
                 'GET /api/checkouts/user/:userId': 'Get user checkouts'
             },
+            holds: {
+                'POST /api/holds': 'Place a hold on an unavailable book',
+                'GET /api/holds/user': 'Get current user holds and queue positions',
+                'GET /api/holds/book/:bookId': 'Get hold queue for a book (staff)',
+                'POST /api/holds/expire': 'Expire uncollected holds (staff)',
+                'DELETE /api/holds/:id': 'Cancel a hold'
+            },
+            fines: {
+                'GET /api/fines/user': 'Get current user fine balance and ledger',
+                'GET /api/fines': 'List users with outstanding fines (staff)',
+                'GET /api/fines/users/:userId': 'Get a patron fine balance and ledger (staff)',
+                'POST /api/fines/users/:userId/payments': 'Record a fine payment (staff)',
+                'POST /api/fines/users/:userId/waivers': 'Waive fines with a reason (staff)',
+                'POST /api/fines/users/:userId/charges': 'Add a manual charge (staff)'
+            },
+            notifications: {
+                'GET /api/notifications/preferences': 'Get current user notification preferences',
+                'PUT /api/notifications/preferences': 'Update notification preferences',
+                'POST /api/notifications/run': 'Send due-soon, overdue and hold-available notices now (staff)',
+                'GET /api/notifications/log': 'Notification delivery history (staff)'
+            },
             reviews: {
                 'POST /api/reviews': 'Add a book review',
                 'GET /api/reviews/book/:bookId': 'Get book reviews',
                 'PUT /api/reviews/:id': 'Update review',
-                'DELETE /api/reviews/:id': 'Delete review'
+                'DELETE /api/reviews/:id': 'Delete review',
+                'GET /api/reviews/:id/replies': 'Get replies to a review',
+                'POST /api/reviews/:id/replies': 'Reply to a review (notifies the reviewer)'
             },
             admin: {
-                'POST /api/admin/books': 'Add new book',
-                'PUT /api/admin/books/:id': 'Update book',
+                'POST /api/admin/books': 'Add new book (call_number, call_number_scheme; branch_id and shelf_location for its copies)',
+                'POST /api/admin/books/import': 'Bulk import books from CSV, JSON, MARC21 (base64) or MARCXML (dry_run preview with per-row errors, on_duplicate=skip|add_copies)',
+                'GET /api/admin/books/export': 'Export books as MARC21 or MARCXML (format=marc|marcxml; ids=1,2,3 or catalog search/filters)',
+                'GET /api/admin/books/duplicates': 'Likely duplicate book records with similarity scores (min_score, limit, include_retired)',
+                'POST /api/admin/books/:id/merge': 'Merge duplicate books into this one (source_book_ids); moves copies, loans, holds, reviews, authors and reading sessions',
+                'PUT /api/admin/books/:id': 'Update book details, authors, series (series_id, series_position), work (work_id) and call number (call_number, call_number_scheme=dewey|lc|local)',
+                'PUT /api/admin/books/:id/subjects': 'Set the subjects a book is filed under; the primary one becomes its genre',
                 'DELETE /api/admin/books/:id': 'Retire book',
+                'POST /api/admin/books/retire': 'Retire many books at once (book_ids, reason), skipping any still on loan',
                 'PUT /api/admin/books/:id/inventory': 'Update inventory',
-                'GET /api/admin/reports': 'Get various reports'
+                'GET /api/admin/books/:id/items': 'List physical copies of a book',
+                'POST /api/admin/books/:id/items': 'Add physical copies to a book (branch_id, shelf_location)',
+                'GET /api/admin/items/barcode/:barcode': 'Look up a copy by barcode',
+                'PUT /api/admin/items/:itemId': 'Update a copy (barcode, condition, branch_id, shelf_location, status)',
+                'GET /api/admin/reports': 'Get various reports (report_type=most_borrowed|top_readers|low_availability|invalid_isbns|weeding; weeding takes lookback_years, genre, min_score)',
+                'GET /api/admin/policies': 'List circulation policies',
+                'POST /api/admin/policies': 'Create circulation policy',
+                'PUT /api/admin/policies/:id': 'Update circulation policy',
+                'DELETE /api/admin/policies/:id': 'Delete circulation policy',
+                'GET /api/admin/closures': 'List library closures',
+                'POST /api/admin/closures': 'Add a closed day or date range',
+                'PUT /api/admin/closures/:id': 'Update a library closure',
+                'DELETE /api/admin/closures/:id': 'Remove a library closure',
+                'POST /api/admin/closures/:id/extend-loans': 'Move loans due during a closure to the next open day',
+                'GET /api/admin/branches': 'List branches with the copies shelved at each',
+                'POST /api/admin/branches': 'Add a branch (code, name, address)',
+                'PUT /api/admin/branches/:id': 'Update or deactivate a branch'
+            },
+            stocktakes: {
+                'GET /api/stocktakes': 'List stocktake sessions (status, branch) (staff)',
+                'POST /api/stocktakes': 'Start a stocktake of a branch (staff)',
+                'GET /api/stocktakes/:id': 'Stocktake with its report of missing, misplaced and unexpected items (staff)',
+                'GET /api/stocktakes/:id/scans': 'Scans recorded in a stocktake, optionally for one shelf (staff)',
+                'POST /api/stocktakes/:id/scans': 'Record the barcodes or ISBNs scanned on a shelf (replace=true to re-scan it) (staff)',
+                'DELETE /api/stocktakes/:id/scans/:scanId': 'Remove a mistaken scan (staff)',
+                'POST /api/stocktakes/:id/adjust': 'Apply the report to the inventory: missing, found, relocate, surplus (staff)',
+                'POST /api/stocktakes/:id/complete': 'Finish a stocktake (staff)',
+                'POST /api/stocktakes/:id/cancel': 'Abandon a stocktake (staff)'
+            },
+            acquisitions: {
+                'GET /api/acquisitions/suggestions': 'Purchase suggestions with votes (status, q, mine, sort=votes|newest)',
+                'POST /api/acquisitions/suggestions': 'Suggest a title for the library to buy',
+                'POST /api/acquisitions/suggestions/:id/vote': 'Vote for a suggestion',
+                'DELETE /api/acquisitions/suggestions/:id/vote': 'Withdraw a vote',
+                'GET /api/acquisitions': 'Acquisitions pipeline (status, fund, vendor, q) (staff)',
+                'POST /api/acquisitions': 'Add a title to the pipeline directly (staff)',
+                'GET /api/acquisitions/:id': 'Acquisition with its voters (staff)',
+                'PUT /api/acquisitions/:id': 'Edit an acquisition in progress (staff)',
+                'POST /api/acquisitions/:id/approve': 'Approve a suggestion (staff)',
+                'POST /api/acquisitions/:id/order': 'Record an order against a fund (allow_overspend to exceed it) (staff)',
+                'POST /api/acquisitions/:id/receive': 'Receive an order into the catalogue (staff)',
+                'POST /api/acquisitions/:id/reject': 'Reject a suggestion (staff)',
+                'POST /api/acquisitions/:id/cancel': 'Cancel an order (staff)',
+                'GET /api/acquisitions/funds': 'Budget funds with committed, spent and remaining amounts (staff)',
+                'POST /api/acquisitions/funds': 'Add a budget fund (staff)',
+                'PUT /api/acquisitions/funds/:id': 'Update a budget fund (staff)'
             },
             analytics: {
                 'GET /api/analytics/reading-sessions': 'Get reading analytics',
@@ -484,6 +624,11 @@ async function startServer() {
         
         console.log('Database connections established successfully');
         
+        // Due-soon, overdue and hold-available notices
+        if (startNotificationScheduler()) {
+            console.log('Notification scheduler started');
+        }
+        
         // Enhanced port conflict resolution
         let finalPort = PORT;
         const portAvailable = await isPortAvailable(PORT);
@@ -555,6 +700,8 @@ async function startServer() {
                 process.exit(1);
             }, 30000); // 30 seconds timeout
             
+            stopNotificationScheduler();
+            
             server.close(async () => {
                 console.log('HTTP server closed');
                 
@@ -0,0 +1,105 @@
+// Smart Library Platform - Inventory Helper Tests
+
+const { addItems, updateInventory, restoreItem } = require('../utils/inventory');
+
+// A connection that answers the inventory and hold queue queries for one book
+// from in-memory state: `waiting` is its hold queue, `items` maps item id to status
+function fakeConnection({ waiting = [], currentTotal = 0, items = {} } = {}) {
+    const state = { waiting: [...waiting], items: { ...items }, readyHolds: [], nextItemId: 101 };
+
+    state.execute = async (sql, params = []) => {
+        if (sql.includes('INSERT INTO book_items')) {
+            const itemId = state.nextItemId++;
+            state.items[itemId] = 'available';
+            return [{ insertId: itemId }];
+        }
+        if (sql.includes('SELECT status FROM book_items')) {
+            return [state.items[params[0]] ? [{ status: state.items[params[0]] }] : []];
+        }
+        if (sql.includes('UPDATE book_items SET status')) {
+            state.items[params[1]] = params[0];
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.includes("status = 'waiting'") && sql.includes('FROM holds')) {
+            return [state.waiting.slice(0, 1)];
+        }
+        if (sql.includes('UPDATE holds')) {
+            const [itemId, holdId] = params;
+            state.waiting = state.waiting.filter(hold => hold.hold_id !== holdId);
+            state.readyHolds.push({ hold_id: holdId, item_id: itemId });
+            return [{ affectedRows: 1 }];
+        }
+        if (sql.includes('DATE_FORMAT(h.expiry_date')) {
+            return [[{ title: 'Dune', expiry_date: '2026-10-22' }]];
+        }
+        if (sql.includes('as current_total')) {
+            return [[{ current_total: currentTotal, on_shelf: currentTotal }]];
+        }
+        if (sql.includes('INSERT INTO user_notifications')) {
+            return [{ insertId: 1 }];
+        }
+        return [[]];
+    };
+
+    return state;
+}
+
+describe('addItems', () => {
+    test('gives new copies to waiting holds before the shelf', async () => {
+        const connection = fakeConnection({ waiting: [{ hold_id: 9, user_id: 4 }] });
+
+        const itemIds = await addItems(connection, 1, 2);
+
+        expect(itemIds).toEqual([101, 102]);
+        expect(connection.readyHolds).toEqual([{ hold_id: 9, item_id: 101 }]);
+        expect(connection.items).toEqual({ 101: 'on_hold', 102: 'available' });
+    });
+
+    test('shelves new copies when nobody is waiting', async () => {
+        const connection = fakeConnection();
+
+        await addItems(connection, 1, 1, { barcode: 'B-1' });
+
+        expect(connection.readyHolds).toEqual([]);
+        expect(connection.items).toEqual({ 101: 'available' });
+    });
+});
+
+describe('updateInventory', () => {
+    test('offers copies added by an increase to waiting holds', async () => {
+        const connection = fakeConnection({ currentTotal: 1, waiting: [{ hold_id: 9, user_id: 4 }, { hold_id: 10, user_id: 5 }] });
+
+        const change = await updateInventory(connection, 1, 4);
+
+        expect(change).toMatchObject({ old_total: 1, new_total: 4, added_item_ids: [101, 102, 103] });
+        expect(connection.readyHolds).toEqual([{ hold_id: 9, item_id: 101 }, { hold_id: 10, item_id: 102 }]);
+        expect(connection.items).toEqual({ 101: 'on_hold', 102: 'on_hold', 103: 'available' });
+    });
+});
+
+describe('restoreItem', () => {
+    test('offers a found withdrawn copy to waiting holds', async () => {
+        const connection = fakeConnection({ items: { 7: 'withdrawn' }, waiting: [{ hold_id: 9, user_id: 4 }] });
+
+        const result = await restoreItem(connection, 1, 7);
+
+        expect(result).toEqual({ restored: true, allocated_hold: { hold_id: 9, user_id: 4 } });
+        expect(connection.readyHolds).toEqual([{ hold_id: 9, item_id: 7 }]);
+        expect(connection.items).toEqual({ 7: 'on_hold' });
+    });
+
+    test('shelves a found lost copy when nobody is waiting', async () => {
+        const connection = fakeConnection({ items: { 7: 'lost' } });
+
+        expect(await restoreItem(connection, 1, 7)).toEqual({ restored: true, allocated_hold: null });
+        expect(connection.items).toEqual({ 7: 'available' });
+    });
+
+    test('leaves copies that are still in stock alone', async () => {
+        const connection = fakeConnection({ items: { 7: 'checked_out' }, waiting: [{ hold_id: 9, user_id: 4 }] });
+
+        expect(await restoreItem(connection, 1, 7)).toEqual({ restored: false, allocated_hold: null });
+        expect(connection.readyHolds).toEqual([]);
+        expect(connection.items).toEqual({ 7: 'checked_out' });
+    });
+});
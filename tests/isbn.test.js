@@ -0,0 +1,56 @@
+// Smart Library Platform - ISBN Helper Tests
+
+const { cleanIsbn, isValidIsbn, toIsbn13, toIsbn10 } = require('../utils/isbn');
+
+describe('cleanIsbn', () => {
+    test('drops hyphens and spaces and uppercases X', () => {
+        expect(cleanIsbn(' 0-8044-2957-x ')).toBe('080442957X');
+        expect(cleanIsbn(null)).toBe('');
+    });
+});
+
+describe('isValidIsbn', () => {
+    test('accepts ISBN-10 and ISBN-13 with correct check digits', () => {
+        expect(isValidIsbn('0-306-40615-2')).toBe(true);
+        expect(isValidIsbn('0-8044-2957-X')).toBe(true);
+        expect(isValidIsbn('978-0-306-40615-7')).toBe(true);
+        expect(isValidIsbn('979 10 90636 07 1')).toBe(true);
+    });
+
+    test('rejects wrong check digits', () => {
+        expect(isValidIsbn('0-306-40615-3')).toBe(false);
+        expect(isValidIsbn('978-0-306-40615-8')).toBe(false);
+    });
+
+    test('rejects malformed values', () => {
+        expect(isValidIsbn('')).toBe(false);
+        expect(isValidIsbn('12345')).toBe(false);
+        expect(isValidIsbn('X306406152')).toBe(false);
+        expect(isValidIsbn('978030640615X')).toBe(false);
+    });
+});
+
+describe('toIsbn13', () => {
+    test('converts ISBN-10 and keeps ISBN-13', () => {
+        expect(toIsbn13('0-306-40615-2')).toBe('9780306406157');
+        expect(toIsbn13('0-8044-2957-X')).toBe('9780804429573');
+        expect(toIsbn13('978-0-306-40615-7')).toBe('9780306406157');
+    });
+
+    test('returns null for invalid ISBNs', () => {
+        expect(toIsbn13('0-306-40615-3')).toBeNull();
+    });
+});
+
+describe('toIsbn10', () => {
+    test('converts 978 ISBN-13 including X check digits', () => {
+        expect(toIsbn10('9780306406157')).toBe('0306406152');
+        expect(toIsbn10('978-0-8044-2957-3')).toBe('080442957X');
+        expect(toIsbn10('0-306-40615-2')).toBe('0306406152');
+    });
+
+    test('returns null for 979 and invalid ISBNs', () => {
+        expect(toIsbn10('979-10-90636-07-1')).toBeNull();
+        expect(toIsbn10('9780306406158')).toBeNull();
+    });
+});
@@ -0,0 +1,94 @@
+// Smart Library Platform - MARC Helper Tests
+
+const { parseMarc21, parseMarcXml, recordToBook, bookToRecord, writeMarc21, writeMarcXml } = require('../utils/marc');
+
+const book = {
+    book_id: 7,
+    isbn: '978-0-7432-7356-5',
+    title: 'The Great Gatsby',
+    publisher: 'Scribner',
+    publication_date: '1925-04-10',
+    pages: 180,
+    description: 'Jazz Age <novel> & "classic" — déjà vu',
+    genre: 'Fiction',
+    language: 'English',
+    call_number: '813.52 FIT',
+    call_number_scheme: 'dewey',
+    created_at: '2024-01-02T00:00:00Z',
+    updated_at: '2024-03-04T05:06:07Z'
+};
+const authors = [{ first_name: 'F. Scott', last_name: 'Fitzgerald' }, { first_name: 'Ann', last_name: 'Other' }];
+
+const expected = {
+    title: 'The Great Gatsby',
+    isbn: '9780743273565',
+    authors: ['F. Scott Fitzgerald', 'Ann Other'],
+    publisher: 'Scribner',
+    publication_date: '1925',
+    pages: '180',
+    description: 'Jazz Age <novel> & "classic" — déjà vu',
+    genre: 'Fiction',
+    language: 'English',
+    call_number: '813.52 FIT',
+    call_number_scheme: 'dewey'
+};
+
+describe('MARC round trip', () => {
+    const record = bookToRecord(book, authors);
+
+    test('maps a book to a record and back', () => {
+        expect(recordToBook(record)).toEqual(expected);
+    });
+
+    test('survives MARC21 binary', () => {
+        const [parsed, ...rest] = parseMarc21(writeMarc21([record]));
+        expect(rest).toHaveLength(0);
+        expect(parsed.fields).toEqual(record.fields);
+        expect(parsed.leader).toMatch(/^\d{5}nam a22\d{5} i 4500$/);
+        expect(recordToBook(parsed)).toEqual(expected);
+    });
+
+    test('survives MARCXML', () => {
+        const [parsed, ...rest] = parseMarcXml(writeMarcXml([record]));
+        expect(rest).toHaveLength(0);
+        expect(parsed.fields).toEqual(record.fields);
+        expect(recordToBook(parsed)).toEqual(expected);
+    });
+
+    test('keeps several records apart', () => {
+        const second = bookToRecord({ ...book, book_id: 8, title: 'Tender Is the Night', call_number: 'PS3511 .I9 T4', call_number_scheme: 'lc' }, authors.slice(0, 1));
+        const books = parseMarc21(writeMarc21([record, second])).map(recordToBook);
+        expect(books.map(({ title }) => title)).toEqual(['The Great Gatsby', 'Tender Is the Night']);
+        expect(books[1]).toMatchObject({ authors: ['F. Scott Fitzgerald'], call_number: 'PS3511 .I9 T4', call_number_scheme: 'lc' });
+    });
+});
+
+describe('recordToBook', () => {
+    test('strips ISBD punctuation and ISBN qualifiers', () => {
+        const record = {
+            leader: null,
+            fields: [
+                { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '0743273567 (pbk.)' }] },
+                { tag: '100', ind1: '1', ind2: ' ', subfields: [{ code: 'a', value: 'Fitzgerald, F. Scott,' }] },
+                { tag: '245', ind1: '1', ind2: '4', subfields: [{ code: 'a', value: 'The great Gatsby :' }, { code: 'b', value: 'a novel /' }] },
+                { tag: '264', ind1: ' ', ind2: '1', subfields: [{ code: 'b', value: 'Scribner,' }, { code: 'c', value: '[2004]' }] },
+                { tag: '082', ind1: '0', ind2: '4', subfields: [{ code: 'a', value: '813/.52' }] }
+            ]
+        };
+        expect(recordToBook(record)).toMatchObject({
+            title: 'The great Gatsby: a novel',
+            isbn: '0743273567',
+            authors: ['F. Scott Fitzgerald'],
+            publisher: 'Scribner',
+            publication_date: '2004',
+            call_number: '813.52',
+            call_number_scheme: 'dewey'
+        });
+    });
+});
+
+describe('parseMarcXml', () => {
+    test('rejects text without records', () => {
+        expect(() => parseMarcXml('<collection/>')).toThrow('No MARCXML records found');
+    });
+});
@@ -0,0 +1,48 @@
+// Smart Library Platform - Search Helper Tests
+
+const { parseSearchQuery, toBooleanQuery } = require('../utils/search');
+
+describe('parseSearchQuery', () => {
+    test('makes every word a required group', () => {
+        expect(parseSearchQuery('great gatsby')).toEqual({
+            groups: [['great'], ['gatsby']],
+            excluded: []
+        });
+    });
+
+    test('keeps quoted phrases together and excludes minus terms', () => {
+        expect(parseSearchQuery('"The Great Gatsby" -movie')).toEqual({
+            groups: [['"the great gatsby"']],
+            excluded: ['movie']
+        });
+    });
+
+    test('joins OR alternatives into one group', () => {
+        expect(parseSearchQuery('tolkien OR lewis fantasy').groups).toEqual([['tolkien', 'lewis'], ['fantasy']]);
+        expect(parseSearchQuery('tolkien | lewis').groups).toEqual([['tolkien', 'lewis']]);
+    });
+
+    test('keeps prefix wildcards on single words', () => {
+        expect(parseSearchQuery('hobb* -war*')).toEqual({ groups: [['hobb*']], excluded: ['war*'] });
+    });
+
+    test('turns punctuated words into phrases', () => {
+        expect(parseSearchQuery('sci-fi').groups).toEqual([['"sci fi"']]);
+    });
+
+    test('drops stopwords and short words', () => {
+        expect(parseSearchQuery('the of a')).toEqual({ groups: [], excluded: [] });
+        expect(parseSearchQuery('it history').groups).toEqual([['history']]);
+    });
+
+    test('handles empty input', () => {
+        expect(parseSearchQuery('')).toEqual({ groups: [], excluded: [] });
+        expect(parseSearchQuery(null)).toEqual({ groups: [], excluded: [] });
+    });
+});
+
+describe('toBooleanQuery', () => {
+    test('renders groups and exclusions in MySQL boolean syntax', () => {
+        expect(toBooleanQuery(parseSearchQuery('tolkien OR lewis fantasy -movie'))).toBe('+(tolkien lewis) +fantasy -movie');
+    });
+});
@@ -0,0 +1,64 @@
+// Smart Library Platform - Shelving Helper Tests
+
+const { detectScheme, callNumberSortKey, parseCallNumber } = require('../utils/shelving');
+
+// Call numbers ordered by their sort keys
+function shelfOrder(callNumbers, scheme) {
+    return [...callNumbers].sort((a, b) => {
+        const keyA = callNumberSortKey(a, scheme);
+        const keyB = callNumberSortKey(b, scheme);
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    });
+}
+
+describe('detectScheme', () => {
+    test('recognises Dewey, LC and local call numbers', () => {
+        expect(detectScheme('823.912 FIT')).toBe('dewey');
+        expect(detectScheme('823 FIT')).toBe('dewey');
+        expect(detectScheme('QA76.73 .J38 2008')).toBe('lc');
+        expect(detectScheme('ps3511.i9 g7')).toBe('lc');
+        expect(detectScheme('FIC SMITH')).toBe('local');
+    });
+});
+
+describe('callNumberSortKey', () => {
+    test('orders Dewey decimals digit by digit', () => {
+        expect(shelfOrder(['823.92 ABC', '823.9 ABC', '823.912 FIT', '100 AAA'], 'dewey'))
+            .toEqual(['100 AAA', '823.9 ABC', '823.912 FIT', '823.92 ABC']);
+    });
+
+    test('orders LC class numbers numerically', () => {
+        expect(shelfOrder(['QA76.73 .J38', 'QA9.5 B2', 'QA76.9 .A1', 'Q175 .K8', 'QA76.73 .C15'], 'lc'))
+            .toEqual(['Q175 .K8', 'QA9.5 B2', 'QA76.73 .C15', 'QA76.73 .J38', 'QA76.9 .A1']);
+    });
+
+    test('normalises case and spacing', () => {
+        expect(callNumberSortKey(' qa76.73  .j38 2008 ', 'lc')).toBe(callNumberSortKey('QA76.73 .J38 2008', 'lc'));
+    });
+
+    test('returns null when the call number does not fit the scheme', () => {
+        expect(callNumberSortKey('QA76.73', 'dewey')).toBeNull();
+        expect(callNumberSortKey('823.912', 'lc')).toBeNull();
+    });
+});
+
+describe('parseCallNumber', () => {
+    test('detects the scheme and builds the sort key', () => {
+        expect(parseCallNumber('  823.912   FIT ')).toEqual({
+            value: { call_number: '823.912 FIT', call_number_scheme: 'dewey', call_number_sort: callNumberSortKey('823.912 FIT', 'dewey') }
+        });
+        expect(parseCallNumber('QA76.73 .J38', 'LC').value.call_number_scheme).toBe('lc');
+    });
+
+    test('clears the call number for empty values', () => {
+        expect(parseCallNumber('  ').value).toEqual({ call_number: null, call_number_scheme: null, call_number_sort: null });
+        expect(parseCallNumber(null).value.call_number).toBeNull();
+    });
+
+    test('rejects unknown schemes, mismatches and long values', () => {
+        expect(parseCallNumber('823.912', 'udc').error).toMatch(/scheme must be one of/);
+        expect(parseCallNumber('QA76', 'dewey').error).toBe('"QA76" is not a valid Dewey call number');
+        expect(parseCallNumber('823.912', 'lc').error).toBe('"823.912" is not a valid Library of Congress call number');
+        expect(parseCallNumber('X'.repeat(51)).error).toMatch(/cannot be longer than 50/);
+    });
+});
@@ -0,0 +1,45 @@
+// Smart Library Platform - Spelling Helper Tests
+
+const { editDistance, invalidateVocabulary, suggestCorrection } = require('../utils/spelling');
+
+describe('editDistance', () => {
+    test('counts insertions, deletions and substitutions', () => {
+        expect(editDistance('gatsby', 'gatsby', 2)).toBe(0);
+        expect(editDistance('gatsy', 'gatsby', 2)).toBe(1);
+        expect(editDistance('gatsbyy', 'gatsby', 2)).toBe(1);
+        expect(editDistance('gadsby', 'gatsby', 2)).toBe(1);
+        expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    });
+
+    test('counts an adjacent transposition as one edit', () => {
+        expect(editDistance('gastby', 'gatsby', 2)).toBe(1);
+        expect(editDistance('hobibt', 'hobbit', 2)).toBe(1);
+    });
+
+    test('returns Infinity beyond the maximum distance', () => {
+        expect(editDistance('kitten', 'sitting', 2)).toBe(Infinity);
+        expect(editDistance('tolkien', 'to', 2)).toBe(Infinity);
+        expect(editDistance('abcdef', 'uvwxyz', 2)).toBe(Infinity);
+    });
+});
+
+describe('suggestCorrection', () => {
+    const connection = {
+        execute: async sql => (sql.includes('FROM authors')
+            ? [[{ first_name: 'J.R.R.', last_name: 'Tolkien' }]]
+            : [[{ title: 'The Hobbit' }, { title: 'The Great Gatsby' }]])
+    };
+
+    beforeEach(() => invalidateVocabulary());
+
+    test('corrects unknown words and keeps capitalisation and operators', async () => {
+        expect(await suggestCorrection(connection, 'Hobit tolkein')).toBe('Hobbit tolkien');
+        expect(await suggestCorrection(connection, '"great gastby" -hobit')).toBe('"great gatsby" -hobbit');
+    });
+
+    test('returns null when every word is known or cannot be matched', async () => {
+        expect(await suggestCorrection(connection, 'the great gatsby')).toBeNull();
+        expect(await suggestCorrection(connection, 'xylophone')).toBeNull();
+        expect(await suggestCorrection(connection, 'hobi*')).toBeNull();
+    });
+});
@@ -0,0 +1,75 @@
+// Smart Library Platform - Weeding Helper Tests
+
+const { WEEDING_WEIGHTS, scoreWeedingCandidate } = require('../utils/weeding');
+
+const now = new Date('2026-06-15T12:00:00Z');
+
+describe('scoreWeedingCandidate', () => {
+    test('weights add up to 100', () => {
+        expect(Object.values(WEEDING_WEIGHTS).reduce((total, weight) => total + weight, 0)).toBe(100);
+    });
+
+    test('scores an old, idle, unreviewed title highly', () => {
+        const result = scoreWeedingCandidate({
+            total_copies: 1,
+            recent_checkouts: 0,
+            total_reviews: 0,
+            publication_date: '1990-06-01',
+            last_checkout_date: '2020-06-15T12:00:00Z'
+        }, { now });
+
+        expect(result.factors).toEqual({ idle: 1, circulation: 1, age: 1, rating: 0.5, duplicates: 0 });
+        expect(result.score).toBe(77.5);
+        expect(result.reasons).toEqual(['Not borrowed for 6.0 years', '0.00 checkouts per copy per year', 'Published 1990']);
+        expect(result.metrics).toMatchObject({ days_since_last_checkout: 2191, publication_year: 1990, average_rating: null, surplus_copies: 0 });
+    });
+
+    test('scores a recent, busy, well-rated title low', () => {
+        const result = scoreWeedingCandidate({
+            total_copies: 2,
+            recent_checkouts: 12,
+            average_rating: '4.50',
+            total_reviews: 10,
+            publication_date: '2020-06-01',
+            last_checkout_date: '2026-06-05T12:00:00Z'
+        }, { now });
+
+        expect(result.factors).toEqual({ idle: 0.01, circulation: 0, age: 0.05, rating: 0.13, duplicates: 0 });
+        expect(result.score).toBe(2.8);
+        expect(result.reasons).toEqual([]);
+        expect(result.metrics.checkouts_per_copy_per_year).toBe(2);
+    });
+
+    test('counts never-borrowed titles as idle since they were added', () => {
+        const result = scoreWeedingCandidate({
+            total_copies: 1,
+            recent_checkouts: 0,
+            total_reviews: 0,
+            created_at: '2022-06-15T12:00:00Z'
+        }, { now });
+
+        expect(result.factors.idle).toBe(0.8);
+        expect(result.factors.age).toBe(0);
+        expect(result.reasons[0]).toBe('Never borrowed in 4.0 years');
+        expect(result.metrics.days_since_last_checkout).toBeNull();
+    });
+
+    test('flags copies beyond what demand needs', () => {
+        const base = { recent_checkouts: 0, total_reviews: 0, last_checkout_date: '2026-06-01T12:00:00Z' };
+
+        const many = scoreWeedingCandidate({ ...base, total_copies: 5 }, { now });
+        expect(many.factors.duplicates).toBe(1);
+        expect(many.reasons).toContain('4 more copies than demand needs');
+
+        const one = scoreWeedingCandidate({ ...base, total_copies: 2 }, { now });
+        expect(one.factors.duplicates).toBe(0.33);
+        expect(one.reasons).toContain('1 more copy than demand needs');
+    });
+
+    test('spreads recent checkouts over the lookback period', () => {
+        const book = { total_copies: 1, recent_checkouts: 6, total_reviews: 0, last_checkout_date: '2026-06-01T12:00:00Z' };
+
+        expect(scoreWeedingCandidate(book, { now }).factors.circulation).toBe(0);
+        expect(scoreWeedingCandidate(book, { now, lookbackYears: 6 }).factors.circulation).toBe(0.5);
+    });
+});
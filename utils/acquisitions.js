@@ -0,0 +1,250 @@
+// Smart Library Platform - Acquisitions Helpers
+//
+// Patrons suggest titles we do not own and vote for each other's suggestions.
+// Staff move suggestions (or titles they add themselves) through the pipeline:
+//   suggested -> approved -> ordered -> received
+// with rejected (suggested/approved) and cancelled (ordered) as dead ends.
+// An order is charged to a budget fund: ordered acquisitions count as
+// committed, received ones as spent. Receiving creates the book with addBook,
+// or adds copies when the ISBN is already in the catalogue.
+
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+const { addBook } = require('./catalog');
+const { updateInventory } = require('./inventory');
+
+const ACQUISITION_STATUSES = ['suggested', 'approved', 'ordered', 'received', 'rejected', 'cancelled'];
+const ACQUISITION_FORMATS = ['print', 'ebook'];
+
+// Statuses each status can move to
+const NEXT_STATUSES = {
+    suggested: ['approved', 'rejected'],
+    approved: ['ordered', 'rejected'],
+    ordered: ['received', 'cancelled'],
+    received: [],
+    rejected: [],
+    cancelled: []
+};
+
+// Statuses patrons can still vote in, and that block a duplicate suggestion
+const OPEN_STATUSES = ['suggested', 'approved', 'ordered'];
+
+// Open suggestions one patron may have at a time
+const MAX_OPEN_SUGGESTIONS = 5;
+
+// Fields patrons see; vendor, cost, fund and staff notes are for staff only
+const PATRON_FIELDS = [
+    'acquisition_id', 'title', 'author', 'isbn', 'publisher', 'publication_year', 'format',
+    'reason', 'status', 'decision_note', 'book_id', 'created_at', 'vote_count', 'has_voted', 'is_mine'
+];
+
+function optionalText(value, maxLength) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const text = value === null ? '' : String(value).trim();
+    return text === '' ? null : text.slice(0, maxLength);
+}
+
+// Validate acquisition fields from a request body. With `staff`, the ordering
+// fields (quantity, vendor, unit_cost, staff_notes) are read too.
+// Returns { values } with only the fields that were sent, or { error }.
+function readAcquisitionFields(body, { requireTitle = false, staff = false } = {}) {
+    const values = {};
+
+    if (body.title !== undefined || requireTitle) {
+        values.title = String(body.title || '').trim();
+        if (!values.title) {
+            return { error: 'Title is required' };
+        }
+        if (values.title.length > 200) {
+            return { error: 'Title cannot be longer than 200 characters' };
+        }
+    }
+
+    for (const [field, maxLength] of [['author', 200], ['publisher', 100], ['reason', 2000]]) {
+        const text = optionalText(body[field], maxLength);
+        if (text !== undefined) {
+            values[field] = text;
+        }
+    }
+
+    if (body.isbn !== undefined) {
+        const isbn = optionalText(body.isbn, 20);
+        if (isbn && !isValidIsbn(isbn)) {
+            return { error: `"${isbn}" is not a valid ISBN` };
+        }
+        values.isbn = isbn;
+        values.isbn13 = isbn ? toIsbn13(isbn) : null;
+    }
+
+    if (body.publication_year !== undefined) {
+        const year = body.publication_year === null || body.publication_year === '' ? null : Number(body.publication_year);
+        if (year !== null && (!Number.isInteger(year) || year < 1000 || year > new Date().getFullYear() + 1)) {
+            return { error: 'Publication year must be a four-digit year' };
+        }
+        values.publication_year = year;
+    }
+
+    if (body.format !== undefined) {
+        if (!ACQUISITION_FORMATS.includes(body.format)) {
+            return { error: `Format must be one of: ${ACQUISITION_FORMATS.join(', ')}` };
+        }
+        values.format = body.format;
+    }
+
+    if (!staff) {
+        return { values };
+    }
+
+    if (body.quantity !== undefined) {
+        const quantity = Number(body.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+            return { error: 'Quantity must be a whole number between 1 and 100' };
+        }
+        values.quantity = quantity;
+    }
+
+    if (body.unit_cost !== undefined) {
+        const cost = body.unit_cost === null || body.unit_cost === '' ? null : Number(body.unit_cost);
+        if (cost !== null && (!Number.isFinite(cost) || cost < 0 || cost > 99999)) {
+            return { error: 'Unit cost must be a positive amount' };
+        }
+        values.unit_cost = cost !== null ? Math.round(cost * 100) / 100 : null;
+    }
+
+    for (const [field, maxLength] of [['vendor', 100], ['order_reference', 50], ['staff_notes', 2000]]) {
+        const text = optionalText(body[field], maxLength);
+        if (text !== undefined) {
+            values[field] = text;
+        }
+    }
+
+    return { values };
+}
+
+// Strip the staff-only fields from an acquisition for a patron
+function toPatronView(acquisition) {
+    return Object.fromEntries(PATRON_FIELDS.filter(field => field in acquisition).map(field => [field, acquisition[field]]));
+}
+
+// Funds with what they have committed (on order) and spent (received).
+// With fundId, only that fund.
+async function getFundBalances(connection, fundId = null) {
+    const [funds] = await connection.execute(`
+        SELECT
+            f.*,
+            COALESCE(SUM(CASE WHEN a.status = 'ordered' THEN a.quantity * a.unit_cost END), 0) as committed_amount,
+            COALESCE(SUM(CASE WHEN a.status = 'received' THEN a.quantity * a.unit_cost END), 0) as spent_amount
+        FROM budget_funds f
+        LEFT JOIN acquisitions a ON a.fund_id = f.fund_id
+        ${fundId !== null ? 'WHERE f.fund_id = ?' : ''}
+        GROUP BY f.fund_id
+        ORDER BY f.is_active DESC, f.fiscal_year DESC, f.name
+    `, fundId !== null ? [fundId] : []);
+
+    return funds.map(fund => {
+        const allocated = parseFloat(fund.allocated_amount);
+        const committed = parseFloat(fund.committed_amount);
+        const spent = parseFloat(fund.spent_amount);
+        return {
+            ...fund,
+            is_active: !!fund.is_active,
+            allocated_amount: allocated,
+            committed_amount: committed,
+            spent_amount: spent,
+            remaining_amount: Math.round((allocated - committed - spent) * 100) / 100
+        };
+    });
+}
+
+// The open acquisition for the same title (by ISBN, else title and author), or null
+async function findOpenDuplicate(connection, { isbn13, title, author }, excludeId = 0) {
+    const [matches] = isbn13
+        ? await connection.execute(`
+            SELECT acquisition_id, title, status FROM acquisitions
+            WHERE isbn13 = ? AND status IN ('suggested', 'approved', 'ordered') AND acquisition_id != ?
+            LIMIT 1
+        `, [isbn13, excludeId])
+        : await connection.execute(`
+            SELECT acquisition_id, title, status FROM acquisitions
+            WHERE title = ? AND COALESCE(author, '') = ? AND status IN ('suggested', 'approved', 'ordered') AND acquisition_id != ?
+            LIMIT 1
+        `, [title, author || '', excludeId]);
+    return matches.length > 0 ? matches[0] : null;
+}
+
+// The catalogue book with this ISBN (an active one if there are several), or null
+async function findOwnedBook(connection, isbn13) {
+    if (!isbn13) {
+        return null;
+    }
+    const [books] = await connection.execute(
+        'SELECT book_id, title, total_copies, is_active FROM books WHERE isbn13 = ? ORDER BY is_active DESC, book_id LIMIT 1',
+        [isbn13]
+    );
+    return books.length > 0 ? { ...books[0], is_active: !!books[0].is_active } : null;
+}
+
+// Receive an order into the catalogue. Must be called inside the caller's
+// transaction. `details` carries the receiving options (copies, branch_id,
+// shelf_location, call_number, genre...). Returns { book_id, created, copies }.
+async function receiveAcquisition(connection, staffId, acquisition, details) {
+    const copies = details.copies;
+    const owned = await findOwnedBook(connection, acquisition.isbn13);
+
+    // Already in the catalogue: add the copies to the existing book, bringing
+    // it back if it had been retired (books.isbn is unique)
+    if (owned) {
+        if (!owned.is_active) {
+            await connection.execute('UPDATE books SET is_active = TRUE WHERE book_id = ?', [owned.book_id]);
+        }
+        const change = await updateInventory(connection, owned.book_id, owned.total_copies + copies, {
+            newItems: { branchId: details.branch_id || null, shelfLocation: details.shelf_location || null }
+        });
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [staffId, 'update_inventory', 'book', owned.book_id, `Acquisition #${acquisition.acquisition_id} received: ${copies} cop${copies === 1 ? 'y' : 'ies'} added`,
+             JSON.stringify({ total_copies: owned.total_copies, is_active: owned.is_active }),
+             JSON.stringify({ total_copies: change.new_total, is_active: true, added_item_ids: change.added_item_ids })]
+        );
+        return { book_id: owned.book_id, created: false, copies };
+    }
+
+    const bookId = await addBook(connection, staffId, {
+        title: acquisition.title,
+        isbn: acquisition.isbn,
+        publisher: acquisition.publisher,
+        publication_date: details.publication_date || (acquisition.publication_year ? `${acquisition.publication_year}-01-01` : null),
+        genre: details.genre,
+        language: details.language,
+        pages: details.pages,
+        description: details.description,
+        total_copies: copies,
+        is_ebook: acquisition.format === 'ebook',
+        replacement_cost: acquisition.unit_cost,
+        cover_image_url: details.cover_image_url,
+        call_number: details.call_number,
+        call_number_scheme: details.call_number_scheme,
+        branch_id: details.branch_id,
+        shelf_location: details.shelf_location,
+        authors: acquisition.author
+            ? acquisition.author.split(/[;,]/).map(name => name.trim()).filter(Boolean)
+            : []
+    });
+
+    return { book_id: bookId, created: true, copies };
+}
+
+module.exports = {
+    ACQUISITION_STATUSES,
+    ACQUISITION_FORMATS,
+    NEXT_STATUSES,
+    OPEN_STATUSES,
+    MAX_OPEN_SUGGESTIONS,
+    readAcquisitionFields,
+    toPatronView,
+    getFundBalances,
+    findOpenDuplicate,
+    findOwnedBook,
+    receiveAcquisition
+};
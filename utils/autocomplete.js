@@ -0,0 +1,290 @@
+// Smart Library Platform - Autocomplete Index Helpers
+//
+// Search-as-you-type suggestions come from an in-memory prefix index rather
+// than the database, so a lookup is a binary search over sorted keys. Every
+// suggestion (a title, author, genre or ISBN) is indexed under the start of
+// each of its words, so "gats" finds "The Great Gatsby".
+//
+// The index is loaded on first use and rebuilt every AUTOCOMPLETE_REFRESH_MS
+// (to pick up popularity changes). Admin routes keep it current in between by
+// calling syncBook() after adding, editing or retiring a book, or
+// invalidateIndex() after author changes.
+
+const { toIsbn13, toIsbn10 } = require('./isbn');
+
+const AUTOCOMPLETE_REFRESH_MS = 30 * 60 * 1000;
+
+const SUGGESTION_TYPES = ['title', 'author', 'genre', 'isbn'];
+
+// Keys scanned per lookup; enough to rank a short prefix without walking the whole index
+const MAX_CANDIDATES = 200;
+
+const index = {
+    entries: new Map(),     // id -> suggestion
+    keys: [],               // [{ key, id }] sorted by key once `sorted` is true
+    sorted: true,
+    books: new Map(),       // book_id -> { genre, authorIds } for reference counting
+    loadedAt: 0,
+    loading: null
+};
+
+// Lowercase, strip accents and collapse punctuation so "Brontë" matches "bronte"
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Index keys for a label: the label from the start of each word
+function keysFor(label) {
+    const words = normalize(label).split(' ').filter(Boolean);
+    return words.map((_, i) => words.slice(i).join(' '));
+}
+
+function addEntry(entry, keys) {
+    index.entries.set(entry.id, entry);
+    for (const key of keys) {
+        index.keys.push({ key, id: entry.id });
+    }
+    index.sorted = false;
+}
+
+function removeEntry(id) {
+    if (index.entries.delete(id)) {
+        index.keys = index.keys.filter(item => item.id !== id);
+    }
+}
+
+// Authors and genres are shared by many books; their entries live while any book references them
+function addReference(id, build) {
+    const existing = index.entries.get(id);
+    if (existing) {
+        existing.book_count++;
+        return;
+    }
+    const entry = build();
+    addEntry(entry, entry.type === 'author' ? keysFor(entry.label) : [normalize(entry.label)]);
+}
+
+function removeReference(id) {
+    const existing = index.entries.get(id);
+    if (existing && --existing.book_count <= 0) {
+        removeEntry(id);
+    }
+}
+
+function addBook(book, authors) {
+    addEntry({
+        id: `title:${book.book_id}`,
+        type: 'title',
+        label: book.title,
+        value: book.title,
+        book_id: book.book_id,
+        detail: authors.map(author => author.name).join(', ') || null,
+        weight: parseInt(book.total_borrowed) || 0
+    }, keysFor(book.title));
+
+    if (book.isbn) {
+        addEntry({
+            id: `isbn:${book.book_id}`,
+            type: 'isbn',
+            label: book.isbn,
+            value: book.isbn,
+            book_id: book.book_id,
+            detail: book.title,
+            weight: 0
+        }, [...new Set([
+            book.isbn.replace(/[^0-9Xx]/g, '').toLowerCase(),
+            // Either ISBN form finds the book, whichever it was catalogued with
+            toIsbn13(book.isbn),
+            (toIsbn10(book.isbn) || '').toLowerCase()
+        ].filter(Boolean))]);
+    }
+
+    if (book.genre) {
+        addReference(`genre:${book.genre.toLowerCase()}`, () => ({
+            id: `genre:${book.genre.toLowerCase()}`,
+            type: 'genre',
+            label: book.genre,
+            value: book.genre,
+            book_count: 1
+        }));
+    }
+
+    for (const author of authors) {
+        addReference(`author:${author.author_id}`, () => ({
+            id: `author:${author.author_id}`,
+            type: 'author',
+            label: author.name,
+            value: author.name,
+            author_id: author.author_id,
+            book_count: 1
+        }));
+    }
+
+    index.books.set(book.book_id, {
+        genre: book.genre ? book.genre.toLowerCase() : null,
+        authorIds: authors.map(author => author.author_id)
+    });
+}
+
+function dropBook(bookId) {
+    const refs = index.books.get(bookId);
+    if (!refs) {
+        return;
+    }
+    removeEntry(`title:${bookId}`);
+    removeEntry(`isbn:${bookId}`);
+    if (refs.genre) {
+        removeReference(`genre:${refs.genre}`);
+    }
+    refs.authorIds.forEach(authorId => removeReference(`author:${authorId}`));
+    index.books.delete(bookId);
+}
+
+// Active books (all, or one) with their authors
+async function loadBooks(connection, bookId = null) {
+    const [books] = await connection.execute(`
+        SELECT book_id, title, isbn, genre, total_borrowed
+        FROM books
+        WHERE is_active = TRUE ${bookId ? 'AND book_id = ?' : ''}
+    `, bookId ? [bookId] : []);
+
+    const [authors] = await connection.execute(`
+        SELECT ba.book_id, a.author_id, CONCAT(a.first_name, ' ', a.last_name) as name
+        FROM book_authors ba
+        JOIN authors a ON ba.author_id = a.author_id
+        JOIN books b ON ba.book_id = b.book_id
+        WHERE b.is_active = TRUE ${bookId ? 'AND b.book_id = ?' : ''}
+        ORDER BY ba.book_id, ba.author_order
+    `, bookId ? [bookId] : []);
+
+    const authorsByBook = new Map();
+    for (const author of authors) {
+        if (!authorsByBook.has(author.book_id)) {
+            authorsByBook.set(author.book_id, []);
+        }
+        authorsByBook.get(author.book_id).push({ author_id: author.author_id, name: author.name.trim() });
+    }
+
+    return books.map(book => ({ book, authors: authorsByBook.get(book.book_id) || [] }));
+}
+
+// Rebuild the whole index from the database
+async function rebuildIndex(connection) {
+    const books = await loadBooks(connection);
+
+    index.entries = new Map();
+    index.keys = [];
+    index.books = new Map();
+    books.forEach(({ book, authors }) => addBook(book, authors));
+    index.loadedAt = Date.now();
+
+    return index.entries.size;
+}
+
+// Load the index if it is missing or stale; concurrent callers share one rebuild
+async function ensureIndex(connection) {
+    if (index.loadedAt && Date.now() - index.loadedAt < AUTOCOMPLETE_REFRESH_MS) {
+        return;
+    }
+    if (!index.loading) {
+        index.loading = rebuildIndex(connection).finally(() => {
+            index.loading = null;
+        });
+    }
+    await index.loading;
+}
+
+// Re-index one book after it was added, edited or retired
+async function syncBook(connection, bookId) {
+    if (!index.loadedAt) {
+        return;
+    }
+    dropBook(bookId);
+    const [current] = await loadBooks(connection, bookId);
+    if (current) {
+        addBook(current.book, current.authors);
+    }
+}
+
+// Force a full rebuild on next use, for changes that touch many books (author renames and merges)
+function invalidateIndex() {
+    index.loadedAt = 0;
+}
+
+// First index position whose key is >= prefix
+function lowerBound(prefix) {
+    let low = 0;
+    let high = index.keys.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (index.keys[middle].key < prefix) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Mixed suggestions for a typed prefix, best first
+async function suggest(connection, query, { limit = 8, types = SUGGESTION_TYPES } = {}) {
+    await ensureIndex(connection);
+
+    const prefix = normalize(query);
+    if (!prefix) {
+        return [];
+    }
+    if (!index.sorted) {
+        index.keys.sort((a, b) => (a.key < b.key ? -1 : (a.key > b.key ? 1 : 0)));
+        index.sorted = true;
+    }
+
+    // ISBNs are indexed as bare digits so hyphenated input still matches
+    const isbnPrefix = /^[0-9][0-9\s-]*[0-9xX]?$/.test(String(query).trim()) ? String(query).replace(/[^0-9Xx]/g, '').toLowerCase() : null;
+    const prefixes = isbnPrefix && isbnPrefix !== prefix ? [prefix, isbnPrefix] : [prefix];
+
+    const matches = new Map();
+    for (const current of prefixes) {
+        for (let i = lowerBound(current); i < index.keys.length && matches.size < MAX_CANDIDATES; i++) {
+            const { key, id } = index.keys[i];
+            if (!key.startsWith(current)) {
+                break;
+            }
+            const entry = index.entries.get(id);
+            if (!types.includes(entry.type)) {
+                continue;
+            }
+            // A match at the start of the label ranks above a match on a later word
+            const startsLabel = normalize(entry.label).startsWith(current) || entry.type === 'isbn';
+            const previous = matches.get(id);
+            if (!previous || (startsLabel && !previous.startsLabel)) {
+                matches.set(id, { entry, startsLabel });
+            }
+        }
+    }
+
+    return [...matches.values()]
+        .sort((a, b) =>
+            (b.startsLabel - a.startsLabel) ||
+            (SUGGESTION_TYPES.indexOf(a.entry.type) - SUGGESTION_TYPES.indexOf(b.entry.type)) ||
+            ((b.entry.weight || b.entry.book_count || 0) - (a.entry.weight || a.entry.book_count || 0)) ||
+            a.entry.label.localeCompare(b.entry.label))
+        .slice(0, limit)
+        .map(({ entry }) => {
+            const { id, weight, ...suggestion } = entry;
+            return suggestion;
+        });
+}
+
+module.exports = {
+    SUGGESTION_TYPES,
+    rebuildIndex,
+    invalidateIndex,
+    syncBook,
+    suggest
+};
@@ -0,0 +1,334 @@
+// Smart Library Platform - Bulk Import Helpers
+//
+// Bulk imports arrive as CSV text (one header row, then one book per row) or
+// as JSON (an array of book objects, or { books: [...] }). Rows are parsed
+// into the same shape POST /api/admin/books accepts and validated one by one,
+// so the route can report every problem before anything is written.
+//
+// CSV columns (case-insensitive, a few aliases accepted):
+//   title, isbn, authors, publisher, publication_date, genre, language, pages,
+//   description, total_copies, is_ebook, is_reference, replacement_cost, cover_image_url,
+//   call_number, call_number_scheme
+// Multiple authors are separated by ";" or "|".
+//
+// MARC records (see utils/marc.js) are also accepted: MARCXML as text, and
+// MARC21 binary base64-encoded. MARC carries no copy counts, so every record
+// gets `copies_per_record` copies.
+
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+const { parseMarc21, parseMarcXml, recordToBook } = require('./marc');
+const { parseCallNumber } = require('./shelving');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Upper bound on copies per row, to catch typos such as 1000 for 10
+const MAX_COPIES_PER_ROW = 500;
+
+const COLUMN_ALIASES = {
+    title: 'title',
+    isbn: 'isbn',
+    isbn13: 'isbn',
+    authors: 'authors',
+    author: 'authors',
+    publisher: 'publisher',
+    publication_date: 'publication_date',
+    published: 'publication_date',
+    year: 'publication_date',
+    genre: 'genre',
+    language: 'language',
+    pages: 'pages',
+    description: 'description',
+    total_copies: 'total_copies',
+    copies: 'total_copies',
+    is_ebook: 'is_ebook',
+    ebook: 'is_ebook',
+    is_reference: 'is_reference',
+    reference: 'is_reference',
+    replacement_cost: 'replacement_cost',
+    cover_image_url: 'cover_image_url',
+    cover: 'cover_image_url',
+    call_number: 'call_number',
+    callnumber: 'call_number',
+    call_number_scheme: 'call_number_scheme',
+    classification: 'call_number_scheme'
+};
+
+// Column length limits from the books table
+const MAX_LENGTHS = {
+    title: 200,
+    publisher: 100,
+    genre: 50,
+    language: 30,
+    cover_image_url: 500
+};
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+// commas, newlines and doubled quotes)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines are not books
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Raw row objects from CSV, JSON or MARC input. Throws with a message for the
+// client when the input itself cannot be read.
+function readImportRows(format, data, options = {}) {
+    if (format === 'csv') {
+        const [header, ...lines] = parseCsv(data);
+        if (!header) {
+            throw new Error('CSV data is empty');
+        }
+
+        const columns = header.map(name => COLUMN_ALIASES[name.trim().toLowerCase().replace(/\s+/g, '_')] || null);
+        if (!columns.includes('title')) {
+            throw new Error('CSV header must include a title column');
+        }
+
+        return lines.map(fields => {
+            const raw = {};
+            columns.forEach((column, i) => {
+                if (column && fields[i] !== undefined) {
+                    raw[column] = fields[i];
+                }
+            });
+            return raw;
+        });
+    }
+
+    if (format === 'json') {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const books = Array.isArray(parsed) ? parsed : (parsed && parsed.books);
+        if (!Array.isArray(books)) {
+            throw new Error('JSON data must be an array of books or { "books": [...] }');
+        }
+        return books;
+    }
+
+    if (format === 'marc' || format === 'marcxml') {
+        if (typeof data !== 'string' || data.trim() === '') {
+            throw new Error('MARC data is empty');
+        }
+
+        const records = format === 'marc'
+            ? parseMarc21(Buffer.from(data, 'base64'))
+            : parseMarcXml(data);
+
+        return records.map(record => ({
+            ...recordToBook(record),
+            total_copies: options.copies_per_record === undefined ? 1 : options.copies_per_record
+        }));
+    }
+
+    throw new Error('Format must be csv, json, marc or marcxml');
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(text)) {
+        return true;
+    }
+    if (['false', 'no', 'n', '0', ''].includes(text)) {
+        return false;
+    }
+    return null;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Validate one raw row. Returns { book, errors } where book is shaped like the
+// POST /api/admin/books body (authors as a list of names).
+function normalizeImportRow(raw) {
+    const errors = [];
+    const text = field => (isBlank(raw[field]) ? null : String(raw[field]).trim());
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { book: null, errors: ['Row must be an object'] };
+    }
+
+    const book = {
+        title: text('title'),
+        isbn: text('isbn'),
+        publisher: text('publisher'),
+        genre: text('genre'),
+        language: text('language') || 'English',
+        description: text('description'),
+        cover_image_url: text('cover_image_url'),
+        publication_date: null,
+        pages: null,
+        total_copies: null,
+        is_ebook: false,
+        is_reference: false,
+        replacement_cost: null,
+        call_number: null,
+        call_number_scheme: null,
+        authors: []
+    };
+
+    if (!book.title) {
+        errors.push('Title is required');
+    }
+
+    for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+        if (book[field] && book[field].length > max) {
+            errors.push(`${field} cannot be longer than ${max} characters`);
+        }
+    }
+
+    if (book.isbn && !isValidIsbn(book.isbn)) {
+        errors.push(`Invalid ISBN: ${book.isbn}`);
+    }
+
+    // Authors: a list, or one string separated by ";" or "|"
+    const authorsRaw = raw.authors !== undefined ? raw.authors : raw.author;
+    const authorList = Array.isArray(authorsRaw)
+        ? authorsRaw.map(author => (author && typeof author === 'object' ? author.name : author))
+        : String(authorsRaw || '').split(/[;|]/);
+    book.authors = authorList.map(name => String(name || '').trim().replace(/\s+/g, ' ')).filter(Boolean);
+
+    if (book.authors.length === 0) {
+        errors.push('At least one author is required');
+    }
+    for (const name of book.authors) {
+        const [first, ...rest] = name.split(' ');
+        if (first.length > 50 || rest.join(' ').length > 50) {
+            errors.push(`Author name too long: ${name}`);
+        }
+    }
+
+    if (isBlank(raw.total_copies)) {
+        errors.push('Total copies is required');
+    } else {
+        const copies = Number(raw.total_copies);
+        if (!Number.isInteger(copies) || copies <= 0) {
+            errors.push('Total copies must be a whole number greater than 0');
+        } else if (copies > MAX_COPIES_PER_ROW) {
+            errors.push(`Total copies cannot exceed ${MAX_COPIES_PER_ROW}`);
+        } else {
+            book.total_copies = copies;
+        }
+    }
+
+    if (!isBlank(raw.publication_date)) {
+        const date = String(raw.publication_date).trim();
+        // A bare year is stored as 1 January of that year
+        const normalized = /^\d{4}$/.test(date) ? `${date}-01-01` : date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(normalized) || isNaN(Date.parse(normalized))) {
+            errors.push('Publication date must be YYYY-MM-DD or YYYY');
+        } else {
+            book.publication_date = normalized;
+        }
+    }
+
+    if (!isBlank(raw.pages)) {
+        const pages = Number(raw.pages);
+        if (!Number.isInteger(pages) || pages <= 0) {
+            errors.push('Pages must be a whole number greater than 0');
+        } else {
+            book.pages = pages;
+        }
+    }
+
+    if (!isBlank(raw.replacement_cost)) {
+        const cost = Number(raw.replacement_cost);
+        if (isNaN(cost) || cost < 0) {
+            errors.push('Replacement cost must be a number of 0 or more');
+        } else {
+            book.replacement_cost = cost;
+        }
+    }
+
+    if (!isBlank(raw.call_number)) {
+        const { value, error } = parseCallNumber(raw.call_number, text('call_number_scheme'));
+        if (error) {
+            errors.push(error);
+        } else {
+            book.call_number = value.call_number;
+            book.call_number_scheme = value.call_number_scheme;
+        }
+    }
+
+    for (const flag of ['is_ebook', 'is_reference']) {
+        if (!isBlank(raw[flag])) {
+            const value = parseBoolean(raw[flag]);
+            if (value === null) {
+                errors.push(`${flag} must be true or false`);
+            } else {
+                book[flag] = value;
+            }
+        }
+    }
+
+    return { book, errors };
+}
+
+// Existing books keyed by normalized ISBN-13 (isbns must be valid)
+async function findBooksByIsbn(connection, isbns) {
+    const found = new Map();
+    const unique = [...new Set(isbns.map(toIsbn13))];
+
+    // Chunked to keep the IN list reasonable
+    for (let i = 0; i < unique.length; i += 200) {
+        const chunk = unique.slice(i, i + 200);
+        const [rows] = await connection.execute(`
+            SELECT book_id, title, isbn, isbn13, total_copies, is_active
+            FROM books
+            WHERE isbn13 IN (${chunk.map(() => '?').join(', ')})
+        `, chunk);
+        rows.forEach(row => found.set(row.isbn13, row));
+    }
+
+    return found;
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    readImportRows,
+    normalizeImportRow,
+    findBooksByIsbn
+};
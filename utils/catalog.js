@@ -0,0 +1,216 @@
+// Smart Library Platform - Catalog Helpers
+//
+// The JavaScript side of the AddBook and RetireBook procedures, shared by every
+// route that creates books (single add, bulk import) or retires them (single,
+// bulk from the weeding report). Unlike the procedures, these do not open their
+// own transaction, so callers can change many books atomically.
+
+const { addItems } = require('./inventory');
+const { parseCallNumber } = require('./shelving');
+
+// Link a book to its authors in order, creating authors that do not exist yet
+async function linkAuthors(connection, bookId, authorNames) {
+    for (let i = 0; i < authorNames.length; i++) {
+        const authorName = authorNames[i];
+        let authorId;
+
+        // Check if author exists by first_name and last_name
+        const nameParts = authorName.trim().split(' ');
+        const firstName = nameParts[0] || '';
+        const lastName = nameParts.slice(1).join(' ') || '';
+
+        const [existingAuthor] = await connection.execute(
+            'SELECT author_id FROM authors WHERE first_name = ? AND last_name = ?',
+            [firstName, lastName]
+        );
+
+        if (existingAuthor.length > 0) {
+            authorId = existingAuthor[0].author_id;
+        } else {
+            // Create new author
+            const [authorResult] = await connection.execute(
+                'INSERT INTO authors (first_name, last_name) VALUES (?, ?)',
+                [firstName, lastName]
+            );
+            authorId = authorResult.insertId;
+        }
+
+        // Link book to author
+        await connection.execute(
+            'INSERT INTO book_authors (book_id, author_id, author_order) VALUES (?, ?, ?)',
+            [bookId, authorId, i + 1]
+        );
+    }
+}
+
+// Insert a book with its items and authors and log it. Must be called inside
+// the caller's transaction. `book.authors` is a list of author names.
+// Returns the new book_id.
+async function addBook(connection, staffId, book) {
+    const {
+        title,
+        isbn,
+        publisher,
+        publication_date,
+        genre,
+        language = 'English',
+        pages,
+        description,
+        total_copies,
+        is_ebook = false,
+        is_reference = false,
+        replacement_cost,
+        cover_image_url,
+        call_number,
+        call_number_scheme,
+        branch_id,
+        shelf_location,
+        authors
+    } = book;
+
+    const values = [
+        title.trim(),
+        isbn || null,
+        publisher || null,
+        publication_date || null,
+        genre || null,
+        language || 'English',
+        pages || null,
+        description || null,
+        total_copies,
+        total_copies, // available_copies starts equal to total_copies
+        is_ebook ? 1 : 0,
+        cover_image_url || null
+    ];
+
+    // Insert the book (robust to older schemas without created_by)
+    let bookId;
+    try {
+        const [bookResult] = await connection.execute(`
+            INSERT INTO books (
+                title, isbn, publisher, publication_date, genre, language,
+                pages, description, total_copies, available_copies, is_ebook,
+                cover_image_url, is_active, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?)
+        `, [...values, staffId]);
+        bookId = bookResult.insertId;
+    } catch (insertErr) {
+        // Fallback for databases without created_by column
+        if ((insertErr && insertErr.code === 'ER_BAD_FIELD_ERROR') || (insertErr && /created_by/i.test(insertErr.message))) {
+            const [bookResultFallback] = await connection.execute(`
+                INSERT INTO books (
+                    title, isbn, publisher, publication_date, genre, language,
+                    pages, description, total_copies, available_copies, is_ebook,
+                    cover_image_url, is_active
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE)
+            `, values);
+            bookId = bookResultFallback.insertId;
+        } else {
+            throw insertErr;
+        }
+    }
+
+    // One book item (with a generated barcode) per copy
+    await addItems(connection, bookId, parseInt(total_copies), {
+        condition: 'new',
+        branchId: branch_id || null,
+        shelfLocation: shelf_location || null
+    });
+
+    // Call number and its shelf-order key (callers validate it first)
+    const callNumber = parseCallNumber(call_number, call_number_scheme).value;
+    if (callNumber && callNumber.call_number) {
+        await connection.execute(
+            'UPDATE books SET call_number = ?, call_number_scheme = ?, call_number_sort = ? WHERE book_id = ?',
+            [callNumber.call_number, callNumber.call_number_scheme, callNumber.call_number_sort, bookId]
+        );
+    }
+
+    // Reference items are governed by the reference circulation policy
+    if (is_reference) {
+        await connection.execute(
+            'UPDATE books SET is_reference = TRUE WHERE book_id = ?',
+            [bookId]
+        );
+    }
+
+    // Charged to the patron if a copy is lost or damaged
+    if (replacement_cost !== undefined && replacement_cost !== null && replacement_cost !== '') {
+        await connection.execute(
+            'UPDATE books SET replacement_cost = ? WHERE book_id = ?',
+            [parseFloat(replacement_cost) || 0, bookId]
+        );
+    }
+
+    await linkAuthors(connection, bookId, authors);
+
+    // Log the action (tolerate schema differences)
+    try {
+        await connection.execute(
+            'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description) VALUES (?, ?, ?, ?, ?)',
+            [staffId, 'add_book', 'book', bookId, `Book added: ${title.trim()}`]
+        );
+    } catch (logErr) {
+        console.warn('staff_logs insert failed (schema may differ):', logErr.message);
+    }
+
+    return bookId;
+}
+
+// Retire a book: hide it from the catalogue and close its hold queue. Books
+// with copies still on loan cannot be retired. Must be called inside the
+// caller's transaction. Returns { title } or { error, code }; the caller
+// refreshes the search index and vocabulary.
+async function retireBook(connection, staffId, bookId, reason = null) {
+    // Lock the book first: checkouts lock it too, so none can start between
+    // the active-checkout count and the retirement
+    const [books] = await connection.execute(
+        'SELECT book_id, title FROM books WHERE book_id = ? AND is_active = TRUE FOR UPDATE',
+        [bookId]
+    );
+
+    if (books.length === 0) {
+        return { error: 'Book not found or already retired', code: 'BOOK_NOT_FOUND' };
+    }
+
+    const [activeCheckouts] = await connection.execute(
+        'SELECT COUNT(*) as count FROM checkouts WHERE book_id = ? AND is_returned = FALSE',
+        [bookId]
+    );
+
+    if (parseInt(activeCheckouts[0].count) > 0) {
+        return { error: 'Cannot retire book with active checkouts', code: 'ACTIVE_CHECKOUTS' };
+    }
+
+    await connection.execute(
+        'UPDATE books SET is_active = FALSE, available_copies = 0 WHERE book_id = ?',
+        [bookId]
+    );
+
+    // Nobody can collect a retired book, so close its hold queue. Copies set
+    // aside for ready holds go back to available, so they count again if the
+    // book is ever reactivated (books.available_copies stays 0 while retired)
+    await connection.execute(`
+        UPDATE book_items bi
+        JOIN holds h ON h.item_id = bi.item_id
+        SET bi.status = 'available'
+        WHERE h.book_id = ? AND h.status = 'ready' AND bi.status = 'on_hold'
+    `, [bookId]);
+    await connection.execute(
+        "UPDATE holds SET status = 'cancelled' WHERE book_id = ? AND status IN ('waiting', 'ready')",
+        [bookId]
+    );
+
+    await connection.execute(
+        'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description) VALUES (?, ?, ?, ?, ?)',
+        [staffId, 'retire_book', 'book', bookId, `Book retired: ${books[0].title}${reason ? ` (${reason})` : ''}`]
+    );
+
+    return { title: books[0].title };
+}
+
+module.exports = {
+    linkAuthors,
+    addBook,
+    retireBook
+};
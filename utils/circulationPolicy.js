@@ -0,0 +1,104 @@
+// Smart Library Platform - Circulation Policy Helpers
+//
+// Loan rules live in the circulation_policies table. A policy can be scoped to a
+// user_type, a genre and/or a material type; NULL means "any". For a given
+// patron and book the most specific active policy wins.
+
+// Used only when the circulation_policies table has no matching row
+const DEFAULT_POLICY = {
+    policy_id: null,
+    policy_name: 'Built-in default',
+    user_type: null,
+    genre: null,
+    material_type: null,
+    loan_period_days: 14,
+    max_loan_days: 30,
+    max_items: 5,
+    max_renewals: 2,
+    renewal_period_days: 14,
+    fee_per_day: 0.50,
+    max_fee: null,
+    fine_threshold: 10.00,
+    is_loanable: true
+};
+
+const MATERIAL_TYPES = ['print', 'ebook', 'reference'];
+
+// Material type of a book row (needs is_ebook and is_reference)
+function getMaterialType(book) {
+    if (book.is_reference) {
+        return 'reference';
+    }
+    return book.is_ebook ? 'ebook' : 'print';
+}
+
+// Normalize numeric columns (DECIMAL comes back as a string from mysql2)
+function normalizePolicy(row) {
+    return {
+        ...row,
+        fee_per_day: parseFloat(row.fee_per_day),
+        max_fee: row.max_fee === null || row.max_fee === undefined ? null : parseFloat(row.max_fee),
+        fine_threshold: row.fine_threshold === null || row.fine_threshold === undefined ? null : parseFloat(row.fine_threshold),
+        is_loanable: Boolean(row.is_loanable)
+    };
+}
+
+// Find the most specific active policy for a patron type and a book
+// (book needs genre, is_ebook and is_reference). Pass a null book to get the
+// patron-level policy, i.e. one not scoped to any genre or material type.
+async function resolvePolicy(connection, userType, book) {
+    const [policies] = await connection.execute(`
+        SELECT *
+        FROM circulation_policies
+        WHERE is_active = TRUE
+        AND (user_type IS NULL OR user_type = ?)
+        AND (genre IS NULL OR genre = ?)
+        AND (material_type IS NULL OR material_type = ?)
+        ORDER BY
+            (user_type IS NOT NULL) + (genre IS NOT NULL) + (material_type IS NOT NULL) DESC,
+            material_type IS NOT NULL DESC,
+            genre IS NOT NULL DESC,
+            policy_id ASC
+        LIMIT 1
+    `, [userType, book ? book.genre || null : null, book ? getMaterialType(book) : null]);
+
+    return policies.length > 0 ? normalizePolicy(policies[0]) : { ...DEFAULT_POLICY };
+}
+
+// Resolve the policy that governs an existing checkout (borrower type + book)
+async function resolvePolicyForCheckout(connection, checkoutId) {
+    const [rows] = await connection.execute(`
+        SELECT u.user_type, b.genre, b.is_ebook, b.is_reference
+        FROM checkouts c
+        JOIN users u ON c.user_id = u.user_id
+        JOIN books b ON c.book_id = b.book_id
+        WHERE c.checkout_id = ?
+    `, [checkoutId]);
+
+    if (rows.length === 0) {
+        return { ...DEFAULT_POLICY };
+    }
+
+    return resolvePolicy(connection, rows[0].user_type, rows[0]);
+}
+
+// Late fee for a number of overdue days, capped at the policy's max_fee
+function calculateLateFee(policy, daysOverdue) {
+    const days = Math.max(0, parseInt(daysOverdue) || 0);
+    let fee = days * policy.fee_per_day;
+
+    if (policy.max_fee !== null && fee > policy.max_fee) {
+        fee = policy.max_fee;
+    }
+
+    return Math.round(fee * 100) / 100;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    MATERIAL_TYPES,
+    getMaterialType,
+    resolvePolicy,
+    resolvePolicyForCheckout,
+    calculateLateFee
+};
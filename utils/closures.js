@@ -0,0 +1,71 @@
+// Smart Library Platform - Closure Calendar Helpers
+//
+// Days the library is closed are stored as date ranges in library_closures
+// (a single day has start_date = end_date). Ranges never overlap. Due dates
+// never fall on a closed day and closed days are not counted as overdue.
+//
+// Dates are passed around as 'YYYY-MM-DD' strings; the MySQL pool runs in UTC.
+
+const CLOSURE_TYPES = ['holiday', 'emergency', 'other'];
+
+// 'YYYY-MM-DD' for a Date or date-like string
+function toDateString(date) {
+    if (typeof date === 'string') {
+        return date.slice(0, 10);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// The given day if the library is open, otherwise the first open day after it
+async function nextOpenDay(connection, date) {
+    let day = toDateString(date);
+
+    // Closures do not overlap, so each step jumps past one range
+    for (;;) {
+        const [closures] = await connection.execute(`
+            SELECT DATE_FORMAT(DATE_ADD(end_date, INTERVAL 1 DAY), '%Y-%m-%d') as reopen_date
+            FROM library_closures
+            WHERE ? BETWEEN start_date AND end_date
+            LIMIT 1
+        `, [day]);
+
+        if (closures.length === 0) {
+            return day;
+        }
+        day = closures[0].reopen_date;
+    }
+}
+
+// Open days between a due date and endDate (today when omitted)
+async function countOverdueDays(connection, dueDate, endDate = null) {
+    const [rows] = await connection.execute(`
+        SELECT GREATEST(0, DATEDIFF(p.end_date, p.due_date) - COALESCE(SUM(
+            GREATEST(0, DATEDIFF(LEAST(lc.end_date, p.end_date), GREATEST(lc.start_date, DATE_ADD(p.due_date, INTERVAL 1 DAY))) + 1)
+        ), 0)) as days_overdue
+        FROM (SELECT DATE(?) as due_date, COALESCE(DATE(?), CURDATE()) as end_date) p
+        LEFT JOIN library_closures lc ON lc.start_date <= p.end_date AND lc.end_date > p.due_date
+        GROUP BY p.due_date, p.end_date
+    `, [toDateString(dueDate), endDate ? toDateString(endDate) : null]);
+
+    return parseInt(rows[0].days_overdue);
+}
+
+// A closure overlapping the given range, ignoring excludeId. Returns the row or null.
+async function findOverlappingClosure(connection, startDate, endDate, excludeId = null) {
+    const [closures] = await connection.execute(`
+        SELECT closure_id, start_date, end_date, reason
+        FROM library_closures
+        WHERE start_date <= ? AND end_date >= ? AND closure_id <> ?
+        LIMIT 1
+    `, [endDate, startDate, excludeId || 0]);
+
+    return closures[0] || null;
+}
+
+module.exports = {
+    CLOSURE_TYPES,
+    toDateString,
+    nextOpenDay,
+    countOverdueDays,
+    findOverlappingClosure
+};
@@ -0,0 +1,242 @@
+// Smart Library Platform - Duplicate Detection Helpers
+//
+// Likely duplicate books and authors are found by comparing normalized text
+// (lowercase, no accents or punctuation) with a bigram similarity score from
+// 0 to 1. Records are only compared within "blocks" that share a key (the same
+// ISBN-13, the start of the title, an author's surname...), so the catalog is
+// never compared all-pairs.
+//
+// Book score: 1 for the same ISBN-13; otherwise 65% title, 25% authors and
+// 10% publication year (weights of missing data are redistributed), reduced
+// when both books have different valid ISBNs, since those are usually separate
+// editions rather than duplicate records.
+
+const DEFAULT_MIN_SCORE = 0.75;
+
+// Blocks bigger than this ("Anonymous", "The ...") are skipped to keep detection fast
+const MAX_BLOCK_SIZE = 200;
+
+// Score multiplier for books with different ISBNs
+const DIFFERENT_ISBN_FACTOR = 0.75;
+
+const LEADING_ARTICLES = /^(the|a|an)\s+/;
+
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function bigrams(text) {
+    const padded = ` ${text} `;
+    const grams = new Map();
+    for (let i = 0; i < padded.length - 1; i++) {
+        const gram = padded.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams of two normalized strings
+function similarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let shared = 0;
+    let total = 0;
+    for (const [gram, count] of gramsA) {
+        shared += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    }
+    for (const count of gramsB.values()) {
+        total += count;
+    }
+    return (2 * shared) / total;
+}
+
+function round(score) {
+    return Math.round(score * 1000) / 1000;
+}
+
+// Candidate pairs of records that share at least one block key.
+// keysFor(record) returns the record's keys; pairs are [i, j] indexes with i < j.
+function candidatePairs(records, keysFor) {
+    const blocks = new Map();
+    records.forEach((record, i) => {
+        for (const key of new Set(keysFor(record))) {
+            if (!blocks.has(key)) {
+                blocks.set(key, []);
+            }
+            blocks.get(key).push(i);
+        }
+    });
+
+    const pairs = new Map();
+    for (const members of blocks.values()) {
+        if (members.length < 2 || members.length > MAX_BLOCK_SIZE) {
+            continue;
+        }
+        for (let x = 0; x < members.length; x++) {
+            for (let y = x + 1; y < members.length; y++) {
+                pairs.set(`${members[x]}:${members[y]}`, [members[x], members[y]]);
+            }
+        }
+    }
+    return [...pairs.values()];
+}
+
+// ---------------------------------------------------------------------------
+// Authors
+// ---------------------------------------------------------------------------
+
+// First-name initials, so "J. R. R." and "John Ronald Reuel" compare equal
+function initials(firstName) {
+    return normalizeText(firstName).split(' ').filter(Boolean).map(word => word[0]).join('');
+}
+
+function compareAuthors(a, b) {
+    const nameA = normalizeText(`${a.first_name} ${a.last_name}`);
+    const nameB = normalizeText(`${b.first_name} ${b.last_name}`);
+    const reasons = [];
+
+    // A name entered the wrong way round ("Tolkien J.R.R.") still matches
+    let score = Math.max(
+        similarity(nameA, nameB),
+        similarity(nameA, normalizeText(`${b.last_name} ${b.first_name}`))
+    );
+
+    const sameSurname = normalizeText(a.last_name) === normalizeText(b.last_name) && normalizeText(a.last_name) !== '';
+    if (sameSurname) {
+        reasons.push('same_surname');
+        if (initials(a.first_name) && initials(a.first_name) === initials(b.first_name)) {
+            reasons.push('same_initials');
+            score = Math.max(score, 0.9);
+        }
+    }
+    if (nameA.replace(/ /g, '') === nameB.replace(/ /g, '')) {
+        score = 1;
+    }
+    if (score >= 0.85) {
+        reasons.push('similar_name');
+    }
+
+    return { score: round(score), reasons };
+}
+
+// Likely duplicate authors: [{ score, reasons, authors: [a, b] }], best first.
+// Each author needs author_id, first_name and last_name.
+function findDuplicateAuthors(authors, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    const keysFor = author => normalizeText(`${author.first_name} ${author.last_name}`)
+        .split(' ')
+        .filter(word => word.length >= 3)
+        .map(word => word.slice(0, 3));
+
+    return candidatePairs(authors, keysFor)
+        .map(([i, j]) => ({ ...compareAuthors(authors[i], authors[j]), authors: [authors[i], authors[j]] }))
+        .filter(pair => pair.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+}
+
+// ---------------------------------------------------------------------------
+// Books
+// ---------------------------------------------------------------------------
+
+function titleKey(title) {
+    return normalizeText(title).replace(LEADING_ARTICLES, '');
+}
+
+// Best match for each author of the shorter list, averaged. Names are also
+// compared without spaces, so "J R R Tolkien" matches "JRR Tolkien".
+function authorListSimilarity(namesA, namesB) {
+    const [shorter, longer] = namesA.length <= namesB.length ? [namesA, namesB] : [namesB, namesA];
+    const nameSimilarity = (a, b) => Math.max(similarity(a, b), similarity(a.replace(/ /g, ''), b.replace(/ /g, '')));
+    const total = shorter.reduce((sum, name) => sum + Math.max(...longer.map(other => nameSimilarity(name, other))), 0);
+    return total / shorter.length;
+}
+
+function compareBooks(a, b) {
+    if (a.isbn13 && a.isbn13 === b.isbn13) {
+        return { score: 1, reasons: ['same_isbn'] };
+    }
+
+    const reasons = [];
+    const parts = [];
+
+    // Compare full titles and main titles (before any subtitle), whichever is closer
+    const mainTitle = title => titleKey(String(title || '').split(':')[0]);
+    const titleScore = Math.max(similarity(titleKey(a.title), titleKey(b.title)), similarity(mainTitle(a.title), mainTitle(b.title)));
+    parts.push({ weight: 0.65, score: titleScore });
+    if (titleScore >= 0.85) {
+        reasons.push('similar_title');
+    }
+
+    const authorsA = a.authors.map(normalizeText).filter(Boolean);
+    const authorsB = b.authors.map(normalizeText).filter(Boolean);
+    if (authorsA.length > 0 && authorsB.length > 0) {
+        const authorScore = authorListSimilarity(authorsA, authorsB);
+        parts.push({ weight: 0.25, score: authorScore });
+        if (authorScore >= 0.9) {
+            reasons.push('same_author');
+        }
+    }
+
+    if (a.publication_year && b.publication_year) {
+        const gap = Math.abs(a.publication_year - b.publication_year);
+        parts.push({ weight: 0.1, score: gap === 0 ? 1 : (gap === 1 ? 0.5 : 0) });
+        if (gap === 0) {
+            reasons.push('same_year');
+        }
+    }
+
+    const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+    let score = parts.reduce((sum, part) => sum + part.weight * part.score, 0) / totalWeight;
+
+    if (a.isbn13 && b.isbn13) {
+        score *= DIFFERENT_ISBN_FACTOR;
+        reasons.push('different_isbn');
+    }
+
+    return { score: round(score), reasons };
+}
+
+// Likely duplicate books: [{ score, reasons, books: [a, b] }], best first.
+// Each book needs book_id, title, isbn13, publication_year and authors (names).
+function findDuplicateBooks(books, { minScore = DEFAULT_MIN_SCORE } = {}) {
+    const keysFor = book => {
+        const key = titleKey(book.title).replace(/ /g, '');
+        const keys = [`title:${key.slice(0, 5)}`];
+        if (book.isbn13) {
+            keys.push(`isbn:${book.isbn13}`);
+        }
+        // Same author and title initial, for typos further into the title
+        for (const name of book.authors) {
+            const surname = normalizeText(name).split(' ').pop();
+            if (surname) {
+                keys.push(`author:${surname}:${key[0] || ''}`);
+            }
+        }
+        return keys;
+    };
+
+    return candidatePairs(books, keysFor)
+        .map(([i, j]) => ({ ...compareBooks(books[i], books[j]), books: [books[i], books[j]] }))
+        .filter(pair => pair.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    DEFAULT_MIN_SCORE,
+    normalizeText,
+    similarity,
+    findDuplicateAuthors,
+    findDuplicateBooks
+};
@@ -0,0 +1,187 @@
+// Smart Library Platform - Catalog Facet Helpers
+//
+// Catalog filters are kept as a list of { facet, sql, params } conditions on
+// `books b`. Each facet is counted with every active filter applied except its
+// own, so the counts show what selecting a different value would return
+// (standard drill-down behaviour).
+//
+// Genre filters and counts use the subject taxonomy (utils/subjects.js): a
+// subject's count includes books filed under narrower subjects.
+
+const { SUBJECT_ANCESTORS_CTE, subjectFilter } = require('./subjects');
+
+const FACETS = ['genre', 'language', 'publisher', 'author', 'decade', 'format', 'availability', 'rating'];
+
+// Maximum values returned for the open-ended facets
+const FACET_VALUE_LIMIT = 20;
+
+// "& up" rating buckets
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+// Filters for the catalog listing, from the request query.
+// Search conditions (see utils/search.js) are passed in with no facet.
+function buildCatalogFilters(query, fullText = null) {
+    const filters = [{ facet: null, sql: 'b.is_active = TRUE', params: [] }];
+    const add = (facet, sql, params = []) => filters.push({ facet, sql, params });
+
+    if (fullText) {
+        add(null, fullText.conditions.join(' AND '), fullText.params);
+    }
+
+    if (query.genre) {
+        const genre = subjectFilter(query.genre);
+        add('genre', genre.sql, genre.params);
+    }
+    if (query.language) {
+        add('language', 'b.language = ?', [query.language]);
+    }
+    if (query.publisher) {
+        add('publisher', 'b.publisher LIKE ?', [`%${query.publisher}%`]);
+    }
+    if (query.author_id && !isNaN(parseInt(query.author_id))) {
+        add('author', 'EXISTS (SELECT 1 FROM book_authors fba WHERE fba.book_id = b.book_id AND fba.author_id = ?)', [parseInt(query.author_id)]);
+    } else if (query.author) {
+        add('author', `EXISTS (
+            SELECT 1 FROM book_authors fba
+            JOIN authors fa ON fba.author_id = fa.author_id
+            WHERE fba.book_id = b.book_id AND CONCAT(fa.first_name, ' ', fa.last_name) LIKE ?
+        )`, [`%${query.author}%`]);
+    }
+    if (query.decade && !isNaN(parseInt(query.decade))) {
+        const decade = Math.floor(parseInt(query.decade) / 10) * 10;
+        add('decade', 'YEAR(b.publication_date) BETWEEN ? AND ?', [decade, decade + 9]);
+    }
+    if (query.format === 'ebook' || query.format === 'print') {
+        add('format', 'b.is_ebook = ?', [query.format === 'ebook']);
+    }
+    if (query.availability === 'available' || query.available_only === 'true') {
+        add('availability', 'b.available_copies > 0');
+    } else if (query.availability === 'unavailable') {
+        add('availability', 'b.available_copies = 0');
+    }
+    if (query.min_rating && !isNaN(parseFloat(query.min_rating))) {
+        add('rating', 'b.average_rating >= ?', [parseFloat(query.min_rating)]);
+    }
+
+    return filters;
+}
+
+// WHERE clause and params for the filters, optionally leaving one facet out
+function filterClause(filters, excludeFacet = null) {
+    const active = filters.filter(filter => !excludeFacet || filter.facet !== excludeFacet);
+    return {
+        clause: active.map(filter => filter.sql).join(' AND '),
+        params: active.flatMap(filter => filter.params)
+    };
+}
+
+// The facet values currently selected, keyed by facet
+function selectedFacets(query) {
+    return {
+        genre: query.genre || null,
+        language: query.language || null,
+        publisher: query.publisher || null,
+        author: query.author_id ? parseInt(query.author_id) : (query.author || null),
+        decade: query.decade ? Math.floor(parseInt(query.decade) / 10) * 10 : null,
+        format: query.format || null,
+        availability: query.availability || (query.available_only === 'true' ? 'available' : null),
+        rating: query.min_rating ? parseFloat(query.min_rating) : null
+    };
+}
+
+// Count books per value of a single-column facet
+async function countByValue(connection, filters, facet, valueSql) {
+    const { clause, params } = filterClause(filters, facet);
+    const [rows] = await connection.execute(`
+        SELECT ${valueSql} as value, COUNT(*) as count
+        FROM books b
+        WHERE ${clause} AND ${valueSql} IS NOT NULL
+        GROUP BY value
+        ORDER BY count DESC, value ASC
+        LIMIT ${FACET_VALUE_LIMIT}
+    `, params);
+    return rows.map(row => ({ value: row.value, label: String(row.value), count: parseInt(row.count) }));
+}
+
+// Counts for every facet, each respecting all other active filters
+async function getFacetCounts(connection, filters, query = {}) {
+    const genre = filterClause(filters, 'genre');
+    const [subjects] = await connection.execute(`
+        WITH RECURSIVE ${SUBJECT_ANCESTORS_CTE}
+        SELECT s.subject_id, s.name, s.parent_id, COUNT(DISTINCT b.book_id) as count
+        FROM books b
+        JOIN book_subjects bs ON b.book_id = bs.book_id
+        JOIN subject_ancestors sa ON bs.subject_id = sa.subject_id
+        JOIN subjects s ON sa.ancestor_id = s.subject_id
+        WHERE ${genre.clause}
+        GROUP BY s.subject_id, s.name, s.parent_id
+        ORDER BY count DESC, s.name ASC
+        LIMIT ${FACET_VALUE_LIMIT}
+    `, genre.params);
+
+    const facets = {
+        genre: subjects.map(row => ({
+            value: row.name,
+            label: row.name,
+            count: parseInt(row.count),
+            subject_id: row.subject_id,
+            parent_id: row.parent_id
+        })),
+        language: await countByValue(connection, filters, 'language', 'b.language'),
+        publisher: await countByValue(connection, filters, 'publisher', 'b.publisher')
+    };
+
+    const author = filterClause(filters, 'author');
+    const [authors] = await connection.execute(`
+        SELECT a.author_id as value, CONCAT(a.first_name, ' ', a.last_name) as label, COUNT(DISTINCT b.book_id) as count
+        FROM books b
+        JOIN book_authors ba ON b.book_id = ba.book_id
+        JOIN authors a ON ba.author_id = a.author_id
+        WHERE ${author.clause}
+        GROUP BY a.author_id, a.first_name, a.last_name
+        ORDER BY count DESC, label ASC
+        LIMIT ${FACET_VALUE_LIMIT}
+    `, author.params);
+    facets.author = authors.map(row => ({ value: row.value, label: row.label, count: parseInt(row.count) }));
+
+    facets.decade = (await countByValue(connection, filters, 'decade', 'FLOOR(YEAR(b.publication_date) / 10) * 10'))
+        .map(row => ({ ...row, value: parseInt(row.value), label: `${parseInt(row.value)}s` }))
+        .sort((a, b) => b.value - a.value);
+
+    facets.format = (await countByValue(connection, filters, 'format', "CASE WHEN b.is_ebook THEN 'ebook' ELSE 'print' END"))
+        .map(row => ({ ...row, label: row.value === 'ebook' ? 'eBook' : 'Print' }));
+
+    facets.availability = (await countByValue(connection, filters, 'availability', "CASE WHEN b.available_copies > 0 THEN 'available' ELSE 'unavailable' END"))
+        .map(row => ({ ...row, label: row.value === 'available' ? 'Available now' : 'Checked out' }));
+
+    const rating = filterClause(filters, 'rating');
+    const [ratingCounts] = await connection.execute(`
+        SELECT ${RATING_BUCKETS.map(bucket => `SUM(b.average_rating >= ${bucket}) as r${bucket}`).join(', ')}
+        FROM books b
+        WHERE ${rating.clause}
+    `, rating.params);
+    facets.rating = RATING_BUCKETS.map(bucket => ({
+        value: bucket,
+        label: `${bucket}+ stars`,
+        count: parseInt(ratingCounts[0][`r${bucket}`]) || 0
+    }));
+
+    // Flag the selected value of each facet
+    const selected = selectedFacets(query);
+    for (const facet of FACETS) {
+        facets[facet] = facets[facet].map(entry => ({
+            ...entry,
+            selected: selected[facet] !== null && String(entry.value) === String(selected[facet])
+        }));
+    }
+
+    return facets;
+}
+
+module.exports = {
+    FACETS,
+    buildCatalogFilters,
+    filterClause,
+    selectedFacets,
+    getFacetCounts
+};
@@ -0,0 +1,113 @@
+// Smart Library Platform - Fines Ledger Helpers
+//
+// Every fee a patron owes is a 'charge' row in fine_transactions; 'payment' and
+// 'waiver' rows reduce it. Amounts are always stored as positive numbers and the
+// balance is charges minus payments and waivers.
+
+const { postNotification } = require('./inbox');
+
+const TRANSACTION_TYPES = ['charge', 'payment', 'waiver'];
+const PAYMENT_METHODS = ['cash', 'card', 'online', 'other'];
+
+// Inbox titles for each kind of ledger entry
+const NOTICE_TITLES = {
+    charge: 'A fee was added to your account',
+    payment: 'Payment received',
+    waiver: 'A fee was waived'
+};
+
+// Round to cents so floating point noise never reaches the ledger
+function toMoney(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+}
+
+// Current outstanding balance for a user
+async function getFineBalance(connection, userId) {
+    const [rows] = await connection.execute(`
+        SELECT COALESCE(SUM(CASE WHEN transaction_type = 'charge' THEN amount ELSE -amount END), 0) as balance
+        FROM fine_transactions
+        WHERE user_id = ?
+    `, [userId]);
+
+    return toMoney(rows[0].balance);
+}
+
+// Append a row to the ledger and tell the patron. Returns the new transaction id.
+async function recordTransaction(connection, { userId, checkoutId = null, type, amount, reason = null, paymentMethod = null, staffId = null }) {
+    const [result] = await connection.execute(`
+        INSERT INTO fine_transactions (user_id, checkout_id, transaction_type, amount, reason, payment_method, staff_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [userId, checkoutId, type, toMoney(amount), reason, paymentMethod, staffId]);
+
+    // Payment notes are for staff, so only charges and waivers show their reason
+    const detail = type !== 'payment' && reason ? `${reason}. ` : '';
+    const balance = await getFineBalance(connection, userId);
+    await postNotification(connection, userId, {
+        type: 'fine',
+        checkout_id: checkoutId,
+        title: `${NOTICE_TITLES[type]}: $${toMoney(amount).toFixed(2)}`,
+        message: `${detail}Your outstanding balance is now $${balance.toFixed(2)}.`
+    });
+
+    return result.insertId;
+}
+
+// Charge the late fee for a returned checkout (no-op for on-time returns)
+async function chargeLateFee(connection, { userId, checkoutId, amount, daysOverdue, staffId = null }) {
+    if (!(amount > 0)) {
+        return null;
+    }
+
+    return recordTransaction(connection, {
+        userId,
+        checkoutId,
+        type: 'charge',
+        amount,
+        reason: `Late return (${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue)`,
+        staffId
+    });
+}
+
+// Ledger for a user, oldest first, with the balance after each transaction
+async function getFineLedger(connection, userId) {
+    const [transactions] = await connection.execute(`
+        SELECT
+            ft.transaction_id,
+            ft.checkout_id,
+            ft.transaction_type,
+            ft.amount,
+            ft.reason,
+            ft.payment_method,
+            ft.created_at,
+            ft.staff_id,
+            s.username as staff_username,
+            b.title as book_title
+        FROM fine_transactions ft
+        LEFT JOIN users s ON ft.staff_id = s.user_id
+        LEFT JOIN checkouts c ON ft.checkout_id = c.checkout_id
+        LEFT JOIN books b ON c.book_id = b.book_id
+        WHERE ft.user_id = ?
+        ORDER BY ft.created_at ASC, ft.transaction_id ASC
+    `, [userId]);
+
+    let balance = 0;
+    return transactions.map(transaction => {
+        const amount = toMoney(transaction.amount);
+        balance = toMoney(transaction.transaction_type === 'charge' ? balance + amount : balance - amount);
+        return {
+            ...transaction,
+            amount,
+            running_balance: balance
+        };
+    });
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    PAYMENT_METHODS,
+    toMoney,
+    getFineBalance,
+    recordTransaction,
+    chargeLateFee,
+    getFineLedger
+};
@@ -0,0 +1,130 @@
+// Smart Library Platform - Hold Queue Helpers
+//
+// A returned copy is set aside for the oldest waiting hold instead of going
+// back on the open shelf. The patron then has HOLD_PICKUP_DAYS to borrow it
+// before the hold expires and the copy moves on to the next patron in line.
+// The set-aside copy is the hold's item_id, with book_items.status 'on_hold'.
+
+const { setItemStatus, syncCopyCounts } = require('./inventory');
+const { postNotification } = require('./inbox');
+
+// Days a patron has to collect a copy that has been set aside for them
+const HOLD_PICKUP_DAYS = parseInt(process.env.HOLD_PICKUP_DAYS) || 3;
+
+// Maximum number of open (waiting or ready) holds per patron
+const MAX_ACTIVE_HOLDS = 5;
+
+// Set aside a copy (item) of a book for the next waiting hold.
+// Must be called inside the caller's transaction. Returns the hold that
+// received the copy, or null when nobody is waiting (copy goes to the shelf).
+async function allocateReturnedCopy(connection, bookId, itemId) {
+    const [waiting] = await connection.execute(`
+        SELECT hold_id, user_id
+        FROM holds
+        WHERE book_id = ? AND status = 'waiting'
+        ORDER BY request_date ASC, hold_id ASC
+        LIMIT 1
+        FOR UPDATE
+    `, [bookId]);
+
+    if (waiting.length === 0) {
+        return null;
+    }
+
+    const hold = waiting[0];
+
+    await connection.execute(`
+        UPDATE holds
+        SET status = 'ready',
+            ready_date = NOW(),
+            expiry_date = DATE_ADD(CURDATE(), INTERVAL ${HOLD_PICKUP_DAYS} DAY),
+            item_id = ?
+        WHERE hold_id = ?
+    `, [itemId || null, hold.hold_id]);
+
+    const [details] = await connection.execute(`
+        SELECT b.title, DATE_FORMAT(h.expiry_date, '%Y-%m-%d') as expiry_date
+        FROM holds h
+        JOIN books b ON h.book_id = b.book_id
+        WHERE h.hold_id = ?
+    `, [hold.hold_id]);
+
+    // Same dedupe key as the scheduled job, so the inbox only gets it once
+    await postNotification(connection, hold.user_id, {
+        type: 'hold_available',
+        dedupe_key: `hold_available:${hold.hold_id}`,
+        hold_id: hold.hold_id,
+        book_id: bookId,
+        title: `"${details[0].title}" is ready for pickup`,
+        message: `A copy of "${details[0].title}" is being held for you. Please borrow it by ${details[0].expiry_date}, after which it will go to the next patron.`
+    });
+
+    return hold;
+}
+
+// Return a copy to circulation: next hold in the queue, otherwise the open shelf.
+// Must be called inside the caller's transaction.
+async function releaseCopy(connection, bookId, itemId) {
+    const nextHold = await allocateReturnedCopy(connection, bookId, itemId);
+
+    if (itemId) {
+        await setItemStatus(connection, itemId, nextHold ? 'on_hold' : 'available');
+    }
+    await syncCopyCounts(connection, bookId);
+
+    return nextHold;
+}
+
+// Expire ready holds whose pickup window has passed and pass their copies on.
+// Runs in its own transaction; returns the number of holds expired.
+async function expireReadyHolds(connection) {
+    await connection.beginTransaction();
+
+    try {
+        const [expired] = await connection.execute(`
+            SELECT hold_id, book_id, item_id
+            FROM holds
+            WHERE status = 'ready' AND expiry_date < CURDATE()
+            ORDER BY ready_date ASC
+            FOR UPDATE
+        `);
+
+        for (const hold of expired) {
+            await connection.execute(
+                "UPDATE holds SET status = 'expired' WHERE hold_id = ?",
+                [hold.hold_id]
+            );
+            await releaseCopy(connection, hold.book_id, hold.item_id);
+        }
+
+        await connection.commit();
+        return expired.length;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+}
+
+// Position of a waiting hold in its book's queue (1 = next in line)
+async function getQueuePosition(connection, holdId) {
+    const [rows] = await connection.execute(`
+        SELECT COUNT(*) + 1 as position
+        FROM holds h
+        JOIN holds target ON target.hold_id = ?
+        WHERE h.book_id = target.book_id
+        AND h.status = 'waiting'
+        AND (h.request_date < target.request_date
+             OR (h.request_date = target.request_date AND h.hold_id < target.hold_id))
+    `, [holdId]);
+
+    return rows[0] ? parseInt(rows[0].position) : null;
+}
+
+module.exports = {
+    HOLD_PICKUP_DAYS,
+    MAX_ACTIVE_HOLDS,
+    allocateReturnedCopy,
+    releaseCopy,
+    expireReadyHolds,
+    getQueuePosition
+};
@@ -0,0 +1,79 @@
+// Smart Library Platform - Inbox Helpers
+//
+// The in-app inbox is the user_notifications table. Routes post to it with
+// postNotification when something happens to a patron's account (checkout,
+// return, hold ready, fine, review reply); the scheduled notification job
+// delivers to it through the in_app transport. A notice posted with a
+// dedupe_key is logged in notification_log so the job will not repeat it.
+
+const INBOX_TYPES = ['due_soon', 'overdue', 'hold_available', 'checkout', 'return', 'review_reply', 'fine', 'system'];
+
+// Store a notice in a user's inbox. Returns the new notification id.
+async function insertNotification(connection, userId, notice) {
+    const [result] = await connection.execute(`
+        INSERT INTO user_notifications (user_id, notification_type, title, message, checkout_id, hold_id, book_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        userId,
+        notice.type,
+        notice.title,
+        notice.message,
+        notice.checkout_id || null,
+        notice.hold_id || null,
+        notice.book_id || null
+    ]);
+
+    return result.insertId;
+}
+
+// Post a notice for an account event, honouring the user's in-app preferences.
+// Returns the notification id, or null when the user opted out or it was already sent.
+async function postNotification(connection, userId, notice) {
+    const [preferences] = await connection.execute(
+        'SELECT * FROM notification_preferences WHERE user_id = ?',
+        [userId]
+    );
+    const preference = preferences[0] || {};
+    const typeFlag = preference[`${notice.type}_enabled`];
+
+    if (preference.in_app_enabled === 0 || typeFlag === 0) {
+        return null;
+    }
+
+    if (notice.dedupe_key) {
+        const [previous] = await connection.execute(
+            "SELECT status FROM notification_log WHERE dedupe_key = ? AND channel = 'in_app'",
+            [notice.dedupe_key]
+        );
+        if (previous.length > 0 && previous[0].status === 'sent') {
+            return null;
+        }
+    }
+
+    const notificationId = await insertNotification(connection, userId, notice);
+
+    if (notice.dedupe_key) {
+        await connection.execute(`
+            INSERT INTO notification_log (user_id, notification_type, channel, dedupe_key, checkout_id, hold_id, status)
+            VALUES (?, ?, 'in_app', ?, ?, ?, 'sent')
+            ON DUPLICATE KEY UPDATE status = 'sent', error_message = NULL, attempts = attempts + 1
+        `, [userId, notice.type, notice.dedupe_key, notice.checkout_id || null, notice.hold_id || null]);
+    }
+
+    return notificationId;
+}
+
+async function getUnreadCount(connection, userId) {
+    const [rows] = await connection.execute(
+        'SELECT COUNT(*) as unread FROM user_notifications WHERE user_id = ? AND is_read = FALSE',
+        [userId]
+    );
+    return parseInt(rows[0].unread);
+}
+
+module.exports = {
+    INBOX_TYPES,
+    insertNotification,
+    postNotification,
+    getUnreadCount
+};
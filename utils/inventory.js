@@ -0,0 +1,213 @@
+// Smart Library Platform - Inventory Helpers
+//
+// Every physical copy (or e-book licence) of a book is a row in book_items.
+// books.total_copies and books.available_copies are derived from those rows by
+// syncCopyCounts, so code that changes an item's status must call it afterwards.
+
+const ITEM_STATUSES = ['available', 'checked_out', 'on_hold', 'in_repair', 'lost', 'withdrawn'];
+const ITEM_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+// Statuses that staff can set directly; the others are driven by circulation
+const MANUAL_ITEM_STATUSES = ['available', 'in_repair', 'lost', 'withdrawn'];
+
+// Barcode assigned to items created without one
+function generateBarcode(itemId) {
+    return `LIB${String(itemId).padStart(8, '0')}`;
+}
+
+// Recompute a book's copy counts from its items
+async function syncCopyCounts(connection, bookId) {
+    await connection.execute(`
+        UPDATE books b
+        SET total_copies = (
+                SELECT COUNT(*) FROM book_items bi
+                WHERE bi.book_id = b.book_id AND bi.status NOT IN ('lost', 'withdrawn')
+            ),
+            available_copies = IF(b.is_active, (
+                SELECT COUNT(*) FROM book_items bi
+                WHERE bi.book_id = b.book_id AND bi.status = 'available'
+            ), 0)
+        WHERE b.book_id = ?
+    `, [bookId]);
+}
+
+// Create `count` new items for a book. Each one goes to the next waiting hold,
+// otherwise the shelf (see releaseCopy). Returns the new item ids.
+// A barcode may only be given when creating a single item.
+async function addItems(connection, bookId, count, { barcode = null, condition = 'new', branchId = null, shelfLocation = null, notes = null } = {}) {
+    // Required here because utils/holds.js depends on this module
+    const { releaseCopy } = require('./holds');
+    const itemIds = [];
+
+    for (let i = 0; i < count; i++) {
+        const [result] = await connection.execute(`
+            INSERT INTO book_items (book_id, barcode, item_condition, branch_id, shelf_location, status, acquisition_date, notes)
+            VALUES (?, ?, ?, ?, ?, 'available', CURDATE(), ?)
+        `, [bookId, count === 1 ? barcode : null, condition, branchId, shelfLocation, notes]);
+
+        if (!(count === 1 && barcode)) {
+            await connection.execute(
+                'UPDATE book_items SET barcode = ? WHERE item_id = ?',
+                [generateBarcode(result.insertId), result.insertId]
+            );
+        }
+
+        await releaseCopy(connection, bookId, result.insertId);
+        itemIds.push(result.insertId);
+    }
+
+    return itemIds;
+}
+
+// Lock and take the next available item of a book. Returns the item or null.
+// Must be called inside the caller's transaction.
+async function claimAvailableItem(connection, bookId) {
+    const [items] = await connection.execute(`
+        SELECT item_id, barcode
+        FROM book_items
+        WHERE book_id = ? AND status = 'available'
+        ORDER BY item_id ASC
+        LIMIT 1
+        FOR UPDATE
+    `, [bookId]);
+
+    if (items.length === 0) {
+        return null;
+    }
+
+    await setItemStatus(connection, items[0].item_id, 'checked_out');
+    return items[0];
+}
+
+// Change an item's status (caller syncs the book's counts)
+async function setItemStatus(connection, itemId, status) {
+    await connection.execute(
+        'UPDATE book_items SET status = ? WHERE item_id = ?',
+        [status, itemId]
+    );
+}
+
+// Grow or shrink a book's stock to `newTotal` copies by adding items or
+// withdrawing available ones. Must be called inside the caller's transaction.
+// Options: withdrawFirst lists item ids to take out before any others, even
+// when they are not on the shelf (e.g. a copy lost on loan, or copies a
+// stocktake could not find), withdrawnStatus is 'withdrawn' or 'lost',
+// and newItems is passed to addItems for added copies, which are offered to
+// waiting holds first.
+// Returns { old_total, new_total, added_item_ids, withdrawn_item_ids } or
+// { error } when there are not enough items on the shelf to withdraw.
+async function updateInventory(connection, bookId, newTotal, { withdrawFirst = [], withdrawnStatus = 'withdrawn', newItems = {} } = {}) {
+    const preferred = withdrawFirst.length > 0 ? withdrawFirst.map(id => parseInt(id)) : [0];
+    const [counts] = await connection.execute(`
+        SELECT
+            COUNT(CASE WHEN status NOT IN ('lost', 'withdrawn') THEN 1 END) as current_total,
+            COUNT(CASE WHEN status = 'available'
+                OR (status NOT IN ('lost', 'withdrawn') AND item_id IN (${preferred.map(() => '?').join(', ')})) THEN 1 END) as on_shelf
+        FROM book_items
+        WHERE book_id = ?
+    `, [...preferred, bookId]);
+
+    const currentTotal = parseInt(counts[0].current_total);
+    const onShelf = parseInt(counts[0].on_shelf);
+    let addedItemIds = [];
+    let withdrawnItemIds = [];
+
+    if (newTotal > currentTotal) {
+        addedItemIds = await addItems(connection, bookId, newTotal - currentTotal, newItems);
+    } else if (newTotal < currentTotal) {
+        const toWithdraw = currentTotal - newTotal;
+
+        if (toWithdraw > onShelf) {
+            return { error: 'Cannot reduce inventory below checked out or reserved copies' };
+        }
+
+        // Withdraw the listed copies, then those in the worst condition
+        const listed = preferred.map(() => '?').join(', ');
+        const [items] = await connection.execute(`
+            SELECT item_id
+            FROM book_items
+            WHERE book_id = ? AND (status = 'available' OR (status NOT IN ('lost', 'withdrawn') AND item_id IN (${listed})))
+            ORDER BY item_id IN (${listed}) DESC,
+                FIELD(item_condition, 'damaged', 'poor', 'fair', 'good', 'new'), item_id DESC
+            LIMIT ${parseInt(toWithdraw)}
+            FOR UPDATE
+        `, [bookId, ...preferred, ...preferred]);
+
+        for (const item of items) {
+            await setItemStatus(connection, item.item_id, withdrawnStatus);
+        }
+        withdrawnItemIds = items.map(item => item.item_id);
+    }
+
+    await syncCopyCounts(connection, bookId);
+
+    return {
+        old_total: currentTotal,
+        new_total: newTotal,
+        added_item_ids: addedItemIds,
+        withdrawn_item_ids: withdrawnItemIds
+    };
+}
+
+// Take one specific copy out of stock through updateInventory (a copy lost on
+// loan, or withdrawn after coming back damaged). Must be called inside the
+// caller's transaction.
+async function withdrawItem(connection, bookId, itemId, withdrawnStatus = 'withdrawn') {
+    const [items] = await connection.execute(
+        'SELECT status FROM book_items WHERE item_id = ? AND book_id = ? FOR UPDATE',
+        [itemId, bookId]
+    );
+
+    // Already out of stock: only the status changes, no other copy is withdrawn
+    if (items.length === 0 || ['lost', 'withdrawn'].includes(items[0].status)) {
+        if (items.length > 0) {
+            await setItemStatus(connection, itemId, withdrawnStatus);
+        }
+        await syncCopyCounts(connection, bookId);
+        return { withdrawn_item_ids: [] };
+    }
+
+    const [counts] = await connection.execute(
+        "SELECT COUNT(CASE WHEN status NOT IN ('lost', 'withdrawn') THEN 1 END) as current_total FROM book_items WHERE book_id = ?",
+        [bookId]
+    );
+    return updateInventory(connection, bookId, parseInt(counts[0].current_total) - 1, {
+        withdrawFirst: [itemId],
+        withdrawnStatus
+    });
+}
+
+// Put one copy that was taken out of stock (lost or withdrawn) back when it
+// turns up, e.g. in a stocktake. Like any copy coming back it goes to the next
+// waiting hold, otherwise the shelf (see releaseCopy). Must be called inside
+// the caller's transaction.
+// Returns { restored, allocated_hold }; restored is false when the copy is
+// not out of stock.
+async function restoreItem(connection, bookId, itemId) {
+    // Required here because utils/holds.js depends on this module
+    const { releaseCopy } = require('./holds');
+    const [items] = await connection.execute(
+        'SELECT status FROM book_items WHERE item_id = ? AND book_id = ? FOR UPDATE',
+        [itemId, bookId]
+    );
+
+    if (items.length === 0 || !['lost', 'withdrawn'].includes(items[0].status)) {
+        return { restored: false, allocated_hold: null };
+    }
+
+    return { restored: true, allocated_hold: await releaseCopy(connection, bookId, itemId) };
+}
+
+module.exports = {
+    ITEM_STATUSES,
+    ITEM_CONDITIONS,
+    MANUAL_ITEM_STATUSES,
+    generateBarcode,
+    syncCopyCounts,
+    addItems,
+    claimAvailableItem,
+    setItemStatus,
+    updateInventory,
+    withdrawItem,
+    restoreItem
+};
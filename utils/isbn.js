@@ -0,0 +1,69 @@
+// Smart Library Platform - ISBN Helpers
+//
+// ISBNs are accepted with or without hyphens and spaces. An ISBN-10 may end in
+// the check character X.
+//
+// books.isbn keeps the form the book was catalogued with (for display);
+// books.isbn13 holds the bare ISBN-13 and is what lookups and duplicate checks
+// compare. It is filled by the NormalizeIsbn13 SQL function in the books
+// triggers, which must agree with toIsbn13 below.
+
+// Digits (and a trailing X) only, uppercased
+function cleanIsbn(isbn) {
+    return String(isbn || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+// True for a well-formed ISBN-10 or ISBN-13 with a correct check digit
+function isValidIsbn(isbn) {
+    const clean = cleanIsbn(isbn);
+
+    if (/^\d{9}[\dX]$/.test(clean)) {
+        const sum = clean.split('').reduce((total, char, i) => total + (char === 'X' ? 10 : parseInt(char)) * (10 - i), 0);
+        return sum % 11 === 0;
+    }
+
+    if (/^\d{13}$/.test(clean)) {
+        const sum = clean.split('').reduce((total, char, i) => total + parseInt(char) * (i % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+
+    return false;
+}
+
+// ISBN-13 check digit for the first 12 digits
+function isbn13CheckDigit(digits) {
+    const sum = digits.split('').reduce((total, char, i) => total + parseInt(char) * (i % 2 === 0 ? 1 : 3), 0);
+    return String((10 - (sum % 10)) % 10);
+}
+
+// The bare ISBN-13 for a valid ISBN-10 or ISBN-13, or null if it is invalid
+function toIsbn13(isbn) {
+    if (!isValidIsbn(isbn)) {
+        return null;
+    }
+    const clean = cleanIsbn(isbn);
+    if (clean.length === 13) {
+        return clean;
+    }
+    const body = `978${clean.slice(0, 9)}`;
+    return body + isbn13CheckDigit(body);
+}
+
+// The bare ISBN-10 for a valid ISBN, or null (979 ISBNs have no ISBN-10 form)
+function toIsbn10(isbn) {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13 || !isbn13.startsWith('978')) {
+        return null;
+    }
+    const body = isbn13.slice(3, 12);
+    const sum = body.split('').reduce((total, char, i) => total + parseInt(char) * (10 - i), 0);
+    const check = (11 - (sum % 11)) % 11;
+    return body + (check === 10 ? 'X' : String(check));
+}
+
+module.exports = {
+    cleanIsbn,
+    isValidIsbn,
+    toIsbn13,
+    toIsbn10
+};
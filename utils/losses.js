@@ -0,0 +1,74 @@
+// Smart Library Platform - Loss Helpers
+//
+// A loan staff closed as lost or claims-returned keeps loss_status on the
+// checkout, and a lost loan carries a replacement charge in the fines ledger.
+// When the copy turns up (at the desk or in a stocktake) the loss is reversed
+// here so the refund, the loan record and the copy's status stay consistent.
+
+const { releaseCopy } = require('./holds');
+const { recordTransaction } = require('./fines');
+
+// Loss statuses that can be reversed when the copy is found
+const REVERSIBLE_LOSSES = ['lost', 'claims_returned'];
+
+// Lock a checkout for reversing its loss. Returns the loan (with the book
+// title) or null when the checkout does not exist.
+async function lockLostLoan(connection, checkoutId) {
+    const [rows] = await connection.execute(`
+        SELECT c.checkout_id, c.user_id, c.book_id, c.item_id, c.loss_status, c.replacement_fee, b.title
+        FROM checkouts c
+        JOIN books b ON c.book_id = b.book_id
+        WHERE c.checkout_id = ?
+        FOR UPDATE
+    `, [checkoutId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// Reverse a lost or claims-returned loan whose copy has been found: refund the
+// replacement charge, record the return and put the copy back into circulation
+// (next hold in the queue, otherwise the shelf). Must be called inside the
+// caller's transaction with the loan from lockLostLoan.
+// Returns { refunded_fee, allocated_hold }.
+async function reverseLoss(connection, staffId, loan, { notes = null, description = null } = {}) {
+    // A paid charge leaves the patron in credit
+    const replacementFee = parseFloat(loan.replacement_fee) || 0;
+    if (replacementFee > 0) {
+        await recordTransaction(connection, {
+            userId: loan.user_id,
+            checkoutId: loan.checkout_id,
+            type: 'waiver',
+            amount: replacementFee,
+            reason: `Lost item found - replacement cost reversed (${loan.title})`,
+            staffId
+        });
+    }
+
+    await connection.execute(`
+        UPDATE checkouts
+        SET return_date = COALESCE(return_date, NOW()),
+            loss_status = NULL,
+            loss_date = NULL,
+            replacement_fee = 0.00,
+            staff_return_id = ?,
+            notes = COALESCE(?, notes)
+        WHERE checkout_id = ?
+    `, [staffId, notes, loan.checkout_id]);
+
+    const allocatedHold = await releaseCopy(connection, loan.book_id, loan.item_id);
+
+    await connection.execute(
+        'INSERT INTO staff_logs (staff_id, action_type, target_type, target_id, action_description, old_values, new_values) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [staffId, 'update_inventory', 'book', loan.book_id,
+         description || `Missing copy found. Checkout ID: ${loan.checkout_id}, Reversed: ${loan.loss_status}`,
+         JSON.stringify({ loss_status: loan.loss_status, item_status: 'lost', replacement_fee: replacementFee }),
+         JSON.stringify({ loss_status: null, item_id: loan.item_id, item_status: allocatedHold ? 'on_hold' : 'available' })]
+    );
+
+    return { refunded_fee: replacementFee, allocated_hold: allocatedHold };
+}
+
+module.exports = {
+    REVERSIBLE_LOSSES,
+    lockLostLoan,
+    reverseLoss
+};
@@ -0,0 +1,427 @@
+// Smart Library Platform - MARC Helpers
+//
+// Reads and writes bibliographic records as MARC21 (ISO 2709 binary) and
+// MARCXML (the MARC21 slim schema). A record is held as
+//   { leader, fields: [{ tag, value }                                  control fields (00X)
+//                      { tag, ind1, ind2, subfields: [{ code, value }] }] }
+//
+// Catalog mapping:
+//   020 $a  ISBN                         260 $b  publisher, $c year (264 when 260 is missing)
+//   100 $a  main author ("Last, First")  300 $a  extent -> pages
+//   700 $a  added authors                520 $a  summary -> description
+//   245 $a  title, $b subtitle           650 $a  first subject -> genre
+//   008/35-37 language code
+//   Call number: 099 (local), 092/082 (Dewey), 090/050 (LC) $a $b, the first
+//   present in that order; exported as 099, 082 or 050 by scheme
+//
+// Binary records are decoded as UTF-8 when leader/09 is "a" and as Latin-1
+// otherwise; MARC-8 diacritics are not translated.
+
+const FIELD_TERMINATOR = '\x1E';
+const RECORD_TERMINATOR = '\x1D';
+const SUBFIELD_DELIMITER = '\x1F';
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// MARC language codes (008/35-37) for the catalog's common languages
+const LANGUAGE_CODES = {
+    eng: 'English',
+    fre: 'French',
+    ger: 'German',
+    spa: 'Spanish',
+    ita: 'Italian',
+    por: 'Portuguese',
+    rus: 'Russian',
+    jpn: 'Japanese',
+    chi: 'Chinese',
+    ara: 'Arabic',
+    hin: 'Hindi',
+    kor: 'Korean',
+    dut: 'Dutch',
+    swe: 'Swedish',
+    lat: 'Latin',
+    gre: 'Greek'
+};
+
+function isControlTag(tag) {
+    return /^00\d$/.test(tag);
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+// Records from MARC21 binary data (a Buffer)
+function parseMarc21(buffer) {
+    const records = [];
+    let start = 0;
+
+    while (start < buffer.length) {
+        let end = buffer.indexOf(0x1D, start);
+        if (end === -1) {
+            end = buffer.length;
+        }
+        const raw = buffer.subarray(start, end);
+        start = end + 1;
+
+        // Skip stray whitespace between records
+        if (raw.toString('latin1').trim() === '') {
+            continue;
+        }
+        if (raw.length < 24) {
+            throw new Error(`MARC record ${records.length + 1} is too short`);
+        }
+
+        const leader = raw.subarray(0, 24).toString('latin1');
+        const baseAddress = parseInt(leader.slice(12, 17));
+        const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+        const directoryEnd = raw.indexOf(0x1E, 24);
+
+        if (isNaN(baseAddress) || directoryEnd === -1 || (directoryEnd - 24) % 12 !== 0) {
+            throw new Error(`MARC record ${records.length + 1} has an invalid leader or directory`);
+        }
+
+        const directory = raw.subarray(24, directoryEnd).toString('latin1');
+        const fields = [];
+
+        for (let i = 0; i < directory.length; i += 12) {
+            const tag = directory.slice(i, i + 3);
+            const length = parseInt(directory.slice(i + 3, i + 7));
+            const offset = parseInt(directory.slice(i + 7, i + 12));
+            const data = raw.subarray(baseAddress + offset, baseAddress + offset + length)
+                .toString(encoding)
+                .replace(/\x1E$/, '');
+
+            if (isControlTag(tag)) {
+                fields.push({ tag, value: data });
+            } else {
+                const [indicators, ...subfields] = data.split(SUBFIELD_DELIMITER);
+                fields.push({
+                    tag,
+                    ind1: indicators[0] || ' ',
+                    ind2: indicators[1] || ' ',
+                    subfields: subfields.filter(Boolean).map(subfield => ({
+                        code: subfield[0],
+                        value: subfield.slice(1)
+                    }))
+                });
+            }
+        }
+
+        records.push({ leader, fields });
+    }
+
+    return records;
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&amp;/g, '&');
+}
+
+function readAttribute(attributes, name) {
+    const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(attributes);
+    return match ? decodeXml(match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+// Records from MARCXML text. Accepts a <collection> or a single <record>,
+// with or without a namespace prefix.
+function parseMarcXml(xml) {
+    const text = String(xml || '');
+    const records = [];
+    const recordPattern = /<(?:[\w-]+:)?record\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?record>/g;
+    let recordMatch;
+
+    while ((recordMatch = recordPattern.exec(text)) !== null) {
+        const body = recordMatch[1];
+        const leaderMatch = /<(?:[\w-]+:)?leader\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?leader>/.exec(body);
+        const fields = [];
+        const fieldPattern = /<(?:[\w-]+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?\1>/g;
+        let fieldMatch;
+
+        while ((fieldMatch = fieldPattern.exec(body)) !== null) {
+            const [, kind, attributes, content] = fieldMatch;
+            const tag = readAttribute(attributes, 'tag');
+
+            if (kind === 'controlfield') {
+                fields.push({ tag, value: decodeXml(content) });
+                continue;
+            }
+
+            const subfields = [];
+            const subfieldPattern = /<(?:[\w-]+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?subfield>/g;
+            let subfieldMatch;
+            while ((subfieldMatch = subfieldPattern.exec(content)) !== null) {
+                subfields.push({
+                    code: readAttribute(subfieldMatch[1], 'code'),
+                    value: decodeXml(subfieldMatch[2])
+                });
+            }
+
+            fields.push({
+                tag,
+                ind1: readAttribute(attributes, 'ind1') || ' ',
+                ind2: readAttribute(attributes, 'ind2') || ' ',
+                subfields
+            });
+        }
+
+        records.push({ leader: leaderMatch ? decodeXml(leaderMatch[1]) : null, fields });
+    }
+
+    if (records.length === 0) {
+        throw new Error('No MARCXML records found');
+    }
+
+    return records;
+}
+
+// ---------------------------------------------------------------------------
+// Mapping records <-> books
+// ---------------------------------------------------------------------------
+
+function subfield(field, code) {
+    const found = field && field.subfields ? field.subfields.find(sub => sub.code === code) : null;
+    return found ? found.value.trim() : null;
+}
+
+// Strip trailing ISBD punctuation (" /", " :", ",", ";", "=") and a final period
+function trimPunctuation(text) {
+    return String(text || '')
+        .replace(/[\s/:;,=]+$/, '')
+        .replace(/([^.\s][^.\s]+)\.$/, '$1')
+        .trim();
+}
+
+// "Fitzgerald, F. Scott," -> "F. Scott Fitzgerald"
+function invertName(name) {
+    const clean = trimPunctuation(name);
+    const comma = clean.indexOf(',');
+    if (comma === -1) {
+        return clean;
+    }
+    return `${clean.slice(comma + 1).trim()} ${clean.slice(0, comma).trim()}`.trim();
+}
+
+// Call number fields in order of preference, with their scheme
+const CALL_NUMBER_TAGS = [['099', 'local'], ['092', 'dewey'], ['082', 'dewey'], ['090', 'lc'], ['050', 'lc']];
+
+// { call_number, call_number_scheme } from a record, or nulls. Dewey
+// segmentation marks ("823/.914") are dropped.
+function readCallNumber(record) {
+    for (const [tag, scheme] of CALL_NUMBER_TAGS) {
+        const field = record.fields.find(candidate => candidate.tag === tag && subfield(candidate, 'a'));
+        if (field) {
+            const parts = tag === '099'
+                ? field.subfields.filter(sub => sub.code === 'a').map(sub => sub.value.trim())
+                : [subfield(field, 'a'), subfield(field, 'b')];
+            return {
+                call_number: parts.filter(Boolean).join(' ').replace(/\//g, '') || null,
+                call_number_scheme: scheme
+            };
+        }
+    }
+    return { call_number: null, call_number_scheme: null };
+}
+
+// A raw import row (see utils/bookImport.js) from a MARC record
+function recordToBook(record) {
+    const fieldsFor = tag => record.fields.filter(field => field.tag === tag);
+    const first = tag => fieldsFor(tag)[0] || null;
+
+    const isbnField = fieldsFor('020').find(field => subfield(field, 'a'));
+    const titleField = first('245');
+    const publication = first('260') || first('264');
+    const extent = subfield(first('300'), 'a');
+    const fixed = first('008');
+
+    const title = [subfield(titleField, 'a'), subfield(titleField, 'b')]
+        .filter(Boolean)
+        .map(trimPunctuation)
+        .join(': ');
+
+    const authors = [...fieldsFor('100'), ...fieldsFor('700')]
+        .map(field => subfield(field, 'a'))
+        .filter(Boolean)
+        .map(invertName);
+
+    const year = /(\d{4})/.exec(subfield(publication, 'c') || '');
+    const pages = extent ? (/(\d+)\s*(?:p\b|pages)/i.exec(extent) || /(\d+)/.exec(extent)) : null;
+    const languageCode = fixed && fixed.value.length >= 38 ? fixed.value.slice(35, 38) : null;
+
+    return {
+        title: title || null,
+        // "9780743273565 (pbk.)" -> "9780743273565"
+        isbn: isbnField ? subfield(isbnField, 'a').split(/\s+/)[0] : null,
+        authors,
+        publisher: trimPunctuation(subfield(publication, 'b')) || null,
+        publication_date: year ? year[1] : null,
+        pages: pages ? pages[1] : null,
+        description: subfield(first('520'), 'a'),
+        genre: trimPunctuation(subfield(first('650'), 'a')) || null,
+        language: LANGUAGE_CODES[languageCode] || null,
+        ...readCallNumber(record)
+    };
+}
+
+// Count of leading characters a title sort should skip (245 second indicator)
+function nonFilingCharacters(title) {
+    const match = /^(the |an |a )/i.exec(title);
+    return match ? match[1].length : 0;
+}
+
+function dataField(tag, ind1, ind2, subfields) {
+    return {
+        tag,
+        ind1,
+        ind2,
+        subfields: subfields.filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+            .map(([code, value]) => ({ code, value: String(value) }))
+    };
+}
+
+function pad(number, length) {
+    return String(number).padStart(length, '0');
+}
+
+// 050 (LC), 082 (Dewey) or 099 (local) for a call number: the class part in
+// $a and the rest (cutter, date) in $b
+function callNumberField(callNumber, scheme) {
+    if (scheme === 'local') {
+        return dataField('099', ' ', ' ', [['a', callNumber]]);
+    }
+    const space = callNumber.indexOf(' ');
+    const classPart = space === -1 ? callNumber : callNumber.slice(0, space);
+    const itemPart = space === -1 ? null : callNumber.slice(space + 1);
+    return scheme === 'lc'
+        ? dataField('050', ' ', '4', [['a', classPart], ['b', itemPart]])
+        : dataField('082', '0', '4', [['a', classPart], ['b', itemPart]]);
+}
+
+// A MARC record for a catalog book. `authors` is [{ first_name, last_name }] in order.
+function bookToRecord(book, authors) {
+    const created = book.created_at ? new Date(book.created_at) : new Date();
+    const updated = book.updated_at ? new Date(book.updated_at) : created;
+    const published = book.publication_date ? new Date(book.publication_date) : null;
+    const year = published && !isNaN(published) ? String(published.getUTCFullYear()) : null;
+    const languageCode = Object.keys(LANGUAGE_CODES).find(code => LANGUAGE_CODES[code] === book.language) || 'und';
+
+    const fixedData = [
+        `${pad(created.getUTCFullYear() % 100, 2)}${pad(created.getUTCMonth() + 1, 2)}${pad(created.getUTCDate(), 2)}`,
+        year ? `s${year}` : 'nuuuu',
+        '    ',
+        'xx ',
+        ' '.repeat(17),
+        languageCode,
+        ' d'
+    ].join('');
+
+    const latestTransaction = `${updated.getUTCFullYear()}${pad(updated.getUTCMonth() + 1, 2)}${pad(updated.getUTCDate(), 2)}` +
+        `${pad(updated.getUTCHours(), 2)}${pad(updated.getUTCMinutes(), 2)}${pad(updated.getUTCSeconds(), 2)}.0`;
+
+    const name = author => (author.last_name ? `${author.last_name}, ${author.first_name}` : author.first_name);
+    const [mainAuthor, ...addedAuthors] = authors;
+    const pages = parseInt(book.pages);
+
+    const fields = [
+        { tag: '001', value: String(book.book_id) },
+        { tag: '005', value: latestTransaction },
+        { tag: '008', value: fixedData },
+        book.isbn ? dataField('020', ' ', ' ', [['a', book.isbn.replace(/[\s-]/g, '')]]) : null,
+        book.call_number ? callNumberField(book.call_number, book.call_number_scheme || 'local') : null,
+        mainAuthor ? dataField('100', '1', ' ', [['a', `${name(mainAuthor)},`], ['e', 'author.']]) : null,
+        dataField('245', mainAuthor ? '1' : '0', String(nonFilingCharacters(book.title)), [['a', book.title]]),
+        (book.publisher || year) ? dataField('260', ' ', ' ', [['b', book.publisher ? `${book.publisher},` : null], ['c', year ? `${year}.` : null]]) : null,
+        pages > 0 ? dataField('300', ' ', ' ', [['a', `${pages} pages`]]) : null,
+        book.description ? dataField('520', ' ', ' ', [['a', book.description]]) : null,
+        book.genre ? dataField('650', ' ', '4', [['a', book.genre]]) : null,
+        ...addedAuthors.map(author => dataField('700', '1', ' ', [['a', `${name(author)},`], ['e', 'author.']]))
+    ].filter(Boolean);
+
+    return { leader: null, fields };
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+// MARC21 binary (UTF-8) for a list of records
+function writeMarc21(records) {
+    return Buffer.concat(records.map(record => {
+        const directory = [];
+        const data = [];
+        let offset = 0;
+
+        for (const field of record.fields) {
+            const content = isControlTag(field.tag)
+                ? field.value
+                : field.ind1 + field.ind2 + field.subfields.map(sub => SUBFIELD_DELIMITER + sub.code + sub.value).join('');
+            const bytes = Buffer.from(content + FIELD_TERMINATOR, 'utf8');
+
+            directory.push(`${field.tag}${pad(bytes.length, 4)}${pad(offset, 5)}`);
+            data.push(bytes);
+            offset += bytes.length;
+        }
+
+        const directoryBytes = Buffer.from(directory.join('') + FIELD_TERMINATOR, 'latin1');
+        const baseAddress = 24 + directoryBytes.length;
+        const recordLength = baseAddress + offset + 1;
+        const leader = `${pad(recordLength, 5)}nam a22${pad(baseAddress, 5)} i 4500`;
+
+        return Buffer.concat([Buffer.from(leader, 'latin1'), directoryBytes, ...data, Buffer.from(RECORD_TERMINATOR, 'latin1')]);
+    }));
+}
+
+function encodeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+// A MARCXML <collection> for a list of records
+function writeMarcXml(records) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<collection xmlns="${MARCXML_NAMESPACE}">`
+    ];
+
+    for (const record of records) {
+        lines.push('  <record>');
+        lines.push(`    <leader>${encodeXml(record.leader || '00000nam a2200000 i 4500')}</leader>`);
+        for (const field of record.fields) {
+            if (isControlTag(field.tag)) {
+                lines.push(`    <controlfield tag="${field.tag}">${encodeXml(field.value)}</controlfield>`);
+            } else {
+                lines.push(`    <datafield tag="${field.tag}" ind1="${encodeXml(field.ind1)}" ind2="${encodeXml(field.ind2)}">`);
+                for (const sub of field.subfields) {
+                    lines.push(`      <subfield code="${encodeXml(sub.code)}">${encodeXml(sub.value)}</subfield>`);
+                }
+                lines.push('    </datafield>');
+            }
+        }
+        lines.push('  </record>');
+    }
+
+    lines.push('</collection>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    LANGUAGE_CODES,
+    parseMarc21,
+    parseMarcXml,
+    recordToBook,
+    bookToRecord,
+    writeMarc21,
+    writeMarcXml
+};
@@ -0,0 +1,78 @@
+// Smart Library Platform - Notification Transport Helpers
+//
+// A transport delivers a notice over one channel. Each transport is an object
+//   { channel, isEnabled(), send(connection, user, notice) }
+// where send throws on failure. Patrons can switch a built-in channel off with
+// the matching `<channel>_enabled` column in notification_preferences.
+// Additional channels can be plugged in with registerTransport.
+
+const nodemailer = require('nodemailer');
+const { insertNotification } = require('./inbox');
+
+// SMTP delivery. Point SMTP_HOST/SMTP_PORT at a local test mail server
+// (e.g. MailHog on port 1025) in development. Disabled when SMTP_HOST is unset.
+function createEmailTransport() {
+    let mailer = null;
+
+    return {
+        channel: 'email',
+        isEnabled: () => Boolean(process.env.SMTP_HOST),
+        send: async (connection, user, notice) => {
+            if (!user.email) {
+                throw new Error('User has no email address');
+            }
+
+            if (!mailer) {
+                mailer = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 25,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? {
+                        user: process.env.SMTP_USER,
+                        pass: process.env.SMTP_PASSWORD
+                    } : undefined
+                });
+            }
+
+            await mailer.sendMail({
+                from: process.env.SMTP_FROM || 'Smart Library <library@localhost>',
+                to: user.email,
+                subject: notice.title,
+                text: `Hello ${user.first_name || user.username},\n\n${notice.message}\n\nSmart Library Platform`
+            });
+        }
+    };
+}
+
+// In-app inbox: stores the notice in user_notifications
+const inAppTransport = {
+    channel: 'in_app',
+    isEnabled: () => true,
+    send: async (connection, user, notice) => {
+        await insertNotification(connection, user.user_id, notice);
+    }
+};
+
+const transports = [createEmailTransport(), inAppTransport];
+
+// Add a transport, replacing any existing one for the same channel
+function registerTransport(transport) {
+    const index = transports.findIndex(existing => existing.channel === transport.channel);
+    if (index >= 0) {
+        transports[index] = transport;
+    } else {
+        transports.push(transport);
+    }
+}
+
+// Transports that are currently configured
+function getTransports() {
+    return transports.filter(transport => transport.isEnabled());
+}
+
+module.exports = {
+    createEmailTransport,
+    inAppTransport,
+    registerTransport,
+    getTransports
+};
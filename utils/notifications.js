@@ -0,0 +1,349 @@
+// Smart Library Platform - Notification Helpers
+//
+// runNotificationJob finds loans that are due soon or overdue and holds that
+// are ready for pickup, and hands each notice to every configured transport
+// the patron has not switched off. Each notice has a dedupe_key; a delivery is
+// recorded per key and channel in notification_log so it is never sent twice.
+// Failed deliveries are retried on later runs up to MAX_DELIVERY_ATTEMPTS.
+
+const { getMySQLConnection } = require('../config/database');
+const { getTransports } = require('./notificationTransports');
+const { expireReadyHolds } = require('./holds');
+
+const NOTIFICATION_TYPES = ['due_soon', 'overdue', 'hold_available'];
+
+// Used for users without a notification_preferences row
+const DEFAULT_PREFERENCES = {
+    email_enabled: true,
+    in_app_enabled: true,
+    due_soon_enabled: true,
+    overdue_enabled: true,
+    hold_available_enabled: true,
+    due_soon_days: 2
+};
+
+const PREFERENCE_FLAGS = ['email_enabled', 'in_app_enabled', 'due_soon_enabled', 'overdue_enabled', 'hold_available_enabled'];
+
+// An overdue loan gets a fresh reminder every this many days
+const OVERDUE_REMINDER_DAYS = parseInt(process.env.OVERDUE_REMINDER_DAYS) || 7;
+
+// Minutes between scheduled runs; 0 turns the scheduler off
+const NOTIFICATION_INTERVAL_MINUTES = process.env.NOTIFICATION_INTERVAL_MINUTES !== undefined
+    ? parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES) || 0
+    : 60;
+
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Preferences from a row (or LEFT JOIN columns that may be NULL)
+function normalizePreferences(row = {}) {
+    const preferences = { ...DEFAULT_PREFERENCES };
+    for (const flag of PREFERENCE_FLAGS) {
+        if (row[flag] !== null && row[flag] !== undefined) {
+            preferences[flag] = Boolean(row[flag]);
+        }
+    }
+    if (row.due_soon_days !== null && row.due_soon_days !== undefined) {
+        preferences.due_soon_days = parseInt(row.due_soon_days);
+    }
+    return preferences;
+}
+
+async function getPreferences(connection, userId) {
+    const [rows] = await connection.execute(
+        'SELECT * FROM notification_preferences WHERE user_id = ?',
+        [userId]
+    );
+    return normalizePreferences(rows[0]);
+}
+
+// Save a full set of preferences for a user
+async function savePreferences(connection, userId, preferences) {
+    await connection.execute(`
+        INSERT INTO notification_preferences
+            (user_id, email_enabled, in_app_enabled, due_soon_enabled, overdue_enabled, hold_available_enabled, due_soon_days)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            email_enabled = VALUES(email_enabled),
+            in_app_enabled = VALUES(in_app_enabled),
+            due_soon_enabled = VALUES(due_soon_enabled),
+            overdue_enabled = VALUES(overdue_enabled),
+            hold_available_enabled = VALUES(hold_available_enabled),
+            due_soon_days = VALUES(due_soon_days)
+    `, [
+        userId,
+        preferences.email_enabled,
+        preferences.in_app_enabled,
+        preferences.due_soon_enabled,
+        preferences.overdue_enabled,
+        preferences.hold_available_enabled,
+        preferences.due_soon_days
+    ]);
+}
+
+// Send a notice to a user over every channel they accept.
+// Returns { sent, skipped, failed } counts across channels.
+async function deliverNotice(connection, user, notice, preferences) {
+    const result = { sent: 0, skipped: 0, failed: 0 };
+
+    if (preferences[`${notice.type}_enabled`] === false) {
+        result.skipped++;
+        return result;
+    }
+
+    for (const transport of getTransports()) {
+        if (preferences[`${transport.channel}_enabled`] === false) {
+            result.skipped++;
+            continue;
+        }
+
+        const [previous] = await connection.execute(
+            'SELECT status, attempts FROM notification_log WHERE dedupe_key = ? AND channel = ?',
+            [notice.dedupe_key, transport.channel]
+        );
+
+        if (previous.length > 0 && (previous[0].status === 'sent' || previous[0].attempts >= MAX_DELIVERY_ATTEMPTS)) {
+            result.skipped++;
+            continue;
+        }
+
+        let status = 'sent';
+        let errorMessage = null;
+        try {
+            await transport.send(connection, user, notice);
+        } catch (error) {
+            status = 'failed';
+            errorMessage = String(error.message || error).slice(0, 500);
+            console.error(`Notification delivery error (${transport.channel}, ${notice.dedupe_key}):`, errorMessage);
+        }
+
+        await connection.execute(`
+            INSERT INTO notification_log (user_id, notification_type, channel, dedupe_key, checkout_id, hold_id, status, error_message)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                status = VALUES(status),
+                error_message = VALUES(error_message),
+                attempts = attempts + 1
+        `, [user.user_id, notice.type, transport.channel, notice.dedupe_key, notice.checkout_id || null, notice.hold_id || null, status, errorMessage]);
+
+        result[status === 'sent' ? 'sent' : 'failed']++;
+    }
+
+    return result;
+}
+
+// Loans due within each patron's due-soon window (today included). Like late
+// fees, the window and days_left count only days the library is open.
+async function findDueSoonNotices(connection) {
+    const [rows] = await connection.execute(`
+        SELECT
+            c.checkout_id,
+            c.book_id,
+            DATE_FORMAT(c.due_date, '%Y-%m-%d') as due_date,
+            DATEDIFF(c.due_date, CURDATE()) as days_until_due,
+            DATEDIFF(c.due_date, CURDATE()) - CountClosedDays(CURDATE(), c.due_date) as days_left,
+            b.title,
+            u.user_id, u.username, u.email, u.first_name, u.last_name,
+            np.email_enabled, np.in_app_enabled, np.due_soon_enabled, np.overdue_enabled,
+            np.hold_available_enabled, np.due_soon_days
+        FROM checkouts c
+        JOIN books b ON c.book_id = b.book_id
+        JOIN users u ON c.user_id = u.user_id
+        LEFT JOIN notification_preferences np ON np.user_id = u.user_id
+        WHERE c.is_returned = FALSE
+        AND u.is_active = TRUE
+        AND c.due_date >= CURDATE()
+        AND DATEDIFF(c.due_date, CURDATE()) - CountClosedDays(CURDATE(), c.due_date)
+            <= COALESCE(np.due_soon_days, ${DEFAULT_PREFERENCES.due_soon_days})
+    `);
+
+    return rows.map(row => {
+        const daysLeft = parseInt(row.days_left);
+        const unit = daysLeft === parseInt(row.days_until_due) ? 'day' : 'open day';
+        const when = daysLeft === 0 ? 'today' : (daysLeft === 1 && unit === 'day' ? 'tomorrow' : `in ${daysLeft} ${unit}${daysLeft === 1 ? '' : 's'}`);
+        return {
+            row,
+            notice: {
+                type: 'due_soon',
+                dedupe_key: `due_soon:${row.checkout_id}:${row.due_date}`,
+                checkout_id: row.checkout_id,
+                book_id: row.book_id,
+                title: `"${row.title}" is due ${when}`,
+                message: `"${row.title}" is due back on ${row.due_date}. Return or renew it to avoid late fees.`
+            }
+        };
+    });
+}
+
+// Open overdue loans; a new reminder every OVERDUE_REMINDER_DAYS. Days
+// overdue skip closed days, as CalculateLateFee does.
+async function findOverdueNotices(connection) {
+    const [rows] = await connection.execute(`
+        SELECT
+            c.checkout_id,
+            c.book_id,
+            DATE_FORMAT(c.due_date, '%Y-%m-%d') as due_date,
+            DATEDIFF(CURDATE(), c.due_date) - CountClosedDays(c.due_date, CURDATE()) as days_overdue,
+            CalculateLateFee(c.checkout_id, NULL) as current_late_fee,
+            b.title,
+            u.user_id, u.username, u.email, u.first_name, u.last_name,
+            np.email_enabled, np.in_app_enabled, np.due_soon_enabled, np.overdue_enabled,
+            np.hold_available_enabled, np.due_soon_days
+        FROM checkouts c
+        JOIN books b ON c.book_id = b.book_id
+        JOIN users u ON c.user_id = u.user_id
+        LEFT JOIN notification_preferences np ON np.user_id = u.user_id
+        WHERE c.is_returned = FALSE
+        AND u.is_active = TRUE
+        AND c.due_date < CURDATE()
+    `);
+
+    // Loans whose days since the due date were all closed are not overdue yet
+    return rows.filter(row => parseInt(row.days_overdue) > 0).map(row => {
+        const daysOverdue = parseInt(row.days_overdue);
+        const reminder = Math.floor((daysOverdue - 1) / OVERDUE_REMINDER_DAYS);
+        const fee = parseFloat(row.current_late_fee) || 0;
+        return {
+            row,
+            notice: {
+                type: 'overdue',
+                dedupe_key: `overdue:${row.checkout_id}:${row.due_date}:${reminder}`,
+                checkout_id: row.checkout_id,
+                book_id: row.book_id,
+                title: `"${row.title}" is overdue`,
+                message: `"${row.title}" was due on ${row.due_date} and is ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue.` +
+                    (fee > 0 ? ` The late fee so far is $${fee.toFixed(2)}.` : '') +
+                    ' Please return it as soon as possible.'
+            }
+        };
+    });
+}
+
+// Holds with a copy waiting on the hold shelf
+async function findHoldAvailableNotices(connection) {
+    const [rows] = await connection.execute(`
+        SELECT
+            h.hold_id,
+            h.book_id,
+            DATE_FORMAT(h.expiry_date, '%Y-%m-%d') as expiry_date,
+            b.title,
+            u.user_id, u.username, u.email, u.first_name, u.last_name,
+            np.email_enabled, np.in_app_enabled, np.due_soon_enabled, np.overdue_enabled,
+            np.hold_available_enabled, np.due_soon_days
+        FROM holds h
+        JOIN books b ON h.book_id = b.book_id
+        JOIN users u ON h.user_id = u.user_id
+        LEFT JOIN notification_preferences np ON np.user_id = u.user_id
+        WHERE h.status = 'ready'
+        AND u.is_active = TRUE
+    `);
+
+    return rows.map(row => ({
+        row,
+        notice: {
+            type: 'hold_available',
+            dedupe_key: `hold_available:${row.hold_id}`,
+            hold_id: row.hold_id,
+            book_id: row.book_id,
+            title: `"${row.title}" is ready for pickup`,
+            message: `A copy of "${row.title}" is being held for you. Please borrow it by ${row.expiry_date}, after which it will go to the next patron.`
+        }
+    }));
+}
+
+// Find and send every pending notice. Returns counts per notification type.
+async function runNotificationJob(connection) {
+    const finders = {
+        due_soon: findDueSoonNotices,
+        overdue: findOverdueNotices,
+        hold_available: findHoldAvailableNotices
+    };
+    const summary = {};
+
+    // Holds that lapsed should not be announced as ready
+    await expireReadyHolds(connection);
+
+    for (const [type, find] of Object.entries(finders)) {
+        summary[type] = { notices: 0, sent: 0, skipped: 0, failed: 0 };
+
+        for (const { row, notice } of await find(connection)) {
+            const result = await deliverNotice(connection, row, notice, normalizePreferences(row));
+            summary[type].notices++;
+            summary[type].sent += result.sent;
+            summary[type].skipped += result.skipped;
+            summary[type].failed += result.failed;
+        }
+    }
+
+    return summary;
+}
+
+let schedulerTimer = null;
+let jobRunning = false;
+
+// Run the job on its own pooled connection unless a run is already in progress.
+// Returns the summary, or null when skipped.
+async function runScheduledNotifications() {
+    if (jobRunning) {
+        return null;
+    }
+
+    jobRunning = true;
+    let connection;
+    try {
+        connection = await getMySQLConnection();
+        return await runNotificationJob(connection);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+        jobRunning = false;
+    }
+}
+
+// Start the periodic notification job (no-op when the interval is 0)
+function startNotificationScheduler(intervalMinutes = NOTIFICATION_INTERVAL_MINUTES) {
+    if (!intervalMinutes || schedulerTimer) {
+        return false;
+    }
+
+    const tick = async () => {
+        try {
+            const summary = await runScheduledNotifications();
+            if (summary) {
+                const sent = Object.values(summary).reduce((total, counts) => total + counts.sent, 0);
+                if (sent > 0) {
+                    console.log(`Notification job sent ${sent} notice(s)`);
+                }
+            }
+        } catch (error) {
+            console.error('Notification job error:', error);
+        }
+    };
+
+    schedulerTimer = setInterval(tick, intervalMinutes * 60 * 1000);
+    schedulerTimer.unref();
+    tick();
+    return true;
+}
+
+function stopNotificationScheduler() {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DEFAULT_PREFERENCES,
+    PREFERENCE_FLAGS,
+    NOTIFICATION_INTERVAL_MINUTES,
+    normalizePreferences,
+    getPreferences,
+    savePreferences,
+    deliverNotice,
+    runNotificationJob,
+    runScheduledNotifications,
+    startNotificationScheduler,
+    stopNotificationScheduler
+};
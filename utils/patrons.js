@@ -0,0 +1,66 @@
+// Smart Library Platform - Patron Lookup Helpers
+//
+// Front-desk staff identify a patron by user id, username or library card
+// number. Every user gets a card number when their account is created.
+
+const PATRON_IDENTIFIERS = ['user_id', 'username', 'library_card_number'];
+
+// Card number assigned to new accounts
+function generateCardNumber(userId) {
+    return `LC${String(userId).padStart(8, '0')}`;
+}
+
+// Pick the patron identifier out of a request body or query string.
+// Returns { field, value } or null when none was given.
+function getPatronIdentifier(source) {
+    for (const field of PATRON_IDENTIFIERS) {
+        const value = source[field];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            return { field, value: String(value).trim() };
+        }
+    }
+    return null;
+}
+
+// Look up a patron by one identifier. Returns the user row or null.
+async function resolvePatron(connection, { field, value }) {
+    if (!PATRON_IDENTIFIERS.includes(field)) {
+        return null;
+    }
+
+    let lookupValue = value;
+    if (field === 'user_id') {
+        lookupValue = parseInt(value);
+        if (isNaN(lookupValue)) {
+            return null;
+        }
+    } else if (field === 'library_card_number') {
+        lookupValue = value.toUpperCase();
+    }
+
+    const [users] = await connection.execute(`
+        SELECT user_id, username, email, first_name, last_name, user_type, is_active, library_card_number
+        FROM users
+        WHERE ${field} = ?
+    `, [lookupValue]);
+
+    return users[0] || null;
+}
+
+// Assign a card number to a freshly created user
+async function assignCardNumber(connection, userId) {
+    const cardNumber = generateCardNumber(userId);
+    await connection.execute(
+        'UPDATE users SET library_card_number = ? WHERE user_id = ? AND library_card_number IS NULL',
+        [cardNumber, userId]
+    );
+    return cardNumber;
+}
+
+module.exports = {
+    PATRON_IDENTIFIERS,
+    generateCardNumber,
+    getPatronIdentifier,
+    resolvePatron,
+    assignCardNumber
+};
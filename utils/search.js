@@ -0,0 +1,234 @@
+// Smart Library Platform - Catalog Search Helpers
+//
+// Catalog search runs on the FULLTEXT indexes in BOOLEAN MODE. The query
+// syntax accepted from users is:
+//   hobbit tolkien      every word must match (in any searched field)
+//   "middle earth"      exact phrase
+//   dragon OR wizard    either word
+//   -horror             exclude books matching the word
+//   tolk*               prefix match
+// Words shorter than the InnoDB minimum token size and InnoDB stopwords are
+// ignored, since the index cannot match them. A query left with no usable
+// words falls back to a LIKE match on the title.
+//
+// Each field is matched against its own index so it can be weighted: the
+// relevance score is 3 x title + 2 x author + 1 x description.
+//
+// A search of every field that is exactly one valid ISBN (either form, hyphens
+// optional) matches the book's normalized ISBN-13 instead.
+
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+
+const FIELD_WEIGHTS = {
+    title: 3,
+    author: 2,
+    description: 1
+};
+
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// innodb_ft_min_token_size default
+const MIN_TERM_LENGTH = 3;
+
+// InnoDB default stopword list (INFORMATION_SCHEMA.INNODB_FT_DEFAULT_STOPWORD)
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i',
+    'in', 'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+    'where', 'who', 'will', 'with', 'und', 'www'
+]);
+
+// SQL testing one field against a boolean-mode expression (one placeholder)
+const FIELD_MATCH_SQL = {
+    title: 'MATCH(b.title) AGAINST (? IN BOOLEAN MODE)',
+    description: 'MATCH(b.description) AGAINST (? IN BOOLEAN MODE)',
+    author: `EXISTS (
+        SELECT 1 FROM book_authors sba
+        JOIN authors sa ON sba.author_id = sa.author_id
+        WHERE sba.book_id = b.book_id
+        AND MATCH(sa.first_name, sa.last_name) AGAINST (? IN BOOLEAN MODE)
+    )`
+};
+
+// SQL scoring one field against a boolean-mode expression (one placeholder)
+const FIELD_SCORE_SQL = {
+    title: 'MATCH(b.title) AGAINST (? IN BOOLEAN MODE)',
+    description: 'MATCH(b.description) AGAINST (? IN BOOLEAN MODE)',
+    author: `COALESCE((
+        SELECT MAX(MATCH(sa.first_name, sa.last_name) AGAINST (? IN BOOLEAN MODE))
+        FROM book_authors sba
+        JOIN authors sa ON sba.author_id = sa.author_id
+        WHERE sba.book_id = b.book_id
+    ), 0)`
+};
+
+function isIndexable(word) {
+    return word.length >= MIN_TERM_LENGTH && !STOPWORDS.has(word);
+}
+
+// Turn one raw token into a boolean-mode term, or null when it cannot be matched
+function toTerm(raw, isPhrase) {
+    const prefix = !isPhrase && raw.endsWith('*');
+    const words = raw.toLowerCase().replace(/[^\p{L}\p{N}']+/gu, ' ').trim().split(/\s+/).filter(Boolean);
+
+    if (words.length === 0) {
+        return null;
+    }
+    // Punctuated words such as "sci-fi" become phrases
+    if (isPhrase || words.length > 1) {
+        return words.some(isIndexable) ? `"${words.join(' ')}"` : null;
+    }
+    return isIndexable(words[0]) ? `${words[0]}${prefix ? '*' : ''}` : null;
+}
+
+// Parse user search syntax into required groups (any term in a group may
+// match) and excluded terms, all in boolean-mode form
+function parseSearchQuery(text) {
+    const groups = [];
+    const excluded = [];
+    const tokenPattern = /([+-]?)"([^"]*)"?|(\S+)/g;
+    let joinNext = false;
+    let match;
+
+    while ((match = tokenPattern.exec(String(text || ''))) !== null) {
+        const [, sign, phrase, word] = match;
+
+        if (word === 'OR' || word === '|') {
+            joinNext = groups.length > 0;
+            continue;
+        }
+
+        const isPhrase = phrase !== undefined;
+        const operator = isPhrase ? sign : (/^[+-]/.test(word) ? word[0] : '');
+        const term = toTerm(isPhrase ? phrase : word.replace(/^[+-]/, ''), isPhrase);
+
+        if (!term) {
+            joinNext = false;
+            continue;
+        }
+
+        if (operator === '-') {
+            excluded.push(term);
+        } else if (joinNext) {
+            groups[groups.length - 1].push(term);
+        } else {
+            groups.push([term]);
+        }
+        joinNext = false;
+    }
+
+    return { groups, excluded };
+}
+
+// The equivalent MySQL boolean-mode query string (for display and debugging)
+function toBooleanQuery({ groups, excluded }) {
+    return [
+        ...groups.map(group => (group.length > 1 ? `+(${group.join(' ')})` : `+${group[0]}`)),
+        ...excluded.map(term => `-${term}`)
+    ].join(' ');
+}
+
+function anyFieldMatches(fields, expression, params) {
+    params.push(...fields.map(() => expression));
+    return `(${fields.map(field => FIELD_MATCH_SQL[field]).join(' OR ')})`;
+}
+
+// Build WHERE conditions and score columns for one or more searches.
+// searches: [{ text, fields }] where fields is a subset of SEARCH_FIELDS.
+// Returns { conditions, params, scoreColumns, scoreParams, query } or null if
+// there is nothing to search. scoreColumns adds title_score, author_score,
+// description_score and relevance_score to a SELECT on books b; its params
+// come before the WHERE params.
+function buildSearch(searches) {
+    const conditions = [];
+    const params = [];
+    const fieldTerms = { title: [], author: [], description: [] };
+    const booleanQueries = [];
+
+    for (const { text, fields = SEARCH_FIELDS } of searches) {
+        if (!text || !String(text).trim()) {
+            continue;
+        }
+
+        if (fields.length === SEARCH_FIELDS.length && isValidIsbn(String(text).trim())) {
+            conditions.push('b.isbn13 = ?');
+            params.push(toIsbn13(String(text).trim()));
+            continue;
+        }
+
+        const parsed = parseSearchQuery(text);
+
+        if (parsed.groups.length === 0) {
+            // Nothing the index can match ("It", "Up"...); match the title instead
+            conditions.push('b.title LIKE ?');
+            params.push(`%${String(text).trim()}%`);
+            continue;
+        }
+
+        for (const group of parsed.groups) {
+            conditions.push(anyFieldMatches(fields, group.join(' '), params));
+            for (const field of fields) {
+                fieldTerms[field].push(...group);
+            }
+        }
+        for (const term of parsed.excluded) {
+            conditions.push(`NOT ${anyFieldMatches(fields, term, params)}`);
+        }
+        booleanQueries.push(toBooleanQuery(parsed));
+    }
+
+    if (conditions.length === 0) {
+        return null;
+    }
+
+    const scoreParams = [];
+    const scores = SEARCH_FIELDS.map(field => {
+        if (fieldTerms[field].length === 0) {
+            return { field, sql: '0' };
+        }
+        scoreParams.push(fieldTerms[field].join(' '));
+        return { field, sql: FIELD_SCORE_SQL[field] };
+    });
+
+    // Each field score is repeated in the weighted sum, so its param is too
+    const relevanceParams = [];
+    const relevance = scores
+        .filter(score => score.sql !== '0')
+        .map(score => {
+            relevanceParams.push(fieldTerms[score.field].join(' '));
+            return `${FIELD_WEIGHTS[score.field]} * ${score.sql}`;
+        });
+
+    return {
+        conditions,
+        params,
+        scoreColumns: [
+            ...scores.map(score => `${score.sql} as ${score.field}_score`),
+            `${relevance.length > 0 ? relevance.join(' + ') : '0'} as relevance_score`
+        ].join(',\n'),
+        scoreParams: [...scoreParams, ...relevanceParams],
+        query: booleanQueries.join(' ')
+    };
+}
+
+// Round the score columns of a result row for the response
+function formatScores(row) {
+    const round = value => Math.round((parseFloat(value) || 0) * 10000) / 10000;
+    return {
+        relevance_score: round(row.relevance_score),
+        match_scores: {
+            title: round(row.title_score),
+            author: round(row.author_score),
+            description: round(row.description_score)
+        }
+    };
+}
+
+module.exports = {
+    FIELD_WEIGHTS,
+    SEARCH_FIELDS,
+    STOPWORDS,
+    parseSearchQuery,
+    toBooleanQuery,
+    buildSearch,
+    formatScores
+};
@@ -0,0 +1,127 @@
+// Smart Library Platform - Series & Works Helpers
+//
+// A series is an ordered list of books (books.series_id + series_position).
+// A work groups the editions and translations of one title (books.work_id);
+// each edition keeps its own ISBN and copies, so availability for a work is
+// the sum over its active editions.
+
+// Largest position DECIMAL(5,1) can hold
+const MAX_SERIES_POSITION = 9999.9;
+
+// Parse a series position: a positive number with at most one decimal place
+// (2.5 for a novella between books 2 and 3). Returns { value } or { error };
+// empty values clear the position.
+function parseSeriesPosition(value) {
+    if (value === undefined || value === null || value === '') {
+        return { value: null };
+    }
+    const position = Number(value);
+    if (!Number.isFinite(position) || position <= 0 || position > MAX_SERIES_POSITION
+        || Math.round(position * 10) !== position * 10) {
+        return { error: 'Series position must be a positive number with at most one decimal place' };
+    }
+    return { value: position };
+}
+
+// Active books of a series in reading order, with author names
+async function getSeriesBooks(connection, seriesId) {
+    const [books] = await connection.execute(`
+        SELECT
+            b.book_id,
+            b.title,
+            b.cover_image_url,
+            b.series_position,
+            b.publication_date,
+            b.language,
+            b.work_id,
+            b.total_copies,
+            b.available_copies,
+            GROUP_CONCAT(
+                CONCAT(a.first_name, ' ', a.last_name)
+                ORDER BY ba.author_order
+                SEPARATOR ', '
+            ) as authors
+        FROM books b
+        LEFT JOIN book_authors ba ON b.book_id = ba.book_id
+        LEFT JOIN authors a ON ba.author_id = a.author_id
+        WHERE b.series_id = ? AND b.is_active = TRUE
+        GROUP BY b.book_id
+        ORDER BY b.series_position IS NULL, b.series_position, b.publication_date, b.book_id
+    `, [seriesId]);
+
+    return books.map(book => ({
+        ...book,
+        series_position: book.series_position !== null ? parseFloat(book.series_position) : null,
+        authors: book.authors ? book.authors.split(', ') : [],
+        is_available: book.available_copies > 0
+    }));
+}
+
+// The books just before and after `book` in its series. When several editions
+// share a position, the one in the same language as `book` is preferred.
+function adjacentInSeries(seriesBooks, book) {
+    const position = book.series_position !== null ? parseFloat(book.series_position) : null;
+    if (position === null) {
+        return { prequel: null, sequel: null };
+    }
+
+    const pick = candidates => candidates.find(candidate => candidate.language === book.language) || candidates[0] || null;
+    const others = seriesBooks.filter(candidate => candidate.book_id !== book.book_id && candidate.series_position !== null);
+
+    const earlier = others.filter(candidate => candidate.series_position < position);
+    const later = others.filter(candidate => candidate.series_position > position);
+    const prequelPosition = earlier.length > 0 ? Math.max(...earlier.map(candidate => candidate.series_position)) : null;
+    const sequelPosition = later.length > 0 ? Math.min(...later.map(candidate => candidate.series_position)) : null;
+
+    return {
+        prequel: pick(earlier.filter(candidate => candidate.series_position === prequelPosition)),
+        sequel: pick(later.filter(candidate => candidate.series_position === sequelPosition))
+    };
+}
+
+// Active editions of a work, oldest first
+async function getWorkEditions(connection, workId) {
+    const [editions] = await connection.execute(`
+        SELECT
+            book_id,
+            title,
+            isbn,
+            publisher,
+            publication_date,
+            language,
+            is_ebook,
+            cover_image_url,
+            total_copies,
+            available_copies
+        FROM books
+        WHERE work_id = ? AND is_active = TRUE
+        ORDER BY publication_date IS NULL, publication_date, book_id
+    `, [workId]);
+
+    return editions.map(edition => ({
+        ...edition,
+        is_ebook: !!edition.is_ebook,
+        is_available: edition.available_copies > 0
+    }));
+}
+
+// Copies summed over a work's editions
+function summarizeAvailability(editions) {
+    const totalCopies = editions.reduce((sum, edition) => sum + edition.total_copies, 0);
+    const availableCopies = editions.reduce((sum, edition) => sum + edition.available_copies, 0);
+    return {
+        edition_count: editions.length,
+        total_copies: totalCopies,
+        available_copies: availableCopies,
+        is_available: availableCopies > 0,
+        available_edition_ids: editions.filter(edition => edition.available_copies > 0).map(edition => edition.book_id)
+    };
+}
+
+module.exports = {
+    parseSeriesPosition,
+    getSeriesBooks,
+    adjacentInSeries,
+    getWorkEditions,
+    summarizeAvailability
+};
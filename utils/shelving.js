@@ -0,0 +1,207 @@
+// Smart Library Platform - Call Number & Shelf Helpers
+//
+// Books carry a call number (books.call_number) in one of three schemes:
+//   dewey  Dewey Decimal, e.g. "823.912 ORW"
+//   lc     Library of Congress, e.g. "PR6029.R8 N49 1949"
+//   local  anything else, e.g. "FIC TOL"
+// Call numbers do not sort as plain text ("PR6029" must come after "PR605"),
+// so each one is stored with a sort key (books.call_number_sort) that does:
+// numbers are zero-padded, cutters are compared as decimals, and the key
+// starts with the scheme so Dewey, LC and local shelves stay apart.
+//
+// Physical copies live at a branch (book_items.branch_id) on a shelf
+// (book_items.shelf_location, free text such as "Adult Fiction, Bay 4").
+
+const CALL_NUMBER_SCHEMES = ['dewey', 'lc', 'local'];
+
+// Longest call number books.call_number holds
+const MAX_CALL_NUMBER_LENGTH = 50;
+
+// Default and largest number of books shown either side on a shelf browse
+const DEFAULT_SHELF_NEIGHBOURS = 5;
+const MAX_SHELF_NEIGHBOURS = 25;
+
+const SCHEME_PREFIXES = { dewey: '1', lc: '2', local: '3' };
+
+const DEWEY_PATTERN = /^(\d{3})(?:\.(\d+))?(?=\s|[A-Z]|$)\s*(.*)$/;
+const LC_PATTERN = /^([A-Z]{1,3})\s*(\d{1,4})(?:\.(\d+))?(?=[\s.]|[A-Z]|$)\s*(.*)$/;
+
+// Cutters, dates and volume numbers after the class number, as sortable tokens
+// (".O93 H37 1997" -> ["O93", "H37", "1997"])
+function shelfTokens(rest) {
+    return (rest.replace(/\./g, ' ').match(/[A-Z]+\d*|\d+/g) || []);
+}
+
+// The scheme a call number looks like it belongs to
+function detectScheme(callNumber) {
+    const text = String(callNumber).trim().toUpperCase();
+    if (DEWEY_PATTERN.test(text)) {
+        return 'dewey';
+    }
+    if (LC_PATTERN.test(text)) {
+        return 'lc';
+    }
+    return 'local';
+}
+
+// Sort key for a call number in a known scheme, or null if it does not fit it
+function callNumberSortKey(callNumber, scheme) {
+    const text = String(callNumber).trim().toUpperCase().replace(/\s+/g, ' ');
+
+    if (scheme === 'dewey') {
+        const match = DEWEY_PATTERN.exec(text);
+        if (!match) {
+            return null;
+        }
+        const [, whole, decimals = '', rest] = match;
+        return [SCHEME_PREFIXES.dewey, `${whole}.${decimals.padEnd(12, '0')}`, ...shelfTokens(rest)].join(' ');
+    }
+
+    if (scheme === 'lc') {
+        const match = LC_PATTERN.exec(text);
+        if (!match) {
+            return null;
+        }
+        const [, letters, number, decimals = '', rest] = match;
+        return [SCHEME_PREFIXES.lc, letters.padEnd(3, ' '), `${number.padStart(4, '0')}.${decimals.padEnd(6, '0')}`, ...shelfTokens(rest)].join(' ');
+    }
+
+    return [SCHEME_PREFIXES.local, ...shelfTokens(text)].join(' ');
+}
+
+// Validate a call number and work out its scheme (detected when not given).
+// Returns { value: { call_number, call_number_scheme, call_number_sort } } or
+// { error }; empty values clear the call number.
+function parseCallNumber(callNumber, scheme) {
+    if (callNumber === undefined || callNumber === null || String(callNumber).trim() === '') {
+        return { value: { call_number: null, call_number_scheme: null, call_number_sort: null } };
+    }
+
+    const text = String(callNumber).trim().replace(/\s+/g, ' ');
+    if (text.length > MAX_CALL_NUMBER_LENGTH) {
+        return { error: `Call number cannot be longer than ${MAX_CALL_NUMBER_LENGTH} characters` };
+    }
+
+    const resolvedScheme = scheme ? String(scheme).trim().toLowerCase() : detectScheme(text);
+    if (!CALL_NUMBER_SCHEMES.includes(resolvedScheme)) {
+        return { error: `Call number scheme must be one of: ${CALL_NUMBER_SCHEMES.join(', ')}` };
+    }
+
+    const sortKey = callNumberSortKey(text, resolvedScheme);
+    if (!sortKey) {
+        return { error: `"${text}" is not a valid ${resolvedScheme === 'lc' ? 'Library of Congress' : 'Dewey'} call number` };
+    }
+
+    return { value: { call_number: text, call_number_scheme: resolvedScheme, call_number_sort: sortKey } };
+}
+
+// Where a book's copies are: one entry per branch and shelf, with copy counts
+async function getBookLocations(connection, bookId) {
+    const [locations] = await connection.execute(`
+        SELECT
+            bi.branch_id,
+            br.code as branch_code,
+            br.name as branch_name,
+            bi.shelf_location,
+            COUNT(*) as total_copies,
+            COUNT(CASE WHEN bi.status = 'available' THEN 1 END) as available_copies
+        FROM book_items bi
+        LEFT JOIN branches br ON bi.branch_id = br.branch_id
+        WHERE bi.book_id = ? AND bi.status NOT IN ('lost', 'withdrawn')
+        GROUP BY bi.branch_id, br.code, br.name, bi.shelf_location
+        ORDER BY br.name IS NULL, br.name, bi.shelf_location
+    `, [bookId]);
+
+    return locations.map(location => ({
+        branch: location.branch_id !== null ? {
+            branch_id: location.branch_id,
+            code: location.branch_code,
+            name: location.branch_name
+        } : null,
+        shelf_location: location.shelf_location,
+        total_copies: parseInt(location.total_copies),
+        available_copies: parseInt(location.available_copies)
+    }));
+}
+
+// A branch by ID or code, or null
+async function findBranch(connection, value) {
+    const [branches] = await connection.execute(
+        'SELECT branch_id, code, name, is_active FROM branches WHERE branch_id = ? OR code = ?',
+        [parseInt(value) || 0, String(value).trim().toUpperCase()]
+    );
+    return branches.length > 0 ? { ...branches[0], is_active: !!branches[0].is_active } : null;
+}
+
+// The branch holding most of a book's copies, or null if none are at a branch
+async function primaryBranchId(connection, bookId) {
+    const [branches] = await connection.execute(`
+        SELECT branch_id, COUNT(*) as copies
+        FROM book_items
+        WHERE book_id = ? AND branch_id IS NOT NULL AND status NOT IN ('lost', 'withdrawn')
+        GROUP BY branch_id
+        ORDER BY copies DESC, branch_id
+        LIMIT 1
+    `, [bookId]);
+    return branches.length > 0 ? branches[0].branch_id : null;
+}
+
+// Books shelved just before and after `book` (which needs book_id and
+// call_number_sort), nearest last in `before` and nearest first in `after`.
+// With a branch, only books with copies at that branch count.
+async function getShelfNeighbours(connection, book, { branchId = null, count = DEFAULT_SHELF_NEIGHBOURS } = {}) {
+    const branchCondition = branchId !== null ? 'AND bi.branch_id = ?' : '';
+    const branchParams = branchId !== null ? [branchId] : [];
+
+    const side = async (comparison, direction) => {
+        const [books] = await connection.execute(`
+            SELECT
+                b.book_id,
+                b.title,
+                b.call_number,
+                b.call_number_scheme,
+                b.cover_image_url,
+                b.total_copies,
+                b.available_copies,
+                (SELECT GROUP_CONCAT(CONCAT(a.first_name, ' ', a.last_name) ORDER BY ba.author_order SEPARATOR ', ')
+                 FROM book_authors ba JOIN authors a ON ba.author_id = a.author_id
+                 WHERE ba.book_id = b.book_id) as authors,
+                (SELECT MIN(bi.shelf_location) FROM book_items bi
+                 WHERE bi.book_id = b.book_id AND bi.status NOT IN ('lost', 'withdrawn') ${branchCondition}) as shelf_location
+            FROM books b
+            WHERE b.is_active = TRUE
+            AND b.call_number_sort IS NOT NULL
+            AND (b.call_number_sort, b.book_id) ${comparison} (?, ?)
+            ${branchId !== null ? `AND EXISTS (
+                SELECT 1 FROM book_items bi
+                WHERE bi.book_id = b.book_id AND bi.status NOT IN ('lost', 'withdrawn') ${branchCondition}
+            )` : ''}
+            ORDER BY b.call_number_sort ${direction}, b.book_id ${direction}
+            LIMIT ${parseInt(count)}
+        `, [...branchParams, book.call_number_sort, book.book_id, ...branchParams]);
+
+        return books.map(neighbour => ({
+            ...neighbour,
+            authors: neighbour.authors ? neighbour.authors.split(', ') : [],
+            is_available: neighbour.available_copies > 0
+        }));
+    };
+
+    const before = await side('<', 'DESC');
+    const after = await side('>', 'ASC');
+
+    return { before: before.reverse(), after };
+}
+
+module.exports = {
+    CALL_NUMBER_SCHEMES,
+    DEFAULT_SHELF_NEIGHBOURS,
+    MAX_SHELF_NEIGHBOURS,
+    detectScheme,
+    callNumberSortKey,
+    parseCallNumber,
+    getBookLocations,
+    findBranch,
+    primaryBranchId,
+    getShelfNeighbours
+};
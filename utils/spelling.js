@@ -0,0 +1,142 @@
+// Smart Library Platform - Spelling Suggestion Helpers
+//
+// "Did you mean" suggestions are built from the catalog's own vocabulary: the
+// words in active book titles and author names, with how often each occurs.
+// A query word that is not in the vocabulary is replaced by the closest known
+// word within a small edit distance (insertions, deletions, substitutions and
+// swapped neighbours), preferring the more common word on ties.
+//
+// The vocabulary is cached in memory; admin routes call invalidateVocabulary()
+// after changing the catalog and it is also reloaded every VOCABULARY_TTL_MS.
+
+const { STOPWORDS } = require('./search');
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Words shorter than this are never corrected
+const MIN_WORD_LENGTH = 3;
+
+let vocabulary = null;
+let loadedAt = 0;
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+}
+
+// Edit distance between a and b (optimal string alignment), or Infinity when
+// it is larger than maxDistance
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return Infinity;
+    }
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return Infinity;
+        }
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length] <= maxDistance ? previous[b.length] : Infinity;
+}
+
+// Allowed typos grow with word length
+function maxDistanceFor(word) {
+    return word.length <= 4 ? 1 : 2;
+}
+
+// Map of word -> occurrences across active titles and author names
+async function getVocabulary(connection) {
+    if (vocabulary && Date.now() - loadedAt < VOCABULARY_TTL_MS) {
+        return vocabulary;
+    }
+
+    const [titles] = await connection.execute('SELECT title FROM books WHERE is_active = TRUE');
+    const [authors] = await connection.execute(`
+        SELECT DISTINCT a.first_name, a.last_name
+        FROM authors a
+        JOIN book_authors ba ON a.author_id = ba.author_id
+        JOIN books b ON ba.book_id = b.book_id
+        WHERE b.is_active = TRUE
+    `);
+
+    const words = new Map();
+    const addWords = text => {
+        for (const word of tokenize(text)) {
+            words.set(word, (words.get(word) || 0) + 1);
+        }
+    };
+    titles.forEach(row => addWords(row.title));
+    authors.forEach(row => addWords(`${row.first_name} ${row.last_name}`));
+
+    vocabulary = words;
+    loadedAt = Date.now();
+    return vocabulary;
+}
+
+function invalidateVocabulary() {
+    vocabulary = null;
+}
+
+// Closest vocabulary word to an unknown word, or null
+function closestWord(words, word) {
+    const maxDistance = maxDistanceFor(word);
+    let best = null;
+
+    for (const [candidate, frequency] of words) {
+        const distance = editDistance(word, candidate, maxDistance);
+        if (distance === Infinity) {
+            continue;
+        }
+        if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+            best = { word: candidate, distance, frequency };
+        }
+    }
+
+    return best ? best.word : null;
+}
+
+// A corrected version of a search query, or null when every word is known.
+// Search operators and quotes are kept; only the words themselves change.
+async function suggestCorrection(connection, query) {
+    const words = await getVocabulary(connection);
+    let changed = false;
+
+    const corrected = String(query || '').replace(/[\p{L}\p{N}']+/gu, (token, offset, text) => {
+        const word = token.toLowerCase();
+        const isPrefix = text[offset + token.length] === '*';
+        if (word.length < MIN_WORD_LENGTH || STOPWORDS.has(word) || words.has(word) || isPrefix) {
+            return token;
+        }
+        const replacement = closestWord(words, word);
+        if (!replacement) {
+            return token;
+        }
+        changed = true;
+        // Keep the user's capitalisation of the first letter
+        return token[0] === token[0].toUpperCase() ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+    });
+
+    return changed ? corrected : null;
+}
+
+module.exports = {
+    editDistance,
+    getVocabulary,
+    invalidateVocabulary,
+    suggestCorrection
+};
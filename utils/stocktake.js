@@ -0,0 +1,262 @@
+// Smart Library Platform - Stocktake Helpers
+//
+// A stocktake session covers one branch. Staff walk the shelves and submit the
+// codes they scan on each one: item barcodes, or a book's ISBN for copies with
+// unreadable or missing barcodes. The report compares those scans with
+// book_items:
+//   missing     available copies recorded on a scanned shelf that were not seen
+//   misplaced   copies seen on a different shelf or at another branch
+//   unexpected  codes that match nothing, copies recorded as out of circulation
+//               (lost, checked out...) and ISBN scans beyond the copies on record;
+//               a found copy from a lost loan is marked with its lost_checkout_id
+// Shelves are compared case-insensitively, ignoring extra spaces.
+
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+
+const STOCKTAKE_STATUSES = ['open', 'completed', 'cancelled'];
+
+// Adjustments a stocktake can apply; surplus adds new copies, so it is only
+// applied when asked for by name
+const STOCKTAKE_ADJUSTMENTS = ['missing', 'found', 'relocate', 'surplus'];
+const DEFAULT_STOCKTAKE_ADJUSTMENTS = ['missing', 'found', 'relocate'];
+
+// Most codes accepted in one scan upload
+const MAX_SCANS_PER_REQUEST = 500;
+
+// Item statuses a found copy can be put back on the shelf from
+const RECOVERABLE_STATUSES = ['lost', 'withdrawn'];
+
+// Shelf name as stored, and as compared
+function cleanShelf(shelf) {
+    return String(shelf || '').trim().replace(/\s+/g, ' ');
+}
+
+function shelfKey(shelf) {
+    return cleanShelf(shelf).toLowerCase();
+}
+
+// Work out what a scanned code is: an item barcode, otherwise an ISBN.
+// Returns { code, code_type, item_id, book_id }; the ids are null when the
+// code matches nothing.
+async function classifyCode(connection, rawCode) {
+    const code = String(rawCode).trim();
+
+    const [items] = await connection.execute(
+        'SELECT item_id, book_id FROM book_items WHERE barcode = ?',
+        [code]
+    );
+    if (items.length > 0) {
+        return { code, code_type: 'barcode', item_id: items[0].item_id, book_id: items[0].book_id };
+    }
+
+    if (isValidIsbn(code)) {
+        const [books] = await connection.execute(
+            'SELECT book_id FROM books WHERE isbn13 = ? ORDER BY is_active DESC, book_id LIMIT 1',
+            [toIsbn13(code)]
+        );
+        return { code, code_type: 'isbn', item_id: null, book_id: books.length > 0 ? books[0].book_id : null };
+    }
+
+    return { code, code_type: 'barcode', item_id: null, book_id: null };
+}
+
+// Reconcile a session's scans with the items on record at its branch.
+// `session` needs session_id and branch_id.
+async function buildStocktakeReport(connection, session) {
+    const [scans] = await connection.execute(`
+        SELECT
+            s.scan_id,
+            s.shelf_location,
+            s.code,
+            s.code_type,
+            s.item_id,
+            s.book_id,
+            s.scanned_at,
+            b.title,
+            bi.barcode,
+            bi.status as item_status,
+            bi.branch_id as item_branch_id,
+            bi.shelf_location as item_shelf_location,
+            br.code as item_branch_code,
+            br.name as item_branch_name,
+            (SELECT c.checkout_id FROM checkouts c
+             WHERE c.item_id = s.item_id AND c.return_date IS NULL
+             ORDER BY c.checkout_id DESC LIMIT 1) as open_checkout_id,
+            (SELECT c.checkout_id FROM checkouts c
+             WHERE c.item_id = s.item_id AND c.loss_status IN ('lost', 'claims_returned')
+             ORDER BY c.checkout_id DESC LIMIT 1) as lost_checkout_id
+        FROM stocktake_scans s
+        LEFT JOIN book_items bi ON s.item_id = bi.item_id
+        LEFT JOIN books b ON s.book_id = b.book_id
+        LEFT JOIN branches br ON bi.branch_id = br.branch_id
+        WHERE s.session_id = ?
+        ORDER BY s.scan_id
+    `, [session.session_id]);
+
+    // Available copies on record at the branch, by shelf
+    const [shelvedItems] = await connection.execute(`
+        SELECT bi.item_id, bi.barcode, bi.book_id, bi.shelf_location, b.title
+        FROM book_items bi
+        JOIN books b ON bi.book_id = b.book_id
+        WHERE bi.branch_id = ? AND bi.status = 'available'
+        ORDER BY bi.shelf_location, b.title, bi.item_id
+    `, [session.branch_id]);
+
+    const scannedShelves = new Map();
+    for (const scan of scans) {
+        if (!scannedShelves.has(shelfKey(scan.shelf_location))) {
+            scannedShelves.set(shelfKey(scan.shelf_location), cleanShelf(scan.shelf_location));
+        }
+    }
+    const scannedItemIds = new Set(scans.filter(scan => scan.item_id !== null).map(scan => scan.item_id));
+
+    const missing = [];
+    const misplaced = [];
+    const unexpected = [];
+    const shelfSummary = new Map([...scannedShelves].map(([key, name]) => [key, {
+        shelf_location: name, expected: 0, scanned: 0, missing: 0, misplaced: 0, unexpected: 0
+    }]));
+
+    // Barcode scans: copies we can identify exactly
+    for (const scan of scans) {
+        const shelf = shelfSummary.get(shelfKey(scan.shelf_location));
+        shelf.scanned++;
+
+        if (scan.code_type === 'isbn') {
+            if (scan.book_id === null) {
+                shelf.unexpected++;
+                unexpected.push({ type: 'unknown_isbn', scan_id: scan.scan_id, code: scan.code, shelf_location: scan.shelf_location });
+            }
+            continue;
+        }
+
+        if (scan.item_id === null) {
+            shelf.unexpected++;
+            unexpected.push({ type: 'unknown_barcode', scan_id: scan.scan_id, code: scan.code, shelf_location: scan.shelf_location });
+            continue;
+        }
+
+        const copy = {
+            scan_id: scan.scan_id,
+            item_id: scan.item_id,
+            barcode: scan.barcode,
+            book_id: scan.book_id,
+            title: scan.title,
+            shelf_location: scan.shelf_location
+        };
+
+        if (scan.item_status !== 'available') {
+            shelf.unexpected++;
+            unexpected.push({
+                type: 'status',
+                ...copy,
+                item_status: scan.item_status,
+                checkout_id: scan.open_checkout_id || scan.lost_checkout_id,
+                // Set when finding the copy also reverses a lost or claims-returned
+                // loan (refund and loan record, as PUT /api/checkouts/:id/found)
+                lost_checkout_id: scan.lost_checkout_id,
+                // Copies still on loan are closed through circulation (check in)
+                recoverable: RECOVERABLE_STATUSES.includes(scan.item_status) &&
+                    (scan.open_checkout_id === null || scan.open_checkout_id === scan.lost_checkout_id)
+            });
+        } else if (scan.item_branch_id !== session.branch_id || shelfKey(scan.item_shelf_location) !== shelfKey(scan.shelf_location)) {
+            shelf.misplaced++;
+            misplaced.push({
+                ...copy,
+                recorded_branch: scan.item_branch_id !== null ? {
+                    branch_id: scan.item_branch_id,
+                    code: scan.item_branch_code,
+                    name: scan.item_branch_name
+                } : null,
+                recorded_shelf_location: scan.item_shelf_location
+            });
+        }
+    }
+
+    // Copies on scanned shelves: unseen ones are missing, unless an ISBN scan
+    // of the same book on that shelf accounts for them
+    const isbnCounts = new Map();
+    for (const scan of scans) {
+        if (scan.code_type === 'isbn' && scan.book_id !== null) {
+            const key = `${shelfKey(scan.shelf_location)}|${scan.book_id}`;
+            const entry = isbnCounts.get(key) || { shelf_location: scan.shelf_location, book_id: scan.book_id, title: scan.title, count: 0 };
+            entry.count++;
+            isbnCounts.set(key, entry);
+        }
+    }
+
+    const unscannedShelves = new Map();
+    for (const item of shelvedItems) {
+        const key = shelfKey(item.shelf_location);
+        const shelf = shelfSummary.get(key);
+
+        if (!shelf) {
+            const name = cleanShelf(item.shelf_location) || null;
+            const entry = unscannedShelves.get(key) || { shelf_location: name, available_copies: 0 };
+            entry.available_copies++;
+            unscannedShelves.set(key, entry);
+            continue;
+        }
+
+        shelf.expected++;
+        if (scannedItemIds.has(item.item_id)) {
+            continue;
+        }
+
+        const isbnEntry = isbnCounts.get(`${key}|${item.book_id}`);
+        if (isbnEntry && isbnEntry.count > 0) {
+            isbnEntry.count--;
+            continue;
+        }
+
+        shelf.missing++;
+        missing.push({
+            item_id: item.item_id,
+            barcode: item.barcode,
+            book_id: item.book_id,
+            title: item.title,
+            shelf_location: item.shelf_location
+        });
+    }
+
+    // ISBN scans left over are copies the catalogue does not know about
+    for (const entry of isbnCounts.values()) {
+        if (entry.count > 0) {
+            shelfSummary.get(shelfKey(entry.shelf_location)).unexpected++;
+            unexpected.push({
+                type: 'surplus',
+                book_id: entry.book_id,
+                title: entry.title,
+                shelf_location: entry.shelf_location,
+                copies: entry.count
+            });
+        }
+    }
+
+    return {
+        summary: {
+            shelves_scanned: shelfSummary.size,
+            scans: scans.length,
+            expected_items: [...shelfSummary.values()].reduce((sum, shelf) => sum + shelf.expected, 0),
+            missing: missing.length,
+            misplaced: misplaced.length,
+            unexpected: unexpected.length
+        },
+        missing,
+        misplaced,
+        unexpected,
+        shelves: [...shelfSummary.values()],
+        unscanned_shelves: [...unscannedShelves.values()]
+    };
+}
+
+module.exports = {
+    STOCKTAKE_STATUSES,
+    STOCKTAKE_ADJUSTMENTS,
+    DEFAULT_STOCKTAKE_ADJUSTMENTS,
+    MAX_SCANS_PER_REQUEST,
+    cleanShelf,
+    shelfKey,
+    classifyCode,
+    buildStocktakeReport
+};
@@ -0,0 +1,191 @@
+// Smart Library Platform - Subject Taxonomy Helpers
+//
+// Subjects form a tree (subjects.parent_id) and a book can be filed under any
+// number of them (book_subjects). books.genre is kept as the book's primary
+// subject: the book triggers file a book under the subject its genre names,
+// and changing the primary subject here rewrites the genre.
+//
+// Filtering by a subject matches the subject and everything beneath it, so
+// "Speculative Fiction" finds Fantasy and Science Fiction titles. A subject can
+// be named by any of its aliases.
+
+// Subject IDs of the subject named by ? (name or alias) and all its descendants
+const SUBJECT_TREE_SQL = `
+    WITH RECURSIVE subject_tree AS (
+        SELECT s.subject_id FROM subjects s
+        WHERE s.name = ? OR s.subject_id IN (SELECT sa.subject_id FROM subject_aliases sa WHERE sa.alias = ?)
+        UNION ALL
+        SELECT child.subject_id FROM subjects child
+        JOIN subject_tree parent ON child.parent_id = parent.subject_id
+    )
+    SELECT subject_id FROM subject_tree`;
+
+// Every (subject, ancestor) pair, each subject counting as its own ancestor
+const SUBJECT_ANCESTORS_CTE = `
+    subject_ancestors AS (
+        SELECT subject_id, subject_id as ancestor_id FROM subjects
+        UNION ALL
+        SELECT sa.subject_id, s.parent_id FROM subject_ancestors sa
+        JOIN subjects s ON s.subject_id = sa.ancestor_id
+        WHERE s.parent_id IS NOT NULL
+    )`;
+
+// Condition on a book: filed under the named subject or a narrower one.
+// Books whose genre text matches are included too.
+function subjectFilter(value, bookAlias = 'b') {
+    return {
+        sql: `(${bookAlias}.genre = ? OR EXISTS (
+            SELECT 1 FROM book_subjects fbs
+            WHERE fbs.book_id = ${bookAlias}.book_id AND fbs.subject_id IN (${SUBJECT_TREE_SQL})
+        ))`,
+        params: [value, value, value]
+    };
+}
+
+// All subjects with their aliases, parent links and active book counts
+// (direct, and including narrower subjects), as a flat list in tree order
+async function loadTaxonomy(connection) {
+    const [subjects] = await connection.execute(`
+        SELECT
+            s.subject_id,
+            s.name,
+            s.parent_id,
+            s.description,
+            (SELECT COUNT(*) FROM book_subjects bs JOIN books b ON bs.book_id = b.book_id
+             WHERE bs.subject_id = s.subject_id AND b.is_active = TRUE) as direct_book_count
+        FROM subjects s
+        ORDER BY s.name
+    `);
+    const [aliases] = await connection.execute('SELECT alias_id, subject_id, alias FROM subject_aliases ORDER BY alias');
+    const [totals] = await connection.execute(`
+        WITH RECURSIVE ${SUBJECT_ANCESTORS_CTE}
+        SELECT sa.ancestor_id as subject_id, COUNT(DISTINCT b.book_id) as book_count
+        FROM subject_ancestors sa
+        JOIN book_subjects bs ON bs.subject_id = sa.subject_id
+        JOIN books b ON bs.book_id = b.book_id AND b.is_active = TRUE
+        GROUP BY sa.ancestor_id
+    `);
+
+    const totalById = new Map(totals.map(row => [row.subject_id, parseInt(row.book_count)]));
+    const byId = new Map(subjects.map(subject => [subject.subject_id, {
+        ...subject,
+        direct_book_count: parseInt(subject.direct_book_count),
+        book_count: totalById.get(subject.subject_id) || 0,
+        aliases: aliases.filter(alias => alias.subject_id === subject.subject_id).map(alias => ({ alias_id: alias.alias_id, alias: alias.alias }))
+    }]));
+
+    // Depth-first from the roots; subjects whose parent is missing count as roots
+    const ordered = [];
+    const visit = (subject, depth) => {
+        ordered.push({ ...subject, depth });
+        subjects
+            .filter(child => child.parent_id === subject.subject_id)
+            .forEach(child => visit(byId.get(child.subject_id), depth + 1));
+    };
+    subjects
+        .filter(subject => subject.parent_id === null || !byId.has(subject.parent_id))
+        .forEach(subject => visit(byId.get(subject.subject_id), 0));
+
+    return ordered;
+}
+
+// Subjects with active books filed under them or beneath them, by name
+async function getSubjectsInUse(connection) {
+    const [subjects] = await connection.execute(`
+        WITH RECURSIVE ${SUBJECT_ANCESTORS_CTE}
+        SELECT DISTINCT s.subject_id, s.name, s.parent_id
+        FROM subjects s
+        JOIN subject_ancestors sa ON sa.ancestor_id = s.subject_id
+        JOIN book_subjects bs ON bs.subject_id = sa.subject_id
+        JOIN books b ON bs.book_id = b.book_id AND b.is_active = TRUE
+        ORDER BY s.name
+    `);
+    return subjects;
+}
+
+// Nest a flat taxonomy (from loadTaxonomy) into { ...subject, children: [] } trees
+function buildTree(taxonomy) {
+    const nodes = new Map(taxonomy.map(subject => [subject.subject_id, { ...subject, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent_id !== null ? nodes.get(node.parent_id) : null;
+        (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+}
+
+// Ancestors of a subject, root first
+function ancestorsOf(taxonomy, subjectId) {
+    const byId = new Map(taxonomy.map(subject => [subject.subject_id, subject]));
+    const path = [];
+    let current = byId.get(subjectId);
+    while (current && current.parent_id !== null && byId.has(current.parent_id) && path.length < taxonomy.length) {
+        current = byId.get(current.parent_id);
+        path.unshift({ subject_id: current.subject_id, name: current.name });
+    }
+    return path;
+}
+
+// True if making parentId the parent of subjectId would create a loop
+function wouldCreateCycle(taxonomy, subjectId, parentId) {
+    if (parentId === null) {
+        return false;
+    }
+    return parentId === subjectId || ancestorsOf(taxonomy, parentId).some(ancestor => ancestor.subject_id === subjectId);
+}
+
+// A subject by ID, name or alias (case-insensitive), or null
+function findSubject(taxonomy, value) {
+    const id = Number(value);
+    if (Number.isInteger(id) && id > 0) {
+        const byId = taxonomy.find(subject => subject.subject_id === id);
+        if (byId) {
+            return byId;
+        }
+    }
+    const text = String(value || '').trim().toLowerCase();
+    return taxonomy.find(subject => subject.name.toLowerCase() === text
+        || subject.aliases.some(alias => alias.alias.toLowerCase() === text)) || null;
+}
+
+// Replace a book's subjects. The primary subject (default: the first) also
+// becomes books.genre. Must be called inside the caller's transaction.
+async function setBookSubjects(connection, bookId, subjects, primarySubject = subjects[0]) {
+    await connection.execute('DELETE FROM book_subjects WHERE book_id = ?', [bookId]);
+
+    for (const subject of subjects) {
+        await connection.execute(
+            'INSERT INTO book_subjects (book_id, subject_id, is_primary) VALUES (?, ?, ?)',
+            [bookId, subject.subject_id, subject.subject_id === primarySubject.subject_id]
+        );
+    }
+
+    // The genre trigger re-links the primary subject, which is already in place
+    await connection.execute('UPDATE books SET genre = ? WHERE book_id = ?', [primarySubject.name, bookId]);
+}
+
+// A book's subjects, primary first
+async function getBookSubjects(connection, bookId) {
+    const [subjects] = await connection.execute(`
+        SELECT s.subject_id, s.name, s.parent_id, bs.is_primary
+        FROM book_subjects bs
+        JOIN subjects s ON bs.subject_id = s.subject_id
+        WHERE bs.book_id = ?
+        ORDER BY bs.is_primary DESC, s.name
+    `, [bookId]);
+    return subjects.map(subject => ({ ...subject, is_primary: !!subject.is_primary }));
+}
+
+module.exports = {
+    SUBJECT_TREE_SQL,
+    SUBJECT_ANCESTORS_CTE,
+    subjectFilter,
+    loadTaxonomy,
+    getSubjectsInUse,
+    buildTree,
+    ancestorsOf,
+    wouldCreateCycle,
+    findSubject,
+    setBookSubjects,
+    getBookSubjects
+};
@@ -0,0 +1,106 @@
+// Smart Library Platform - Weeding Helpers
+//
+// Weeding is removing titles that no longer earn their shelf space. Each
+// circulating print title gets a score from 0 to 100 built from five factors,
+// each scaled 0 (keep) to 1 (weed):
+//   idle         time since the last checkout (since it was acquired if never borrowed)
+//   circulation  checkouts per copy per year over the lookback period
+//   age          years since publication
+//   rating       low average rating (unrated titles count as neutral)
+//   duplicates   copies beyond what recent demand needs
+// The score only ranks candidates; staff decide what to retire.
+
+const WEEDING_WEIGHTS = { idle: 30, circulation: 25, age: 15, rating: 15, duplicates: 15 };
+
+const DEFAULT_LOOKBACK_YEARS = 3;
+const MAX_LOOKBACK_YEARS = 10;
+
+// Idle this long (in days) scores the full idle factor
+const FULL_IDLE_DAYS = 5 * 365;
+
+// Checkouts per copy per year at which a title counts as circulating well
+const HEALTHY_LOANS_PER_COPY = 2;
+
+// Publication age (in years) where the age factor starts, and where it is full
+const AGE_START_YEARS = 5;
+const AGE_FULL_YEARS = 25;
+
+// Surplus copies that score the full duplicates factor
+const FULL_SURPLUS_COPIES = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clamp(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+// Score one title. `book` needs total_copies, average_rating, total_reviews,
+// publication_date, last_checkout_date, first_acquired, created_at and
+// recent_checkouts (checkouts within the lookback period).
+// Returns the metrics, per-factor scores, total score and readable reasons.
+function scoreWeedingCandidate(book, { lookbackYears = DEFAULT_LOOKBACK_YEARS, now = new Date() } = {}) {
+    const copies = Math.max(parseInt(book.total_copies) || 0, 1);
+    const recentCheckouts = parseInt(book.recent_checkouts) || 0;
+    const rating = parseFloat(book.average_rating) || 0;
+    const reviews = parseInt(book.total_reviews) || 0;
+
+    const idleSince = book.last_checkout_date || book.first_acquired || book.created_at;
+    const daysIdle = idleSince ? Math.max(Math.floor((now - new Date(idleSince)) / DAY_MS), 0) : 0;
+    const loansPerCopy = recentCheckouts / copies / lookbackYears;
+    const publicationYear = book.publication_date ? new Date(book.publication_date).getFullYear() : null;
+    const yearsOld = publicationYear !== null ? now.getFullYear() - publicationYear : null;
+    const copiesNeeded = Math.max(Math.ceil(recentCheckouts / lookbackYears / HEALTHY_LOANS_PER_COPY), 1);
+    const surplusCopies = Math.max(copies - copiesNeeded, 0);
+
+    const factors = {
+        idle: clamp(daysIdle / FULL_IDLE_DAYS),
+        circulation: clamp(1 - loansPerCopy / HEALTHY_LOANS_PER_COPY),
+        age: yearsOld !== null ? clamp((yearsOld - AGE_START_YEARS) / (AGE_FULL_YEARS - AGE_START_YEARS)) : 0,
+        rating: reviews > 0 ? clamp((5 - rating) / 4) : 0.5,
+        duplicates: clamp(surplusCopies / FULL_SURPLUS_COPIES)
+    };
+
+    const score = Object.entries(WEEDING_WEIGHTS)
+        .reduce((total, [factor, weight]) => total + factors[factor] * weight, 0);
+
+    const reasons = [];
+    if (factors.idle >= 0.5) {
+        reasons.push(book.last_checkout_date
+            ? `Not borrowed for ${(daysIdle / 365).toFixed(1)} years`
+            : `Never borrowed in ${(daysIdle / 365).toFixed(1)} years`);
+    }
+    if (factors.circulation >= 0.5) {
+        reasons.push(`${loansPerCopy.toFixed(2)} checkouts per copy per year`);
+    }
+    if (factors.age >= 0.5) {
+        reasons.push(`Published ${publicationYear}`);
+    }
+    if (reviews > 0 && factors.rating >= 0.5) {
+        reasons.push(`Rated ${rating.toFixed(1)}/5`);
+    }
+    if (surplusCopies > 0) {
+        reasons.push(`${surplusCopies} more cop${surplusCopies === 1 ? 'y' : 'ies'} than demand needs`);
+    }
+
+    return {
+        metrics: {
+            last_checkout_date: book.last_checkout_date || null,
+            days_since_last_checkout: book.last_checkout_date ? daysIdle : null,
+            recent_checkouts: recentCheckouts,
+            checkouts_per_copy_per_year: Math.round(loansPerCopy * 100) / 100,
+            publication_year: publicationYear,
+            average_rating: reviews > 0 ? rating : null,
+            surplus_copies: surplusCopies
+        },
+        factors: Object.fromEntries(Object.entries(factors).map(([factor, value]) => [factor, Math.round(value * 100) / 100])),
+        score: Math.round(score * 10) / 10,
+        reasons
+    };
+}
+
+module.exports = {
+    WEEDING_WEIGHTS,
+    DEFAULT_LOOKBACK_YEARS,
+    MAX_LOOKBACK_YEARS,
+    scoreWeedingCandidate
+};